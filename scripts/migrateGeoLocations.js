@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Delivery = require('../src/models/Delivery');
+const Driver = require('../src/models/Driver');
+
+// Old 2dsphere indexes on the {lat, lng} objects (MongoDB read them as [lng, lat] pairs)
+const LEGACY_INDEXES = ['pickupCoordinates_2dsphere', 'deliveryCoordinates_2dsphere'];
+
+async function backfillPoint(coordinatesField, pointField) {
+    const result = await Delivery.collection.updateMany(
+        {
+            [`${coordinatesField}.lat`]: { $type: 'number' },
+            [`${coordinatesField}.lng`]: { $type: 'number' },
+            [pointField]: null
+        },
+        [{
+            $set: {
+                [pointField]: {
+                    type: 'Point',
+                    coordinates: [`$${coordinatesField}.lng`, `$${coordinatesField}.lat`]
+                }
+            }
+        }]
+    );
+    console.log(`   ${pointField}: backfilled ${result.modifiedCount} deliveries`);
+}
+
+async function migrateGeoLocations() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        console.log('🔄 Dropping legacy coordinate indexes...');
+        for (const indexName of LEGACY_INDEXES) {
+            try {
+                await Delivery.collection.dropIndex(indexName);
+                console.log(`   Dropped ${indexName}`);
+            } catch (error) {
+                console.log(`   ${indexName} not found, skipping`);
+            }
+        }
+
+        console.log('🔄 Backfilling GeoJSON points on deliveries...');
+        await backfillPoint('pickupCoordinates', 'pickupPoint');
+        await backfillPoint('deliveryCoordinates', 'deliveryPoint');
+
+        console.log('🔄 Building 2dsphere indexes...');
+        await Delivery.syncIndexes();
+        await Driver.syncIndexes();
+
+        console.log('✅ Geo location migration completed');
+        console.log('   Driver positions fill in as drivers send driver-location-update events');
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+    } finally {
+        await mongoose.connection.close();
+        console.log('Database connection closed');
+    }
+}
+
+migrateGeoLocations();
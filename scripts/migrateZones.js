@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Zone = require('../src/models/Zone');
+const Driver = require('../src/models/Driver');
+const Delivery = require('../src/models/Delivery');
+
+// The service areas that used to be hardcoded on Driver.area, at their old centre points.
+// Boundaries are starter squares around each centre; redraw them in the admin zone editor.
+const LEGACY_AREAS = [
+    { name: 'Kaymakli', tr: 'Kaymaklı', lat: 35.2000, lng: 33.3500 },
+    { name: 'Hamitköy', en: 'Hamitkoy', lat: 35.1900, lng: 33.3700 },
+    { name: 'Yenişehir', en: 'Yenisehir', lat: 35.1800, lng: 33.3800 },
+    { name: 'Kumsal', lat: 35.1750, lng: 33.3850 },
+    { name: 'Gönyeli', en: 'Gonyeli', lat: 35.2167, lng: 33.3333 },
+    { name: 'Dereboyu', lat: 35.1700, lng: 33.3900 },
+    { name: 'Ortaköy', en: 'Ortakoy', lat: 35.1600, lng: 33.4000 },
+    { name: 'Yenikent', lat: 35.1500, lng: 33.4100 },
+    { name: 'Taskinkoy', tr: 'Taşkınköy', lat: 35.1400, lng: 33.4200 },
+    { name: 'Metehan', lat: 35.1300, lng: 33.4300 },
+    { name: 'Gocmenkoy', tr: 'Göçmenköy', lat: 35.1200, lng: 33.4400 },
+    { name: 'Haspolat', lat: 35.1100, lng: 33.4500 },
+    { name: 'Alaykoy', tr: 'Alayköy', lat: 35.1000, lng: 33.4600 },
+    { name: 'Marmara', lat: 35.0900, lng: 33.4700 },
+    { name: 'Terminal/City Center', tr: 'Terminal/Şehir Merkezi', lat: 35.1856, lng: 33.3823 }
+];
+
+const HALF_SIZE = 0.004; // degrees, roughly 400 m
+
+const squareAround = ({ lat, lng }) => ({
+    type: 'Polygon',
+    coordinates: [[
+        [lng - HALF_SIZE, lat - HALF_SIZE],
+        [lng + HALF_SIZE, lat - HALF_SIZE],
+        [lng + HALF_SIZE, lat + HALF_SIZE],
+        [lng - HALF_SIZE, lat + HALF_SIZE],
+        [lng - HALF_SIZE, lat - HALF_SIZE]
+    ]]
+});
+
+// Point-in-polygon for documents saved before zones existed; earlier zones (sortOrder) win overlaps
+async function backfillZone(Model, pointField, zoneField, zones) {
+    let assigned = 0;
+    for (const zone of zones) {
+        const result = await Model.updateMany(
+            {
+                [zoneField]: null,
+                [pointField]: { $geoWithin: { $geometry: zone.boundary } }
+            },
+            { [zoneField]: zone._id }
+        );
+        assigned += result.modifiedCount;
+    }
+    console.log(`   ${Model.modelName}.${zoneField}: assigned ${assigned}`);
+}
+
+async function migrateZones() {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        console.log('🔄 Creating zones for the legacy service areas...');
+        await Zone.syncIndexes();
+        for (const [index, area] of LEGACY_AREAS.entries()) {
+            const result = await Zone.updateOne(
+                { name: area.name },
+                {
+                    $setOnInsert: {
+                        name: area.name,
+                        displayName: { en: area.en || area.name, tr: area.tr || area.name },
+                        boundary: squareAround(area),
+                        center: { type: 'Point', coordinates: [area.lng, area.lat] },
+                        isActive: true,
+                        sortOrder: index
+                    }
+                },
+                { upsert: true }
+            );
+            console.log(`   ${area.name}: ${result.upsertedCount ? 'created' : 'already exists, skipping'}`);
+        }
+
+        console.log('🔄 Assigning deliveries and driver positions to zones...');
+        await Delivery.syncIndexes();
+        await Driver.syncIndexes();
+        const zones = await Zone.findActive();
+        await backfillZone(Delivery, 'pickupPoint', 'pickupZone', zones);
+        await backfillZone(Delivery, 'deliveryPoint', 'deliveryZone', zones);
+        await backfillZone(Driver, 'currentLocation', 'currentZone', zones);
+
+        const zoneNames = zones.map(zone => zone.name);
+        const unmatched = await Driver.countDocuments({ area: { $nin: zoneNames } });
+        if (unmatched > 0) {
+            console.log(`⚠️  ${unmatched} driver(s) have an area that is not an active zone; update them before their next save`);
+        }
+
+        console.log('✅ Zone migration completed');
+    } catch (error) {
+        console.error('❌ Migration failed:', error);
+    } finally {
+        await mongoose.connection.close();
+        console.log('Database connection closed');
+    }
+}
+
+migrateZones();
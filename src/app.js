@@ -28,6 +28,7 @@ const publicRoutes = require('./routes/public');
 const remittanceRoutes = require('./routes/remittance');
 const messageRoutes = require('./routes/messages');
 const conversationRoutes = require('./routes/conversations');
+const merchantRoutes = require('./routes/merchant');
 
 // Import middleware
 const { errorHandler, notFound } = require('./middleware/errorHandler');
@@ -94,6 +95,7 @@ app.use('/api/public', publicRoutes);
 app.use('/api/admin/remittances', remittanceRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/conversations', conversationRoutes);
+app.use('/api/merchant', merchantRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -58,9 +58,10 @@ const expressCorsConfig = {
         'Accept',
         'Origin',
         'Access-Control-Request-Method',
-        'Access-Control-Request-Headers'
+        'Access-Control-Request-Headers',
+        'Idempotency-Key'
     ],
-    exposedHeaders: ['Content-Range', 'X-Content-Range'],
+    exposedHeaders: ['Content-Range', 'X-Content-Range', 'Idempotent-Replayed'],
     maxAge: 86400 // 24 hours
 };
 
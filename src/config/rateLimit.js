@@ -54,6 +54,45 @@ const createGeneralLimiter = () => {
     });
 };
 
+// Public delivery tracking rate limiting configuration.
+// Tracking is unauthenticated and keyed by delivery code, so keep code guessing expensive.
+const createTrackingLimiter = () => {
+    if (isDevelopment) {
+        return createNoOpMiddleware();
+    }
+
+    return rateLimit({
+        windowMs: 60 * 1000, // 1 minute
+        max: 30, // limit each IP to 30 lookups per minute
+        message: {
+            success: false,
+            error: 'Too many tracking requests, please wait a minute'
+        },
+        standardHeaders: true,
+        legacyHeaders: false,
+    });
+};
+
+// Merchant API rate limiting configuration.
+// Runs after authenticateMerchant; each API key gets its own per-minute limit.
+const createMerchantLimiter = () => {
+    if (isDevelopment) {
+        return createNoOpMiddleware();
+    }
+
+    return rateLimit({
+        windowMs: 60 * 1000, // 1 minute
+        max: (req) => req.apiKey.rateLimit,
+        message: {
+            success: false,
+            error: 'API key rate limit exceeded, please wait a minute'
+        },
+        standardHeaders: true,
+        legacyHeaders: false,
+        keyGenerator: (req) => req.apiKey._id.toString()
+    });
+};
+
 // Production rate limiting configuration
 const createProductionLimiter = () => {
     if (isDevelopment) {
@@ -138,6 +177,8 @@ module.exports = {
     createBroadcastLimiter,
     createGeneralLimiter,
     createProductionLimiter,
+    createTrackingLimiter,
+    createMerchantLimiter,
     createUserRateLimiter,
     createOTPRateLimiter,
     createNoOpMiddleware
@@ -1,7 +1,11 @@
 const Admin = require('../models/Admin');
 const SystemSettings = require('../models/SystemSettings');
 const EarningsConfig = require('../models/EarningsConfig');
+const PricingConfig = require('../models/PricingConfig');
+const Delivery = require('../models/Delivery');
+const CancellationPolicy = require('../models/CancellationPolicy');
 const EmailService = require('../services/emailService');
+const CancellationService = require('../services/cancellationService');
 const { catchAsync, successResponse, errorResponse } = require('../middleware/errorHandler');
 const bcrypt = require('bcryptjs');
 
@@ -323,7 +327,7 @@ class AdminManagementController {
 
     // Create new earnings configuration
     static createEarningsConfiguration = catchAsync(async (req, res) => {
-        const { name, rules, notes } = req.body;
+        const { name, rules, extraStops, failedDeliveries, notes } = req.body;
         const { user } = req;
 
         try {
@@ -337,6 +341,8 @@ class AdminManagementController {
             const config = new EarningsConfig({
                 name,
                 rules,
+                ...(extraStops && { extraStops }),
+                ...(failedDeliveries && { failedDeliveries }),
                 notes,
                 isActive: true,
                 effectiveDate: new Date(),
@@ -359,7 +365,7 @@ class AdminManagementController {
     // Update earnings configuration
     static updateEarningsConfiguration = catchAsync(async (req, res) => {
         const { id } = req.params;
-        const { name, rules, notes, isActive } = req.body;
+        const { name, rules, extraStops, failedDeliveries, notes, isActive } = req.body;
         const { user } = req;
 
         try {
@@ -385,6 +391,8 @@ class AdminManagementController {
                 config.rules = rules;
                 config.validateRules();
             }
+            if (extraStops) Object.assign(config.extraStops, extraStops);
+            if (failedDeliveries) Object.assign(config.failedDeliveries, failedDeliveries);
             if (notes !== undefined) config.notes = notes;
             if (isActive !== undefined) config.isActive = isActive;
 
@@ -428,6 +436,264 @@ class AdminManagementController {
         }
     });
 
+    // ========================================
+    // PRICING CONFIGURATION MANAGEMENT (Super Admin Only)
+    // ========================================
+
+    // Get all pricing configurations
+    static getPricingConfigurations = catchAsync(async (req, res) => {
+        try {
+            const configurations = await PricingConfig.find()
+                .populate('createdBy', 'name email')
+                .populate('updatedBy', 'name email')
+                .populate('zoneSurcharges.zone', 'name displayName')
+                .sort({ effectiveDate: -1 });
+
+            const activeConfig = await PricingConfig.getActiveConfig();
+
+            successResponse(res, {
+                configurations,
+                activeConfiguration: activeConfig
+            }, 'Pricing configurations retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // Create new pricing configuration (becomes the active one)
+    static createPricingConfiguration = catchAsync(async (req, res) => {
+        const { user } = req;
+
+        try {
+            // Deactivate current active configuration
+            await PricingConfig.updateMany(
+                { isActive: true },
+                { isActive: false }
+            );
+
+            const config = await PricingConfig.create({
+                ...req.body,
+                isActive: true,
+                effectiveDate: new Date(),
+                createdBy: user.id
+            });
+
+            successResponse(res, {
+                configuration: config
+            }, 'Pricing configuration created successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // Update pricing configuration; rate changes start a new version
+    static updatePricingConfiguration = catchAsync(async (req, res) => {
+        const { id } = req.params;
+        const { isActive, ...fields } = req.body;
+        const { user } = req;
+
+        try {
+            const config = await PricingConfig.findById(id);
+            if (!config) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Pricing configuration not found'
+                });
+            }
+
+            // Nested settings are merged so one value can be changed at a time
+            ['priorityUplift', 'paymentMethodAdjustments', 'surge', 'packageSizeSurcharges', 'packageHandling'].forEach(field => {
+                if (fields[field]) {
+                    Object.assign(config[field], fields[field]);
+                    delete fields[field];
+                }
+            });
+            config.set(fields);
+
+            // Rate changes start a new version and keep this one for the deliveries priced with it
+            if (PricingConfig.RATE_FIELDS.some(field => config.isModified(field))) {
+                const nextVersion = await config.saveAsNewVersion(user.id, isActive ?? config.isActive);
+
+                return successResponse(res, {
+                    configuration: nextVersion
+                }, `Pricing configuration saved as version ${nextVersion.version}`);
+            }
+
+            // If activating this configuration, deactivate others
+            if (isActive && !config.isActive) {
+                await PricingConfig.updateMany(
+                    { isActive: true },
+                    { isActive: false }
+                );
+            }
+            if (isActive !== undefined) config.isActive = isActive;
+
+            config.updatedBy = user.id;
+            await config.save();
+
+            successResponse(res, {
+                configuration: config
+            }, 'Pricing configuration updated successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // Delete pricing configuration
+    static deletePricingConfiguration = catchAsync(async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const config = await PricingConfig.findById(id);
+            if (!config) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Pricing configuration not found'
+                });
+            }
+
+            // Prevent deletion of active configuration
+            if (config.isActive) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Cannot delete active pricing configuration'
+                });
+            }
+
+            // Keep the versions that deliveries were priced with
+            if (await Delivery.exists({ 'pricing.config': config._id })) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Cannot delete a pricing configuration that deliveries were priced with'
+                });
+            }
+
+            await PricingConfig.findByIdAndDelete(id);
+
+            successResponse(res, {}, 'Pricing configuration deleted successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // ========================================
+    // CANCELLATION POLICY MANAGEMENT (Super Admin Only)
+    // ========================================
+
+    // Get all cancellation policies
+    static getCancellationPolicies = catchAsync(async (req, res) => {
+        try {
+            const policies = await CancellationPolicy.find()
+                .populate('createdBy', 'name email')
+                .populate('updatedBy', 'name email')
+                .sort({ effectiveDate: -1 });
+
+            const activePolicy = await CancellationPolicy.getActiveConfig();
+
+            successResponse(res, {
+                policies,
+                activePolicy,
+                defaultRules: CancellationService.defaultRules,
+                reasonCodes: CancellationPolicy.REASONS
+            }, 'Cancellation policies retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // Create new cancellation policy (becomes the active one)
+    static createCancellationPolicy = catchAsync(async (req, res) => {
+        const { user } = req;
+
+        try {
+            // Deactivate current active policy
+            await CancellationPolicy.updateMany(
+                { isActive: true },
+                { isActive: false }
+            );
+
+            const policy = await CancellationPolicy.create({
+                ...req.body,
+                isActive: true,
+                effectiveDate: new Date(),
+                createdBy: user.id
+            });
+
+            successResponse(res, {
+                policy
+            }, 'Cancellation policy created successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // Update cancellation policy
+    static updateCancellationPolicy = catchAsync(async (req, res) => {
+        const { id } = req.params;
+        const { isActive, ...fields } = req.body;
+        const { user } = req;
+
+        try {
+            const policy = await CancellationPolicy.findById(id);
+            if (!policy) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Cancellation policy not found'
+                });
+            }
+
+            // If activating this policy, deactivate others
+            if (isActive && !policy.isActive) {
+                await CancellationPolicy.updateMany(
+                    { isActive: true },
+                    { isActive: false }
+                );
+                policy.effectiveDate = new Date();
+            }
+
+            policy.set(fields);
+            if (isActive !== undefined) policy.isActive = isActive;
+
+            policy.updatedBy = user.id;
+            await policy.save();
+
+            successResponse(res, {
+                policy
+            }, 'Cancellation policy updated successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // Delete cancellation policy
+    static deleteCancellationPolicy = catchAsync(async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const policy = await CancellationPolicy.findById(id);
+            if (!policy) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Cancellation policy not found'
+                });
+            }
+
+            // Prevent deletion of active policy
+            if (policy.isActive) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Cannot delete active cancellation policy'
+                });
+            }
+
+            await CancellationPolicy.findByIdAndDelete(id);
+
+            successResponse(res, {}, 'Cancellation policy deleted successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
     // ========================================
     // ADMIN STATISTICS (Super Admin Only)
     // ========================================
@@ -0,0 +1,183 @@
+const CaseService = require('../services/caseService');
+const CloudinaryService = require('../services/cloudinaryService');
+const Driver = require('../models/Driver');
+const { catchAsync, successResponse, errorResponse } = require('../middleware/errorHandler');
+
+// Validate and upload an attachment; returns { upload } or { error, status }
+const uploadAttachment = async (file) => {
+    if (!file) {
+        return { error: 'Attach a file in the "file" field', status: 400 };
+    }
+
+    const validation = CloudinaryService.validateImage(file);
+    if (!validation.valid) {
+        return { error: validation.error, status: 400 };
+    }
+
+    const uploadResult = await CloudinaryService.uploadImage(file, 'case-attachments');
+    if (!uploadResult.success) {
+        return { error: 'Failed to upload file: ' + uploadResult.error, status: 500 };
+    }
+    return { upload: { ...uploadResult, name: file.originalname } };
+};
+
+class CaseController {
+    // List cases (admin)
+    static getCases = catchAsync(async (req, res) => {
+        try {
+            const result = await CaseService.listCases(req.query);
+
+            successResponse(res, result, 'Cases retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // Case with links, notes and attachments (admin)
+    static getCase = catchAsync(async (req, res) => {
+        try {
+            const caseDoc = await CaseService.getCaseDetails(req.params.id);
+
+            successResponse(res, { case: caseDoc }, 'Case retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Open a case for a customer, merchant or driver report (admin)
+    static createCase = catchAsync(async (req, res) => {
+        try {
+            const caseDoc = await CaseService.createCase(req.body, req.user.id);
+
+            successResponse(res, { case: caseDoc }, 'Case created successfully', 201);
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Update details, links, priority or status (admin)
+    static updateCase = catchAsync(async (req, res) => {
+        try {
+            const caseDoc = await CaseService.updateCase(req.params.id, req.body);
+
+            successResponse(res, { case: caseDoc }, 'Case updated successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Assign to an admin, or unassign with null (admin)
+    static assignCase = catchAsync(async (req, res) => {
+        try {
+            const caseDoc = await CaseService.assignCase(req.params.id, req.body.adminId, req.user.id);
+
+            successResponse(res, { case: caseDoc }, caseDoc.assignedTo
+                ? 'Case assigned successfully'
+                : 'Case unassigned successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Add an internal note (admin)
+    static addNote = catchAsync(async (req, res) => {
+        try {
+            const note = await CaseService.addNote(req.params.id, req.body.body, req.user.id);
+
+            successResponse(res, { note }, 'Note added successfully', 201);
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Attach a photo or screenshot (admin)
+    static addAttachment = catchAsync(async (req, res) => {
+        try {
+            const caseDoc = await CaseService.getCase(req.params.id);
+
+            const { upload, error, status } = await uploadAttachment(req.file);
+            if (error) {
+                return res.status(status).json({
+                    success: false,
+                    error
+                });
+            }
+
+            const attachment = await CaseService.addAttachment(caseDoc, upload, req.user);
+
+            successResponse(res, { attachment }, 'Attachment added successfully', 201);
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Record the outcome; penalties and warnings can write a driver violation (admin)
+    static resolveCase = catchAsync(async (req, res) => {
+        try {
+            const caseDoc = await CaseService.resolveCase(req.params.id, req.body, req.user.id);
+
+            successResponse(res, { case: caseDoc }, caseDoc.resolution.violationId
+                ? 'Case resolved and violation recorded on the driver'
+                : 'Case resolved successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // The driver's own cases (driver)
+    static getDriverCases = catchAsync(async (req, res) => {
+        try {
+            const cases = await CaseService.listDriverCases(req.user.id);
+
+            successResponse(res, { cases }, 'Cases retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    static getDriverCase = catchAsync(async (req, res) => {
+        try {
+            const caseDoc = await CaseService.getDriverCase(req.user.id, req.params.id);
+
+            successResponse(res, CaseService.toDriverView(caseDoc), 'Case retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Open a dispute about one of the driver's deliveries or remittances (driver)
+    static createDriverCase = catchAsync(async (req, res) => {
+        try {
+            const driver = await Driver.findById(req.user.id);
+            const caseDoc = await CaseService.createDriverCase(driver, req.body);
+
+            successResponse(res, CaseService.toDriverView(caseDoc), 'Case opened successfully', 201);
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Attach evidence to the driver's own case (driver)
+    static addDriverAttachment = catchAsync(async (req, res) => {
+        try {
+            const caseDoc = await CaseService.getDriverCase(req.user.id, req.params.id);
+            CaseService.ensureOpen(caseDoc);
+
+            const { upload, error, status } = await uploadAttachment(req.file);
+            if (error) {
+                return res.status(status).json({
+                    success: false,
+                    error
+                });
+            }
+
+            await CaseService.addAttachment(caseDoc, upload, req.user);
+
+            successResponse(res, CaseService.toDriverView(caseDoc), 'Attachment added successfully', 201);
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+}
+
+module.exports = CaseController;
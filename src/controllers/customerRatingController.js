@@ -0,0 +1,85 @@
+const Delivery = require('../models/Delivery');
+const CustomerRatingService = require('../services/customerRatingService');
+const { catchAsync, successResponse, errorResponse } = require('../middleware/errorHandler');
+
+class CustomerRatingController {
+    // Rating page data for a rating link (public)
+    static getRatingForm = catchAsync(async (req, res) => {
+        try {
+            const view = await CustomerRatingService.getRatingView(req.params.token);
+
+            successResponse(res, view, 'Rating link retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Submit the customer's rating (public, once per link)
+    static submitRating = catchAsync(async (req, res) => {
+        try {
+            const rating = await CustomerRatingService.submitRating(req.params.token, req.body);
+
+            successResponse(res, {
+                rating: rating.rating,
+                tags: rating.tags,
+                comment: rating.comment
+            }, 'Thank you for your feedback', 201);
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Rating link of a delivered delivery, to share with the customer (admin)
+    static getRatingLink = catchAsync(async (req, res) => {
+        try {
+            const delivery = await Delivery.findById(req.params.id);
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery not found'
+                });
+            }
+
+            const url = CustomerRatingService.buildRatingUrl(delivery);
+            if (!url) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Rating links are only available for delivered deliveries'
+                });
+            }
+
+            successResponse(res, {
+                url,
+                expiresAt: new Date(delivery.deliveredAt.getTime() + CustomerRatingService.LINK_VALIDITY_MS)
+            }, 'Rating link retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // Customer ratings with a published summary (admin)
+    static getRatings = catchAsync(async (req, res) => {
+        try {
+            const result = await CustomerRatingService.listRatings(req.query);
+
+            successResponse(res, result, 'Customer ratings retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // Hide or re-publish a rating (admin)
+    static moderateRating = catchAsync(async (req, res) => {
+        try {
+            const rating = await CustomerRatingService.moderateRating(req.params.id, req.body, req.user.id);
+
+            successResponse(res, { rating }, rating.status === 'hidden'
+                ? 'Rating hidden successfully'
+                : 'Rating published successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+}
+
+module.exports = CustomerRatingController;
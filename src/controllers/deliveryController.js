@@ -3,11 +3,96 @@ const Driver = require('../models/Driver');
 const BroadcastService = require('../services/broadcastService');
 const EarningsService = require('../services/earningsService');
 const LocationService = require('../services/locationService');
-const { catchAsync, successResponse, errorResponse } = require('../middleware/errorHandler');
+const SocketService = require('../services/socketService');
+const ProofOfDeliveryService = require('../services/proofOfDeliveryService');
+const DeliveryStatusService = require('../services/deliveryStatusService');
+const DeliverySchedulingService = require('../services/deliverySchedulingService');
+const DeliveryOfferService = require('../services/deliveryOfferService');
+const LocationHistoryService = require('../services/locationHistoryService');
+const PricingService = require('../services/pricingService');
+const CancellationService = require('../services/cancellationService');
+const FailedDeliveryService = require('../services/failedDeliveryService');
+const DriverCapacityService = require('../services/driverCapacityService');
+const DispatchEligibilityService = require('../services/dispatchEligibilityService');
+const SurgeService = require('../services/surgeService');
+const DeliveryImportService = require('../services/deliveryImportService');
+const CloudinaryService = require('../services/cloudinaryService');
+const WebhookService = require('../services/webhookService');
+const { AppError, catchAsync, successResponse, errorResponse } = require('../middleware/errorHandler');
 
 class DeliveryController {
     // Create new delivery with automatic broadcast or manual assignment
     static createDelivery = catchAsync(async (req, res) => {
+        const { useAutoBroadcast = true, assignedTo } = req.body;
+
+        try {
+            const { delivery, earnings } = await DeliveryController.buildDelivery(req.body, req.user);
+            await delivery.save();
+
+            const { result, updatedDelivery, scheduled } = await DeliveryController.dispatchNewDelivery(delivery, {
+                useAutoBroadcast,
+                assignedTo
+            });
+
+            successResponse(res, {
+                id: updatedDelivery._id,
+                deliveryCode: updatedDelivery.deliveryCode,
+                pickupLocation: updatedDelivery.pickupLocation,
+                deliveryLocation: updatedDelivery.deliveryLocation,
+                fee: updatedDelivery.fee,
+                status: updatedDelivery.status,
+                broadcastStatus: updatedDelivery.broadcastStatus,
+                broadcastEndTime: updatedDelivery.broadcastEndTime,
+                dispatchMode: updatedDelivery.dispatchMode,
+                offeredTo: updatedDelivery.offeredTo,
+                scheduledFor: updatedDelivery.scheduledFor,
+                broadcastAt: updatedDelivery.broadcastAt,
+                assignedTo: updatedDelivery.assignedTo,
+                package: updatedDelivery.package,
+                recipientPin: delivery.recipientPin,
+                ...(delivery.stops.length > 0 && {
+                    extraStopsFee: delivery.extraStopsFee,
+                    stops: delivery.stops.map(stop => ({
+                        id: stop._id,
+                        sequence: stop.sequence,
+                        location: stop.location,
+                        contactName: stop.contactName,
+                        recipientPin: stop.recipientPin
+                    }))
+                }),
+                pricing: {
+                    source: delivery.pricing.source,
+                    version: delivery.pricing.version,
+                    breakdown: delivery.pricing.breakdown
+                },
+                ...(delivery.surge.multiplier > 1 && {
+                    surge: {
+                        multiplier: delivery.surge.multiplier,
+                        customerSurcharge: delivery.surge.customerSurcharge,
+                        driverBonus: delivery.surge.driverBonus
+                    }
+                }),
+                eligibleDrivers: result.eligibleDrivers,
+                earnings: {
+                    driverEarning: earnings.driverEarning,
+                    companyEarning: earnings.companyEarning
+                }
+            }, scheduled
+                ? 'Delivery created and scheduled for broadcast'
+                : useAutoBroadcast ? 'Delivery created and broadcast started successfully' : 'Delivery created and assigned successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+
+
+    /**
+     * Build an unsaved delivery from a create request: resolve links and stops, price it
+     * (quote when no fee is given, plus extra stops and surge), apply the schedule and
+     * record the creation. Shared by single creation and file imports.
+     */
+    static async buildDelivery(body, user) {
         const {
             pickupLocation,
             deliveryLocation,
@@ -28,158 +113,362 @@ class DeliveryController {
             useAutoBroadcast = true,
             broadcastRadius,
             broadcastDuration,
-            assignedTo
-        } = req.body;
-
-        const { user } = req;
-
-        try {
-            // Extract coordinates from Google Maps links if provided
-            let finalPickupCoordinates = pickupCoordinates;
-            let finalDeliveryCoordinates = deliveryCoordinates;
-
-            if (pickupLocationLink) {
-                try {
-                    const validation = LocationService.validateGoogleMapsLink(pickupLocationLink);
-                    if (validation.isValid) {
-                        finalPickupCoordinates = validation.coordinates;
-                        console.log(`✅ Extracted pickup coordinates: ${validation.coordinates.lat}, ${validation.coordinates.lng}`);
-                    } else {
-                        throw new Error(`Invalid pickup location link: ${validation.error}`);
-                    }
-                } catch (error) {
-                    throw new Error(`Failed to process pickup location link: ${error.message}`);
+            assignedTo,
+            stops,
+            scheduledFor,
+            dispatchMode,
+            package: packageDetails
+        } = body;
+
+        // Extract coordinates from Google Maps links if provided
+        let finalPickupCoordinates = pickupCoordinates;
+        let finalDeliveryCoordinates = deliveryCoordinates;
+
+        if (pickupLocationLink) {
+            try {
+                const validation = LocationService.validateGoogleMapsLink(pickupLocationLink);
+                if (validation.isValid) {
+                    finalPickupCoordinates = validation.coordinates;
+                    console.log(`✅ Extracted pickup coordinates: ${validation.coordinates.lat}, ${validation.coordinates.lng}`);
+                } else {
+                    throw new Error(`Invalid pickup location link: ${validation.error}`);
                 }
+            } catch (error) {
+                throw new Error(`Failed to process pickup location link: ${error.message}`);
             }
+        }
 
-            if (deliveryLocationLink) {
-                try {
-                    const validation = LocationService.validateGoogleMapsLink(deliveryLocationLink);
-                    if (validation.isValid) {
-                        finalDeliveryCoordinates = validation.coordinates;
-                        console.log(`✅ Extracted delivery coordinates: ${validation.coordinates.lat}, ${validation.coordinates.lng}`);
-                    } else {
-                        throw new Error(`Invalid delivery location link: ${validation.error}`);
-                    }
-                } catch (error) {
-                    throw new Error(`Failed to process delivery location link: ${error.message}`);
+        if (deliveryLocationLink) {
+            try {
+                const validation = LocationService.validateGoogleMapsLink(deliveryLocationLink);
+                if (validation.isValid) {
+                    finalDeliveryCoordinates = validation.coordinates;
+                    console.log(`✅ Extracted delivery coordinates: ${validation.coordinates.lat}, ${validation.coordinates.lng}`);
+                } else {
+                    throw new Error(`Invalid delivery location link: ${validation.error}`);
                 }
+            } catch (error) {
+                throw new Error(`Failed to process delivery location link: ${error.message}`);
             }
+        }
 
-            // Calculate earnings
-            const earnings = await EarningsService.calculateEarnings(fee);
+        // Multi-stop: resolve each stop and charge for the drop-offs after the first
+        let finalStops = [];
+        let extraStopsFee = 0;
+        if (stops && stops.length > 0) {
+            finalStops = DeliveryController.buildStops(stops);
+            const stopPricing = await EarningsService.getActiveExtraStopPricing();
+            extraStopsFee = (finalStops.length - 1) * stopPricing.customerFee;
 
-            // Generate delivery code
-            const timestamp = Date.now().toString().slice(-6);
-            const random = Math.floor(Math.random() * 1000000).toString().padStart(6, '0');
-            const deliveryCode = `GRP-${timestamp}${random}`;
+            if (!finalDeliveryCoordinates && finalStops[0].coordinates) {
+                finalDeliveryCoordinates = finalStops[0].coordinates;
+            }
+        }
 
-            // Create delivery
-            const deliveryData = {
-                pickupLocation,
-                deliveryLocation,
-                pickupLocationDescription,
-                deliveryLocationDescription,
-                customerName,
-                customerPhone,
-                fee,
-                paymentMethod,
-                estimatedTime,
-                notes,
-                priority,
-                distance,
+        // No fee given: price it with the active pricing rules and keep the quote
+        let baseFee = fee;
+        let pricing = { source: 'manual' };
+        let quote = null;
+        if (fee === undefined) {
+            quote = await PricingService.quote({
                 pickupCoordinates: finalPickupCoordinates,
                 deliveryCoordinates: finalDeliveryCoordinates,
-                deliveryCode,
-                createdBy: user.id
-            };
+                stops: finalStops,
+                priority,
+                paymentMethod,
+                package: packageDetails
+            });
+            baseFee = quote.fee;
+            pricing = PricingService.toDeliveryPricing(quote);
+        }
 
-            // Handle broadcast fields based on useAutoBroadcast
-            if (useAutoBroadcast) {
-                deliveryData.broadcastRadius = broadcastRadius || 5;
-                deliveryData.broadcastDuration = broadcastDuration || 60;
-                deliveryData.broadcastStatus = 'not_started';
-            } else {
-                // Manual assignment
-                deliveryData.assignedTo = assignedTo;
-                deliveryData.status = 'accepted'; // Changed from 'assigned' to 'accepted'
-                deliveryData.broadcastStatus = 'manual_assignment';
+        // Surge in the pickup zone is charged on the base fee and passed on to the driver
+        const surge = quote ? quote.surge : await SurgeService.priceSurgeAt(baseFee, finalPickupCoordinates);
+        const totalFee = baseFee + extraStopsFee + surge.customerSurcharge;
+
+        // Calculate earnings
+        const earnings = await EarningsService.calculateEarnings(totalFee, null, {
+            extraStops: Math.max(0, finalStops.length - 1),
+            extraStopsFee,
+            surgeFee: surge.customerSurcharge,
+            surgeBonus: surge.driverBonus
+        });
+
+        // Generate delivery code
+        const timestamp = Date.now().toString().slice(-6);
+        const random = Math.floor(Math.random() * 1000000).toString().padStart(6, '0');
+        const deliveryCode = `GRP-${timestamp}${random}`;
+
+        // Create delivery
+        const deliveryData = {
+            pickupLocation,
+            deliveryLocation: deliveryLocation || finalStops[0]?.location,
+            pickupLocationDescription,
+            deliveryLocationDescription,
+            customerName,
+            customerPhone,
+            fee: totalFee,
+            extraStopsFee,
+            stops: finalStops,
+            paymentMethod,
+            estimatedTime,
+            notes,
+            priority,
+            distance: distance ?? pricing.distanceKm,
+            package: packageDetails,
+            pricing,
+            surge,
+            pickupCoordinates: finalPickupCoordinates,
+            deliveryCoordinates: finalDeliveryCoordinates,
+            deliveryCode,
+            createdBy: user.id,
+            createdByModel: user.userType === 'merchant' ? 'Merchant' : 'Admin'
+        };
+
+        // Handle broadcast fields based on useAutoBroadcast
+        if (useAutoBroadcast) {
+            deliveryData.broadcastRadius = broadcastRadius || 5;
+            deliveryData.broadcastDuration = broadcastDuration || 60;
+            deliveryData.broadcastStatus = 'not_started';
+            deliveryData.dispatchMode = dispatchMode;
+        } else {
+            // Manual assignment
+            deliveryData.assignedTo = assignedTo;
+            deliveryData.broadcastStatus = 'manual_assignment';
+        }
+
+        const actor = DeliveryStatusService.actorFromUser(user);
+        const delivery = new Delivery(deliveryData);
+        if (scheduledFor) {
+            await DeliverySchedulingService.applySchedule(delivery, scheduledFor);
+        }
+        DeliveryStatusService.recordCreation(delivery, { actor, reason: 'Delivery created' });
+        if (!useAutoBroadcast && assignedTo) {
+            await DriverCapacityService.assertHasCapacity(assignedTo);
+            delivery.assignedAt = new Date();
+            DeliveryStatusService.transition(delivery, 'accepted', {
+                actor,
+                reason: `Manually assigned to driver ${assignedTo}`
+            });
+        }
+        return { delivery, earnings };
+    }
+
+    /**
+     * Start the broadcast of a saved new delivery (unless it is scheduled) or notify the
+     * manually assigned driver
+     */
+    static async dispatchNewDelivery(delivery, { useAutoBroadcast = true, assignedTo } = {}) {
+        WebhookService.publishDeliveryStatus(delivery, 'delivery.created');
+
+        const scheduled = useAutoBroadcast && DeliverySchedulingService.isWaitingForBroadcast(delivery);
+
+        if (scheduled) {
+            // The background job starts the broadcast at broadcastAt
+            return { result: { eligibleDrivers: 0 }, updatedDelivery: delivery, scheduled };
+        }
+
+        if (useAutoBroadcast) {
+            // Start automatic broadcast
+            const result = await BroadcastService.startBroadcast(delivery._id);
+            // Get the updated delivery after broadcast starts
+            const updatedDelivery = await Delivery.findById(delivery._id);
+            return { result, updatedDelivery, scheduled };
+        }
+
+        // Manual assignment - notify the assigned driver
+        if (assignedTo) {
+            const driver = await Driver.findById(assignedTo);
+            if (driver) {
+                // Send notification to assigned driver
+                const NotificationService = require('../services/notificationService');
+                await NotificationService.createAndEmitNotification({
+                    recipient: assignedTo,
+                    recipientModel: 'Driver',
+                    type: 'delivery_assigned',
+                    title: 'New Delivery Assigned',
+                    message: `You have been assigned a new delivery: ${delivery.pickupLocation} to ${delivery.deliveryLocation}`,
+                    data: {
+                        deliveryId: delivery._id,
+                        deliveryCode: delivery.deliveryCode,
+                        pickupLocation: delivery.pickupLocation,
+                        deliveryLocation: delivery.deliveryLocation,
+                        fee: delivery.fee
+                    },
+                    priority: 'high'
+                });
             }
+        }
+        return { result: { eligibleDrivers: 0 }, updatedDelivery: delivery, scheduled };
+    }
 
-            const delivery = new Delivery(deliveryData);
-            await delivery.save();
+    // Download the bulk import template (CSV or XLSX) with one example row
+    static getImportTemplate = catchAsync(async (req, res) => {
+        const format = req.query.format === 'csv' ? 'csv' : 'xlsx';
 
-            let result;
-            let updatedDelivery = delivery;
+        try {
+            const buffer = Buffer.from(await DeliveryImportService.buildTemplate(format));
+            const { contentType, extension } = DeliveryImportService.getFormat(format);
 
-            if (useAutoBroadcast) {
-                // Start automatic broadcast
-                result = await BroadcastService.startBroadcast(delivery._id);
-                // Get the updated delivery after broadcast starts
-                updatedDelivery = await Delivery.findById(delivery._id);
-            } else {
-                // Manual assignment - notify the assigned driver
-                if (assignedTo) {
-                    const driver = await Driver.findById(assignedTo);
-                    if (driver) {
-                        // Send notification to assigned driver
-                        const NotificationService = require('../services/notificationService');
-                        await NotificationService.createAndEmitNotification({
-                            recipient: assignedTo,
-                            recipientModel: 'Driver',
-                            type: 'delivery_assigned',
-                            title: 'New Delivery Assigned',
-                            message: `You have been assigned a new delivery: ${delivery.pickupLocation} to ${delivery.deliveryLocation}`,
-                            data: {
-                                deliveryId: delivery._id,
-                                deliveryCode: delivery.deliveryCode,
-                                pickupLocation: delivery.pickupLocation,
-                                deliveryLocation: delivery.deliveryLocation,
-                                fee: delivery.fee
-                            },
-                            priority: 'high'
-                        });
+            res.setHeader('Content-Type', contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="delivery-import-template.${extension}"`);
+            res.setHeader('Content-Length', buffer.length);
+            res.send(buffer);
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Import deliveries from a CSV or XLSX file. Each row is validated and priced like a single
+    // delivery; with dryRun nothing is created. Valid rows are imported even when others fail,
+    // and `report` returns the rejected rows as a file to fix and upload again.
+    static importDeliveries = catchAsync(async (req, res) => {
+        const { dryRun, report } = req.body;
+        const preview = [true, 'true'].includes(dryRun);
+
+        try {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Upload a CSV or XLSX file in the "file" field'
+                });
+            }
+
+            const rows = await DeliveryImportService.parseFile(req.file);
+            const results = [];
+
+            for (const { row, values } of rows) {
+                const { body, errors } = DeliveryImportService.validateRow(values);
+                const result = { row, values, valid: false, errors };
+
+                if (errors.length === 0) {
+                    try {
+                        const { delivery } = await DeliveryController.buildDelivery(body, req.user);
+                        delivery.source = 'import';
+                        await delivery.validate();
+                        result.delivery = delivery;
+                        result.valid = true;
+                    } catch (error) {
+                        result.errors = DeliveryImportService.toRowErrors(error);
                     }
                 }
-                result = { eligibleDrivers: 0 };
+                results.push(result);
             }
 
-            successResponse(res, {
-                id: updatedDelivery._id,
-                deliveryCode: updatedDelivery.deliveryCode,
-                pickupLocation: updatedDelivery.pickupLocation,
-                deliveryLocation: updatedDelivery.deliveryLocation,
-                fee: updatedDelivery.fee,
-                status: updatedDelivery.status,
-                broadcastStatus: updatedDelivery.broadcastStatus,
-                broadcastEndTime: updatedDelivery.broadcastEndTime,
-                assignedTo: updatedDelivery.assignedTo,
-                eligibleDrivers: result.eligibleDrivers,
-                earnings: {
-                    driverEarning: earnings.driverEarning,
-                    companyEarning: earnings.companyEarning
+            // Rows that fail to save (e.g. a duplicate delivery code or a database error) are
+            // reported like invalid rows; the rows saved before and after them are kept
+            let imported = 0;
+            if (!preview) {
+                for (const result of results.filter(item => item.valid)) {
+                    try {
+                        await result.delivery.save();
+                    } catch (error) {
+                        result.valid = false;
+                        result.errors = DeliveryImportService.toRowErrors(error);
+                        delete result.delivery;
+                        continue;
+                    }
+                    imported++;
+
+                    try {
+                        await DeliveryController.dispatchNewDelivery(result.delivery);
+                    } catch (error) {
+                        console.error(`Failed to broadcast imported delivery ${result.delivery.deliveryCode}:`, error);
+                    }
                 }
-            }, useAutoBroadcast ? 'Delivery created and broadcast started successfully' : 'Delivery created and assigned successfully');
+            }
+
+            if (report) {
+                const buffer = Buffer.from(await DeliveryImportService.buildErrorReport(results, report));
+                const { contentType, extension } = DeliveryImportService.getFormat(report);
+
+                res.setHeader('Content-Type', contentType);
+                res.setHeader('Content-Disposition', `attachment; filename="delivery-import-errors.${extension}"`);
+                res.setHeader('Content-Length', buffer.length);
+                return res.send(buffer);
+            }
+
+            const validRows = results.filter(item => item.valid).length;
+            successResponse(res, {
+                dryRun: preview,
+                totalRows: results.length,
+                validRows,
+                invalidRows: results.length - validRows,
+                imported,
+                rows: results.map(({ row, valid, errors, delivery }) => ({
+                    row,
+                    valid,
+                    errors,
+                    ...(delivery && {
+                        delivery: {
+                            ...(!preview && { id: delivery._id, deliveryCode: delivery.deliveryCode }),
+                            pickupLocation: delivery.pickupLocation,
+                            deliveryLocation: delivery.deliveryLocation,
+                            fee: delivery.fee,
+                            pricingSource: delivery.pricing.source,
+                            estimatedTime: delivery.estimatedTime,
+                            scheduledFor: delivery.scheduledFor
+                        }
+                    })
+                }))
+            }, preview
+                ? `Preview: ${validRows} of ${results.length} rows can be imported`
+                : `Imported ${imported} of ${results.length} deliveries`);
         } catch (error) {
-            errorResponse(res, error, 500);
+            errorResponse(res, error, error.statusCode || 500);
         }
     });
 
+    // Quote a fee from the active pricing rules without creating a delivery
+    static quoteDelivery = catchAsync(async (req, res) => {
+        try {
+            const quote = await PricingService.quote(req.body);
 
+            successResponse(res, quote, 'Delivery fee quoted successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Turn validated stop input into ordered stop documents, resolving Google Maps links
+    static buildStops(stops) {
+        return stops.map((stop, index) => {
+            const { locationLink, ...fields } = stop;
+            let coordinates = stop.coordinates;
+
+            if (locationLink) {
+                const validation = LocationService.validateGoogleMapsLink(locationLink);
+                if (!validation.isValid) {
+                    throw new AppError(`Invalid location link for stop ${index + 1}: ${validation.error}`, 400);
+                }
+                coordinates = validation.coordinates;
+            }
+
+            return {
+                ...fields,
+                ...(coordinates && { coordinates }),
+                sequence: index + 1,
+                status: 'pending'
+            };
+        });
+    }
 
     // Get all deliveries with broadcast status
     static getDeliveries = catchAsync(async (req, res) => {
-        const { page = 1, limit = 10, status, broadcastStatus, priority } = req.query;
+        const { page = 1, limit = 10, status, broadcastStatus, priority, source, merchant } = req.query;
 
         try {
             const filter = {};
             if (status) filter.status = status;
             if (broadcastStatus) filter.broadcastStatus = broadcastStatus;
             if (priority) filter.priority = priority;
+            if (source) filter.source = source;
+            if (merchant) filter.merchant = merchant;
 
             const deliveries = await Delivery.find(filter)
                 .populate('assignedTo', 'name email area')
                 .populate('createdBy', 'name email')
+                .populate('merchant', 'name')
                 .sort({ createdAt: -1 })
                 .limit(limit * 1)
                 .skip((page - 1) * limit);
@@ -203,9 +492,12 @@ class DeliveryController {
     // Get delivery by ID
     static getDeliveryById = catchAsync(async (req, res) => {
         const { id } = req.params;
+        const { user } = req;
+        const isAdmin = user.userType !== 'driver';
 
         try {
             const delivery = await Delivery.findById(id)
+                .select(isAdmin ? '+recipientPin +stops.recipientPin' : '')
                 .populate('assignedTo', 'name email area phone')
                 .populate('createdBy', 'name email');
 
@@ -216,7 +508,18 @@ class DeliveryController {
                 });
             }
 
-            successResponse(res, delivery, 'Delivery retrieved successfully');
+            if (!isAdmin) {
+                return successResponse(res, delivery, 'Delivery retrieved successfully');
+            }
+
+            const data = delivery.toObject({ virtuals: true });
+            data.proofOfDelivery = ProofOfDeliveryService.buildAuditView(delivery);
+            data.stops = delivery.stops.map((stop, index) => ({
+                ...data.stops[index],
+                proof: ProofOfDeliveryService.buildAuditView(delivery, stop)
+            }));
+
+            successResponse(res, data, 'Delivery retrieved successfully');
         } catch (error) {
             errorResponse(res, error, 500);
         }
@@ -244,12 +547,50 @@ class DeliveryController {
                 });
             }
 
-            Object.assign(delivery, updateData);
+            // Status changes go through the state machine so they land in statusHistory
+            const { status, stops, package: packageDetails, ...fields } = updateData;
+            Object.assign(delivery, fields);
+            if (packageDetails) {
+                Object.entries(packageDetails).forEach(([field, value]) => delivery.set(`package.${field}`, value));
+                if (packageDetails.collectCash === false) delivery.package.cashAmount = 0;
+            }
+            // Fee edits are the base fee; reattempts and surge recorded on the delivery are still charged
+            const surcharges = (delivery.reattemptsFee || 0) + (delivery.surge?.customerSurcharge || 0);
+            if (stops) {
+                // Rebuilding the stops would wipe their progress, proof and PINs
+                if (delivery.stops.some(stop => stop.status !== 'pending')) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Stops cannot be edited once a stop has been visited'
+                    });
+                }
+                const stopPricing = await EarningsService.getActiveExtraStopPricing();
+                const baseFee = fields.fee !== undefined
+                    ? fields.fee
+                    : delivery.fee - (delivery.extraStopsFee || 0) - surcharges;
+                delivery.stops = DeliveryController.buildStops(stops);
+                delivery.extraStopsFee = (stops.length - 1) * stopPricing.customerFee;
+                delivery.fee = baseFee + delivery.extraStopsFee + surcharges;
+                delivery.deliveryLocation = fields.deliveryLocation || delivery.stops[0].location;
+            } else if (fields.fee !== undefined) {
+                delivery.fee = fields.fee + (delivery.extraStopsFee || 0) + surcharges;
+            }
+            if (status === 'cancelled' && delivery.status !== 'cancelled') {
+                await CancellationService.cancel(delivery, {
+                    actor: DeliveryStatusService.actorFromUser(req.user),
+                    notes: 'Updated from delivery edit'
+                });
+            } else if (status && status !== delivery.status) {
+                DeliveryStatusService.transition(delivery, status, {
+                    actor: DeliveryStatusService.actorFromUser(req.user),
+                    reason: 'Updated from delivery edit'
+                });
+            }
             await delivery.save();
 
             successResponse(res, delivery, 'Delivery updated successfully');
         } catch (error) {
-            errorResponse(res, error, 500);
+            errorResponse(res, error, error.statusCode || 500);
         }
     });
 
@@ -318,7 +659,7 @@ class DeliveryController {
                 }
             }, 'Delivery accepted successfully');
         } catch (error) {
-            errorResponse(res, error, 500);
+            errorResponse(res, error, error.statusCode || 500);
         }
     });
 
@@ -328,7 +669,7 @@ class DeliveryController {
         const { driverId } = req.body;
 
         try {
-            const delivery = await BroadcastService.manualAssign(id, driverId);
+            const delivery = await BroadcastService.manualAssign(id, driverId, DeliveryStatusService.actorFromUser(req.user));
 
             successResponse(res, {
                 delivery: {
@@ -338,6 +679,53 @@ class DeliveryController {
                     status: delivery.status
                 }
             }, 'Delivery manually assigned successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Every driver a delivery was offered to and how they responded (admin)
+    static getDeliveryOffers = catchAsync(async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const delivery = await Delivery.findById(id).select('deliveryCode dispatchMode broadcastStatus broadcastAttempts assignedTo');
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery not found'
+                });
+            }
+
+            const { offers, summary } = await DeliveryOfferService.getDeliveryOffers(id);
+
+            successResponse(res, {
+                delivery,
+                summary,
+                offers
+            }, 'Delivery offers retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Recorded driver path of a delivery as GeoJSON, for disputes and distance checks (admin)
+    static getDeliveryRoute = catchAsync(async (req, res) => {
+        const { id } = req.params;
+
+        try {
+            const delivery = await Delivery.findById(id)
+                .select('deliveryCode status distance pickupLocation pickupCoordinates deliveryLocation deliveryCoordinates stops assignedTo');
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery not found'
+                });
+            }
+
+            const replay = await LocationHistoryService.buildRouteReplay(delivery);
+
+            successResponse(res, replay, 'Delivery route retrieved successfully');
         } catch (error) {
             errorResponse(res, error, 500);
         }
@@ -375,7 +763,8 @@ class DeliveryController {
     // Handle expired broadcasts (admin endpoint)
     static handleExpiredBroadcasts = catchAsync(async (req, res) => {
         try {
-            const processedCount = await BroadcastService.handleExpiredBroadcasts();
+            const processedCount = await BroadcastService.handleExpiredBroadcasts() +
+                await BroadcastService.handleExpiredOffers();
 
             successResponse(res, {
                 processedCount,
@@ -389,7 +778,7 @@ class DeliveryController {
     // Update delivery status with automatic earnings calculation
     static updateDeliveryStatus = catchAsync(async (req, res) => {
         const { id } = req.params;
-        const { status, notes } = req.body;
+        const { status, notes, reason, location, reasonCode, cancelledBy } = req.body;
         const { user } = req;
 
         try {
@@ -409,25 +798,64 @@ class DeliveryController {
                 });
             }
 
-            delivery.status = status;
-            if (notes) delivery.notes = notes;
+            // Failed attempts carry a reason and evidence, so they have their own endpoint
+            if (status === 'failed') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Report a failed attempt with POST /api/driver/deliveries/:deliveryId/failed-attempt'
+                });
+            }
 
-            // Set appropriate timestamps
-            const now = new Date();
-            switch (status) {
-                case 'picked_up':
-                    delivery.pickedUpAt = now;
-                    break;
-                case 'delivered':
-                    delivery.deliveredAt = now;
-                    break;
-                case 'cancelled':
-                    delivery.cancelledAt = now;
-                    break;
+            // Drivers need accepted proof of delivery; admins marking it delivered are recorded as an override
+            if (status === 'delivered') {
+                if (user.userType === 'driver' && !ProofOfDeliveryService.hasCompletedProof(delivery)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: delivery.stops?.length > 0
+                            ? 'Close every stop with proof of delivery (or mark it failed) before marking this delivery as delivered'
+                            : 'Submit proof of delivery (PIN and/or photo with GPS location) before marking this delivery as delivered'
+                    });
+                }
+                if (user.userType !== 'driver') {
+                    ProofOfDeliveryService.recordAdminOverride(delivery, user.id);
+                }
+            }
+
+            const role = DeliveryStatusService.getRole(user);
+            if (!DeliveryStatusService.canTransition(delivery.status, status, role)) {
+                const allowed = DeliveryStatusService.getAllowedTransitions(delivery.status, role);
+                return res.status(400).json({
+                    success: false,
+                    error: `Cannot change status from ${delivery.status} to ${status}. Valid transitions: ${allowed.join(', ') || 'none'}`
+                });
+            }
+
+            const actor = DeliveryStatusService.actorFromUser(user);
+            if (status === 'cancelled') {
+                await CancellationService.cancel(delivery, {
+                    actor,
+                    cancelledBy,
+                    reasonCode,
+                    notes: reason || notes,
+                    location
+                });
+            } else {
+                DeliveryStatusService.transition(delivery, status, {
+                    actor,
+                    location: location || (status === 'delivered' ? delivery.proofOfDelivery?.location : undefined),
+                    reason: reason || notes
+                });
+            }
+            if (notes) delivery.notes = notes;
+            if (status === 'returned') {
+                await FailedDeliveryService.settleReturn(delivery);
             }
 
             await delivery.save();
 
+            // Notify admins and customer tracking pages
+            SocketService.emitDeliveryStatusUpdate(delivery);
+
             // SAFEGUARD 1: Always calculate earnings when a delivery is marked as "delivered"
             let earningsResult = null;
             if (status === 'delivered') {
@@ -490,11 +918,568 @@ class DeliveryController {
                 },
                 earnings: earningsResult
             }, 'Delivery status updated successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Submit proof of delivery (driver): recipient PIN and/or photo, plus GPS location.
+    // With a stopId the proof is for that stop of a multi-stop delivery.
+    static submitDeliveryProof = catchAsync(async (req, res) => {
+        const { id, stopId } = req.params;
+        const { pin, lat, lng, accuracy } = req.body;
+        const { user, file } = req;
+
+        try {
+            const delivery = await ProofOfDeliveryService.findWithPin(id);
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery not found'
+                });
+            }
+
+            if (!delivery.assignedTo || delivery.assignedTo.toString() !== user.id) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'You can only submit proof for your own deliveries'
+                });
+            }
+
+            if (!ProofOfDeliveryService.PROOF_STATUSES.includes(delivery.status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Proof of delivery cannot be submitted while the delivery is ${delivery.status}`
+                });
+            }
+
+            let stop = null;
+            if (stopId) {
+                stop = delivery.stops.id(stopId);
+                if (!stop) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Stop not found'
+                    });
+                }
+                if (['delivered', 'failed'].includes(stop.status)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: `Stop ${stop.sequence} is already ${stop.status}`
+                    });
+                }
+            } else if (delivery.stops.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'This delivery has multiple stops. Submit proof for each stop'
+                });
+            }
+
+            if (!pin && !file) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Provide the recipient PIN or a delivery photo'
+                });
+            }
+
+            if (pin && ProofOfDeliveryService.isPinLocked(delivery, stop) && !file) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Too many incorrect PIN attempts. Upload a delivery photo or contact an admin'
+                });
+            }
+
+            let photo = null;
+            if (file) {
+                const validation = CloudinaryService.validateImage(file);
+                if (!validation.valid) {
+                    return res.status(400).json({
+                        success: false,
+                        error: validation.error
+                    });
+                }
+
+                const uploadResult = await CloudinaryService.uploadImage(file, 'delivery-proofs');
+                if (!uploadResult.success) {
+                    return res.status(500).json({
+                        success: false,
+                        error: 'Failed to upload image: ' + uploadResult.error
+                    });
+                }
+                photo = uploadResult;
+            }
+
+            const result = await ProofOfDeliveryService.submitProof(delivery, user.id, {
+                pin,
+                photo,
+                lat,
+                lng,
+                accuracy
+            }, stop);
+
+            if (stop && result.accepted) {
+                SocketService.emitToAdmins('delivery-stop-updated', {
+                    deliveryId: delivery._id,
+                    deliveryCode: delivery.deliveryCode,
+                    stopId: stop._id,
+                    sequence: stop.sequence,
+                    status: stop.status,
+                    stopProgress: delivery.getStopProgress()
+                });
+            }
+
+            // Parallel submissions used up the attempts before this PIN was checked
+            if (result.pinProvided && result.pinCorrect === undefined && !result.accepted) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'Too many incorrect PIN attempts. Upload a delivery photo or contact an admin',
+                    data: result
+                });
+            }
+
+            if (result.pinProvided && result.pinCorrect === false && !result.accepted) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Incorrect PIN. ${result.pinAttemptsRemaining} attempt(s) remaining`,
+                    data: result
+                });
+            }
+
+            successResponse(res, {
+                ...result,
+                ...(stop && { stopProgress: delivery.getStopProgress() })
+            }, result.accepted
+                ? 'Proof of delivery accepted'
+                : 'Proof of delivery recorded, still missing: ' + result.missing.join(', '));
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Mark a stop of a multi-stop delivery as arrived or failed (driver)
+    static updateStopStatus = catchAsync(async (req, res) => {
+        const { id, stopId } = req.params;
+        const { status, reason } = req.body;
+        const { user } = req;
+
+        try {
+            const delivery = await Delivery.findById(id);
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery not found'
+                });
+            }
+
+            if (!delivery.assignedTo || delivery.assignedTo.toString() !== user.id) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'You can only update your own deliveries'
+                });
+            }
+
+            if (!ProofOfDeliveryService.PROOF_STATUSES.includes(delivery.status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Stops cannot be updated while the delivery is ${delivery.status}`
+                });
+            }
+
+            const stop = delivery.stops.id(stopId);
+            if (!stop) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Stop not found'
+                });
+            }
+
+            // Delivered is only reachable through proof of delivery
+            const allowed = { pending: ['arrived', 'failed'], arrived: ['failed'] }[stop.status] || [];
+            if (!allowed.includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Cannot change stop status from ${stop.status} to ${status}. Valid transitions: ${allowed.join(', ') || 'none'}`
+                });
+            }
+
+            stop.status = status;
+            if (status === 'arrived') {
+                stop.arrivedAt = new Date();
+            } else {
+                stop.completedAt = new Date();
+                stop.failureReason = reason;
+            }
+            await delivery.save();
+
+            const stopProgress = delivery.getStopProgress();
+            SocketService.emitToAdmins('delivery-stop-updated', {
+                deliveryId: delivery._id,
+                deliveryCode: delivery.deliveryCode,
+                stopId: stop._id,
+                sequence: stop.sequence,
+                status: stop.status,
+                stopProgress
+            });
+
+            successResponse(res, {
+                stop: {
+                    id: stop._id,
+                    sequence: stop.sequence,
+                    status: stop.status,
+                    arrivedAt: stop.arrivedAt,
+                    completedAt: stop.completedAt,
+                    failureReason: stop.failureReason
+                },
+                stopProgress
+            }, 'Stop status updated successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Scheduled deliveries waiting for their broadcast (admin queue)
+    static getScheduledDeliveries = catchAsync(async (req, res) => {
+        const { page = 1, limit = 20 } = req.query;
+
+        try {
+            const result = await DeliverySchedulingService.getScheduledQueue({ page, limit });
+
+            successResponse(res, {
+                ...result,
+                leadTimeMinutes: await DeliverySchedulingService.getLeadTimeMinutes()
+            }, 'Scheduled deliveries retrieved successfully');
         } catch (error) {
             errorResponse(res, error, 500);
         }
     });
 
+    // Deliveries that no driver was eligible for, and why (admin)
+    static getNoEligibleDriversReport = catchAsync(async (req, res) => {
+        const { page = 1, limit = 20, startDate, endDate } = req.query;
+
+        try {
+            const report = await DispatchEligibilityService.getNoEligibleReport({ page, limit, startDate, endDate });
+
+            successResponse(res, report, 'No-eligible-driver report retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // Reschedule a delivery before its broadcast begins (null broadcasts on the next run)
+    static rescheduleDelivery = catchAsync(async (req, res) => {
+        const { id } = req.params;
+        const { scheduledFor } = req.body;
+
+        try {
+            const delivery = await Delivery.findById(id);
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery not found'
+                });
+            }
+
+            if (!DeliverySchedulingService.canChangeSchedule(delivery)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Only pending deliveries that have not started broadcasting can be rescheduled'
+                });
+            }
+
+            await DeliverySchedulingService.reschedule(delivery, scheduledFor);
+
+            successResponse(res, {
+                id: delivery._id,
+                deliveryCode: delivery.deliveryCode,
+                scheduledFor: delivery.scheduledFor,
+                broadcastAt: delivery.broadcastAt
+            }, scheduledFor ? 'Delivery rescheduled successfully' : 'Delivery schedule cleared');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Cancel a scheduled delivery before its broadcast begins
+    static cancelScheduledDelivery = catchAsync(async (req, res) => {
+        const { id } = req.params;
+        const { reason, cancelledBy, reasonCode } = req.body;
+
+        try {
+            const delivery = await Delivery.findById(id);
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery not found'
+                });
+            }
+
+            if (!delivery.scheduledFor || !DeliverySchedulingService.canChangeSchedule(delivery)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Only scheduled deliveries that have not started broadcasting can be cancelled here'
+                });
+            }
+
+            await DeliverySchedulingService.cancel(delivery, req.user, reason, { cancelledBy, reasonCode });
+            SocketService.emitDeliveryStatusUpdate(delivery);
+
+            successResponse(res, {
+                id: delivery._id,
+                deliveryCode: delivery.deliveryCode,
+                status: delivery.status,
+                cancelledAt: delivery.cancelledAt
+            }, 'Scheduled delivery cancelled successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Cancel a delivery on behalf of the admin team or the customer, applying the cancellation policy
+    static cancelDelivery = catchAsync(async (req, res) => {
+        const { id } = req.params;
+        const { cancelledBy = 'admin', reasonCode, notes, feeCollected } = req.body;
+
+        try {
+            const delivery = await Delivery.findById(id);
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery not found'
+                });
+            }
+
+            await CancellationService.cancel(delivery, {
+                actor: DeliveryStatusService.actorFromUser(req.user),
+                cancelledBy,
+                reasonCode,
+                notes,
+                feeCollected
+            });
+            delivery.broadcastAt = null;
+            await delivery.save();
+
+            SocketService.emitDeliveryStatusUpdate(delivery);
+
+            successResponse(res, {
+                id: delivery._id,
+                deliveryCode: delivery.deliveryCode,
+                status: delivery.status,
+                cancelledAt: delivery.cancelledAt,
+                cancellation: delivery.cancellation
+            }, 'Delivery cancelled successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Report a failed drop-off (driver): reason, optional photo evidence and GPS location.
+    // The delivery waits in `failed` until an admin orders a reattempt or a return.
+    static reportFailedAttempt = catchAsync(async (req, res) => {
+        const { id } = req.params;
+        const { reason, notes, lat, lng, accuracy } = req.body;
+        const { user, file } = req;
+
+        try {
+            const delivery = await Delivery.findById(id);
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery not found'
+                });
+            }
+
+            if (!delivery.assignedTo || delivery.assignedTo.toString() !== user.id) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'You can only report failed attempts for your own deliveries'
+                });
+            }
+
+            if (!FailedDeliveryService.REPORTABLE_STATUSES.includes(delivery.status)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `A failed attempt cannot be reported while the delivery is ${delivery.status}`
+                });
+            }
+
+            let photo = null;
+            if (file) {
+                const validation = CloudinaryService.validateImage(file);
+                if (!validation.valid) {
+                    return res.status(400).json({
+                        success: false,
+                        error: validation.error
+                    });
+                }
+
+                const uploadResult = await CloudinaryService.uploadImage(file, 'delivery-proofs');
+                if (!uploadResult.success) {
+                    return res.status(500).json({
+                        success: false,
+                        error: 'Failed to upload image: ' + uploadResult.error
+                    });
+                }
+                photo = uploadResult;
+            }
+
+            const attempt = FailedDeliveryService.reportAttempt(delivery, user, {
+                reason,
+                notes,
+                photo,
+                lat,
+                lng,
+                accuracy
+            });
+            await delivery.save();
+
+            SocketService.emitDeliveryStatusUpdate(delivery);
+            SocketService.emitAdminNotification({
+                type: 'delivery-failed-attempt',
+                title: 'Failed Delivery Attempt',
+                message: `Delivery ${delivery.deliveryCode} could not be delivered (${reason}). Choose a reattempt or a return`,
+                data: {
+                    deliveryId: delivery._id,
+                    deliveryCode: delivery.deliveryCode,
+                    driverId: user.id,
+                    attemptNumber: attempt.attemptNumber,
+                    reason
+                }
+            });
+
+            successResponse(res, {
+                id: delivery._id,
+                deliveryCode: delivery.deliveryCode,
+                status: delivery.status,
+                failedAt: delivery.failedAt,
+                attempt
+            }, 'Failed attempt reported');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Resolve a failed attempt with a reattempt by the same driver, or send a delivery that
+    // was returned to pickup out again, rebroadcast or assigned to another driver (admin)
+    static reattemptDelivery = catchAsync(async (req, res) => {
+        const { id } = req.params;
+        const { dispatch, driverId, notes } = req.body;
+
+        try {
+            const delivery = await Delivery.findById(id);
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery not found'
+                });
+            }
+
+            if (dispatch !== 'same_driver') {
+                const { original, redispatched, recipientPin } = await DeliveryController.redispatchDelivery(delivery, req.body, req.user);
+
+                return successResponse(res, {
+                    id: original._id,
+                    deliveryCode: original.deliveryCode,
+                    status: original.status,
+                    redispatch: original.redispatch,
+                    delivery: {
+                        id: redispatched._id,
+                        deliveryCode: redispatched.deliveryCode,
+                        status: redispatched.status,
+                        broadcastStatus: redispatched.broadcastStatus,
+                        assignedTo: redispatched.assignedTo,
+                        fee: redispatched.fee,
+                        recipientPin
+                    }
+                }, dispatch === 'rebroadcast'
+                    ? 'Delivery sent out again and broadcast started'
+                    : 'Delivery sent out again with the assigned driver');
+            }
+
+            if (delivery.status === 'returned') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'The package is back at pickup. Rebroadcast it or reassign it to a driver'
+                });
+            }
+
+            await FailedDeliveryService.reattempt(delivery, req.user, { notes });
+
+            const updated = await Delivery.findById(id);
+            SocketService.emitDeliveryStatusUpdate(updated);
+
+            successResponse(res, {
+                id: updated._id,
+                deliveryCode: updated.deliveryCode,
+                status: updated.status,
+                broadcastStatus: updated.broadcastStatus,
+                assignedTo: updated.assignedTo,
+                fee: updated.fee,
+                reattemptsFee: updated.reattemptsFee,
+                failedAttempts: updated.failedAttempts
+            }, 'Delivery sent back out with the same driver');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    /**
+     * Send a returned delivery out again as a new delivery, rebroadcast or assigned to a
+     * driver (see FailedDeliveryService.buildRedispatch)
+     */
+    static async redispatchDelivery(delivery, { dispatch, driverId, notes }, user) {
+        if (delivery.status === 'failed') {
+            throw new AppError('The package is still with the driver who made the failed attempt. Return it to pickup, then send it out with another driver', 400);
+        }
+
+        const body = await FailedDeliveryService.buildRedispatch(delivery, { dispatch, driverId });
+        const { delivery: redispatched } = await DeliveryController.buildDelivery(body, user);
+        const original = await FailedDeliveryService.claimRedispatch(delivery, redispatched, user, { dispatch, notes });
+        try {
+            await redispatched.save();
+        } catch (error) {
+            await FailedDeliveryService.releaseRedispatch(delivery);
+            throw error;
+        }
+
+        const { updatedDelivery } = await DeliveryController.dispatchNewDelivery(redispatched, {
+            useAutoBroadcast: body.useAutoBroadcast,
+            assignedTo: body.assignedTo
+        });
+        return { original, redispatched: updatedDelivery, recipientPin: redispatched.recipientPin };
+    }
+
+    // Resolve a failed attempt by sending the package back to the pickup point (admin)
+    static returnDelivery = catchAsync(async (req, res) => {
+        const { id } = req.params;
+        const { notes } = req.body;
+
+        try {
+            const delivery = await Delivery.findById(id);
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery not found'
+                });
+            }
+
+            await FailedDeliveryService.returnToPickup(delivery, req.user, { notes });
+
+            SocketService.emitDeliveryStatusUpdate(delivery);
+
+            successResponse(res, {
+                id: delivery._id,
+                deliveryCode: delivery.deliveryCode,
+                status: delivery.status,
+                assignedTo: delivery.assignedTo,
+                returnFee: delivery.returnFee,
+                failedAttempts: delivery.failedAttempts
+            }, 'Delivery is returning to pickup');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
     // Get driver's deliveries
     static getDriverDeliveries = catchAsync(async (req, res) => {
         const { user } = req;
@@ -615,11 +1600,15 @@ class DeliveryController {
                 return errorResponse(res, { message: 'Delivery not found' }, 404);
             }
 
+            DeliveryStatusService.transition(delivery, 'pending', {
+                actor: DeliveryStatusService.actorFromUser(req.user),
+                reason: delivery.assignedTo ? `Unassigned from driver ${delivery.assignedTo}` : 'Unassigned'
+            });
+
             // Clear assignment
             delivery.assignedTo = null;
             delivery.assignedAt = null;
-            delivery.status = 'pending';
-            delivery.broadcastStatus = 'pending';
+            delivery.broadcastStatus = 'not_started';
 
             await delivery.save();
 
@@ -631,13 +1620,14 @@ class DeliveryController {
                 }
             }, 'Delivery unassigned successfully');
         } catch (error) {
-            errorResponse(res, error, 500);
+            errorResponse(res, error, error.statusCode || 500);
         }
     });
 
     // Bulk operations for deliveries
     static bulkOperations = catchAsync(async (req, res) => {
         const { operation, ids, data } = req.body;
+        const actor = DeliveryStatusService.actorFromUser(req.user);
 
         try {
             let results = [];
@@ -648,11 +1638,7 @@ class DeliveryController {
                         try {
                             const delivery = await Delivery.findById(deliveryId);
                             if (delivery) {
-                                delivery.assignedTo = data.driverId;
-                                delivery.assignedAt = new Date();
-                                delivery.status = 'assigned';
-                                delivery.broadcastStatus = 'completed';
-                                await delivery.save();
+                                await delivery.manualAssign(data.driverId, actor);
                                 results.push({ id: deliveryId, success: true });
                             } else {
                                 results.push({ id: deliveryId, success: false, error: 'Delivery not found' });
@@ -668,8 +1654,12 @@ class DeliveryController {
                         try {
                             const delivery = await Delivery.findById(deliveryId);
                             if (delivery) {
-                                delivery.status = 'cancelled';
-                                delivery.cancelledAt = new Date();
+                                await CancellationService.cancel(delivery, {
+                                    actor,
+                                    cancelledBy: data?.cancelledBy,
+                                    reasonCode: data?.reasonCode,
+                                    notes: 'Bulk cancel'
+                                });
                                 await delivery.save();
                                 results.push({ id: deliveryId, success: true });
                             } else {
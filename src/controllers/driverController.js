@@ -6,6 +6,11 @@ const NotificationService = require('../services/notificationService');
 const AdminNotificationService = require('../services/adminNotificationService');
 const CloudinaryService = require('../services/cloudinaryService');
 const socketService = require('../services/socketService');
+const ProofOfDeliveryService = require('../services/proofOfDeliveryService');
+const DeliveryStatusService = require('../services/deliveryStatusService');
+const CancellationService = require('../services/cancellationService');
+const FailedDeliveryService = require('../services/failedDeliveryService');
+const ZoneService = require('../services/zoneService');
 const { catchAsync, successResponse, errorResponse, paginatedResponse } = require('../middleware/errorHandler');
 const DriverInvitationService = require('../services/driverInvitationService');
 const bcrypt = require('bcryptjs');
@@ -171,7 +176,7 @@ class DriverController {
 
     // Add new driver (admin only)
     static addDriver = catchAsync(async (req, res) => {
-        const { email, name, phone, studentId, area = 'Lefkosa' } = req.body;
+        const { email, name, phone, studentId, area } = req.body;
         const { user } = req;
 
         try {
@@ -286,7 +291,7 @@ class DriverController {
     // Update driver (admin only)
     static updateDriver = catchAsync(async (req, res) => {
         const { id } = req.params;
-        const { name, phone, studentId, area, isActive } = req.body;
+        const { name, phone, studentId, area, isActive, maxConcurrentDeliveries } = req.body;
 
         try {
             const driver = await Driver.findById(id);
@@ -319,6 +324,7 @@ class DriverController {
                     ...(studentId !== undefined && { studentId }),
                     ...(area && { area }),
                     ...(isActive !== undefined && { isActive }),
+                    ...(maxConcurrentDeliveries !== undefined && { maxConcurrentDeliveries }),
                     updatedAt: new Date()
                 },
                 { new: true, runValidators: true }
@@ -578,7 +584,7 @@ class DriverController {
     // Update driver's delivery status
     static updateDeliveryStatus = catchAsync(async (req, res) => {
         const { deliveryId } = req.params;
-        const { status, notes, deliveryProof, rating, feedback } = req.body;
+        const { status, notes, reason, location, reasonCode } = req.body;
         const { user } = req;
 
         console.log('updateDeliveryStatus called with:', { deliveryId, status, user: user.id });
@@ -603,42 +609,58 @@ class DriverController {
                 });
             }
 
-            // Validate status transition
-            const validTransitions = {
-                pending: ['picked_up', 'cancelled'],
-                broadcasting: ['picked_up', 'cancelled'],
-                accepted: ['picked_up', 'cancelled'],
-                picked_up: ['in_transit', 'delivered', 'cancelled'],
-                in_transit: ['delivered', 'cancelled'],
-                delivered: [], // Final status
-                cancelled: [], // Final status
-                failed: [] // Final status
-            };
+            // Failed attempts carry a reason and evidence, so they have their own endpoint
+            if (status === 'failed') {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Report a failed attempt with POST /api/driver/deliveries/:deliveryId/failed-attempt'
+                });
+            }
 
-            console.log('Valid transitions for current status:', validTransitions[delivery.status]);
-            console.log('Requested status allowed:', validTransitions[delivery.status]?.includes(status));
+            // Validate status transition
+            const role = DeliveryStatusService.getRole(user);
+            if (!DeliveryStatusService.canTransition(delivery.status, status, role)) {
+                const allowed = DeliveryStatusService.getAllowedTransitions(delivery.status, role);
+                return res.status(400).json({
+                    success: false,
+                    error: `Cannot change status from ${delivery.status} to ${status}. Valid transitions: ${allowed.join(', ') || 'none'}`
+                });
+            }
 
-            if (!validTransitions[delivery.status]?.includes(status)) {
+            // Drivers must submit proof of delivery first
+            if (status === 'delivered' && user.userType === 'driver' && !ProofOfDeliveryService.hasCompletedProof(delivery)) {
                 return res.status(400).json({
                     success: false,
-                    error: `Cannot change status from ${delivery.status} to ${status}. Valid transitions: ${validTransitions[delivery.status]?.join(', ') || 'none'}`
+                    error: delivery.stops?.length > 0
+                        ? 'Close every stop with proof of delivery (or mark it failed) before marking this delivery as delivered'
+                        : 'Submit proof of delivery (PIN and/or photo with GPS location) before marking this delivery as delivered'
                 });
             }
 
-            // Update delivery
-            const updatedDelivery = await Delivery.findByIdAndUpdate(
-                deliveryId,
-                {
-                    status,
-                    ...(notes && { notes }),
-                    ...(deliveryProof && { deliveryProof }),
-                    ...(rating && { rating }),
-                    ...(feedback && { feedback }),
-                    ...(status === 'delivered' && { deliveredAt: new Date() }),
-                    updatedAt: new Date()
-                },
-                { new: true, runValidators: true }
-            );
+            // Update delivery; cancellations go through the cancellation policy
+            const actor = DeliveryStatusService.actorFromUser(user);
+            if (status === 'cancelled') {
+                await CancellationService.cancel(delivery, {
+                    actor,
+                    reasonCode,
+                    notes: reason || notes,
+                    location
+                });
+            } else {
+                DeliveryStatusService.transition(delivery, status, {
+                    actor,
+                    location: location || (status === 'delivered' ? delivery.proofOfDelivery?.location : undefined),
+                    reason: reason || notes
+                });
+            }
+            if (notes) delivery.notes = notes;
+            if (status === 'returned') {
+                await FailedDeliveryService.settleReturn(delivery);
+            }
+            const updatedDelivery = await delivery.save();
+
+            // Notify admins and customer tracking pages
+            socketService.emitDeliveryStatusUpdate(updatedDelivery);
 
             // SAFEGUARD 1: Always calculate earnings when a delivery is marked as "delivered"
             let earningsResult = null;
@@ -1096,6 +1118,13 @@ class DriverController {
                             error: 'Area is required for updateArea operation'
                         });
                     }
+                    // updateMany skips the model's zone validation
+                    if (!(await ZoneService.isActiveZoneName(data.area))) {
+                        return res.status(400).json({
+                            success: false,
+                            error: 'Please select a valid service area'
+                        });
+                    }
                     await Driver.updateMany(
                         { _id: { $in: driverIds } },
                         { area: data.area, updatedAt: new Date() }
@@ -1650,6 +1679,8 @@ class DriverController {
 
     // Get profile options (universities, transportation methods, areas)
     static getProfileOptions = catchAsync(async (req, res) => {
+        const zones = await ZoneService.getActiveZones();
+
         const options = {
             universities: [
                 'Eastern Mediterranean University (EMU)',
@@ -1677,23 +1708,9 @@ class DriverController {
             areas: [
                 'Lefkosa'
             ],
-            addresses: [
-                'Kaymakli',
-                'Hamitköy',
-                'Yenişehir',
-                'Kumsal',
-                'Gönyeli',
-                'Dereboyu',
-                'Ortaköy',
-                'Yenikent',
-                'Taskinkoy',
-                'Metehan',
-                'Gocmenkoy',
-                'Haspolat',
-                'Alaykoy',
-                'Marmara',
-                'Terminal/City Center'
-            ],
+            // Service areas are the active zones
+            addresses: zones.map(zone => zone.name),
+            zones,
             documentTypes: [
                 { type: 'studentId', label: 'Student ID', required: true },
                 { type: 'profilePhoto', label: 'Profile Photo', required: true },
@@ -56,13 +56,15 @@ class EarningsConfigController {
     // Create new earnings configuration
     static createConfig = catchAsync(async (req, res) => {
         try {
-            const { name, rules, notes } = req.body;
+            const { name, rules, extraStops, failedDeliveries, notes } = req.body;
             const { user } = req;
 
             // Validate rules
             const config = new EarningsConfig({
                 name,
                 rules,
+                ...(extraStops && { extraStops }),
+                ...(failedDeliveries && { failedDeliveries }),
                 notes,
                 createdBy: user.id,
                 effectiveDate: new Date()
@@ -90,7 +92,7 @@ class EarningsConfigController {
     static updateConfig = catchAsync(async (req, res) => {
         try {
             const { configId } = req.params;
-            const { name, rules, notes, isActive } = req.body;
+            const { name, rules, extraStops, failedDeliveries, notes, isActive } = req.body;
             const { user } = req;
 
             const config = await EarningsConfig.findById(configId);
@@ -104,6 +106,8 @@ class EarningsConfigController {
             // Update fields
             if (name) config.name = name;
             if (rules) config.rules = rules;
+            if (extraStops) Object.assign(config.extraStops, extraStops);
+            if (failedDeliveries) Object.assign(config.failedDeliveries, failedDeliveries);
             if (notes !== undefined) config.notes = notes;
             if (isActive !== undefined) config.isActive = isActive;
 
@@ -0,0 +1,206 @@
+const Delivery = require('../models/Delivery');
+const MerchantService = require('../services/merchantService');
+const DeliveryStatusService = require('../services/deliveryStatusService');
+const CancellationService = require('../services/cancellationService');
+const TrackingService = require('../services/trackingService');
+const SocketService = require('../services/socketService');
+const { catchAsync, successResponse, errorResponse } = require('../middleware/errorHandler');
+
+class MerchantController {
+    // List merchants (admin)
+    static getMerchants = catchAsync(async (req, res) => {
+        try {
+            const result = await MerchantService.listMerchants(req.query);
+
+            successResponse(res, result, 'Merchants retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // Merchant with its API keys and delivery counts for billing (admin)
+    static getMerchant = catchAsync(async (req, res) => {
+        try {
+            const merchant = await MerchantService.getMerchant(req.params.id);
+            const stats = await MerchantService.getDeliveryStats(merchant._id, req.query);
+
+            successResponse(res, {
+                merchant: MerchantService.toMerchantView(merchant),
+                stats
+            }, 'Merchant retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Create merchant (admin)
+    static createMerchant = catchAsync(async (req, res) => {
+        try {
+            const merchant = await MerchantService.createMerchant(req.body, req.user.id);
+
+            successResponse(res, { merchant: MerchantService.toMerchantView(merchant) }, 'Merchant created successfully', 201);
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Update merchant details, pickup point or active flag (admin)
+    static updateMerchant = catchAsync(async (req, res) => {
+        try {
+            const merchant = await MerchantService.updateMerchant(req.params.id, req.body);
+
+            successResponse(res, { merchant: MerchantService.toMerchantView(merchant) }, 'Merchant updated successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Issue an API key (admin). The key is only returned in this response.
+    static createApiKey = catchAsync(async (req, res) => {
+        try {
+            const merchant = await MerchantService.getMerchant(req.params.id);
+            const { apiKey, key } = await MerchantService.createApiKey(merchant, req.body, req.user.id);
+
+            successResponse(res, { apiKey, key }, 'API key created successfully. Store it now: it will not be shown again', 201);
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Revoke an API key (admin)
+    static revokeApiKey = catchAsync(async (req, res) => {
+        try {
+            const merchant = await MerchantService.getMerchant(req.params.id);
+            const apiKey = await MerchantService.revokeApiKey(merchant, req.params.keyId);
+
+            successResponse(res, { apiKey: MerchantService.toApiKeyView(apiKey) }, 'API key revoked successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // The authenticated merchant and the key in use (merchant API)
+    static getProfile = catchAsync(async (req, res) => {
+        const { apiKeys, ...merchant } = MerchantService.toMerchantView(req.merchant);
+
+        successResponse(res, {
+            merchant,
+            apiKey: MerchantService.toApiKeyView(req.apiKey)
+        }, 'Merchant profile retrieved successfully');
+    });
+
+    // Create a delivery (merchant API). It is priced by the active pricing rules and broadcast.
+    static createDelivery = catchAsync(async (req, res) => {
+        const DeliveryController = require('./deliveryController');
+        const { merchant } = req;
+
+        try {
+            const body = MerchantService.buildDeliveryRequest(merchant, req.body);
+            const { delivery } = await DeliveryController.buildDelivery(body, req.user);
+            delivery.source = 'merchant_api';
+            delivery.merchant = merchant._id;
+            delivery.merchantReference = req.body.merchantReference;
+            await delivery.save();
+
+            const { updatedDelivery, scheduled } = await DeliveryController.dispatchNewDelivery(delivery);
+
+            successResponse(res, {
+                ...MerchantService.toDeliveryView(updatedDelivery),
+                recipientPin: delivery.recipientPin,
+                pricing: {
+                    breakdown: delivery.pricing.breakdown
+                }
+            }, scheduled
+                ? 'Delivery created and scheduled for broadcast'
+                : 'Delivery created successfully', 201);
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // The merchant's own deliveries, newest first (merchant API)
+    static getDeliveries = catchAsync(async (req, res) => {
+        const { page = 1, limit = 20, status, merchantReference, startDate, endDate } = req.query;
+
+        try {
+            const filter = { merchant: req.merchant._id };
+            if (status) filter.status = status;
+            if (merchantReference) filter.merchantReference = merchantReference;
+            if (startDate || endDate) {
+                filter.createdAt = {
+                    ...(startDate && { $gte: new Date(startDate) }),
+                    ...(endDate && { $lte: new Date(endDate) })
+                };
+            }
+
+            const [deliveries, total] = await Promise.all([
+                Delivery.find(filter)
+                    .sort({ createdAt: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit * 1),
+                Delivery.countDocuments(filter)
+            ]);
+
+            successResponse(res, {
+                deliveries: deliveries.map(delivery => MerchantService.toDeliveryView(delivery)),
+                pagination: {
+                    currentPage: page * 1,
+                    totalPages: Math.ceil(total / limit),
+                    totalItems: total,
+                    itemsPerPage: limit * 1
+                }
+            }, 'Deliveries retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // One of the merchant's deliveries (merchant API)
+    static getDelivery = catchAsync(async (req, res) => {
+        try {
+            const delivery = await MerchantService.findMerchantDelivery(req.merchant, req.params.id);
+
+            successResponse(res, MerchantService.toDeliveryView(delivery), 'Delivery retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Cancel one of the merchant's deliveries before pickup, applying the cancellation policy (merchant API)
+    static cancelDelivery = catchAsync(async (req, res) => {
+        const { reasonCode = 'customer_request', notes } = req.body;
+
+        try {
+            const delivery = await MerchantService.findMerchantDelivery(req.merchant, req.params.id);
+
+            await CancellationService.cancel(delivery, {
+                actor: DeliveryStatusService.actorFromUser(req.user),
+                cancelledBy: 'merchant',
+                reasonCode,
+                notes
+            });
+            delivery.broadcastAt = null;
+            await delivery.save();
+
+            SocketService.emitDeliveryStatusUpdate(delivery);
+
+            successResponse(res, MerchantService.toDeliveryView(delivery), 'Delivery cancelled successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Live tracking of one of the merchant's deliveries: the customer tracking view (merchant API)
+    static trackDelivery = catchAsync(async (req, res) => {
+        try {
+            const { deliveryCode } = await MerchantService.findMerchantDelivery(req.merchant, req.params.id);
+            const delivery = await TrackingService.findByCode(deliveryCode);
+
+            successResponse(res, TrackingService.buildTrackingView(delivery), 'Delivery tracking retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+}
+
+module.exports = MerchantController;
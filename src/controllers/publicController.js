@@ -1,10 +1,14 @@
 const { successResponse, errorResponse, catchAsync } = require('../middleware/errorHandler');
+const TrackingService = require('../services/trackingService');
+const ZoneService = require('../services/zoneService');
 
 class PublicController {
     /**
      * Get profile options for driver registration/profile setup
      */
     static getProfileOptions = catchAsync(async (req, res) => {
+        const zones = await ZoneService.getActiveZones();
+
         const profileOptions = {
             universities: [
                 'Eastern Mediterranean University (EMU)',
@@ -32,19 +36,47 @@ class PublicController {
                 'walking',
                 'other'
             ],
-            addressOptions: [
-                'Gonyeli',
-                'Kucuk',
-                'Lefkosa',
-                'Famagusta',
-                'Kyrenia',
-                'Girne',
-                'Other'
-            ]
+            // Service areas are the active zones
+            addressOptions: zones.map(zone => zone.name),
+            zones
         };
 
         return successResponse(res, profileOptions, 'Profile options retrieved successfully');
     });
+
+    /**
+     * Track a delivery by its delivery code (customer tracking page).
+     * Returns a redacted view; the link expires once the delivery is delivered or cancelled.
+     */
+    static trackDelivery = catchAsync(async (req, res) => {
+        const { deliveryCode } = req.params;
+
+        try {
+            const delivery = await TrackingService.findByCode(deliveryCode);
+
+            if (!delivery) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Delivery not found'
+                });
+            }
+
+            if (TrackingService.isTrackingExpired(delivery)) {
+                return res.status(410).json({
+                    success: false,
+                    error: 'This tracking link has expired',
+                    data: {
+                        deliveryCode: delivery.deliveryCode,
+                        status: delivery.status
+                    }
+                });
+            }
+
+            return successResponse(res, TrackingService.buildTrackingView(delivery), 'Delivery tracking retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
 }
 
 module.exports = PublicController;
@@ -2,6 +2,7 @@ const Remittance = require('../models/Remittance');
 const Driver = require('../models/Driver');
 const Delivery = require('../models/Delivery');
 const RemittanceService = require('../services/remittanceService');
+const WebhookService = require('../services/webhookService');
 const { catchAsync, successResponse, errorResponse, paginatedResponse } = require('../middleware/errorHandler');
 
 class RemittanceController {
@@ -139,6 +140,7 @@ class RemittanceController {
             remittance.updatedBy = user.id;
 
             await remittance.save();
+            WebhookService.publishRemittanceCompleted(remittance);
 
             // Send WebSocket notification
             try {
@@ -0,0 +1,17 @@
+const SmsService = require('../services/smsService');
+const { catchAsync, successResponse, errorResponse } = require('../middleware/errorHandler');
+
+class SmsController {
+    // SMS delivery log: sent, failed and throttled messages
+    static getMessages = catchAsync(async (req, res) => {
+        try {
+            const result = await SmsService.listMessages(req.query);
+
+            successResponse(res, result, 'SMS messages retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+}
+
+module.exports = SmsController;
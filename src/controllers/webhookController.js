@@ -0,0 +1,93 @@
+const WebhookService = require('../services/webhookService');
+const { catchAsync, successResponse, errorResponse } = require('../middleware/errorHandler');
+
+// Shared by the admin routes (every endpoint) and the merchant API (the merchant's own
+// endpoints): merchantId is undefined for admins
+const merchantIdOf = req => (req.merchant ? req.merchant._id : undefined);
+
+class WebhookController {
+    // List webhook endpoints
+    static getEndpoints = catchAsync(async (req, res) => {
+        try {
+            const endpoints = await WebhookService.listEndpoints(merchantIdOf(req));
+
+            successResponse(res, { endpoints }, 'Webhook endpoints retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // Register an endpoint. The signing secret is only returned here and when rotated.
+    static createEndpoint = catchAsync(async (req, res) => {
+        try {
+            const merchantId = merchantIdOf(req) || req.body.merchant || null;
+            const { endpoint, secret } = await WebhookService.createEndpoint(req.body, {
+                merchantId,
+                adminId: req.merchant ? null : req.user.id
+            });
+
+            successResponse(res, { endpoint, secret }, 'Webhook endpoint created successfully. Store the secret now: it will not be shown again', 201);
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Update URL, events or active flag
+    static updateEndpoint = catchAsync(async (req, res) => {
+        try {
+            const endpoint = await WebhookService.updateEndpoint(req.params.id, req.body, merchantIdOf(req));
+
+            successResponse(res, { endpoint }, 'Webhook endpoint updated successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Replace the signing secret
+    static rotateSecret = catchAsync(async (req, res) => {
+        try {
+            const { endpoint, secret } = await WebhookService.rotateSecret(req.params.id, merchantIdOf(req));
+
+            successResponse(res, { endpoint, secret }, 'Webhook secret rotated successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Remove an endpoint; its pending events go to the dead-letter list
+    static deleteEndpoint = catchAsync(async (req, res) => {
+        try {
+            await WebhookService.deleteEndpoint(req.params.id, merchantIdOf(req));
+
+            successResponse(res, {}, 'Webhook endpoint deleted successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Outbox events (status=dead for the dead-letter list)
+    static getEvents = catchAsync(async (req, res) => {
+        try {
+            const result = await WebhookService.listEvents({ ...req.query, merchantId: merchantIdOf(req) });
+
+            successResponse(res, result, 'Webhook events retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // Send an event again now
+    static replayEvent = catchAsync(async (req, res) => {
+        try {
+            const event = await WebhookService.replay(req.params.id, merchantIdOf(req));
+
+            successResponse(res, { event }, event.status === 'delivered'
+                ? 'Webhook event delivered'
+                : 'Webhook event replayed; it failed again and will be retried');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+}
+
+module.exports = WebhookController;
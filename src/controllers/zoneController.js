@@ -0,0 +1,73 @@
+const ZoneService = require('../services/zoneService');
+const SurgeService = require('../services/surgeService');
+const { catchAsync, successResponse, errorResponse } = require('../middleware/errorHandler');
+
+class ZoneController {
+    // Get all zones with driver counts (admin)
+    static getZones = catchAsync(async (req, res) => {
+        try {
+            const zones = await ZoneService.listZones();
+
+            successResponse(res, { zones }, 'Zones retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // Get active zones (public, for driver apps)
+    static getActiveZones = catchAsync(async (req, res) => {
+        try {
+            const zones = await ZoneService.getActiveZones();
+
+            successResponse(res, { zones }, 'Zones retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // Current supply/demand surge per zone (admin surge map)
+    static getSurgeMap = catchAsync(async (req, res) => {
+        try {
+            const surgeMap = await SurgeService.getSurgeMap();
+
+            successResponse(res, surgeMap, 'Surge map retrieved successfully');
+        } catch (error) {
+            errorResponse(res, error, 500);
+        }
+    });
+
+    // Create zone (admin)
+    static createZone = catchAsync(async (req, res) => {
+        try {
+            const zone = await ZoneService.createZone(req.body, req.user.id);
+
+            successResponse(res, { zone }, 'Zone created successfully', 201);
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Update zone names, boundary or active flag (admin)
+    static updateZone = catchAsync(async (req, res) => {
+        try {
+            const zone = await ZoneService.updateZone(req.params.id, req.body, req.user.id);
+
+            successResponse(res, { zone }, 'Zone updated successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+
+    // Delete zone no driver is based in (admin)
+    static deleteZone = catchAsync(async (req, res) => {
+        try {
+            await ZoneService.deleteZone(req.params.id);
+
+            successResponse(res, {}, 'Zone deleted successfully');
+        } catch (error) {
+            errorResponse(res, error, error.statusCode || 500);
+        }
+    });
+}
+
+module.exports = ZoneController;
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
 const Driver = require('../models/Driver');
+const { AppError } = require('./errorHandler');
 
 // Generate JWT token
 const generateToken = (user, userType) => {
@@ -20,6 +21,34 @@ const generateToken = (user, userType) => {
     );
 };
 
+// Verify a JWT and load the account it belongs to.
+// Shared by the HTTP middleware below and the Socket.IO handshake, so both
+// apply the same rules for inactive admins and suspended drivers.
+const verifyAccessToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Verify user still exists and is active
+    let user;
+    if (decoded.userType === 'admin') {
+        user = await Admin.findById(decoded.id).select('-__v');
+        if (!user || !user.isActive) {
+            throw new AppError('Admin account not found or inactive', 401);
+        }
+    } else if (decoded.userType === 'driver') {
+        user = await Driver.findById(decoded.id).select('-__v');
+        if (!user) {
+            throw new AppError('Driver account not found', 401);
+        }
+        if (user.isSuspended) {
+            throw new AppError(`Account suspended: ${user.suspensionReason || 'No reason provided'}`, 401);
+        }
+    } else {
+        throw new AppError('Invalid user type', 401);
+    }
+
+    return { decoded, user };
+};
+
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
     try {
@@ -74,38 +103,7 @@ const authenticateToken = async (req, res, next) => {
             return next();
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        // Verify user still exists and is active
-        let user;
-        if (decoded.userType === 'admin') {
-            user = await Admin.findById(decoded.id).select('-__v');
-            if (!user || !user.isActive) {
-                return res.status(401).json({
-                    success: false,
-                    error: 'Admin account not found or inactive'
-                });
-            }
-        } else if (decoded.userType === 'driver') {
-            user = await Driver.findById(decoded.id).select('-__v');
-            if (!user) {
-                return res.status(401).json({
-                    success: false,
-                    error: 'Driver account not found'
-                });
-            }
-            if (user.isSuspended) {
-                return res.status(401).json({
-                    success: false,
-                    error: `Account suspended: ${user.suspensionReason || 'No reason provided'}`
-                });
-            }
-        } else {
-            return res.status(401).json({
-                success: false,
-                error: 'Invalid user type'
-            });
-        }
+        const { decoded, user } = await verifyAccessToken(token);
 
         // Add user info to request
         req.user = {
@@ -115,6 +113,13 @@ const authenticateToken = async (req, res, next) => {
 
         next();
     } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
         if (error.name === 'JsonWebTokenError') {
             return res.status(403).json({
                 success: false,
@@ -137,6 +142,61 @@ const authenticateToken = async (req, res, next) => {
     }
 };
 
+// Merchant API key authentication (X-API-Key header)
+const authenticateMerchant = async (req, res, next) => {
+    try {
+        const key = req.headers['x-api-key'];
+
+        if (!key) {
+            return res.status(401).json({
+                success: false,
+                error: 'API key required'
+            });
+        }
+
+        const MerchantService = require('../services/merchantService');
+        const { merchant, apiKey } = await MerchantService.authenticate(key);
+
+        req.user = {
+            id: merchant._id.toString(),
+            email: merchant.email,
+            userType: 'merchant',
+            name: merchant.name,
+            userData: merchant
+        };
+        req.merchant = merchant;
+        req.apiKey = apiKey;
+
+        next();
+    } catch (error) {
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('Merchant authentication error:', error.message);
+        return res.status(500).json({
+            success: false,
+            error: 'Authentication failed'
+        });
+    }
+};
+
+// Scope check for merchant API keys
+const requireScope = (scope) => {
+    return (req, res, next) => {
+        if (!req.apiKey || !req.apiKey.scopes.includes(scope)) {
+            return res.status(403).json({
+                success: false,
+                error: `API key scope required: ${scope}`
+            });
+        }
+        next();
+    };
+};
+
 // Admin-only middleware (allows both admin and super_admin roles)
 const adminOnly = (req, res, next) => {
     if (req.user.userType !== 'admin') {
@@ -339,7 +399,10 @@ const refreshToken = (req, res) => {
 
 module.exports = {
     generateToken,
+    verifyAccessToken,
     authenticateToken,
+    authenticateMerchant,
+    requireScope,
     adminOnly,
     adminOrSuperAdmin,
     driverOnly,
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// How long a key and its stored response are kept
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys sorted, so the same body always hashes the same
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        const entries = Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+        return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+};
+
+const hashRequest = body => crypto.createHash('sha256').update(stableStringify(body || {})).digest('hex');
+
+// Idempotency-Key header support for creation endpoints. The first response for a key is
+// stored and replayed (with Idempotent-Replayed: true) when the same request is sent again
+// within the retention window. A key reused with a different body gets 422, and a repeat
+// while the first request is still running gets 409. Server errors are not stored, so the
+// request can be retried with the same key. Requests without the header are not affected.
+const idempotency = (scope) => {
+    return async (req, res, next) => {
+        const key = req.headers['idempotency-key'];
+        if (key === undefined) return next();
+
+        if (!key || key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`
+            });
+        }
+
+        const user = `${req.user.userType}:${req.user.id}`;
+        const requestHash = hashRequest(req.body);
+
+        let record;
+        try {
+            record = await IdempotencyKey.create({
+                key,
+                scope,
+                user,
+                requestHash,
+                expiresAt: new Date(Date.now() + RETENTION_MS)
+            });
+        } catch (error) {
+            if (error.code !== 11000) return next(error);
+
+            const existing = await IdempotencyKey.findOne({ user, scope, key });
+            if (!existing) {
+                // Expired between the insert and the lookup
+                return res.status(409).json({
+                    success: false,
+                    error: 'Idempotency-Key conflict, please retry'
+                });
+            }
+            if (existing.requestHash !== requestHash) {
+                return res.status(422).json({
+                    success: false,
+                    error: 'Idempotency-Key has already been used with a different request body'
+                });
+            }
+            if (existing.status === 'processing') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'A request with this Idempotency-Key is still being processed'
+                });
+            }
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.responseStatus).json(existing.responseBody);
+        }
+
+        // Store the response before it is sent, so a retry can't arrive before it is recorded
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            const stored = res.statusCode >= 500
+                ? IdempotencyKey.deleteOne({ _id: record._id })
+                : IdempotencyKey.updateOne(
+                    { _id: record._id },
+                    { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: body } }
+                );
+
+            stored
+                .catch(error => console.error('Failed to store idempotent response:', error.message))
+                .finally(() => json(body));
+            return res;
+        };
+
+        next();
+    };
+};
+
+module.exports = {
+    idempotency,
+    hashRequest
+};
@@ -1,4 +1,64 @@
 const SocketService = require('../services/socketService');
+const { verifyAccessToken } = require('./auth');
+
+// Pull the bearer token from the handshake: `auth.token` (socket.io-client),
+// an Authorization header, or a `token` query param as a last resort
+const getHandshakeToken = (socket) => {
+    const { auth = {}, headers = {}, query = {} } = socket.handshake || {};
+
+    if (auth.token) {
+        return auth.token.replace(/^Bearer\s+/i, '');
+    }
+
+    const authHeader = headers['authorization'];
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+        return authHeader.split(' ')[1];
+    }
+
+    return query.token || null;
+};
+
+// Socket.IO handshake middleware (io.use) - verifies the same JWT as authenticateToken
+// and pins the verified identity on socket.data.user. Rooms and event permissions
+// are derived from this, never from client-supplied ids.
+const authenticateSocket = async (socket, next) => {
+    try {
+        const token = getHandshakeToken(socket);
+
+        if (!token) {
+            return next(new Error('Access token required'));
+        }
+
+        const { decoded, user } = await verifyAccessToken(token);
+
+        socket.data.user = {
+            id: user._id.toString(),
+            userType: decoded.userType,
+            name: user.fullName || user.name,
+            ...(decoded.userType === 'admin' && {
+                role: user.role,
+                permissions: user.permissions || []
+            })
+        };
+
+        next();
+    } catch (error) {
+        if (error.isOperational) {
+            return next(new Error(error.message));
+        }
+
+        if (error.name === 'TokenExpiredError') {
+            return next(new Error('Token expired'));
+        }
+
+        if (error.name === 'JsonWebTokenError') {
+            return next(new Error('Invalid token'));
+        }
+
+        console.error('Socket authentication error:', error.message);
+        next(new Error('Authentication failed'));
+    }
+};
 
 // Middleware to automatically connect users to their socket rooms
 const autoConnectSocket = (req, res, next) => {
@@ -45,6 +105,7 @@ const connectUserToSocket = (userId, userType, socketId = null) => {
 };
 
 module.exports = {
+    authenticateSocket,
     autoConnectSocket,
     connectUserToSocket
 };
@@ -29,9 +29,31 @@ const upload = multer({
 // Middleware for single image upload
 const uploadSingleImage = upload.single('profilePicture');
 
+// Middleware for proof-of-delivery photo upload
+const uploadProofPhoto = upload.single('photo');
+
 // Middleware for document upload (accepts any field name)
 const uploadDocument = upload.single('file');
 
+// Spreadsheets for bulk delivery import (CSV or XLSX)
+const spreadsheetUpload = multer({
+    storage: storage,
+    fileFilter: (req, file, cb) => {
+        const extension = path.extname(file.originalname).toLowerCase();
+        if (['.csv', '.xlsx'].includes(extension)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only CSV and XLSX files are allowed.'), false);
+        }
+    },
+    limits: {
+        fileSize: 5 * 1024 * 1024,
+        files: 1
+    }
+});
+
+const uploadSpreadsheet = spreadsheetUpload.single('file');
+
 // Error handling middleware for multer
 const handleUploadError = (error, req, res, next) => {
     if (error instanceof multer.MulterError) {
@@ -65,6 +87,8 @@ const handleUploadError = (error, req, res, next) => {
 
 module.exports = {
     uploadSingleImage,
+    uploadProofPhoto,
     uploadDocument,
+    uploadSpreadsheet,
     handleUploadError
 }; 
\ No newline at end of file
@@ -1,4 +1,12 @@
 const Joi = require('joi');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const Delivery = require('../models/Delivery');
+const Merchant = require('../models/Merchant');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookEvent = require('../models/WebhookEvent');
+const SmsMessage = require('../models/SmsMessage');
+const CustomerRating = require('../models/CustomerRating');
+const Case = require('../models/Case');
 
 // Validation middleware
 const validate = (schema) => {
@@ -35,6 +43,51 @@ const validateBody = (schema) => {
     };
 };
 
+// One drop-off on a multi-stop delivery
+const deliveryStopSchema = Joi.object({
+    location: Joi.string().min(5).max(200).required().messages({
+        'string.min': 'Stop location must be at least 5 characters',
+        'any.required': 'Stop location is required'
+    }),
+    locationDescription: Joi.string().max(500).allow(''),
+    locationLink: Joi.string().uri().messages({
+        'string.uri': 'Stop location must be a valid Google Maps link'
+    }),
+    coordinates: Joi.object({
+        lat: Joi.number().min(-90).max(90).required(),
+        lng: Joi.number().min(-180).max(180).required()
+    }),
+    contactName: Joi.string().max(50).allow(''),
+    contactPhone: Joi.string().pattern(/^[\+]?[1-9][\d]{0,15}$/).allow(''),
+    notes: Joi.string().max(500).allow('')
+});
+
+// Package details of a delivery
+const packageSchema = Joi.object({
+    size: Joi.string().valid(...Delivery.PACKAGE_SIZES).allow(null),
+    weight: Joi.number().min(0).max(1000).allow(null),
+    itemCount: Joi.number().integer().min(1).max(100),
+    fragile: Joi.boolean(),
+    perishable: Joi.boolean(),
+    collectCash: Joi.boolean(),
+    cashAmount: Joi.when('collectCash', {
+        is: true,
+        then: Joi.number().greater(0).max(100000).required().messages({
+            'any.required': 'cashAmount is required when collectCash is true'
+        }),
+        otherwise: Joi.number().valid(0)
+    })
+});
+
+// Dispatch eligibility rule for one transportation type (distances in km, null for no limit)
+const eligibilityRuleSchema = Joi.object({
+    maxPickupDistance: Joi.number().min(0).allow(null),
+    maxTripDistance: Joi.number().min(0).allow(null),
+    maxWeight: Joi.number().min(0).allow(null),
+    packageSizes: Joi.array().items(Joi.string().valid(...Delivery.PACKAGE_SIZES)).min(1).unique(),
+    priorities: Joi.array().items(Joi.string().valid('low', 'normal', 'high', 'urgent')).min(1).unique()
+});
+
 // Validation schemas
 const schemas = {
     // Authentication schemas
@@ -85,23 +138,7 @@ const schemas = {
             'string.pattern.base': 'Please enter a valid phone number'
         }),
         studentId: Joi.string().min(4).max(20).allow(''),
-        area: Joi.string().valid(
-            'Kaymakli',
-            'Hamitköy',
-            'Yenişehir',
-            'Kumsal',
-            'Gönyeli',
-            'Dereboyu',
-            'Ortaköy',
-            'Yenikent',
-            'Taskinkoy',
-            'Metehan',
-            'nkoy',
-            'Haspolat',
-            'Alaykoy',
-            'Marmara',
-            'Terminal/City Center'
-        ).default('Terminal/City Center'),
+        area: Joi.string().trim().max(100).default('Terminal/City Center'),
         university: Joi.string().valid(
             'Eastern Mediterranean University (EMU)',
             'Near East University (NEU)',
@@ -118,25 +155,7 @@ const schemas = {
             'Cyprus West University'
         ).default('Eastern Mediterranean University (EMU)'),
         transportationType: Joi.string().valid('bicycle', 'motorcycle', 'scooter', 'car', 'walking', 'other').default('other'),
-        address: Joi.string().valid(
-            'Kaymakli',
-            'Hamitköy',
-            'Yenişehir',
-            'Kumsal',
-            'Gönyeli',
-            'Dereboyu',
-            'Ortaköy',
-            'Yenikent',
-            'Taskinkoy',
-            'Metehan',
-            'Gocmenkoy',
-            'Haspolat',
-            'Alaykoy',
-            'Marmara',
-            'Terminal/City Center'
-        ).default('Terminal/City Center').messages({
-            'any.only': 'Please select a valid service area'
-        })
+        address: Joi.string().trim().max(100).default('Terminal/City Center')
     }),
 
     updateDriver: Joi.object({
@@ -144,23 +163,7 @@ const schemas = {
         fullName: Joi.string().min(2).max(50),
         phone: Joi.string().pattern(/^[\+]?[1-9][\d]{0,15}$/).allow(''),
         studentId: Joi.string().min(4).max(20).allow(''),
-        area: Joi.string().valid(
-            'Kaymakli',
-            'Hamitköy',
-            'Yenişehir',
-            'Kumsal',
-            'Gönyeli',
-            'Dereboyu',
-            'Ortaköy',
-            'Yenikent',
-            'Taskinkoy',
-            'Metehan',
-            'Gocmenkoy',
-            'Haspolat',
-            'Alaykoy',
-            'Marmara',
-            'Terminal/City Center'
-        ),
+        area: Joi.string().trim().max(100),
         university: Joi.string().valid(
             'Eastern Mediterranean University (EMU)',
             'Near East University (NEU)',
@@ -177,48 +180,15 @@ const schemas = {
             'Cyprus West University'
         ),
         transportationType: Joi.string().valid('bicycle', 'motorcycle', 'scooter', 'car', 'walking', 'other'),
-        address: Joi.string().valid(
-            'Kaymakli',
-            'Hamitköy',
-            'Yenişehir',
-            'Kumsal',
-            'Gönyeli',
-            'Dereboyu',
-            'Ortaköy',
-            'Yenikent',
-            'Taskinkoy',
-            'Metehan',
-            'Gocmenkoy',
-            'Haspolat',
-            'Alaykoy',
-            'Marmara',
-            'Terminal/City Center'
-        ).default('Terminal/City Center').messages({
-            'any.only': 'Please select a valid service area'
-        }),
-        isActive: Joi.boolean()
+        address: Joi.string().trim().max(100).default('Terminal/City Center'),
+        isActive: Joi.boolean(),
+        maxConcurrentDeliveries: Joi.number().integer().min(1).max(20).allow(null)
     }),
 
     updateDriverProfile: Joi.object({
         fullName: Joi.string().min(2).max(50),
         phone: Joi.string().pattern(/^[\+]?[1-9][\d]{0,15}$/).allow(''),
-        area: Joi.string().valid(
-            'Kaymakli',
-            'Hamitköy',
-            'Yenişehir',
-            'Kumsal',
-            'Gönyeli',
-            'Dereboyu',
-            'Ortaköy',
-            'Yenikent',
-            'Taskinkoy',
-            'Metehan',
-            'Gocmenkoy',
-            'Haspolat',
-            'Alaykoy',
-            'Marmara',
-            'Terminal/City Center'
-        ),
+        area: Joi.string().trim().max(100),
         transportationType: Joi.string().valid('bicycle', 'motorcycle', 'scooter', 'car', 'walking', 'other'),
         transportationMethod: Joi.string().valid('bicycle', 'motorcycle', 'scooter', 'car', 'walking', 'other'),
         university: Joi.string().valid(
@@ -237,25 +207,7 @@ const schemas = {
             'Cyprus West University'
         ),
         studentId: Joi.string().min(4).max(20),
-        address: Joi.string().valid(
-            'Kaymakli',
-            'Hamitköy',
-            'Yenişehir',
-            'Kumsal',
-            'Gönyeli',
-            'Dereboyu',
-            'Ortaköy',
-            'Yenikent',
-            'Taskinkoy',
-            'Metehan',
-            'Gocmenkoy',
-            'Haspolat',
-            'Alaykoy',
-            'Marmara',
-            'Terminal/City Center'
-        ).default('Terminal/City Center').messages({
-            'any.only': 'Please select a valid service area'
-        }),
+        address: Joi.string().trim().max(100).default('Terminal/City Center'),
         isActive: Joi.boolean(),
         isOnline: Joi.boolean()
     }),
@@ -279,6 +231,37 @@ const schemas = {
 
     // Delivery schemas (removed duplicate - using the one below)
 
+    // Same location fields as createDelivery
+    quoteDelivery: Joi.object({
+        pickupCoordinates: Joi.object({
+            lat: Joi.number().min(-90).max(90).required(),
+            lng: Joi.number().min(-180).max(180).required()
+        }),
+        pickupLocationLink: Joi.string().uri().messages({
+            'string.uri': 'Pickup location must be a valid Google Maps link'
+        }),
+        deliveryCoordinates: Joi.object({
+            lat: Joi.number().min(-90).max(90).required(),
+            lng: Joi.number().min(-180).max(180).required()
+        }),
+        deliveryLocationLink: Joi.string().uri().messages({
+            'string.uri': 'Delivery location must be a valid Google Maps link'
+        }),
+        stops: Joi.array().items(
+            Joi.object({
+                locationLink: Joi.string().uri(),
+                coordinates: Joi.object({
+                    lat: Joi.number().min(-90).max(90).required(),
+                    lng: Joi.number().min(-180).max(180).required()
+                })
+            }).or('locationLink', 'coordinates')
+        ).min(2).max(10),
+        priority: Joi.string().valid('low', 'normal', 'high', 'urgent').default('normal'),
+        paymentMethod: Joi.string().valid('cash', 'pos', 'naira_transfer', 'isbank_transfer', 'crypto_transfer').default('cash'),
+        package: packageSchema
+    }).or('pickupCoordinates', 'pickupLocationLink')
+        .or('deliveryCoordinates', 'deliveryLocationLink', 'stops'),
+
     updateDelivery: Joi.object({
         pickupLocation: Joi.string().min(5).max(200),
         deliveryLocation: Joi.string().min(5).max(200),
@@ -290,16 +273,21 @@ const schemas = {
         notes: Joi.string().max(500).allow(''),
         priority: Joi.string().valid('low', 'normal', 'high', 'urgent'),
         distance: Joi.number().min(0).max(1000),
+        package: packageSchema,
         assignedTo: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null),
         status: Joi.string().valid('pending', 'assigned', 'picked_up', 'delivered', 'cancelled')
     }),
 
     updateDeliveryStatus: Joi.object({
-        status: Joi.string().valid('picked_up', 'in_transit', 'delivered', 'cancelled', 'failed').required(),
+        status: Joi.string().valid('picked_up', 'in_transit', 'delivered', 'cancelled', 'failed', 'returned').required(),
         notes: Joi.string().max(500).allow(''),
-        deliveryProof: Joi.string().uri().allow(''), // URL to proof image
-        rating: Joi.number().min(1).max(5),
-        feedback: Joi.string().max(1000).allow('')
+        reason: Joi.string().max(500).allow(''),
+        reasonCode: Joi.string().valid(...CancellationPolicy.REASONS),
+        cancelledBy: Joi.string().valid(...CancellationPolicy.PARTIES),
+        location: Joi.object({
+            lat: Joi.number().min(-90).max(90).required(),
+            lng: Joi.number().min(-180).max(180).required()
+        })
     }),
 
     assignDelivery: Joi.object({
@@ -315,28 +303,19 @@ const schemas = {
         limit: Joi.number().integer().min(1).max(100).default(20)
     }),
 
+    noEligibleDriversQuery: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        startDate: Joi.date(),
+        endDate: Joi.date().min(Joi.ref('startDate'))
+    }),
+
     deliveryFilters: Joi.object({
         status: Joi.string().valid('pending', 'assigned', 'picked_up', 'delivered', 'cancelled'),
         assignedTo: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
         startDate: Joi.date(),
         endDate: Joi.date().min(Joi.ref('startDate')),
-        area: Joi.string().valid(
-            'Kaymakli',
-            'Hamitköy',
-            'Yenişehir',
-            'Kumsal',
-            'Gönyeli',
-            'Dereboyu',
-            'Ortaköy',
-            'Yenikent',
-            'Taskinkoy',
-            'Metehan',
-            'Gocmenkoy',
-            'Haspolat',
-            'Alaykoy',
-            'Marmara',
-            'Terminal/City Center'
-        ),
+        area: Joi.string().trim().max(100),
         priority: Joi.string().valid('low', 'normal', 'high', 'urgent'),
         paymentMethod: Joi.string().valid('cash', 'pos', 'naira_transfer', 'isbank_transfer', 'crypto_transfer')
     }),
@@ -348,45 +327,13 @@ const schemas = {
         assignedTo: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
         startDate: Joi.date(),
         endDate: Joi.date().min(Joi.ref('startDate')),
-        area: Joi.string().valid(
-            'Kaymakli',
-            'Hamitköy',
-            'Yenişehir',
-            'Kumsal',
-            'Gönyeli',
-            'Dereboyu',
-            'Ortaköy',
-            'Yenikent',
-            'Taskinkoy',
-            'Metehan',
-            'Gocmenkoy',
-            'Haspolat',
-            'Alaykoy',
-            'Marmara',
-            'Terminal/City Center'
-        ),
+        area: Joi.string().trim().max(100),
         priority: Joi.string().valid('low', 'normal', 'high', 'urgent'),
         paymentMethod: Joi.string().valid('cash', 'pos', 'naira_transfer', 'isbank_transfer', 'crypto_transfer')
     }),
 
     driverFilters: Joi.object({
-        area: Joi.string().valid(
-            'Kaymakli',
-            'Hamitköy',
-            'Yenişehir',
-            'Kumsal',
-            'Gönyeli',
-            'Dereboyu',
-            'Ortaköy',
-            'Yenikent',
-            'Taskinkoy',
-            'Metehan',
-            'Gocmenkoy',
-            'Haspolat',
-            'Alaykoy',
-            'Marmara',
-            'Terminal/City Center'
-        ),
+        area: Joi.string().trim().max(100),
         isActive: Joi.boolean(),
         sortBy: Joi.string().valid('name', 'totalDeliveries', 'totalEarnings', 'joinedAt').default('name'),
         sortOrder: Joi.string().valid('asc', 'desc').default('asc')
@@ -436,6 +383,15 @@ const schemas = {
             companyFixed: Joi.number().min(0).allow(null),
             description: Joi.string().max(200).allow('')
         })).min(1).required(),
+        extraStops: Joi.object({
+            customerFee: Joi.number().min(0),
+            driverEarning: Joi.number().min(0)
+        }),
+        failedDeliveries: Joi.object({
+            reattemptCustomerFee: Joi.number().min(0),
+            reattemptDriverEarning: Joi.number().min(0),
+            returnFeePercent: Joi.number().min(0).max(100)
+        }),
         notes: Joi.string().max(500).allow('')
     }),
 
@@ -450,6 +406,15 @@ const schemas = {
             companyFixed: Joi.number().min(0).allow(null),
             description: Joi.string().max(200).allow('')
         })),
+        extraStops: Joi.object({
+            customerFee: Joi.number().min(0),
+            driverEarning: Joi.number().min(0)
+        }),
+        failedDeliveries: Joi.object({
+            reattemptCustomerFee: Joi.number().min(0),
+            reattemptDriverEarning: Joi.number().min(0),
+            returnFeePercent: Joi.number().min(0).max(100)
+        }),
         notes: Joi.string().max(500).allow(''),
         isActive: Joi.boolean()
     }),
@@ -604,7 +569,27 @@ const schemas = {
                 autoAssignDrivers: Joi.boolean(),
                 requireDriverConfirmation: Joi.boolean(),
                 maxDeliveryDistance: Joi.number().min(1).max(1000),
-                maxDeliveryTime: Joi.number().min(5).max(480)
+                maxDeliveryTime: Joi.number().min(5).max(480),
+                scheduledBroadcastLeadTime: Joi.number().min(0).max(1440),
+                proofOfDeliveryMode: Joi.string().valid('pin_or_photo', 'pin', 'photo', 'pin_and_photo'),
+                dispatchMode: Joi.string().valid('broadcast', 'sequential'),
+                sequentialOfferTimeout: Joi.number().min(10).max(300),
+                driverCapacity: Joi.object({
+                    walking: Joi.number().integer().min(1).max(20),
+                    bicycle: Joi.number().integer().min(1).max(20),
+                    scooter: Joi.number().integer().min(1).max(20),
+                    motorcycle: Joi.number().integer().min(1).max(20),
+                    car: Joi.number().integer().min(1).max(20),
+                    other: Joi.number().integer().min(1).max(20)
+                }),
+                eligibilityRules: Joi.object({
+                    walking: eligibilityRuleSchema,
+                    bicycle: eligibilityRuleSchema,
+                    scooter: eligibilityRuleSchema,
+                    motorcycle: eligibilityRuleSchema,
+                    car: eligibilityRuleSchema,
+                    other: eligibilityRuleSchema
+                })
             }).optional(),
             earnings: Joi.object({
                 commissionRate: Joi.number().min(0).max(100),
@@ -638,6 +623,15 @@ const schemas = {
                 description: Joi.string().max(200).optional()
             })
         ).min(1).required(),
+        extraStops: Joi.object({
+            customerFee: Joi.number().min(0),
+            driverEarning: Joi.number().min(0)
+        }),
+        failedDeliveries: Joi.object({
+            reattemptCustomerFee: Joi.number().min(0),
+            reattemptDriverEarning: Joi.number().min(0),
+            returnFeePercent: Joi.number().min(0).max(100)
+        }),
         notes: Joi.string().max(500).optional()
     }),
 
@@ -654,6 +648,163 @@ const schemas = {
                 description: Joi.string().max(200).optional()
             })
         ).min(1).optional(),
+        extraStops: Joi.object({
+            customerFee: Joi.number().min(0),
+            driverEarning: Joi.number().min(0)
+        }),
+        failedDeliveries: Joi.object({
+            reattemptCustomerFee: Joi.number().min(0),
+            reattemptDriverEarning: Joi.number().min(0),
+            returnFeePercent: Joi.number().min(0).max(100)
+        }),
+        notes: Joi.string().max(500).optional(),
+        isActive: Joi.boolean().optional()
+    }),
+
+    // Pricing configuration schemas (percentages for uplift and payment adjustments)
+    createPricingConfiguration: Joi.object({
+        name: Joi.string().min(3).max(100).required(),
+        baseFare: Joi.number().min(0),
+        perKmRate: Joi.number().min(0),
+        includedKm: Joi.number().min(0),
+        zoneSurcharges: Joi.array().items(
+            Joi.object({
+                zone: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+                amount: Joi.number().min(0).required(),
+                appliesTo: Joi.string().valid('pickup', 'dropoff', 'both').default('both')
+            })
+        ),
+        priorityUplift: Joi.object({
+            low: Joi.number().min(-100).max(500),
+            normal: Joi.number().min(-100).max(500),
+            high: Joi.number().min(-100).max(500),
+            urgent: Joi.number().min(-100).max(500)
+        }),
+        paymentMethodAdjustments: Joi.object({
+            cash: Joi.number().min(-100).max(100),
+            pos: Joi.number().min(-100).max(100),
+            naira_transfer: Joi.number().min(-100).max(100),
+            isbank_transfer: Joi.number().min(-100).max(100),
+            crypto_transfer: Joi.number().min(-100).max(100)
+        }),
+        minimumFee: Joi.number().min(0),
+        roundTo: Joi.number().min(1),
+        surge: Joi.object({
+            enabled: Joi.boolean(),
+            windowMinutes: Joi.number().integer().min(5).max(240),
+            demandRatioThreshold: Joi.number().min(0),
+            multiplierPerRatio: Joi.number().min(0).max(2),
+            maxMultiplier: Joi.number().min(1).max(3),
+            driverSharePercent: Joi.number().min(0).max(100)
+        }),
+        packageSizeSurcharges: Joi.object({
+            small: Joi.number().min(0),
+            medium: Joi.number().min(0),
+            large: Joi.number().min(0),
+            extra_large: Joi.number().min(0)
+        }),
+        packageHandling: Joi.object({
+            includedWeightKg: Joi.number().min(0),
+            perKgRate: Joi.number().min(0),
+            fragileFee: Joi.number().min(0),
+            perishableFee: Joi.number().min(0)
+        }),
+        notes: Joi.string().max(500).optional()
+    }),
+
+    updatePricingConfiguration: Joi.object({
+        name: Joi.string().min(3).max(100).optional(),
+        baseFare: Joi.number().min(0),
+        perKmRate: Joi.number().min(0),
+        includedKm: Joi.number().min(0),
+        zoneSurcharges: Joi.array().items(
+            Joi.object({
+                zone: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+                amount: Joi.number().min(0).required(),
+                appliesTo: Joi.string().valid('pickup', 'dropoff', 'both').default('both')
+            })
+        ),
+        priorityUplift: Joi.object({
+            low: Joi.number().min(-100).max(500),
+            normal: Joi.number().min(-100).max(500),
+            high: Joi.number().min(-100).max(500),
+            urgent: Joi.number().min(-100).max(500)
+        }),
+        paymentMethodAdjustments: Joi.object({
+            cash: Joi.number().min(-100).max(100),
+            pos: Joi.number().min(-100).max(100),
+            naira_transfer: Joi.number().min(-100).max(100),
+            isbank_transfer: Joi.number().min(-100).max(100),
+            crypto_transfer: Joi.number().min(-100).max(100)
+        }),
+        minimumFee: Joi.number().min(0),
+        roundTo: Joi.number().min(1),
+        surge: Joi.object({
+            enabled: Joi.boolean(),
+            windowMinutes: Joi.number().integer().min(5).max(240),
+            demandRatioThreshold: Joi.number().min(0),
+            multiplierPerRatio: Joi.number().min(0).max(2),
+            maxMultiplier: Joi.number().min(1).max(3),
+            driverSharePercent: Joi.number().min(0).max(100)
+        }),
+        packageSizeSurcharges: Joi.object({
+            small: Joi.number().min(0),
+            medium: Joi.number().min(0),
+            large: Joi.number().min(0),
+            extra_large: Joi.number().min(0)
+        }),
+        packageHandling: Joi.object({
+            includedWeightKg: Joi.number().min(0),
+            perKgRate: Joi.number().min(0),
+            fragileFee: Joi.number().min(0),
+            perishableFee: Joi.number().min(0)
+        }),
+        notes: Joi.string().max(500).optional(),
+        isActive: Joi.boolean().optional()
+    }),
+
+    // Cancellation policy schemas (rules are checked in order; empty lists match anything)
+    createCancellationPolicy: Joi.object({
+        name: Joi.string().min(3).max(100).required(),
+        rules: Joi.array().items(
+            Joi.object({
+                description: Joi.string().max(200).allow(''),
+                cancelledBy: Joi.array().items(Joi.string().valid(...CancellationPolicy.PARTIES)),
+                stages: Joi.array().items(Joi.string().valid(...CancellationPolicy.STAGES)),
+                reasonCodes: Joi.array().items(Joi.string().valid(...CancellationPolicy.REASONS)),
+                fee: Joi.object({
+                    type: Joi.string().valid('fixed', 'percentage'),
+                    amount: Joi.number().min(0)
+                }),
+                driverCompensation: Joi.object({
+                    type: Joi.string().valid('fixed', 'percentage'),
+                    amount: Joi.number().min(0)
+                }),
+                countsAgainstDriver: Joi.boolean()
+            })
+        ).min(1).required(),
+        notes: Joi.string().max(500).optional()
+    }),
+
+    updateCancellationPolicy: Joi.object({
+        name: Joi.string().min(3).max(100).optional(),
+        rules: Joi.array().items(
+            Joi.object({
+                description: Joi.string().max(200).allow(''),
+                cancelledBy: Joi.array().items(Joi.string().valid(...CancellationPolicy.PARTIES)),
+                stages: Joi.array().items(Joi.string().valid(...CancellationPolicy.STAGES)),
+                reasonCodes: Joi.array().items(Joi.string().valid(...CancellationPolicy.REASONS)),
+                fee: Joi.object({
+                    type: Joi.string().valid('fixed', 'percentage'),
+                    amount: Joi.number().min(0)
+                }),
+                driverCompensation: Joi.object({
+                    type: Joi.string().valid('fixed', 'percentage'),
+                    amount: Joi.number().min(0)
+                }),
+                countsAgainstDriver: Joi.boolean()
+            })
+        ).min(1),
         notes: Joi.string().max(500).optional(),
         isActive: Joi.boolean().optional()
     }),
@@ -674,17 +825,28 @@ const schemas = {
             'string.max': 'Pickup location cannot exceed 200 characters',
             'any.required': 'Pickup location is required'
         }),
-        deliveryLocation: Joi.string().min(5).max(200).required().messages({
+        deliveryLocation: Joi.string().min(5).max(200).when('stops', {
+            is: Joi.exist(),
+            then: Joi.optional(),
+            otherwise: Joi.required()
+        }).messages({
             'string.min': 'Delivery location must be at least 5 characters',
             'string.max': 'Delivery location cannot exceed 200 characters',
             'any.required': 'Delivery location is required'
         }),
+        stops: Joi.array().items(deliveryStopSchema).min(2).max(10).messages({
+            'array.min': 'A multi-stop delivery needs at least 2 stops',
+            'array.max': 'A delivery cannot have more than 10 stops'
+        }),
+        scheduledFor: Joi.date().min('now').messages({
+            'date.min': 'Scheduled time cannot be in the past'
+        }),
         customerName: Joi.string().max(50).allow(''),
         customerPhone: Joi.string().pattern(/^[\+]?[1-9][\d]{0,15}$/).allow(''),
-        fee: Joi.number().min(1).max(10000).required().messages({
+        // Omit to price the delivery with the active pricing rules (needs coordinates or links)
+        fee: Joi.number().min(1).max(10000).messages({
             'number.min': 'Fee must be greater than 0',
-            'number.max': 'Fee cannot exceed 10,000₺',
-            'any.required': 'Delivery fee is required'
+            'number.max': 'Fee cannot exceed 10,000₺'
         }),
         paymentMethod: Joi.string().valid('cash', 'pos', 'naira_transfer', 'isbank_transfer', 'crypto_transfer').default('cash'),
         estimatedTime: Joi.date().min('now').required().messages({
@@ -694,6 +856,7 @@ const schemas = {
         notes: Joi.string().max(500).allow(''),
         priority: Joi.string().valid('low', 'normal', 'high', 'urgent').default('normal'),
         distance: Joi.number().min(0).max(1000),
+        package: packageSchema,
         assignedTo: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null, '').optional(), // MongoDB ObjectId for manual assignment
         pickupLocationLink: Joi.string().uri().optional().messages({
             'string.uri': 'Pickup location must be a valid Google Maps link'
@@ -725,7 +888,8 @@ const schemas = {
             is: true,
             then: Joi.number().min(10).max(300).default(60).required(),
             otherwise: Joi.optional()
-        })
+        }),
+        dispatchMode: Joi.string().valid('broadcast', 'sequential').optional()
     }),
 
     updateDelivery: Joi.object({
@@ -746,15 +910,86 @@ const schemas = {
         deliveryCoordinates: Joi.object({
             lat: Joi.number().min(-90).max(90),
             lng: Joi.number().min(-180).max(180)
+        }),
+        stops: Joi.array().items(deliveryStopSchema).min(2).max(10),
+        package: packageSchema,
+        dispatchMode: Joi.string().valid('broadcast', 'sequential')
+    }),
+
+    rescheduleDelivery: Joi.object({
+        scheduledFor: Joi.date().min('now').allow(null).required().messages({
+            'date.min': 'Scheduled time cannot be in the past'
+        })
+    }),
+
+    cancelScheduledDelivery: Joi.object({
+        reason: Joi.string().max(500).allow(''),
+        reasonCode: Joi.string().valid(...CancellationPolicy.REASONS),
+        cancelledBy: Joi.string().valid('admin', 'customer')
+    }),
+
+    cancelDelivery: Joi.object({
+        cancelledBy: Joi.string().valid('admin', 'customer'),
+        reasonCode: Joi.string().valid(...CancellationPolicy.REASONS).required(),
+        notes: Joi.string().max(500).allow(''),
+        feeCollected: Joi.boolean()
+    }),
+
+    importTemplateQuery: Joi.object({
+        format: Joi.string().valid('csv', 'xlsx')
+    }),
+
+    importDeliveries: Joi.object({
+        dryRun: Joi.boolean(),
+        report: Joi.string().valid('csv', 'xlsx')
+    }),
+
+    reportFailedAttempt: Joi.object({
+        reason: Joi.string().valid(...Delivery.FAILED_ATTEMPT_REASONS).required(),
+        notes: Joi.string().max(500).when('reason', {
+            is: 'other',
+            then: Joi.required(),
+            otherwise: Joi.optional().allow('')
+        }),
+        lat: Joi.number().min(-90).max(90).required(),
+        lng: Joi.number().min(-180).max(180).required(),
+        accuracy: Joi.number().min(0)
+    }),
+
+    // The same driver while they have the package; rebroadcast or reassign once it is back at pickup
+    reattemptDelivery: Joi.object({
+        dispatch: Joi.string().valid('same_driver', 'rebroadcast', 'reassign').default('same_driver'),
+        driverId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).when('dispatch', {
+            is: 'reassign',
+            then: Joi.required(),
+            otherwise: Joi.forbidden()
+        }).messages({
+            'string.pattern.base': 'Invalid driver ID format'
+        }),
+        notes: Joi.string().max(500).allow('')
+    }),
+
+    returnDelivery: Joi.object({
+        notes: Joi.string().max(500).allow('')
+    }),
+
+    updateStopStatus: Joi.object({
+        status: Joi.string().valid('arrived', 'failed').required(),
+        reason: Joi.string().max(500).when('status', {
+            is: 'failed',
+            then: Joi.required(),
+            otherwise: Joi.optional().allow('')
         })
     }),
 
     deliveryQuery: Joi.object({
         page: Joi.number().integer().min(1).default(1),
         limit: Joi.number().integer().min(1).max(100).default(10),
-        status: Joi.string().valid('pending', 'broadcasting', 'accepted', 'picked_up', 'in_transit', 'delivered', 'cancelled', 'failed'),
+        status: Joi.string().valid('pending', 'broadcasting', 'accepted', 'picked_up', 'in_transit', 'delivered', 'cancelled', 'failed', 'returning', 'returned'),
         broadcastStatus: Joi.string().valid('not_started', 'broadcasting', 'accepted', 'expired', 'manual_assignment'),
-        priority: Joi.string().valid('low', 'normal', 'high', 'urgent')
+        priority: Joi.string().valid('low', 'normal', 'high', 'urgent'),
+        source: Joi.string().valid(...Delivery.SOURCES),
+        merchant: Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
     }),
 
     deliveryId: Joi.object({
@@ -766,11 +1001,311 @@ const schemas = {
     }),
 
     updateDeliveryStatus: Joi.object({
-        status: Joi.string().valid('picked_up', 'in_transit', 'delivered', 'cancelled', 'failed').required(),
+        status: Joi.string().valid('picked_up', 'in_transit', 'delivered', 'cancelled', 'failed', 'returned').required(),
+        notes: Joi.string().max(500).allow(''),
+        reason: Joi.string().max(500).allow(''),
+        reasonCode: Joi.string().valid(...CancellationPolicy.REASONS),
+        cancelledBy: Joi.string().valid(...CancellationPolicy.PARTIES),
+        location: Joi.object({
+            lat: Joi.number().min(-90).max(90).required(),
+            lng: Joi.number().min(-180).max(180).required()
+        })
+    }),
+
+    // Multipart fields sent with the proof photo, so numbers arrive as strings
+    submitDeliveryProof: Joi.object({
+        pin: Joi.string().pattern(/^\d{4}$/).messages({
+            'string.pattern.base': 'PIN must be 4 digits'
+        }),
+        lat: Joi.number().min(-90).max(90).required(),
+        lng: Joi.number().min(-180).max(180).required(),
+        accuracy: Joi.number().min(0)
+    }),
+
+    declineDeliveryOffer: Joi.object({
+        reason: Joi.string().valid('too_far', 'low_fee', 'busy', 'vehicle_unsuitable', 'ending_shift', 'other').required().messages({
+            'any.only': 'Reason must be one of: too_far, low_fee, busy, vehicle_unsuitable, ending_shift, other',
+            'any.required': 'A decline reason is required'
+        }),
+        note: Joi.string().max(300).allow('').when('reason', {
+            is: 'other',
+            then: Joi.required()
+        })
+    }),
+
+    // Zone schemas (ring closure and positions are checked by the Zone model)
+    createZone: Joi.object({
+        name: Joi.string().trim().max(100).required(),
+        displayName: Joi.object({
+            en: Joi.string().trim().max(100).required(),
+            tr: Joi.string().trim().max(100).required()
+        }).required(),
+        boundary: Joi.object({
+            type: Joi.string().valid('Polygon', 'MultiPolygon').required(),
+            coordinates: Joi.array().min(1).required()
+        }).required(),
+        center: Joi.object({
+            lat: Joi.number().min(-90).max(90).required(),
+            lng: Joi.number().min(-180).max(180).required()
+        }),
+        isActive: Joi.boolean(),
+        sortOrder: Joi.number().integer()
+    }),
+
+    updateZone: Joi.object({
+        displayName: Joi.object({
+            en: Joi.string().trim().max(100),
+            tr: Joi.string().trim().max(100)
+        }),
+        boundary: Joi.object({
+            type: Joi.string().valid('Polygon', 'MultiPolygon').required(),
+            coordinates: Joi.array().min(1).required()
+        }),
+        center: Joi.object({
+            lat: Joi.number().min(-90).max(90).required(),
+            lng: Joi.number().min(-180).max(180).required()
+        }),
+        isActive: Joi.boolean(),
+        sortOrder: Joi.number().integer()
+    }).min(1),
+
+    // Merchant schemas (admin side)
+    createMerchant: Joi.object({
+        name: Joi.string().trim().max(100).required(),
+        contactName: Joi.string().trim().max(50).allow(''),
+        email: Joi.string().email().required(),
+        phone: Joi.string().pattern(/^[\+]?[1-9][\d]{0,15}$/).allow(''),
+        pickupLocation: Joi.string().min(5).max(200).required(),
+        pickupLocationDescription: Joi.string().max(500).allow(''),
+        pickupCoordinates: Joi.object({
+            lat: Joi.number().min(-90).max(90).required(),
+            lng: Joi.number().min(-180).max(180).required()
+        }),
+        notes: Joi.string().max(500).allow('')
+    }),
+
+    updateMerchant: Joi.object({
+        name: Joi.string().trim().max(100),
+        contactName: Joi.string().trim().max(50).allow(''),
+        email: Joi.string().email(),
+        phone: Joi.string().pattern(/^[\+]?[1-9][\d]{0,15}$/).allow(''),
+        pickupLocation: Joi.string().min(5).max(200),
+        pickupLocationDescription: Joi.string().max(500).allow(''),
+        pickupCoordinates: Joi.object({
+            lat: Joi.number().min(-90).max(90).required(),
+            lng: Joi.number().min(-180).max(180).required()
+        }).allow(null),
+        isActive: Joi.boolean(),
+        notes: Joi.string().max(500).allow('')
+    }).min(1),
+
+    createMerchantApiKey: Joi.object({
+        name: Joi.string().trim().max(100).required(),
+        scopes: Joi.array().items(Joi.string().valid(...Merchant.SCOPES)).min(1).unique(),
+        rateLimit: Joi.number().integer().min(1).max(1000)
+    }),
+
+    merchantQuery: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        isActive: Joi.boolean(),
+        search: Joi.string().trim().max(100)
+    }),
+
+    merchantStatsQuery: Joi.object({
+        startDate: Joi.date(),
+        endDate: Joi.date().min(Joi.ref('startDate'))
+    }),
+
+    // Merchant API schemas. Merchant orders are priced by the pricing rules and broadcast
+    // with the default settings, so fee, assignment and dispatch fields are not accepted.
+    merchantCreateDelivery: Joi.object({
+        merchantReference: Joi.string().trim().max(100),
+        // Omit the pickup fields to collect from the merchant's own pickup point
+        pickupLocation: Joi.string().min(5).max(200),
+        pickupLocationDescription: Joi.string().max(500),
+        pickupLocationLink: Joi.string().uri().messages({
+            'string.uri': 'Pickup location must be a valid Google Maps link'
+        }),
+        pickupCoordinates: Joi.object({
+            lat: Joi.number().min(-90).max(90).required(),
+            lng: Joi.number().min(-180).max(180).required()
+        }),
+        deliveryLocation: Joi.string().min(5).max(200).when('stops', {
+            is: Joi.exist(),
+            then: Joi.optional(),
+            otherwise: Joi.required()
+        }).messages({
+            'any.required': 'Delivery location is required'
+        }),
+        deliveryLocationDescription: Joi.string().max(500),
+        deliveryLocationLink: Joi.string().uri().messages({
+            'string.uri': 'Delivery location must be a valid Google Maps link'
+        }),
+        deliveryCoordinates: Joi.object({
+            lat: Joi.number().min(-90).max(90).required(),
+            lng: Joi.number().min(-180).max(180).required()
+        }),
+        stops: Joi.array().items(deliveryStopSchema).min(2).max(10),
+        scheduledFor: Joi.date().min('now').messages({
+            'date.min': 'Scheduled time cannot be in the past'
+        }),
+        customerName: Joi.string().max(50).allow(''),
+        customerPhone: Joi.string().pattern(/^[\+]?[1-9][\d]{0,15}$/).allow(''),
+        paymentMethod: Joi.string().valid('cash', 'pos', 'naira_transfer', 'isbank_transfer', 'crypto_transfer'),
+        estimatedTime: Joi.date().min('now').required().messages({
+            'date.min': 'Estimated time cannot be in the past',
+            'any.required': 'Estimated delivery time is required'
+        }),
         notes: Joi.string().max(500).allow(''),
-        deliveryProof: Joi.string().uri().allow(''), // URL to proof image
-        rating: Joi.number().min(1).max(5),
-        feedback: Joi.string().max(1000).allow('')
+        priority: Joi.string().valid('low', 'normal', 'high', 'urgent'),
+        package: packageSchema
+    }),
+
+    merchantCancelDelivery: Joi.object({
+        reasonCode: Joi.string().valid(...CancellationPolicy.REASONS),
+        notes: Joi.string().max(500).allow('')
+    }),
+
+    merchantDeliveryQuery: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        status: Joi.string().valid('pending', 'broadcasting', 'accepted', 'picked_up', 'in_transit', 'delivered', 'cancelled', 'failed', 'returning', 'returned'),
+        merchantReference: Joi.string().trim().max(100),
+        startDate: Joi.date(),
+        endDate: Joi.date().min(Joi.ref('startDate'))
+    }),
+
+    // Webhook schemas (merchant is admin only: the merchant whose deliveries the endpoint receives)
+    createWebhookEndpoint: Joi.object({
+        url: Joi.string().uri({ scheme: ['https'] }).max(500).required(),
+        description: Joi.string().trim().max(200).allow(''),
+        events: Joi.array().items(Joi.string().valid(...WebhookEndpoint.EVENTS)).min(1).unique().required(),
+        isActive: Joi.boolean(),
+        merchant: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null).when('$userType', {
+            is: 'merchant',
+            then: Joi.forbidden()
+        })
+    }),
+
+    updateWebhookEndpoint: Joi.object({
+        url: Joi.string().uri({ scheme: ['https'] }).max(500),
+        description: Joi.string().trim().max(200).allow(''),
+        events: Joi.array().items(Joi.string().valid(...WebhookEndpoint.EVENTS)).min(1).unique(),
+        isActive: Joi.boolean()
+    }).min(1),
+
+    webhookEventQuery: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        status: Joi.string().valid(...WebhookEvent.STATUSES),
+        event: Joi.string().valid(...WebhookEndpoint.EVENTS),
+        endpoint: Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
+    }),
+
+    smsMessageQuery: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        status: Joi.string().valid(...SmsMessage.STATUSES),
+        recipientType: Joi.string().valid(...SmsMessage.RECIPIENT_TYPES),
+        template: Joi.string().trim().max(50),
+        to: Joi.string().trim().max(20),
+        delivery: Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
+    }),
+
+    submitCustomerRating: Joi.object({
+        rating: Joi.number().integer().min(1).max(5).required(),
+        tags: Joi.array().items(Joi.string().valid(...CustomerRating.TAGS)).max(CustomerRating.TAGS.length),
+        comment: Joi.string().trim().max(1000).allow('')
+    }),
+
+    moderateCustomerRating: Joi.object({
+        status: Joi.string().valid(...CustomerRating.STATUSES).required(),
+        note: Joi.string().trim().max(500).allow('')
+    }),
+
+    customerRatingQuery: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        driver: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+        status: Joi.string().valid(...CustomerRating.STATUSES),
+        rating: Joi.number().integer().min(1).max(5),
+        tag: Joi.string().valid(...CustomerRating.TAGS),
+        startDate: Joi.date().iso(),
+        endDate: Joi.date().iso()
+    }),
+
+    createCase: Joi.object({
+        category: Joi.string().valid(...Case.CATEGORIES).required(),
+        subject: Joi.string().trim().max(200).required(),
+        description: Joi.string().trim().max(5000).allow(''),
+        priority: Joi.string().valid(...Case.PRIORITIES),
+        reporter: Joi.object({
+            type: Joi.string().valid(...Case.REPORTER_TYPES).required(),
+            name: Joi.string().trim().max(100),
+            contact: Joi.string().trim().max(100)
+        }),
+        delivery: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+        driver: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+        remittance: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+        assignedTo: Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
+    }),
+
+    updateCase: Joi.object({
+        category: Joi.string().valid(...Case.CATEGORIES),
+        subject: Joi.string().trim().max(200),
+        description: Joi.string().trim().max(5000).allow(''),
+        priority: Joi.string().valid(...Case.PRIORITIES),
+        // resolved is set by POST /cases/:id/resolve
+        status: Joi.string().valid('open', 'in_progress', 'waiting', 'closed'),
+        delivery: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null),
+        driver: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null),
+        remittance: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null)
+    }).min(1),
+
+    assignCase: Joi.object({
+        adminId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).allow(null).required()
+    }),
+
+    addCaseNote: Joi.object({
+        body: Joi.string().trim().max(2000).required()
+    }),
+
+    resolveCase: Joi.object({
+        outcome: Joi.string().valid(...Case.OUTCOMES).required(),
+        summary: Joi.string().trim().max(1000).required(),
+        amount: Joi.number().min(0).when('outcome', {
+            is: Joi.valid('refund', 'penalty'),
+            otherwise: Joi.forbidden()
+        }),
+        recordViolation: Joi.boolean().when('outcome', {
+            is: 'no_action',
+            then: Joi.valid(false)
+        }),
+        violationType: Joi.string().valid('late_delivery', 'customer_complaint', 'policy_violation', 'other'),
+        violationSeverity: Joi.string().valid('low', 'medium', 'high')
+    }),
+
+    caseQuery: Joi.object({
+        page: Joi.number().integer().min(1).default(1),
+        limit: Joi.number().integer().min(1).max(100).default(20),
+        status: Joi.string().valid(...Case.STATUSES),
+        category: Joi.string().valid(...Case.CATEGORIES),
+        priority: Joi.string().valid(...Case.PRIORITIES),
+        assignedTo: Joi.alternatives().try(Joi.string().pattern(/^[0-9a-fA-F]{24}$/), Joi.string().valid('none')),
+        driver: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+        delivery: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+        remittance: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+        breached: Joi.boolean(),
+        search: Joi.string().trim().max(100)
+    }),
+
+    createDriverCase: Joi.object({
+        category: Joi.string().valid(...Case.DRIVER_CATEGORIES).required(),
+        subject: Joi.string().trim().max(200).required(),
+        description: Joi.string().trim().max(5000).required(),
+        delivery: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+        remittance: Joi.string().pattern(/^[0-9a-fA-F]{24}$/)
     }),
 
     broadcastQuery: Joi.object({
@@ -781,7 +1316,7 @@ const schemas = {
     driverDeliveryQuery: Joi.object({
         page: Joi.number().integer().min(1).default(1),
         limit: Joi.number().integer().min(1).max(100).default(10),
-        status: Joi.string().valid('pending', 'broadcasting', 'accepted', 'picked_up', 'in_transit', 'delivered', 'cancelled', 'failed')
+        status: Joi.string().valid('pending', 'broadcasting', 'accepted', 'picked_up', 'in_transit', 'delivered', 'cancelled', 'failed', 'returning', 'returned')
     }),
 
     // Notification schemas
@@ -902,9 +1437,24 @@ const paramSchemas = {
         })
     }),
 
+    apiKeyId: Joi.object({
+        id: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+            'string.pattern.base': 'Invalid ID format'
+        }),
+        keyId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+            'string.pattern.base': 'Invalid API key ID format'
+        })
+    }),
+
     deliveryCode: Joi.object({
-        deliveryCode: Joi.string().pattern(/^GRP-\d{6}$/).required().messages({
-            'string.pattern.base': 'Invalid delivery code format (expected: GRP-123456)'
+        deliveryCode: Joi.string().pattern(/^GRP-\d{6,12}$/).required().messages({
+            'string.pattern.base': 'Invalid delivery code format (expected: GRP-123456789012)'
+        })
+    }),
+
+    ratingToken: Joi.object({
+        token: Joi.string().pattern(/^[0-9a-fA-F]{24}\.\d+\.[\w-]+$/).required().messages({
+            'string.pattern.base': 'Invalid rating link'
         })
     })
 };
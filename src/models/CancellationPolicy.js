@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// Who a cancellation is attributed to. Admins cancel on behalf of customers as `customer`.
+const CANCELLATION_PARTIES = ['admin', 'driver', 'customer', 'merchant', 'system'];
+
+// Delivery status when it was cancelled; an open broadcast is recorded as `broadcasting`
+const CANCELLATION_STAGES = ['pending', 'broadcasting', 'accepted', 'picked_up', 'in_transit', 'failed'];
+
+const CANCELLATION_REASONS = [
+    'customer_request',
+    'customer_unreachable',
+    'wrong_address',
+    'package_not_ready',
+    'payment_issue',
+    'duplicate_order',
+    'no_driver_available',
+    'vehicle_issue',
+    'safety_concern',
+    'driver_unavailable',
+    'scheduled_cancelled',
+    'other'
+];
+
+// A fee or compensation: a fixed amount, or a percentage of the delivery fee
+const chargeSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['fixed', 'percentage'],
+        default: 'fixed'
+    },
+    amount: {
+        type: Number,
+        min: 0,
+        default: 0
+    }
+}, { _id: false });
+
+// Rules are checked in order and the first match applies. Empty lists match anything.
+const cancellationRuleSchema = new mongoose.Schema({
+    description: {
+        type: String,
+        trim: true
+    },
+    cancelledBy: [{
+        type: String,
+        enum: CANCELLATION_PARTIES
+    }],
+    stages: [{
+        type: String,
+        enum: CANCELLATION_STAGES
+    }],
+    reasonCodes: [{
+        type: String,
+        enum: CANCELLATION_REASONS
+    }],
+    // Charged to the customer and collected like the delivery fee
+    fee: {
+        type: chargeSchema,
+        default: () => ({})
+    },
+    // Paid to the assigned driver for a wasted trip
+    driverCompensation: {
+        type: chargeSchema,
+        default: () => ({})
+    },
+    // Whether the cancellation lowers the assigned driver's reliability score
+    countsAgainstDriver: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+const cancellationPolicySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        default: 'Default Cancellation Policy'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    rules: [cancellationRuleSchema],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    effectiveDate: {
+        type: Date,
+        default: Date.now
+    },
+    notes: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+cancellationPolicySchema.index({ isActive: 1 });
+
+cancellationPolicySchema.statics.PARTIES = CANCELLATION_PARTIES;
+cancellationPolicySchema.statics.STAGES = CANCELLATION_STAGES;
+cancellationPolicySchema.statics.REASONS = CANCELLATION_REASONS;
+
+// Static method to get active policy
+cancellationPolicySchema.statics.getActiveConfig = function () {
+    return this.findOne({ isActive: true }).sort({ effectiveDate: -1 });
+};
+
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema);
@@ -0,0 +1,222 @@
+const mongoose = require('mongoose');
+
+const CASE_CATEGORIES = [
+    'missing_item',
+    'damaged_item',
+    'late_delivery',
+    'driver_conduct',
+    'customer_conduct',
+    'earnings_dispute',
+    'remittance_dispute',
+    'payment_issue',
+    'other'
+];
+
+// Categories a driver can open a case in from the driver app
+const DRIVER_CATEGORIES = ['earnings_dispute', 'remittance_dispute', 'customer_conduct', 'other'];
+
+const CASE_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+// open: waiting for an admin; in_progress: being worked on; waiting: waiting for the reporter
+// or a third party; resolved: has an outcome; closed: nothing more to do
+const CASE_STATUSES = ['open', 'in_progress', 'waiting', 'resolved', 'closed'];
+
+const CASE_OUTCOMES = ['refund', 'penalty', 'warning', 'no_action'];
+
+const REPORTER_TYPES = ['customer', 'driver', 'merchant', 'admin'];
+
+// An internal note; never shown to the reporter
+const noteSchema = new mongoose.Schema({
+    body: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [2000, 'Note cannot exceed 2000 characters']
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        required: true
+    }
+}, { timestamps: true });
+
+const attachmentSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true
+    },
+    publicId: String,
+    name: String,
+    uploadedBy: {
+        id: mongoose.Schema.Types.ObjectId,
+        userType: {
+            type: String,
+            enum: ['admin', 'driver']
+        }
+    }
+}, { timestamps: true });
+
+// A complaint or dispute, e.g. a missing item reported by a customer or a driver disputing
+// an earnings deduction, linked to the delivery, driver and remittance it is about
+const caseSchema = new mongoose.Schema({
+    caseNumber: {
+        type: String,
+        unique: true
+    },
+    category: {
+        type: String,
+        enum: CASE_CATEGORIES,
+        required: [true, 'Category is required']
+    },
+    subject: {
+        type: String,
+        required: [true, 'Subject is required'],
+        trim: true,
+        maxlength: [200, 'Subject cannot exceed 200 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [5000, 'Description cannot exceed 5000 characters']
+    },
+    priority: {
+        type: String,
+        enum: CASE_PRIORITIES,
+        default: 'normal'
+    },
+    status: {
+        type: String,
+        enum: CASE_STATUSES,
+        default: 'open'
+    },
+    // Who raised it. Customers and merchants report through an admin, so only name and contact are kept.
+    reporter: {
+        type: {
+            type: String,
+            enum: REPORTER_TYPES,
+            required: true
+        },
+        id: mongoose.Schema.Types.ObjectId,
+        name: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Reporter name cannot exceed 100 characters']
+        },
+        contact: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Reporter contact cannot exceed 100 characters']
+        }
+    },
+    delivery: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Delivery',
+        default: null
+    },
+    driver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver',
+        default: null
+    },
+    remittance: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Remittance',
+        default: null
+    },
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    },
+    assignedAt: {
+        type: Date,
+        default: null
+    },
+    // Deadlines set from the priority when the case is opened
+    sla: {
+        responseDueAt: Date,
+        resolutionDueAt: Date,
+        // First admin action: assignment, note or status change
+        respondedAt: {
+            type: Date,
+            default: null
+        },
+        responseBreachedAt: {
+            type: Date,
+            default: null
+        },
+        resolutionBreachedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    notes: [noteSchema],
+    attachments: [attachmentSchema],
+    resolution: {
+        outcome: {
+            type: String,
+            enum: [...CASE_OUTCOMES, null],
+            default: null
+        },
+        // Refunded to the customer or charged to the driver; recorded for finance, not applied
+        amount: {
+            type: Number,
+            min: 0
+        },
+        summary: {
+            type: String,
+            trim: true,
+            maxlength: [1000, 'Resolution summary cannot exceed 1000 characters']
+        },
+        // The entry written to the driver's violations, if any
+        violationId: mongoose.Schema.Types.ObjectId,
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin'
+        },
+        resolvedAt: Date
+    },
+    closedAt: {
+        type: Date,
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+caseSchema.index({ status: 1, priority: 1, createdAt: -1 });
+caseSchema.index({ assignedTo: 1, status: 1 });
+caseSchema.index({ driver: 1, createdAt: -1 });
+caseSchema.index({ delivery: 1 });
+caseSchema.index({ remittance: 1 });
+caseSchema.index({ 'reporter.type': 1, 'reporter.id': 1 });
+caseSchema.index({ status: 1, 'sla.responseDueAt': 1 });
+caseSchema.index({ status: 1, 'sla.resolutionDueAt': 1 });
+
+// Generate the case number
+caseSchema.pre('save', function (next) {
+    if (!this.caseNumber) {
+        const timestamp = Date.now().toString().slice(-6);
+        const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+        this.caseNumber = `CASE-${timestamp}${random}`;
+    }
+    next();
+});
+
+caseSchema.virtual('isOpen').get(function () {
+    return !['resolved', 'closed'].includes(this.status);
+});
+
+caseSchema.statics.CATEGORIES = CASE_CATEGORIES;
+caseSchema.statics.DRIVER_CATEGORIES = DRIVER_CATEGORIES;
+caseSchema.statics.PRIORITIES = CASE_PRIORITIES;
+caseSchema.statics.STATUSES = CASE_STATUSES;
+caseSchema.statics.OUTCOMES = CASE_OUTCOMES;
+caseSchema.statics.REPORTER_TYPES = REPORTER_TYPES;
+
+module.exports = mongoose.model('Case', caseSchema);
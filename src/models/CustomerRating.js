@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// Quick feedback the customer can pick in addition to the stars
+const RATING_TAGS = [
+    'on_time',
+    'friendly',
+    'careful_handling',
+    'good_communication',
+    'late',
+    'rude',
+    'damaged_package',
+    'wrong_location'
+];
+
+// published: counts towards the driver's satisfaction score; hidden: removed by a moderator
+const RATING_STATUSES = ['published', 'hidden'];
+
+// A customer's rating of a delivered delivery, submitted through the rating link.
+// One per delivery: the link stops working once it has been used.
+const customerRatingSchema = new mongoose.Schema({
+    delivery: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Delivery',
+        required: true,
+        unique: true
+    },
+    driver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver',
+        required: true
+    },
+    rating: {
+        type: Number,
+        required: [true, 'Rating is required'],
+        min: 1,
+        max: 5
+    },
+    tags: {
+        type: [{ type: String, enum: RATING_TAGS }],
+        default: []
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Comment cannot exceed 1000 characters'],
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: RATING_STATUSES,
+        default: 'published'
+    },
+    moderation: {
+        note: {
+            type: String,
+            trim: true,
+            maxlength: [500, 'Moderation note cannot exceed 500 characters']
+        },
+        moderatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin'
+        },
+        moderatedAt: Date
+    }
+}, {
+    timestamps: true
+});
+
+customerRatingSchema.index({ driver: 1, status: 1, createdAt: -1 });
+customerRatingSchema.index({ status: 1, createdAt: -1 });
+
+customerRatingSchema.statics.TAGS = RATING_TAGS;
+customerRatingSchema.statics.STATUSES = RATING_STATUSES;
+
+module.exports = mongoose.model('CustomerRating', customerRatingSchema);
@@ -1,4 +1,319 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const DeliveryStatusService = require('../services/deliveryStatusService');
+const { AppError } = require('../middleware/errorHandler');
+const Zone = require('./Zone');
+const CancellationPolicy = require('./CancellationPolicy');
+
+const generateRecipientPin = () => crypto.randomInt(0, 10000).toString().padStart(4, '0');
+
+// {lat, lng} -> GeoJSON Point ([lng, lat]); undefined when either coordinate is missing
+const toGeoPoint = coords => (coords && coords.lat != null && coords.lng != null
+    ? { type: 'Point', coordinates: [coords.lng, coords.lat] }
+    : undefined);
+
+// admin: created in the admin panel; import: bulk file import; merchant_api: a merchant's API key
+const DELIVERY_SOURCES = ['admin', 'import', 'merchant_api'];
+
+const DELIVERY_STATUSES = ['pending', 'broadcasting', 'accepted', 'picked_up', 'in_transit', 'delivered', 'cancelled', 'failed', 'returning', 'returned'];
+
+// Who cancelled, why, at what stage, and what the cancellation policy charged
+const cancellationSchema = new mongoose.Schema({
+    cancelledBy: {
+        type: String,
+        enum: CancellationPolicy.PARTIES,
+        required: true
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId // admin, driver or merchant who recorded it
+    },
+    reasonCode: {
+        type: String,
+        enum: CancellationPolicy.REASONS,
+        required: true
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    stage: {
+        type: String,
+        enum: CancellationPolicy.STAGES,
+        required: true
+    },
+    // Driver assigned when it was cancelled
+    driver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver',
+        default: null
+    },
+    fee: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    driverCompensation: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // The driver took the fee from the customer in cash; otherwise the company bills it
+    feeCollected: {
+        type: Boolean,
+        default: false
+    },
+    countsAgainstDriver: {
+        type: Boolean,
+        default: false
+    },
+    policy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CancellationPolicy',
+        default: null // null when the built-in default rules applied
+    },
+    rule: {
+        type: String // description of the policy rule that matched
+    }
+}, { _id: false });
+
+const proofOfDeliverySchema = new mongoose.Schema({
+    pinVerified: {
+        type: Boolean,
+        default: false
+    },
+    pinVerifiedAt: {
+        type: Date
+    },
+    failedPinAttempts: {
+        type: Number,
+        default: 0
+    },
+    photoUrl: {
+        type: String
+    },
+    photoPublicId: {
+        type: String
+    },
+    location: {
+        lat: Number,
+        lng: Number,
+        accuracy: Number // meters, as reported by the device
+    },
+    distanceFromDropoff: {
+        type: Number // km between the submitted GPS fix and the drop-off coordinates
+    },
+    submittedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver'
+    },
+    completedAt: {
+        type: Date
+    },
+    // Set when an admin marks the delivery delivered without driver proof
+    overriddenBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    overriddenAt: {
+        type: Date
+    },
+    // Every submission, successful or not, for auditing
+    attempts: [{
+        submittedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Driver'
+        },
+        submittedAt: {
+            type: Date,
+            default: Date.now
+        },
+        pinProvided: Boolean,
+        pinCorrect: Boolean,
+        photoUrl: String,
+        location: {
+            lat: Number,
+            lng: Number,
+            accuracy: Number
+        },
+        distanceFromDropoff: Number,
+        accepted: Boolean
+    }]
+}, { _id: false });
+
+const FAILED_ATTEMPT_REASONS = ['customer_unreachable', 'wrong_address', 'refused', 'other'];
+
+// A drop-off the driver could not complete, with their evidence and the admin's decision
+const failedAttemptSchema = new mongoose.Schema({
+    attemptNumber: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    driver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver'
+    },
+    reason: {
+        type: String,
+        enum: FAILED_ATTEMPT_REASONS,
+        required: true
+    },
+    notes: {
+        type: String,
+        maxlength: [500, 'Notes cannot exceed 500 characters'],
+        trim: true
+    },
+    photoUrl: {
+        type: String
+    },
+    photoPublicId: {
+        type: String
+    },
+    location: {
+        lat: Number,
+        lng: Number,
+        accuracy: Number
+    },
+    distanceFromDropoff: {
+        type: Number // km between the reported GPS fix and the drop-off coordinates
+    },
+    reportedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Admin decision: try again with the same driver or bring the package back. Another
+    // driver can only take over once it is back at pickup (see Delivery.redispatch).
+    // `broadcast` and `reassign` dispatch only appear on attempts resolved by earlier versions.
+    resolution: {
+        type: String,
+        enum: ['reattempt', 'return', null],
+        default: null
+    },
+    dispatch: {
+        type: String,
+        enum: ['same_driver', 'broadcast', 'reassign', null],
+        default: null
+    },
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    resolvedAt: {
+        type: Date
+    },
+    resolutionNotes: {
+        type: String,
+        trim: true
+    }
+});
+
+const PACKAGE_SIZES = ['small', 'medium', 'large', 'extra_large'];
+
+// Why a nearby driver was left out of dispatch (see DispatchEligibilityService)
+const INELIGIBILITY_REASONS = [
+    'pickup_too_far',
+    'trip_too_long',
+    'package_size',
+    'too_heavy',
+    'priority',
+    'at_capacity'
+];
+
+// A broadcast attempt on which no driver was eligible, with how many were ruled out for each reason
+// (no reasons when there was no driver nearby at all)
+const noEligibleDriversSchema = new mongoose.Schema({
+    attempt: Number,
+    checkedAt: {
+        type: Date,
+        default: Date.now
+    },
+    radius: Number, // km
+    candidates: Number, // nearby drivers considered
+    reasons: [{
+        _id: false,
+        reason: {
+            type: String,
+            enum: INELIGIBILITY_REASONS
+        },
+        count: Number
+    }]
+}, { _id: false });
+
+// Maximum drop-offs on a multi-stop delivery
+const MAX_STOPS = 10;
+
+const STOP_STATUSES = ['pending', 'arrived', 'delivered', 'failed'];
+
+const stopSchema = new mongoose.Schema({
+    sequence: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    location: {
+        type: String,
+        required: [true, 'Stop location is required'],
+        trim: true,
+        minlength: [5, 'Stop location must be at least 5 characters long']
+    },
+    locationDescription: {
+        type: String,
+        maxlength: [500, 'Stop location description cannot exceed 500 characters'],
+        trim: true
+    },
+    coordinates: {
+        lat: {
+            type: Number,
+            min: [-90, 'Invalid latitude'],
+            max: [90, 'Invalid latitude']
+        },
+        lng: {
+            type: Number,
+            min: [-180, 'Invalid longitude'],
+            max: [180, 'Invalid longitude']
+        }
+    },
+    contactName: {
+        type: String,
+        maxlength: [50, 'Contact name cannot exceed 50 characters'],
+        trim: true
+    },
+    contactPhone: {
+        type: String,
+        match: [/^[\+]?[1-9][\d]{0,15}$/, 'Please enter a valid phone number'],
+        trim: true
+    },
+    notes: {
+        type: String,
+        maxlength: [500, 'Notes cannot exceed 500 characters'],
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: STOP_STATUSES,
+        default: 'pending'
+    },
+    arrivedAt: {
+        type: Date
+    },
+    completedAt: {
+        type: Date
+    },
+    failureReason: {
+        type: String,
+        maxlength: [500, 'Failure reason cannot exceed 500 characters'],
+        trim: true
+    },
+    // Each recipient gets their own PIN; never returned to drivers
+    recipientPin: {
+        type: String,
+        select: false
+    },
+    proof: {
+        type: proofOfDeliverySchema,
+        default: () => ({})
+    }
+});
 
 const deliverySchema = new mongoose.Schema({
     pickupLocation: {
@@ -85,11 +400,91 @@ const deliverySchema = new mongoose.Schema({
         min: [0, 'Distance cannot be negative'],
         max: [1000, 'Distance cannot exceed 1000 km']
     },
+    // What is being delivered and how it must be handled
+    package: {
+        size: {
+            type: String,
+            enum: [...PACKAGE_SIZES, null],
+            default: null
+        },
+        weight: {
+            type: Number, // kg
+            min: [0, 'Package weight cannot be negative'],
+            max: [1000, 'Package weight cannot exceed 1000 kg'],
+            default: null
+        },
+        itemCount: {
+            type: Number,
+            min: [1, 'Item count must be at least 1'],
+            max: [100, 'Item count cannot exceed 100'],
+            default: 1
+        },
+        fragile: {
+            type: Boolean,
+            default: false
+        },
+        perishable: {
+            type: Boolean,
+            default: false
+        },
+        // Cash the driver must collect from the recipient for the goods (separate from the fee)
+        collectCash: {
+            type: Boolean,
+            default: false
+        },
+        cashAmount: {
+            type: Number,
+            min: [0, 'Cash amount cannot be negative'],
+            default: 0
+        }
+    },
     status: {
         type: String,
-        enum: ['pending', 'broadcasting', 'accepted', 'picked_up', 'in_transit', 'delivered', 'cancelled', 'failed'],
+        enum: DELIVERY_STATUSES,
         default: 'pending'
     },
+    // Every status change, appended by DeliveryStatusService
+    statusHistory: [{
+        from: {
+            type: String,
+            enum: [...DELIVERY_STATUSES, null]
+        },
+        to: {
+            type: String,
+            enum: DELIVERY_STATUSES,
+            required: true
+        },
+        changedAt: {
+            type: Date,
+            default: Date.now
+        },
+        actor: {
+            type: mongoose.Schema.Types.ObjectId
+        },
+        actorType: {
+            type: String,
+            enum: ['admin', 'driver', 'merchant', 'system'],
+            default: 'system'
+        },
+        actorName: {
+            type: String
+        },
+        location: {
+            lat: Number,
+            lng: Number
+        },
+        reason: {
+            type: String,
+            maxlength: [500, 'Reason cannot exceed 500 characters']
+        }
+    }],
+    // Scheduling: when the customer wants the order, and when its broadcast may start
+    scheduledFor: {
+        type: Date
+    },
+    broadcastAt: {
+        type: Date
+    },
     // Automatic broadcast fields
     broadcastStatus: {
         type: String,
@@ -125,6 +520,40 @@ const deliverySchema = new mongoose.Schema({
         min: [1, 'Max broadcast attempts must be at least 1'],
         max: [5, 'Max broadcast attempts cannot exceed 5']
     },
+    // broadcast: offered to all nearby drivers at once; sequential: one ranked driver at a time.
+    // Unset falls back to SystemSettings.delivery.dispatchMode when the broadcast starts.
+    dispatchMode: {
+        type: String,
+        enum: ['broadcast', 'sequential']
+    },
+    // Ranked candidates for sequential dispatch (rebuilt on every broadcast attempt)
+    dispatchQueue: [{
+        _id: false,
+        driver: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Driver',
+            required: true
+        },
+        rank: Number,
+        score: Number,
+        distance: Number, // km, null when the driver position is unknown
+        activeDeliveries: Number,
+        status: {
+            type: String,
+            enum: ['queued', 'offered', 'accepted', 'declined', 'timed_out', 'skipped'],
+            default: 'queued'
+        },
+        offeredAt: Date,
+        respondedAt: Date
+    }],
+    // Broadcast attempts that found no eligible driver
+    noEligibleDrivers: [noEligibleDriversSchema],
+    // Driver holding the current sequential offer (it expires at broadcastEndTime)
+    offeredTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver',
+        default: null
+    },
     // Driver assignment
     assignedTo: {
         type: mongoose.Schema.Types.ObjectId,
@@ -161,6 +590,158 @@ const deliverySchema = new mongoose.Schema({
             max: [180, 'Invalid longitude']
         }
     },
+    // GeoJSON copies of the coordinates above for 2dsphere queries, kept in sync on save
+    pickupPoint: {
+        type: {
+            type: String,
+            enum: ['Point']
+        },
+        coordinates: {
+            type: [Number],
+            default: undefined
+        }
+    },
+    deliveryPoint: {
+        type: {
+            type: String,
+            enum: ['Point']
+        },
+        coordinates: {
+            type: [Number],
+            default: undefined
+        }
+    },
+    // Zones containing the pickup and drop-off, assigned on save (null outside every active zone)
+    pickupZone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Zone',
+        default: null
+    },
+    deliveryZone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Zone',
+        default: null
+    },
+    // Proof of delivery
+    // One-time PIN the customer gives the driver at handover; never returned to drivers
+    recipientPin: {
+        type: String,
+        select: false
+    },
+    proofOfDelivery: {
+        type: proofOfDeliverySchema,
+        default: () => ({})
+    },
+    // Multi-stop deliveries: ordered drop-offs after the single pickup.
+    // Empty for ordinary single drop-off deliveries.
+    stops: {
+        type: [stopSchema],
+        validate: {
+            validator: stops => stops.length <= MAX_STOPS,
+            message: `A delivery cannot have more than ${MAX_STOPS} stops`
+        }
+    },
+    extraStopsFee: {
+        type: Number,
+        min: [0, 'Extra stops fee cannot be negative'],
+        default: 0
+    },
+    // Failed drop-off attempts, oldest first
+    failedAttempts: [failedAttemptSchema],
+    // Charged for each reattempt after a failed attempt; included in `fee`
+    reattemptsFee: {
+        type: Number,
+        min: [0, 'Reattempts fee cannot be negative'],
+        default: 0
+    },
+    // Charged instead of `fee` when the package is returned to pickup
+    returnFee: {
+        type: Number,
+        min: [0, 'Return fee cannot be negative'],
+        default: 0
+    },
+    // Sent out again as a new delivery after it was returned to pickup
+    redispatch: {
+        delivery: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Delivery',
+            default: null
+        },
+        dispatch: {
+            type: String,
+            enum: ['rebroadcast', 'reassign', null],
+            default: null
+        },
+        redispatchedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin'
+        },
+        redispatchedAt: {
+            type: Date
+        },
+        notes: {
+            type: String,
+            trim: true
+        }
+    },
+    // The returned delivery this one sends out again
+    redispatchOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Delivery',
+        default: null
+    },
+    // How the fee was set: quoted by the pricing engine (with the rule version used) or typed in
+    pricing: {
+        source: {
+            type: String,
+            enum: ['quote', 'manual'],
+            default: 'manual'
+        },
+        config: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PricingConfig',
+            default: null // null when priced with the built-in defaults
+        },
+        version: {
+            type: Number
+        },
+        quotedFee: {
+            type: Number
+        },
+        distanceKm: {
+            type: Number
+        },
+        breakdown: {
+            type: mongoose.Schema.Types.Mixed
+        },
+        quotedAt: {
+            type: Date
+        }
+    },
+    // Surge in the pickup zone when the delivery was created. customerSurcharge is included in
+    // `fee`; driverBonus is paid on top of the driver's earnings.
+    surge: {
+        multiplier: {
+            type: Number,
+            min: 1,
+            default: 1
+        },
+        zone: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Zone',
+            default: null
+        },
+        customerSurcharge: {
+            type: Number,
+            min: 0,
+            default: 0
+        },
+        driverBonus: {
+            type: Number,
+            min: 0,
+            default: 0
+        }
+    },
     // Remittance tracking
     remittanceStatus: {
         type: String,
@@ -189,24 +770,67 @@ const deliverySchema = new mongoose.Schema({
     cancelledAt: {
         type: Date
     },
-    // Created by
+    cancellation: {
+        type: cancellationSchema,
+        default: null
+    },
+    failedAt: {
+        type: Date
+    },
+    returnedAt: {
+        type: Date
+    },
+    // Created by an admin, or by a merchant through the merchant API
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'Admin',
+        refPath: 'createdByModel',
         required: true
+    },
+    createdByModel: {
+        type: String,
+        enum: ['Admin', 'Merchant'],
+        default: 'Admin'
+    },
+    // Where the order came from, for analytics and billing
+    source: {
+        type: String,
+        enum: DELIVERY_SOURCES,
+        default: 'admin'
+    },
+    // Merchant the order belongs to, and the merchant's own order reference
+    merchant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Merchant',
+        default: null
+    },
+    merchantReference: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Merchant reference cannot exceed 100 characters']
     }
 }, {
-    timestamps: true
+    timestamps: true,
+    toJSON: { virtuals: true }
+});
+
+// Per-stop progress for driver and admin views
+deliverySchema.virtual('stopProgress').get(function () {
+    return this.getStopProgress();
 });
 
 // Indexes for better query performance
 deliverySchema.index({ status: 1, broadcastStatus: 1 });
 deliverySchema.index({ assignedTo: 1, status: 1 });
 deliverySchema.index({ broadcastStatus: 1, broadcastEndTime: 1 });
-deliverySchema.index({ pickupCoordinates: '2dsphere' });
-deliverySchema.index({ deliveryCoordinates: '2dsphere' });
+deliverySchema.index({ broadcastStatus: 1, broadcastAt: 1 });
+deliverySchema.index({ pickupPoint: '2dsphere' });
+deliverySchema.index({ deliveryPoint: '2dsphere' });
+deliverySchema.index({ pickupZone: 1, status: 1 });
 deliverySchema.index({ createdAt: -1 });
 deliverySchema.index({ priority: 1, status: 1 });
+deliverySchema.index({ 'noEligibleDrivers.checkedAt': -1 });
+deliverySchema.index({ merchant: 1, createdAt: -1 });
+deliverySchema.index({ source: 1, createdAt: -1 });
 
 // Pre-save middleware to update updatedAt and generate delivery code
 deliverySchema.pre('save', function (next) {
@@ -219,18 +843,67 @@ deliverySchema.pre('save', function (next) {
         this.deliveryCode = `GRP-${timestamp}${random}`;
     }
 
+    // Keep the GeoJSON points in step with the {lat, lng} coordinates
+    if (this.isModified('pickupCoordinates')) {
+        this.pickupPoint = toGeoPoint(this.pickupCoordinates);
+    }
+    if (this.isModified('deliveryCoordinates')) {
+        this.deliveryPoint = toGeoPoint(this.deliveryCoordinates);
+    }
+
+    // Generate recipient PINs once, when the delivery or a stop is created
+    if (this.isNew && !this.recipientPin) {
+        this.recipientPin = generateRecipientPin();
+    }
+    this.stops.forEach(stop => {
+        if (stop.isNew && !stop.recipientPin) {
+            stop.recipientPin = generateRecipientPin();
+        }
+    });
+
     next();
 });
 
-// Static method to find deliveries ready for broadcast
+// Assign zones by point-in-polygon when the pickup or drop-off moves
+deliverySchema.pre('save', async function () {
+    const zoneOf = async point => {
+        if (!point || !point.coordinates || point.coordinates.length !== 2) return null;
+        const zone = await Zone.findByPoint(point.coordinates[1], point.coordinates[0]).select('_id');
+        return zone ? zone._id : null;
+    };
+
+    if (this.isModified('pickupPoint')) {
+        this.pickupZone = await zoneOf(this.pickupPoint);
+    }
+    if (this.isModified('deliveryPoint')) {
+        this.deliveryZone = await zoneOf(this.deliveryPoint);
+    }
+});
+
+// Static method to find deliveries ready for broadcast (unscheduled, or whose broadcast time has come)
 deliverySchema.statics.findReadyForBroadcast = function () {
     return this.find({
         status: 'pending',
         broadcastStatus: 'not_started',
-        assignedTo: null
+        assignedTo: null,
+        $or: [
+            { broadcastAt: null },
+            { broadcastAt: { $lte: new Date() } }
+        ]
     }).sort({ priority: -1, createdAt: 1 });
 };
 
+// Static method to find scheduled deliveries still waiting for their broadcast
+deliverySchema.statics.findScheduled = function () {
+    return this.find({
+        status: 'pending',
+        broadcastStatus: 'not_started',
+        assignedTo: null,
+        scheduledFor: { $ne: null },
+        broadcastAt: { $gt: new Date() }
+    }).sort({ broadcastAt: 1 });
+};
+
 // Static method to find active broadcasts
 deliverySchema.statics.findActiveBroadcasts = function () {
     return this.find({
@@ -247,14 +920,24 @@ deliverySchema.statics.findExpiredBroadcasts = function () {
     });
 };
 
-// Static method to find available deliveries for a driver
-deliverySchema.statics.findAvailableForDriver = function (driverId, location, radius = 5) {
+// Open broadcasts a driver may see: every broadcast-mode delivery, but a sequential
+// delivery only while it is offered to that driver
+deliverySchema.statics.findOpenForDriver = function (driverId) {
     return this.find({
         broadcastStatus: 'broadcasting',
         broadcastEndTime: { $gt: new Date() },
         assignedTo: null,
-        status: 'pending'
-    }).where('pickupCoordinates').near({
+        status: 'pending',
+        $or: [
+            { dispatchMode: { $ne: 'sequential' } },
+            { offeredTo: driverId }
+        ]
+    }).select('-dispatchQueue');
+};
+
+// Static method to find available deliveries for a driver
+deliverySchema.statics.findAvailableForDriver = function (driverId, location, radius = 5) {
+    return this.findOpenForDriver(driverId).where('pickupPoint').near({
         center: {
             type: 'Point',
             coordinates: [location.lng, location.lat]
@@ -273,19 +956,34 @@ deliverySchema.methods.startBroadcast = function () {
     return this.save();
 };
 
-// Instance method to accept delivery
-deliverySchema.methods.acceptDelivery = function (driverId) {
+// Instance method to accept delivery (refused when the driver is at capacity).
+// The delivery is claimed in the database first, so only one of two parallel acceptances wins.
+deliverySchema.methods.acceptDelivery = async function (driverId, location) {
+    const DriverCapacityService = require('../services/driverCapacityService');
+    DeliveryStatusService.assertTransition(this.status, 'accepted', 'driver');
+    await DriverCapacityService.claimWithinCapacity(this, driverId, {
+        status: this.status,
+        assignedTo: null,
+        broadcastStatus: 'broadcasting'
+    });
+
+    DeliveryStatusService.transition(this, 'accepted', {
+        actor: { id: driverId, type: 'driver' },
+        location,
+        reason: 'Accepted from broadcast'
+    });
     this.assignedTo = driverId;
     this.assignedAt = new Date();
     this.acceptedAt = new Date();
     this.broadcastStatus = 'accepted';
-    this.status = 'accepted';
+    this.offeredTo = null;
     return this.save();
 };
 
 // Instance method to expire broadcast
 deliverySchema.methods.expireBroadcast = function () {
     this.broadcastStatus = 'expired';
+    this.offeredTo = null;
     return this.save();
 };
 
@@ -302,13 +1000,57 @@ deliverySchema.methods.retryBroadcast = function () {
     }
 };
 
-// Instance method to manually assign
-deliverySchema.methods.manualAssign = function (driverId) {
+// Per-stop progress for multi-stop deliveries (null for single drop-off deliveries)
+deliverySchema.methods.getStopProgress = function () {
+    if (!this.stops || this.stops.length === 0) return null;
+
+    const ordered = [...this.stops].sort((a, b) => a.sequence - b.sequence);
+    const count = status => ordered.filter(stop => stop.status === status).length;
+    const nextStop = ordered.find(stop => ['pending', 'arrived'].includes(stop.status));
+
+    return {
+        total: ordered.length,
+        delivered: count('delivered'),
+        failed: count('failed'),
+        remaining: count('pending') + count('arrived'),
+        currentStop: nextStop ? nextStop.sequence : null,
+        completed: !nextStop
+    };
+};
+
+// Instance method to manually assign (actor is the admin making the assignment).
+// Refused when the driver is at capacity, even against a parallel assignment.
+deliverySchema.methods.manualAssign = async function (driverId, actor) {
+    // After a failed attempt the package is still with that attempt's driver
+    const failedAttempt = this.status === 'failed' && this.failedAttempts[this.failedAttempts.length - 1];
+    if (failedAttempt && failedAttempt.driver && failedAttempt.driver.toString() !== driverId.toString()) {
+        throw new AppError('The package is still with the driver who made the failed attempt. Return it to pickup to hand it to another driver', 400);
+    }
+
+    // Claimed in the database first, against the status and driver this change was made from
+    const DriverCapacityService = require('../services/driverCapacityService');
+    const assignedBy = actor || { type: 'admin' };
+    DeliveryStatusService.assertTransition(this.status, 'accepted', assignedBy.type || 'system');
+    await DriverCapacityService.claimWithinCapacity(this, driverId, {
+        status: this.status,
+        assignedTo: this.assignedTo || null
+    });
+
+    const reassigned = this.assignedTo && this.assignedTo.toString() !== driverId.toString();
+    DeliveryStatusService.transition(this, 'accepted', {
+        actor: assignedBy,
+        reason: reassigned ? `Reassigned to driver ${driverId}` : `Manually assigned to driver ${driverId}`
+    });
     this.assignedTo = driverId;
     this.assignedAt = new Date();
     this.broadcastStatus = 'manual_assignment';
-    this.status = 'accepted';
+    this.offeredTo = null;
     return this.save();
 };
 
+deliverySchema.statics.FAILED_ATTEMPT_REASONS = FAILED_ATTEMPT_REASONS;
+deliverySchema.statics.PACKAGE_SIZES = PACKAGE_SIZES;
+deliverySchema.statics.SOURCES = DELIVERY_SOURCES;
+deliverySchema.statics.INELIGIBILITY_REASONS = INELIGIBILITY_REASONS;
+
 module.exports = mongoose.model('Delivery', deliverySchema);
\ No newline at end of file
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// Reason codes a driver can give when declining an offer
+const DECLINE_REASONS = ['too_far', 'low_fee', 'busy', 'vehicle_unsuitable', 'ending_shift', 'other'];
+
+// One record per driver per broadcast attempt: who was offered a delivery and what they did with it
+const deliveryOfferSchema = new mongoose.Schema({
+    delivery: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Delivery',
+        required: true
+    },
+    driver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver',
+        required: true
+    },
+    dispatchMode: {
+        type: String,
+        enum: ['broadcast', 'sequential'],
+        default: 'broadcast'
+    },
+    attempt: {
+        type: Number,
+        default: 1
+    },
+    rank: {
+        type: Number // sequential dispatch only
+    },
+    distance: {
+        type: Number // km from pickup, null when the driver position is unknown
+    },
+    offeredAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date
+    },
+    viewedAt: {
+        type: Date
+    },
+    // offered: still open; ignored: expired without a response;
+    // withdrawn: another driver took it or an admin assigned it first
+    status: {
+        type: String,
+        enum: ['offered', 'accepted', 'declined', 'ignored', 'withdrawn'],
+        default: 'offered'
+    },
+    respondedAt: {
+        type: Date
+    },
+    declineReason: {
+        type: String,
+        enum: DECLINE_REASONS
+    },
+    declineNote: {
+        type: String,
+        trim: true,
+        maxlength: [300, 'Decline note cannot exceed 300 characters']
+    }
+}, {
+    timestamps: true
+});
+
+deliveryOfferSchema.index({ delivery: 1, offeredAt: 1 });
+deliveryOfferSchema.index({ driver: 1, offeredAt: -1 });
+deliveryOfferSchema.index({ delivery: 1, driver: 1, status: 1 });
+
+// Seconds between the offer and the driver's response
+deliveryOfferSchema.virtual('responseTime').get(function () {
+    if (!this.respondedAt || !['accepted', 'declined'].includes(this.status)) return null;
+    return Math.round((this.respondedAt - this.offeredAt) / 1000);
+});
+
+deliveryOfferSchema.set('toJSON', { virtuals: true });
+deliveryOfferSchema.set('toObject', { virtuals: true });
+
+deliveryOfferSchema.statics.DECLINE_REASONS = DECLINE_REASONS;
+
+module.exports = mongoose.model('DeliveryOffer', deliveryOfferSchema);
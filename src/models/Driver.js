@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const Zone = require('./Zone');
+
+// Service areas are the active zones, managed by admins (see Zone). Only checked when the
+// value is set or changed, so deactivating or renaming a zone does not stop existing drivers
+// in it from being saved.
+const serviceAreaValidator = path => ({
+    validator: function (value) {
+        if (!value) return true;
+        if (this instanceof mongoose.Document && !this.isNew && !this.isModified(path)) return true;
+        return Zone.isActiveName(value);
+    },
+    message: 'Please select a valid service area'
+});
 
 const driverSchema = new mongoose.Schema({
     email: {
@@ -33,23 +46,7 @@ const driverSchema = new mongoose.Schema({
     area: {
         type: String,
         trim: true,
-        enum: [
-            'Kaymakli',
-            'Hamitköy',
-            'Yenişehir',
-            'Kumsal',
-            'Gönyeli',
-            'Dereboyu',
-            'Ortaköy',
-            'Yenikent',
-            'Taskinkoy',
-            'Metehan',
-            'Gocmenkoy',
-            'Haspolat',
-            'Alaykoy',
-            'Marmara',
-            'Terminal/City Center'
-        ],
+        validate: serviceAreaValidator('area'),
         default: 'Terminal/City Center'
     },
     isActive: {
@@ -64,6 +61,26 @@ const driverSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Last GPS position reported by the driver app (GeoJSON Point, coordinates are [lng, lat])
+    currentLocation: {
+        type: {
+            type: String,
+            enum: ['Point']
+        },
+        coordinates: {
+            type: [Number],
+            default: undefined
+        }
+    },
+    locationUpdatedAt: {
+        type: Date
+    },
+    // Zone containing currentLocation, null outside every active zone
+    currentZone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Zone',
+        default: null
+    },
     suspensionReason: {
         type: String,
         trim: true
@@ -127,6 +144,13 @@ const driverSchema = new mongoose.Schema({
         default: 'other',
         trim: true
     },
+    // Admin override of the concurrent delivery capacity for the transportation type (null uses the type's)
+    maxConcurrentDeliveries: {
+        type: Number,
+        default: null,
+        min: 1,
+        max: 20
+    },
     // Verification fields for account status
     isEmailVerified: {
         type: Boolean,
@@ -221,27 +245,11 @@ const driverSchema = new mongoose.Schema({
         ],
         default: 'Eastern Mediterranean University (EMU)'
     },
-    // Address information - Lefkosa service areas
+    // Address information - a service area (zone name), kept in step with area
     address: {
         type: String,
         trim: true,
-        enum: [
-            'Kaymakli',
-            'Hamitköy',
-            'Yenişehir',
-            'Kumsal',
-            'Gönyeli',
-            'Dereboyu',
-            'Ortaköy',
-            'Yenikent',
-            'Taskinkoy',
-            'Metehan',
-            'Gocmenkoy',
-            'Haspolat',
-            'Alaykoy',
-            'Marmara',
-            'Terminal/City Center'
-        ],
+        validate: serviceAreaValidator('address'),
         default: 'Terminal/City Center'
     },
     // Violations and suspensions tracking
@@ -348,6 +356,8 @@ driverSchema.index({ email: 1, isActive: 1 });
 driverSchema.index({ area: 1, isActive: 1 });
 driverSchema.index({ totalDeliveries: -1 });
 driverSchema.index({ totalEarnings: -1 });
+driverSchema.index({ currentLocation: '2dsphere' });
+driverSchema.index({ currentZone: 1, isOnline: 1 });
 
 // Virtual getter for fullName that handles backward compatibility
 driverSchema.virtual('fullNameComputed').get(function () {
@@ -51,6 +51,39 @@ const earningsConfigSchema = new mongoose.Schema({
         default: true
     },
     rules: [earningsRuleSchema],
+    // Multi-stop deliveries: charged and paid per drop-off after the first
+    extraStops: {
+        customerFee: {
+            type: Number,
+            min: 0,
+            default: 25
+        },
+        driverEarning: {
+            type: Number,
+            min: 0,
+            default: 20
+        }
+    },
+    // Failed deliveries: each reattempt is charged and paid like an extra stop, and a delivery
+    // returned to pickup is charged a share of its fee instead of the fee
+    failedDeliveries: {
+        reattemptCustomerFee: {
+            type: Number,
+            min: 0,
+            default: 25
+        },
+        reattemptDriverEarning: {
+            type: Number,
+            min: 0,
+            default: 20
+        },
+        returnFeePercent: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: 50
+        }
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Admin',
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A request made with an Idempotency-Key header and the response it got, replayed when the
+// same key is sent again. MongoDB removes the record once expiresAt has passed.
+const idempotencyKeySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    // The operation the key was used for (e.g. delivery.create), so one key can't be
+    // replayed against another endpoint
+    scope: {
+        type: String,
+        required: true
+    },
+    // Admin, driver or merchant that sent the request; keys are only shared within one account
+    user: {
+        type: String,
+        required: true
+    },
+    // SHA-256 of the request body, to reject a reused key with a different body
+    requestHash: {
+        type: String,
+        required: true
+    },
+    // processing: the first request hasn't answered yet
+    status: {
+        type: String,
+        enum: ['processing', 'completed'],
+        default: 'processing'
+    },
+    responseStatus: {
+        type: Number
+    },
+    responseBody: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+idempotencyKeySchema.index({ user: 1, scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Days a ping is kept before MongoDB removes it
+const getRetentionDays = () => parseInt(process.env.LOCATION_HISTORY_RETENTION_DAYS, 10) || 30;
+
+// One GPS position reported by a driver, linked to the deliveries they had open at the time
+const locationPingSchema = new mongoose.Schema({
+    driver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver',
+        required: true
+    },
+    deliveries: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Delivery'
+    }],
+    location: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: 'Point'
+        },
+        coordinates: {
+            type: [Number], // [lng, lat]
+            required: true
+        }
+    },
+    accuracy: {
+        type: Number // meters, as reported by the device
+    },
+    speed: {
+        type: Number // m/s
+    },
+    heading: {
+        type: Number // degrees
+    },
+    recordedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + getRetentionDays() * 24 * 60 * 60 * 1000),
+        index: { expireAfterSeconds: 0 } // MongoDB TTL index
+    }
+}, {
+    versionKey: false
+});
+
+locationPingSchema.index({ deliveries: 1, recordedAt: 1 });
+locationPingSchema.index({ driver: 1, recordedAt: -1 });
+
+module.exports = mongoose.model('LocationPing', locationPingSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// What an API key may do through /api/merchant
+const MERCHANT_SCOPES = ['deliveries:create', 'deliveries:read', 'deliveries:cancel', 'webhooks:manage'];
+
+// Requests per minute allowed for a key unless set when it is created
+const DEFAULT_KEY_RATE_LIMIT = 60;
+
+// An API key. Only its SHA-256 hash is stored; the key itself is shown once when it is created.
+const apiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'API key name is required'],
+        trim: true,
+        maxlength: [100, 'API key name cannot exceed 100 characters']
+    },
+    // First characters of the key, to tell keys apart in listings
+    prefix: {
+        type: String,
+        required: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    scopes: {
+        type: [{ type: String, enum: MERCHANT_SCOPES }],
+        default: MERCHANT_SCOPES
+    },
+    rateLimit: {
+        type: Number, // requests per minute
+        min: 1,
+        max: 1000,
+        default: DEFAULT_KEY_RATE_LIMIT
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, { timestamps: true });
+
+// A partner business (e.g. a campus restaurant) that creates deliveries through the merchant API
+const merchantSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Merchant name is required'],
+        trim: true,
+        maxlength: [100, 'Merchant name cannot exceed 100 characters']
+    },
+    contactName: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Contact name cannot exceed 50 characters']
+    },
+    email: {
+        type: String,
+        required: [true, 'Merchant email is required'],
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    // Default pickup point for the merchant's deliveries
+    pickupLocation: {
+        type: String,
+        required: [true, 'Pickup location is required'],
+        trim: true,
+        maxlength: [200, 'Pickup location cannot exceed 200 characters']
+    },
+    pickupLocationDescription: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Pickup location description cannot exceed 500 characters']
+    },
+    pickupCoordinates: {
+        lat: { type: Number, min: -90, max: 90 },
+        lng: { type: Number, min: -180, max: 180 }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Notes cannot exceed 500 characters']
+    },
+    apiKeys: [apiKeySchema],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+merchantSchema.index({ 'apiKeys.keyHash': 1 });
+merchantSchema.index({ isActive: 1 });
+
+merchantSchema.methods.getApiKey = function (keyId) {
+    return this.apiKeys.id(keyId);
+};
+
+merchantSchema.statics.SCOPES = MERCHANT_SCOPES;
+merchantSchema.statics.DEFAULT_KEY_RATE_LIMIT = DEFAULT_KEY_RATE_LIMIT;
+
+module.exports = mongoose.model('Merchant', merchantSchema);
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+
+const zoneSurchargeSchema = new mongoose.Schema({
+    zone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Zone',
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Charge when the zone is the pickup, the drop-off, or either
+    appliesTo: {
+        type: String,
+        enum: ['pickup', 'dropoff', 'both'],
+        default: 'both'
+    }
+}, { _id: false });
+
+const pricingConfigSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        default: 'Default Pricing Rules'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Fee = (baseFare + perKmRate * km beyond includedKm + zone surcharges + package charges)
+    //       * priority uplift * payment method adjustment, then minimumFee and rounding
+    baseFare: {
+        type: Number,
+        min: 0,
+        default: 100
+    },
+    perKmRate: {
+        type: Number,
+        min: 0,
+        default: 15
+    },
+    includedKm: {
+        type: Number,
+        min: 0,
+        default: 2
+    },
+    zoneSurcharges: [zoneSurchargeSchema],
+    // Percentages added on top of the subtotal
+    priorityUplift: {
+        low: { type: Number, min: -100, max: 500, default: 0 },
+        normal: { type: Number, min: -100, max: 500, default: 0 },
+        high: { type: Number, min: -100, max: 500, default: 15 },
+        urgent: { type: Number, min: -100, max: 500, default: 30 }
+    },
+    // Percentages per payment method; negative for a discount
+    paymentMethodAdjustments: {
+        cash: { type: Number, min: -100, max: 100, default: 0 },
+        pos: { type: Number, min: -100, max: 100, default: 0 },
+        naira_transfer: { type: Number, min: -100, max: 100, default: 0 },
+        isbank_transfer: { type: Number, min: -100, max: 100, default: 0 },
+        crypto_transfer: { type: Number, min: -100, max: 100, default: 0 }
+    },
+    // Flat amounts added for the package size class
+    packageSizeSurcharges: {
+        small: { type: Number, min: 0, default: 0 },
+        medium: { type: Number, min: 0, default: 0 },
+        large: { type: Number, min: 0, default: 30 },
+        extra_large: { type: Number, min: 0, default: 60 }
+    },
+    // Weight beyond includedWeightKg is charged per kg; fragile and perishable packages pay a flat fee
+    packageHandling: {
+        includedWeightKg: { type: Number, min: 0, default: 5 },
+        perKgRate: { type: Number, min: 0, default: 5 },
+        fragileFee: { type: Number, min: 0, default: 10 },
+        perishableFee: { type: Number, min: 0, default: 10 }
+    },
+    minimumFee: {
+        type: Number,
+        min: 0,
+        default: 100
+    },
+    // Quotes are rounded up to a multiple of this (1 = whole lira)
+    roundTo: {
+        type: Number,
+        min: 1,
+        default: 5
+    },
+    // Supply/demand surge per pickup zone. The multiplier grows by multiplierPerRatio for every
+    // open delivery per online driver above demandRatioThreshold, capped at maxMultiplier.
+    surge: {
+        enabled: { type: Boolean, default: false },
+        windowMinutes: { type: Number, min: 5, max: 240, default: 30 },
+        demandRatioThreshold: { type: Number, min: 0, default: 1.5 },
+        multiplierPerRatio: { type: Number, min: 0, max: 2, default: 0.25 },
+        maxMultiplier: { type: Number, min: 1, max: 3, default: 1.5 },
+        // Share of the surge charge paid to the driver as a bonus
+        driverSharePercent: { type: Number, min: 0, max: 100, default: 100 }
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        required: false // Allow null for system initialization
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    // Each change to the rates is saved as a new document with the next version (see
+    // saveAsNewVersion); deliveries record the document and version they were priced with
+    version: {
+        type: Number,
+        default: 1
+    },
+    effectiveDate: {
+        type: Date,
+        default: Date.now
+    },
+    notes: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes
+pricingConfigSchema.index({ isActive: 1 });
+pricingConfigSchema.index({ effectiveDate: -1 });
+
+// Fields that change the price; editing any of them starts a new version
+pricingConfigSchema.statics.RATE_FIELDS = [
+    'baseFare',
+    'perKmRate',
+    'includedKm',
+    'zoneSurcharges',
+    'priorityUplift',
+    'paymentMethodAdjustments',
+    'packageSizeSurcharges',
+    'packageHandling',
+    'minimumFee',
+    'roundTo',
+    'surge'
+];
+
+// Static method to get active configuration
+pricingConfigSchema.statics.getActiveConfig = function () {
+    return this.findOne({ isActive: true }).sort({ effectiveDate: -1 });
+};
+
+// Save the edited rates as the next version in a new document. The old document keeps the
+// rates that deliveries priced with it point to and is deactivated.
+// The new version is created first, so a failed create leaves the old one active; until the
+// others are deactivated getActiveConfig already picks the new one by its effectiveDate.
+pricingConfigSchema.methods.saveAsNewVersion = async function (updatedBy, isActive = this.isActive) {
+    const { _id, createdAt, updatedAt, __v, ...fields } = this.toObject();
+
+    const next = await this.constructor.create({
+        ...fields,
+        isActive,
+        version: this.version + 1,
+        effectiveDate: new Date(),
+        updatedBy
+    });
+
+    if (isActive) {
+        await this.constructor.updateMany({ isActive: true, _id: { $ne: next._id } }, { isActive: false });
+    } else {
+        await this.constructor.updateOne({ _id }, { isActive: false });
+    }
+
+    return next;
+};
+
+module.exports = mongoose.model('PricingConfig', pricingConfigSchema);
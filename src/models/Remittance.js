@@ -127,6 +127,20 @@ const remittanceSchema = new mongoose.Schema({
             totalFees: { type: Number, default: 0 },
             driverEarnings: { type: Number, default: 0 },
             companyEarnings: { type: Number, default: 0 }
+        },
+        // Cancelled deliveries settled with a cancellation fee or driver compensation
+        // (also counted in cash/nonCash above)
+        cancellations: {
+            count: { type: Number, default: 0 },
+            fees: { type: Number, default: 0 },
+            driverCompensation: { type: Number, default: 0 }
+        },
+        // Deliveries returned to pickup after a failed attempt, settled with the return fee
+        // (also counted in cash/nonCash above)
+        returns: {
+            count: { type: Number, default: 0 },
+            fees: { type: Number, default: 0 },
+            driverEarnings: { type: Number, default: 0 }
         }
     },
 
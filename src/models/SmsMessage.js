@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const SMS_RECIPIENT_TYPES = ['customer', 'driver'];
+
+// sent: accepted by the provider; failed: the provider rejected it or could not be reached;
+// throttled: not sent because the recipient already got too many messages recently
+const SMS_STATUSES = ['sent', 'failed', 'throttled'];
+
+// Delivery log: one entry per SMS the system tried to send
+const smsMessageSchema = new mongoose.Schema({
+    to: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    recipientType: {
+        type: String,
+        enum: SMS_RECIPIENT_TYPES,
+        required: true
+    },
+    // The driver, for driver messages
+    driver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver',
+        default: null
+    },
+    delivery: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Delivery',
+        default: null
+    },
+    template: {
+        type: String,
+        required: true
+    },
+    body: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: SMS_STATUSES,
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    providerMessageId: {
+        type: String,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+smsMessageSchema.index({ to: 1, createdAt: -1 });
+smsMessageSchema.index({ delivery: 1, template: 1 });
+smsMessageSchema.index({ status: 1, createdAt: -1 });
+
+smsMessageSchema.statics.RECIPIENT_TYPES = SMS_RECIPIENT_TYPES;
+smsMessageSchema.statics.STATUSES = SMS_STATUSES;
+
+module.exports = mongoose.model('SmsMessage', smsMessageSchema);
@@ -86,6 +86,86 @@ const systemSettingsSchema = new mongoose.Schema({
         deliveryTimeEstimate: {
             type: Number,
             default: 30 // minutes
+        },
+        // How long before scheduledFor a scheduled delivery starts broadcasting
+        scheduledBroadcastLeadTime: {
+            type: Number,
+            default: 30, // minutes
+            min: 0,
+            max: 1440
+        },
+        // What a driver must submit before a delivery can be marked delivered (GPS is always required)
+        proofOfDeliveryMode: {
+            type: String,
+            enum: ['pin_or_photo', 'pin', 'photo', 'pin_and_photo'],
+            default: 'pin_or_photo'
+        },
+        // Default dispatch for deliveries without their own dispatchMode
+        dispatchMode: {
+            type: String,
+            enum: ['broadcast', 'sequential'],
+            default: 'broadcast'
+        },
+        // Accept window for each driver in sequential dispatch
+        sequentialOfferTimeout: {
+            type: Number,
+            default: 30, // seconds
+            min: 10,
+            max: 300
+        },
+        // Deliveries a driver can hold at once, by transportation type
+        driverCapacity: {
+            walking: { type: Number, default: 1, min: 1, max: 20 },
+            bicycle: { type: Number, default: 2, min: 1, max: 20 },
+            scooter: { type: Number, default: 3, min: 1, max: 20 },
+            motorcycle: { type: Number, default: 3, min: 1, max: 20 },
+            car: { type: Number, default: 4, min: 1, max: 20 },
+            other: { type: Number, default: 1, min: 1, max: 20 }
+        },
+        // Which deliveries each transportation type is dispatched (distances in km, weights in kg, null for no limit)
+        eligibilityRules: {
+            walking: {
+                maxPickupDistance: { type: Number, default: 2, min: 0 },
+                maxTripDistance: { type: Number, default: 3, min: 0 },
+                maxWeight: { type: Number, default: 5, min: 0 },
+                packageSizes: { type: [String], default: ['small'] },
+                priorities: { type: [String], default: ['low', 'normal'] }
+            },
+            bicycle: {
+                maxPickupDistance: { type: Number, default: 5, min: 0 },
+                maxTripDistance: { type: Number, default: 8, min: 0 },
+                maxWeight: { type: Number, default: 10, min: 0 },
+                packageSizes: { type: [String], default: ['small', 'medium'] },
+                priorities: { type: [String], default: ['low', 'normal', 'high', 'urgent'] }
+            },
+            scooter: {
+                maxPickupDistance: { type: Number, default: 8, min: 0 },
+                maxTripDistance: { type: Number, default: 15, min: 0 },
+                maxWeight: { type: Number, default: 15, min: 0 },
+                packageSizes: { type: [String], default: ['small', 'medium'] },
+                priorities: { type: [String], default: ['low', 'normal', 'high', 'urgent'] }
+            },
+            motorcycle: {
+                maxPickupDistance: { type: Number, default: 10, min: 0 },
+                maxTripDistance: { type: Number, default: 25, min: 0 },
+                maxWeight: { type: Number, default: 20, min: 0 },
+                packageSizes: { type: [String], default: ['small', 'medium'] },
+                priorities: { type: [String], default: ['low', 'normal', 'high', 'urgent'] }
+            },
+            car: {
+                maxPickupDistance: { type: Number, default: null, min: 0 },
+                maxTripDistance: { type: Number, default: null, min: 0 },
+                maxWeight: { type: Number, default: null, min: 0 },
+                packageSizes: { type: [String], default: ['small', 'medium', 'large', 'extra_large'] },
+                priorities: { type: [String], default: ['low', 'normal', 'high', 'urgent'] }
+            },
+            other: {
+                maxPickupDistance: { type: Number, default: null, min: 0 },
+                maxTripDistance: { type: Number, default: null, min: 0 },
+                maxWeight: { type: Number, default: 10, min: 0 },
+                packageSizes: { type: [String], default: ['small', 'medium'] },
+                priorities: { type: [String], default: ['low', 'normal', 'high', 'urgent'] }
+            }
         }
     },
 
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Events an endpoint can subscribe to
+const WEBHOOK_EVENTS = [
+    'delivery.created',
+    'delivery.accepted',
+    'delivery.picked_up',
+    'delivery.delivered',
+    'delivery.cancelled',
+    'remittance.completed'
+];
+
+// Events about a merchant's own deliveries; the rest are for our own integrations only
+const MERCHANT_EVENTS = WEBHOOK_EVENTS.filter(event => event.startsWith('delivery.'));
+
+// An integrator's URL that receives signed event payloads. Endpoints registered by a merchant
+// only receive events for that merchant's deliveries; the others receive every delivery.
+const webhookEndpointSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: [true, 'Webhook URL is required'],
+        trim: true,
+        maxlength: [500, 'Webhook URL cannot exceed 500 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    events: {
+        type: [{ type: String, enum: WEBHOOK_EVENTS }],
+        validate: {
+            validator: events => events.length > 0,
+            message: 'Subscribe to at least one event'
+        }
+    },
+    // HMAC-SHA256 signing secret, shown when the endpoint is created or the secret rotated
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    merchant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Merchant',
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin',
+        default: null // null when the merchant registered it
+    }
+}, {
+    timestamps: true
+});
+
+webhookEndpointSchema.index({ isActive: 1, events: 1 });
+webhookEndpointSchema.index({ merchant: 1 });
+
+webhookEndpointSchema.statics.EVENTS = WEBHOOK_EVENTS;
+webhookEndpointSchema.statics.MERCHANT_EVENTS = MERCHANT_EVENTS;
+
+module.exports = mongoose.model('WebhookEndpoint', webhookEndpointSchema);
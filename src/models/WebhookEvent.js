@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// pending: waiting for its first or next attempt; delivered: the endpoint answered 2xx;
+// dead: out of attempts (or the endpoint was removed), kept for manual replay
+const WEBHOOK_EVENT_STATUSES = ['pending', 'delivered', 'dead'];
+
+// Outbox entry: one event for one endpoint, stored before it is sent so nothing is lost
+// when the endpoint is down or the server restarts
+const webhookEventSchema = new mongoose.Schema({
+    endpoint: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookEndpoint',
+        required: true
+    },
+    // Same for every endpoint the event went to, so receivers can de-duplicate
+    eventId: {
+        type: String,
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: WEBHOOK_EVENT_STATUSES,
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastAttemptAt: {
+        type: Date,
+        default: null
+    },
+    lastStatusCode: {
+        type: Number,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    deadAt: {
+        type: Date,
+        default: null
+    },
+    replayedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookEventSchema.index({ endpoint: 1, createdAt: -1 });
+
+webhookEventSchema.statics.STATUSES = WEBHOOK_EVENT_STATUSES;
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
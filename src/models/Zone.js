@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+const isPosition = position => Array.isArray(position) &&
+    position.length === 2 &&
+    position[0] >= -180 && position[0] <= 180 &&
+    position[1] >= -90 && position[1] <= 90;
+
+// A linear ring needs at least 4 positions and must end where it starts
+const isLinearRing = ring => Array.isArray(ring) &&
+    ring.length >= 4 &&
+    ring.every(isPosition) &&
+    ring[0][0] === ring[ring.length - 1][0] &&
+    ring[0][1] === ring[ring.length - 1][1];
+
+const isPolygon = rings => Array.isArray(rings) && rings.length > 0 && rings.every(isLinearRing);
+
+// Admin-managed service area. Drivers reference a zone by `name` (Driver.area);
+// deliveries and driver positions are matched to zones by point-in-polygon.
+const zoneSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Zone name is required'],
+        unique: true,
+        trim: true,
+        immutable: true, // stored on drivers as their area
+        maxlength: [100, 'Zone name cannot exceed 100 characters']
+    },
+    displayName: {
+        en: {
+            type: String,
+            required: [true, 'English display name is required'],
+            trim: true
+        },
+        tr: {
+            type: String,
+            required: [true, 'Turkish display name is required'],
+            trim: true
+        }
+    },
+    boundary: {
+        type: {
+            type: String,
+            enum: ['Polygon', 'MultiPolygon'],
+            required: true
+        },
+        coordinates: {
+            type: mongoose.Schema.Types.Mixed, // [[[lng, lat], ...]] rings, closed
+            required: true,
+            validate: {
+                validator: function (coordinates) {
+                    const type = this.boundary ? this.boundary.type : this.get('boundary.type');
+                    return type === 'MultiPolygon'
+                        ? Array.isArray(coordinates) && coordinates.length > 0 && coordinates.every(isPolygon)
+                        : isPolygon(coordinates);
+                },
+                message: 'Zone boundary must be closed rings of [lng, lat] positions'
+            }
+        }
+    },
+    // Fallback position for drivers in this zone without a GPS fix
+    center: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: 'Point'
+        },
+        coordinates: {
+            type: [Number], // [lng, lat]
+            default: undefined
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    sortOrder: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Admin'
+    }
+}, {
+    timestamps: true
+});
+
+zoneSchema.index({ boundary: '2dsphere' });
+zoneSchema.index({ isActive: 1, sortOrder: 1 });
+
+// Default the centre to the average of the outer ring's vertices
+zoneSchema.pre('validate', function (next) {
+    const hasCenter = this.center && this.center.coordinates && this.center.coordinates.length === 2;
+    if (this.isModified('boundary') && this.boundary && !hasCenter) {
+        const polygon = this.boundary.type === 'MultiPolygon'
+            ? (this.boundary.coordinates || [])[0]
+            : this.boundary.coordinates;
+        const ring = Array.isArray(polygon) && isLinearRing(polygon[0]) ? polygon[0].slice(0, -1) : null;
+
+        if (ring) {
+            const average = index => ring.reduce((sum, position) => sum + position[index], 0) / ring.length;
+            const round = value => Math.round(value * 1e6) / 1e6;
+            this.center = { type: 'Point', coordinates: [round(average(0)), round(average(1))] };
+        }
+    }
+    next();
+});
+
+// Active zone containing a point, if any
+zoneSchema.statics.findByPoint = function (lat, lng) {
+    return this.findOne({
+        isActive: true,
+        boundary: {
+            $geoIntersects: {
+                $geometry: { type: 'Point', coordinates: [lng, lat] }
+            }
+        }
+    }).sort({ sortOrder: 1 });
+};
+
+zoneSchema.statics.findActive = function () {
+    return this.find({ isActive: true }).sort({ sortOrder: 1, name: 1 });
+};
+
+zoneSchema.statics.isActiveName = async function (name) {
+    if (!name) return false;
+    return !!(await this.exists({ name, isActive: true }));
+};
+
+module.exports = mongoose.model('Zone', zoneSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Latest supply/demand reading for a zone, refreshed by the surge background job.
+// One document per zone; the multiplier applies to deliveries picked up in the zone.
+const zoneSurgeSchema = new mongoose.Schema({
+    zone: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Zone',
+        required: true,
+        unique: true
+    },
+    // Unassigned deliveries picked up in the zone, created during the window
+    openDeliveries: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // Online drivers currently positioned in the zone
+    onlineDrivers: {
+        type: Number,
+        min: 0,
+        default: 0
+    },
+    // openDeliveries / onlineDrivers; null when there is demand but no driver online
+    demandRatio: {
+        type: Number,
+        default: 0
+    },
+    multiplier: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    windowStart: {
+        type: Date
+    },
+    calculatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    versionKey: false
+});
+
+module.exports = mongoose.model('ZoneSurge', zoneSurgeSchema);
@@ -7,6 +7,12 @@ const NotificationController = require('../controllers/notificationController');
 const AdminNotificationController = require('../controllers/adminNotificationController');
 const RemittanceController = require('../controllers/remittanceController');
 const AdminManagementController = require('../controllers/adminManagementController');
+const ZoneController = require('../controllers/zoneController');
+const MerchantController = require('../controllers/merchantController');
+const WebhookController = require('../controllers/webhookController');
+const SmsController = require('../controllers/smsController');
+const CustomerRatingController = require('../controllers/customerRatingController');
+const CaseController = require('../controllers/caseController');
 const {
     authenticateToken,
     adminOnly,
@@ -25,6 +31,8 @@ const {
     paramSchemas,
     validateBody
 } = require('../middleware/validation');
+const { uploadSpreadsheet, uploadDocument, handleUploadError } = require('../middleware/upload');
+const { idempotency } = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -369,6 +377,189 @@ router.get('/drivers/area/:area',
     DriverController.getDriversByArea
 );
 
+// Zone management (service areas drivers and deliveries are assigned to)
+router.get('/zones',
+    requirePermission('manage_drivers'),
+    ZoneController.getZones
+);
+
+// Live surge multipliers per zone (also pushed to admins as 'surge-map-updated')
+router.get('/zones/surge',
+    requirePermission('view_analytics'),
+    ZoneController.getSurgeMap
+);
+
+router.post('/zones',
+    requirePermission('manage_drivers'),
+    validate(schemas.createZone),
+    ZoneController.createZone
+);
+
+router.put('/zones/:id',
+    requirePermission('manage_drivers'),
+    validateParams(paramSchemas.mongoId),
+    validate(schemas.updateZone),
+    ZoneController.updateZone
+);
+
+router.delete('/zones/:id',
+    requirePermission('manage_drivers'),
+    validateParams(paramSchemas.mongoId),
+    ZoneController.deleteZone
+);
+
+// Merchant accounts and their API keys
+router.get('/merchants',
+    requirePermission('create_delivery'),
+    validateQuery(schemas.merchantQuery),
+    MerchantController.getMerchants
+);
+
+router.post('/merchants',
+    requirePermission('create_delivery'),
+    validate(schemas.createMerchant),
+    MerchantController.createMerchant
+);
+
+router.get('/merchants/:id',
+    requirePermission('create_delivery'),
+    validateParams(paramSchemas.mongoId),
+    validateQuery(schemas.merchantStatsQuery),
+    MerchantController.getMerchant
+);
+
+router.put('/merchants/:id',
+    requirePermission('create_delivery'),
+    validateParams(paramSchemas.mongoId),
+    validate(schemas.updateMerchant),
+    MerchantController.updateMerchant
+);
+
+router.post('/merchants/:id/api-keys',
+    requirePermission('create_delivery'),
+    validateParams(paramSchemas.mongoId),
+    validate(schemas.createMerchantApiKey),
+    MerchantController.createApiKey
+);
+
+router.delete('/merchants/:id/api-keys/:keyId',
+    requirePermission('create_delivery'),
+    validateParams(paramSchemas.apiKeyId),
+    MerchantController.revokeApiKey
+);
+
+// Webhook endpoints, outbox and dead-letter replay (super admin)
+router.get('/webhooks',
+    superAdminOnly,
+    WebhookController.getEndpoints
+);
+
+router.post('/webhooks',
+    superAdminOnly,
+    validate(schemas.createWebhookEndpoint),
+    WebhookController.createEndpoint
+);
+
+router.get('/webhooks/events',
+    superAdminOnly,
+    validateQuery(schemas.webhookEventQuery),
+    WebhookController.getEvents
+);
+
+router.post('/webhooks/events/:id/replay',
+    superAdminOnly,
+    validateParams(paramSchemas.mongoId),
+    WebhookController.replayEvent
+);
+
+router.put('/webhooks/:id',
+    superAdminOnly,
+    validateParams(paramSchemas.mongoId),
+    validate(schemas.updateWebhookEndpoint),
+    WebhookController.updateEndpoint
+);
+
+router.post('/webhooks/:id/rotate-secret',
+    superAdminOnly,
+    validateParams(paramSchemas.mongoId),
+    WebhookController.rotateSecret
+);
+
+router.delete('/webhooks/:id',
+    superAdminOnly,
+    validateParams(paramSchemas.mongoId),
+    WebhookController.deleteEndpoint
+);
+
+// SMS delivery log (super admin)
+router.get('/sms-messages',
+    superAdminOnly,
+    validateQuery(schemas.smsMessageQuery),
+    SmsController.getMessages
+);
+
+// Customer ratings and moderation
+router.get('/ratings',
+    requirePermission('manage_drivers'),
+    validateQuery(schemas.customerRatingQuery),
+    CustomerRatingController.getRatings
+);
+
+router.put('/ratings/:id/moderate',
+    requirePermission('manage_drivers'),
+    validateParams(paramSchemas.mongoId),
+    validate(schemas.moderateCustomerRating),
+    CustomerRatingController.moderateRating
+);
+
+// Complaints and disputes case management
+router.get('/cases',
+    validateQuery(schemas.caseQuery),
+    CaseController.getCases
+);
+
+router.post('/cases',
+    validate(schemas.createCase),
+    CaseController.createCase
+);
+
+router.get('/cases/:id',
+    validateParams(paramSchemas.mongoId),
+    CaseController.getCase
+);
+
+router.put('/cases/:id',
+    validateParams(paramSchemas.mongoId),
+    validate(schemas.updateCase),
+    CaseController.updateCase
+);
+
+router.post('/cases/:id/assign',
+    validateParams(paramSchemas.mongoId),
+    validate(schemas.assignCase),
+    CaseController.assignCase
+);
+
+router.post('/cases/:id/notes',
+    validateParams(paramSchemas.mongoId),
+    validate(schemas.addCaseNote),
+    CaseController.addNote
+);
+
+router.post('/cases/:id/attachments',
+    validateParams(paramSchemas.mongoId),
+    uploadDocument,
+    handleUploadError,
+    CaseController.addAttachment
+);
+
+router.post('/cases/:id/resolve',
+    requirePermission('manage_drivers'),
+    validateParams(paramSchemas.mongoId),
+    validate(schemas.resolveCase),
+    CaseController.resolveCase
+);
+
 // Delivery management
 router.get('/deliveries',
     validateQuery(schemas.deliveryQuery),
@@ -381,17 +572,71 @@ router.get('/deliveries/stats',
     DeliveryController.getBroadcastStats
 );
 
+// Scheduled deliveries waiting for their broadcast
+router.get('/deliveries/scheduled',
+    validateQuery(schemas.pagination),
+    DeliveryController.getScheduledDeliveries
+);
+
+// Deliveries no driver was eligible for, with the reasons drivers were ruled out
+router.get('/deliveries/no-eligible-drivers',
+    requirePermission('view_analytics'),
+    validateQuery(schemas.noEligibleDriversQuery),
+    DeliveryController.getNoEligibleDriversReport
+);
+
 router.get('/deliveries/:id',
     validateParams(paramSchemas.mongoId),
     DeliveryController.getDeliveryById
 );
 
+// Who was offered a delivery and how they responded
+router.get('/deliveries/:id/offers',
+    validateParams(paramSchemas.mongoId),
+    DeliveryController.getDeliveryOffers
+);
+
+// Replay of the driver's recorded path for a delivery
+router.get('/deliveries/:id/route',
+    validateParams(paramSchemas.mongoId),
+    DeliveryController.getDeliveryRoute
+);
+
+// Customer rating link for a delivered delivery
+router.get('/deliveries/:id/rating-link',
+    validateParams(paramSchemas.mongoId),
+    CustomerRatingController.getRatingLink
+);
+
 router.post('/deliveries',
     requirePermission('create_delivery'),
     validate(schemas.createDelivery),
+    idempotency('delivery.create'),
     DeliveryController.createDelivery
 );
 
+// Bulk import from a CSV or XLSX file (multipart: "file", dryRun, report)
+router.get('/deliveries/import/template',
+    requirePermission('create_delivery'),
+    validateQuery(schemas.importTemplateQuery),
+    DeliveryController.getImportTemplate
+);
+
+router.post('/deliveries/import',
+    requirePermission('create_delivery'),
+    uploadSpreadsheet,
+    handleUploadError,
+    validate(schemas.importDeliveries),
+    DeliveryController.importDeliveries
+);
+
+// Price a delivery from the active pricing rules before creating it
+router.post('/deliveries/quote',
+    requirePermission('create_delivery'),
+    validate(schemas.quoteDelivery),
+    DeliveryController.quoteDelivery
+);
+
 router.put('/deliveries/:id',
     requirePermission('edit_delivery'),
     validateParams(paramSchemas.mongoId),
@@ -431,6 +676,42 @@ router.post('/deliveries/:id/unassign',
     DeliveryController.unassignDelivery
 );
 
+router.put('/deliveries/:id/schedule',
+    requirePermission('edit_delivery'),
+    validateParams(paramSchemas.mongoId),
+    validate(schemas.rescheduleDelivery),
+    DeliveryController.rescheduleDelivery
+);
+
+router.post('/deliveries/:id/cancel',
+    requirePermission('edit_delivery'),
+    validateParams(paramSchemas.mongoId),
+    validate(schemas.cancelDelivery),
+    DeliveryController.cancelDelivery
+);
+
+// Failed attempts: send the delivery out again or back to the pickup point
+router.post('/deliveries/:id/reattempt',
+    requirePermission('edit_delivery'),
+    validateParams(paramSchemas.mongoId),
+    validate(schemas.reattemptDelivery),
+    DeliveryController.reattemptDelivery
+);
+
+router.post('/deliveries/:id/return',
+    requirePermission('edit_delivery'),
+    validateParams(paramSchemas.mongoId),
+    validate(schemas.returnDelivery),
+    DeliveryController.returnDelivery
+);
+
+router.post('/deliveries/:id/schedule/cancel',
+    requirePermission('edit_delivery'),
+    validateParams(paramSchemas.mongoId),
+    validate(schemas.cancelScheduledDelivery),
+    DeliveryController.cancelScheduledDelivery
+);
+
 router.post('/deliveries/bulk',
     requirePermission('edit_delivery'),
     validateBatchOperation,
@@ -793,6 +1074,7 @@ router.get('/remittances',
 router.post('/remittances',
     requirePermission('manage_remittances'),
     validateBody(schemas.createRemittance),
+    idempotency('remittance.create'),
     RemittanceController.createRemittance
 );
 
@@ -843,6 +1125,7 @@ router.get('/remittances/statistics',
 router.post('/remittances/bulk-generate',
     requirePermission('manage_remittances'),
     validateBody(schemas.bulkGenerateRemittances),
+    idempotency('remittance.bulk-generate'),
     RemittanceController.bulkGenerateRemittances
 );
 
@@ -850,6 +1133,7 @@ router.post('/remittances/bulk-generate',
 router.post('/remittances/generate-balanced',
     requirePermission('manage_remittances'),
     validateBody(schemas.generateBalancedRemittance),
+    idempotency('remittance.generate-balanced'),
     RemittanceController.generateBalancedRemittance
 );
 
@@ -958,6 +1242,56 @@ router.delete('/management/earnings-configurations/:id',
     AdminManagementController.deleteEarningsConfiguration
 );
 
+// Pricing Configuration Management (Super Admin Only)
+router.get('/management/pricing-configurations',
+    superAdminOnly,
+    AdminManagementController.getPricingConfigurations
+);
+
+router.post('/management/pricing-configurations',
+    superAdminOnly,
+    validateBody(schemas.createPricingConfiguration),
+    AdminManagementController.createPricingConfiguration
+);
+
+router.put('/management/pricing-configurations/:id',
+    superAdminOnly,
+    validateParams(paramSchemas.mongoId),
+    validateBody(schemas.updatePricingConfiguration),
+    AdminManagementController.updatePricingConfiguration
+);
+
+router.delete('/management/pricing-configurations/:id',
+    superAdminOnly,
+    validateParams(paramSchemas.mongoId),
+    AdminManagementController.deletePricingConfiguration
+);
+
+// Cancellation Policy Management (Super Admin Only)
+router.get('/management/cancellation-policies',
+    superAdminOnly,
+    AdminManagementController.getCancellationPolicies
+);
+
+router.post('/management/cancellation-policies',
+    superAdminOnly,
+    validateBody(schemas.createCancellationPolicy),
+    AdminManagementController.createCancellationPolicy
+);
+
+router.put('/management/cancellation-policies/:id',
+    superAdminOnly,
+    validateParams(paramSchemas.mongoId),
+    validateBody(schemas.updateCancellationPolicy),
+    AdminManagementController.updateCancellationPolicy
+);
+
+router.delete('/management/cancellation-policies/:id',
+    superAdminOnly,
+    validateParams(paramSchemas.mongoId),
+    AdminManagementController.deleteCancellationPolicy
+);
+
 // Admin Statistics (Super Admin Only)
 router.get('/management/statistics',
     superAdminOnly,
@@ -1019,17 +1353,9 @@ router.post('/utility/assign-delivery/:deliveryId',
             }
 
             // Update delivery
-            const updatedDelivery = await Delivery.findByIdAndUpdate(
-                deliveryId,
-                {
-                    assignedTo: driverId,
-                    status: 'accepted',
-                    broadcastStatus: 'completed',
-                    acceptedAt: new Date(),
-                    acceptedBy: driverId
-                },
-                { new: true }
-            ).populate('assignedTo', 'name email');
+            const DeliveryStatusService = require('../services/deliveryStatusService');
+            await delivery.manualAssign(driverId, DeliveryStatusService.actorFromUser(req.user));
+            const updatedDelivery = await delivery.populate('assignedTo', 'name email');
 
             res.json({
                 success: true,
@@ -1038,7 +1364,7 @@ router.post('/utility/assign-delivery/:deliveryId',
             });
         } catch (error) {
             console.error('Error assigning delivery:', error);
-            res.status(500).json({ error: 'Failed to assign delivery' });
+            res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to assign delivery' });
         }
     }
 );
@@ -3,6 +3,7 @@ const router = express.Router();
 const DeliveryController = require('../controllers/deliveryController');
 const { authenticateToken, adminOnly, driverOnly, requirePermission } = require('../middleware/auth');
 const { validate, validateQuery, validateParams, schemas } = require('../middleware/validation');
+const { idempotency } = require('../middleware/idempotency');
 const { createBroadcastLimiter } = require('../config/rateLimit');
 
 // Create broadcast rate limiter
@@ -102,6 +103,7 @@ router.post('/',
     adminOnly,
     requirePermission('create_delivery'),
     validate(schemas.createDelivery),
+    idempotency('delivery.create'),
     DeliveryController.createDelivery
 );
 
@@ -218,6 +220,60 @@ router.post('/broadcast/:deliveryId/accept', authenticateToken, driverOnly, asyn
     }
 });
 
+// Decline a delivery offer with a reason code (driver only)
+router.post('/broadcast/:deliveryId/decline', authenticateToken, driverOnly, validate(schemas.declineDeliveryOffer), async (req, res) => {
+    try {
+        const { deliveryId } = req.params;
+        const { reason, note } = req.body;
+        const driverId = req.user.id;
+
+        const BroadcastService = require('../services/broadcastService');
+        const { delivery, nextOffer } = await BroadcastService.declineOffer(deliveryId, driverId, { reason, note });
+
+        res.json({
+            success: true,
+            message: 'Delivery offer declined',
+            data: {
+                deliveryId: delivery._id,
+                deliveryCode: delivery.deliveryCode,
+                offeredToNextDriver: !!nextOffer
+            }
+        });
+    } catch (error) {
+        console.error('Error declining delivery offer:', error);
+        res.status(400).json({
+            success: false,
+            error: error.message || 'Failed to decline delivery offer'
+        });
+    }
+});
+
+// Mark a delivery offer as viewed when the driver opens it (driver only)
+router.post('/broadcast/:deliveryId/view', authenticateToken, driverOnly, async (req, res) => {
+    try {
+        const DeliveryOfferService = require('../services/deliveryOfferService');
+        const recorded = await DeliveryOfferService.markViewed(req.params.deliveryId, req.user.id);
+
+        if (!recorded) {
+            return res.status(404).json({
+                success: false,
+                error: 'No open offer for this delivery'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Offer marked as viewed'
+        });
+    } catch (error) {
+        console.error('Error marking offer viewed:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to mark offer as viewed'
+        });
+    }
+});
+
 // Test endpoint for debugging
 router.get('/broadcast/test', async (req, res) => {
     try {
@@ -262,12 +318,11 @@ router.get('/broadcast/active', authenticateToken, driverOnly, broadcastLimiter,
 
         // Direct database query - bypass the service for now
         const Delivery = require('../models/Delivery');
-        const activeDeliveries = await Delivery.find({
-            broadcastStatus: 'broadcasting',
-            broadcastEndTime: { $gt: new Date() },
-            assignedTo: null,
-            status: 'pending'
-        }).sort({ priority: -1, createdAt: 1 });
+        const DeliveryOfferService = require('../services/deliveryOfferService');
+        const declinedIds = await DeliveryOfferService.getDeclinedDeliveryIds(driverId);
+        const activeDeliveries = await Delivery.findOpenForDriver(driverId)
+            .where('_id').nin(declinedIds)
+            .sort({ priority: -1, createdAt: 1 });
 
         console.log(`📦 Direct query found ${activeDeliveries.length} active broadcasts`);
 
@@ -4,6 +4,7 @@ const DriverController = require('../controllers/driverController');
 const DeliveryController = require('../controllers/deliveryController');
 const NotificationController = require('../controllers/notificationController');
 const RemittanceController = require('../controllers/remittanceController');
+const CaseController = require('../controllers/caseController');
 const {
     authenticateToken,
     driverOnly,
@@ -18,7 +19,7 @@ const {
     schemas,
     paramSchemas
 } = require('../middleware/validation');
-const { uploadSingleImage, uploadDocument, handleUploadError } = require('../middleware/upload');
+const { uploadSingleImage, uploadProofPhoto, uploadDocument, handleUploadError } = require('../middleware/upload');
 
 const router = express.Router();
 
@@ -198,6 +199,77 @@ router.put('/deliveries/:deliveryId/status',
     DeliveryController.updateDeliveryStatus
 );
 
+// Submit proof of delivery (multipart: optional "photo" file, pin, lat, lng, accuracy)
+router.post('/deliveries/:deliveryId/proof',
+    validateParams(Joi.object({
+        deliveryId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+            'string.pattern.base': 'Invalid delivery ID format'
+        })
+    })),
+    uploadProofPhoto,
+    handleUploadError,
+    validate(schemas.submitDeliveryProof),
+    (req, res, next) => {
+        req.params.id = req.params.deliveryId;
+        next();
+    },
+    DeliveryController.submitDeliveryProof
+);
+
+// Report a failed drop-off (multipart: optional "photo" file, reason, notes, lat, lng, accuracy)
+router.post('/deliveries/:deliveryId/failed-attempt',
+    validateParams(Joi.object({
+        deliveryId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+            'string.pattern.base': 'Invalid delivery ID format'
+        })
+    })),
+    uploadProofPhoto,
+    handleUploadError,
+    validate(schemas.reportFailedAttempt),
+    (req, res, next) => {
+        req.params.id = req.params.deliveryId;
+        next();
+    },
+    DeliveryController.reportFailedAttempt
+);
+
+// Multi-stop deliveries: per-stop arrival/failure and proof
+router.put('/deliveries/:deliveryId/stops/:stopId/status',
+    validateParams(Joi.object({
+        deliveryId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+            'string.pattern.base': 'Invalid delivery ID format'
+        }),
+        stopId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+            'string.pattern.base': 'Invalid stop ID format'
+        })
+    })),
+    validate(schemas.updateStopStatus),
+    (req, res, next) => {
+        req.params.id = req.params.deliveryId;
+        next();
+    },
+    DeliveryController.updateStopStatus
+);
+
+router.post('/deliveries/:deliveryId/stops/:stopId/proof',
+    validateParams(Joi.object({
+        deliveryId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+            'string.pattern.base': 'Invalid delivery ID format'
+        }),
+        stopId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
+            'string.pattern.base': 'Invalid stop ID format'
+        })
+    })),
+    uploadProofPhoto,
+    handleUploadError,
+    validate(schemas.submitDeliveryProof),
+    (req, res, next) => {
+        req.params.id = req.params.deliveryId;
+        next();
+    },
+    DeliveryController.submitDeliveryProof
+);
+
 // Driver notifications
 router.get('/notifications',
     validateQuery(schemas.pagination),
@@ -235,6 +307,28 @@ router.get('/remittances/summary',
     RemittanceController.getDriverRemittances
 );
 
+// Driver disputes and complaints
+router.get('/cases',
+    CaseController.getDriverCases
+);
+
+router.post('/cases',
+    validate(schemas.createDriverCase),
+    CaseController.createDriverCase
+);
+
+router.get('/cases/:id',
+    validateParams(paramSchemas.mongoId),
+    CaseController.getDriverCase
+);
+
+router.post('/cases/:id/attachments',
+    validateParams(paramSchemas.mongoId),
+    uploadDocument,
+    handleUploadError,
+    CaseController.addDriverAttachment
+);
+
 // Driver leaderboard endpoints (temporarily without driverOnly middleware for testing)
 router.get('/leaderboard', authenticateToken, DriverController.getDriverLeaderboard);
 router.get('/leaderboard/categories', authenticateToken, DriverController.getDriverLeaderboardCategories);
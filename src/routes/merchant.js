@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const MerchantController = require('../controllers/merchantController');
+const WebhookController = require('../controllers/webhookController');
+const { authenticateMerchant, requireScope } = require('../middleware/auth');
+const { validate, validateQuery, validateParams, sanitizeInput, schemas, paramSchemas } = require('../middleware/validation');
+const { idempotency } = require('../middleware/idempotency');
+const { createMerchantLimiter } = require('../config/rateLimit');
+
+const merchantLimiter = createMerchantLimiter();
+
+// Merchant API: authenticated with an API key in the X-API-Key header, rate limited per key
+router.use(authenticateMerchant);
+router.use(merchantLimiter);
+router.use(sanitizeInput);
+
+router.get('/me', MerchantController.getProfile);
+
+router.post('/deliveries',
+    requireScope('deliveries:create'),
+    validate(schemas.merchantCreateDelivery),
+    idempotency('delivery.create'),
+    MerchantController.createDelivery
+);
+
+router.get('/deliveries',
+    requireScope('deliveries:read'),
+    validateQuery(schemas.merchantDeliveryQuery),
+    MerchantController.getDeliveries
+);
+
+router.get('/deliveries/:id',
+    requireScope('deliveries:read'),
+    validateParams(paramSchemas.mongoId),
+    MerchantController.getDelivery
+);
+
+router.get('/deliveries/:id/tracking',
+    requireScope('deliveries:read'),
+    validateParams(paramSchemas.mongoId),
+    MerchantController.trackDelivery
+);
+
+router.post('/deliveries/:id/cancel',
+    requireScope('deliveries:cancel'),
+    validateParams(paramSchemas.mongoId),
+    validate(schemas.merchantCancelDelivery),
+    MerchantController.cancelDelivery
+);
+
+// The merchant's webhook endpoints (events for its own deliveries only)
+router.get('/webhooks',
+    requireScope('webhooks:manage'),
+    WebhookController.getEndpoints
+);
+
+router.post('/webhooks',
+    requireScope('webhooks:manage'),
+    validate(schemas.createWebhookEndpoint),
+    WebhookController.createEndpoint
+);
+
+router.get('/webhooks/events',
+    requireScope('webhooks:manage'),
+    validateQuery(schemas.webhookEventQuery),
+    WebhookController.getEvents
+);
+
+router.post('/webhooks/events/:id/replay',
+    requireScope('webhooks:manage'),
+    validateParams(paramSchemas.mongoId),
+    WebhookController.replayEvent
+);
+
+router.put('/webhooks/:id',
+    requireScope('webhooks:manage'),
+    validateParams(paramSchemas.mongoId),
+    validate(schemas.updateWebhookEndpoint),
+    WebhookController.updateEndpoint
+);
+
+router.post('/webhooks/:id/rotate-secret',
+    requireScope('webhooks:manage'),
+    validateParams(paramSchemas.mongoId),
+    WebhookController.rotateSecret
+);
+
+router.delete('/webhooks/:id',
+    requireScope('webhooks:manage'),
+    validateParams(paramSchemas.mongoId),
+    WebhookController.deleteEndpoint
+);
+
+module.exports = router;
@@ -1,8 +1,39 @@
 const express = require('express');
 const router = express.Router();
 const PublicController = require('../controllers/publicController');
+const ZoneController = require('../controllers/zoneController');
+const CustomerRatingController = require('../controllers/customerRatingController');
+const { validate, validateParams, schemas, paramSchemas, sanitizeInput } = require('../middleware/validation');
+const { createTrackingLimiter } = require('../config/rateLimit');
+
+const trackingLimiter = createTrackingLimiter();
 
 // Public endpoints (no authentication required)
 router.get('/profile-options', PublicController.getProfileOptions);
 
+// Active service zones with English and Turkish names
+router.get('/zones', ZoneController.getActiveZones);
+
+// Customer delivery tracking by GRP- delivery code
+router.get('/track/:deliveryCode',
+    trackingLimiter,
+    validateParams(paramSchemas.deliveryCode),
+    PublicController.trackDelivery
+);
+
+// Customer rating of a delivered delivery through its one-time rating link
+router.get('/ratings/:token',
+    trackingLimiter,
+    validateParams(paramSchemas.ratingToken),
+    CustomerRatingController.getRatingForm
+);
+
+router.post('/ratings/:token',
+    trackingLimiter,
+    sanitizeInput,
+    validateParams(paramSchemas.ratingToken),
+    validate(schemas.submitCustomerRating),
+    CustomerRatingController.submitRating
+);
+
 module.exports = router; 
\ No newline at end of file
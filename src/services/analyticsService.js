@@ -1,5 +1,6 @@
 const Driver = require('../models/Driver');
 const Delivery = require('../models/Delivery');
+const ZoneService = require('./zoneService');
 const moment = require('moment');
 
 class AnalyticsService {
@@ -456,7 +457,7 @@ class AnalyticsService {
         }
     }
 
-    // Get top areas
+    // Get top areas (pickup zones)
     static async getTopAreas(period = 'month') {
         try {
             const { startDate, endDate } = this.getDateRange(period);
@@ -470,7 +471,7 @@ class AnalyticsService {
                 },
                 {
                     $group: {
-                        _id: '$pickupLocation',
+                        _id: '$pickupZone',
                         deliveries: { $sum: 1 },
                         revenue: { $sum: '$fee' }
                     }
@@ -480,11 +481,14 @@ class AnalyticsService {
                 },
                 {
                     $limit: 5
-                }
+                },
+                ...ZoneService.zoneLookupStages()
             ]);
 
             return areaData.map(item => ({
-                area: item._id,
+                zoneId: item._id,
+                area: item.zone ? item.zone.name : 'Unzoned',
+                displayName: item.zone ? item.zone.displayName : null,
                 deliveries: item.deliveries,
                 revenue: item.revenue
             }));
@@ -823,7 +827,7 @@ class AnalyticsService {
         }
     }
 
-    // Get area performance
+    // Get area performance (by pickup zone)
     static async getAreaPerformance(startDate, endDate) {
         try {
             const areaStats = await Delivery.aggregate([
@@ -834,20 +838,9 @@ class AnalyticsService {
                         assignedTo: { $ne: null }
                     }
                 },
-                {
-                    $lookup: {
-                        from: 'drivers',
-                        localField: 'assignedTo',
-                        foreignField: '_id',
-                        as: 'driver'
-                    }
-                },
-                {
-                    $unwind: '$driver'
-                },
                 {
                     $group: {
-                        _id: '$driver.area',
+                        _id: '$pickupZone',
                         totalDeliveries: { $sum: 1 },
                         totalRevenue: { $sum: '$fee' },
                         totalDrivers: { $addToSet: '$assignedTo' },
@@ -861,9 +854,12 @@ class AnalyticsService {
                         }
                     }
                 },
+                ...ZoneService.zoneLookupStages(),
                 {
                     $project: {
-                        area: '$_id',
+                        zoneId: '$_id',
+                        area: { $ifNull: ['$zone.name', 'Unzoned'] },
+                        displayName: '$zone.displayName',
                         totalDeliveries: 1,
                         totalRevenue: 1,
                         totalDrivers: { $size: '$totalDrivers' },
@@ -1,4 +1,7 @@
 const BroadcastService = require('./broadcastService');
+const SurgeService = require('./surgeService');
+const WebhookService = require('./webhookService');
+const CaseService = require('./caseService');
 const Delivery = require('../models/Delivery');
 
 class BackgroundJobService {
@@ -20,8 +23,20 @@ class BackgroundJobService {
         // Start the expired broadcast handler
         this.startExpiredBroadcastHandler();
 
+        // Start the sequential offer timeout handler
+        this.startOfferTimeoutHandler();
+
         // Start the broadcast processor
         this.startBroadcastProcessor();
+
+        // Start the zone surge calculator
+        this.startSurgeCalculator();
+
+        // Start the webhook outbox dispatcher
+        this.startWebhookDispatcher();
+
+        // Start the case SLA monitor
+        this.startCaseSlaMonitor();
     }
 
     // Stop the background job service
@@ -58,6 +73,26 @@ class BackgroundJobService {
         console.log(`✅ Started job: ${jobId}`);
     }
 
+    // Start sequential offer timeout handler (runs every 5 seconds, offers are short)
+    startOfferTimeoutHandler() {
+        const jobId = 'offer-timeout-handler';
+        const interval = setInterval(async () => {
+            if (!this.isRunning) return;
+
+            try {
+                const processedCount = await BroadcastService.handleExpiredOffers();
+                if (processedCount > 0) {
+                    console.log(`🔄 Moved ${processedCount} timed-out offers to the next driver`);
+                }
+            } catch (error) {
+                console.error('❌ Error processing timed-out offers:', error);
+            }
+        }, 5000); // 5 seconds
+
+        this.jobs.set(jobId, interval);
+        console.log(`✅ Started job: ${jobId}`);
+    }
+
     // Start broadcast processor (runs every 10 seconds)
     startBroadcastProcessor() {
         const jobId = 'broadcast-processor';
@@ -75,6 +110,63 @@ class BackgroundJobService {
         console.log(`✅ Started job: ${jobId}`);
     }
 
+    // Start zone surge calculator (runs every 60 seconds)
+    startSurgeCalculator() {
+        const jobId = 'surge-calculator';
+        const interval = setInterval(async () => {
+            if (!this.isRunning) return;
+
+            try {
+                await SurgeService.recalculate();
+            } catch (error) {
+                console.error('❌ Error recalculating zone surge:', error);
+            }
+        }, 60000); // 60 seconds
+
+        this.jobs.set(jobId, interval);
+        console.log(`✅ Started job: ${jobId}`);
+    }
+
+    // Start webhook outbox dispatcher (runs every 10 seconds, sends due events and retries)
+    startWebhookDispatcher() {
+        const jobId = 'webhook-dispatcher';
+        const interval = setInterval(async () => {
+            if (!this.isRunning) return;
+
+            try {
+                const processedCount = await WebhookService.processOutbox();
+                if (processedCount > 0) {
+                    console.log(`🪝 Sent ${processedCount} webhook events`);
+                }
+            } catch (error) {
+                console.error('❌ Error sending webhook events:', error);
+            }
+        }, 10000); // 10 seconds
+
+        this.jobs.set(jobId, interval);
+        console.log(`✅ Started job: ${jobId}`);
+    }
+
+    // Start case SLA monitor (runs every 5 minutes, flags cases past their deadlines)
+    startCaseSlaMonitor() {
+        const jobId = 'case-sla-monitor';
+        const interval = setInterval(async () => {
+            if (!this.isRunning) return;
+
+            try {
+                const breachCount = await CaseService.checkSlaBreaches();
+                if (breachCount > 0) {
+                    console.log(`⏰ Flagged ${breachCount} case SLA breaches`);
+                }
+            } catch (error) {
+                console.error('❌ Error checking case SLAs:', error);
+            }
+        }, 5 * 60 * 1000); // 5 minutes
+
+        this.jobs.set(jobId, interval);
+        console.log(`✅ Started job: ${jobId}`);
+    }
+
     // Process deliveries ready for broadcast
     async processReadyBroadcasts() {
         try {
@@ -109,7 +201,8 @@ class BackgroundJobService {
     // Manually trigger expired broadcast handling
     async triggerExpiredBroadcastHandling() {
         try {
-            const processedCount = await BroadcastService.handleExpiredBroadcasts();
+            const processedCount = await BroadcastService.handleExpiredBroadcasts() +
+                await BroadcastService.handleExpiredOffers();
             console.log(`🔄 Manually processed ${processedCount} expired broadcasts`);
             return processedCount;
         } catch (error) {
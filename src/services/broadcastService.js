@@ -2,6 +2,9 @@ const Delivery = require('../models/Delivery');
 const Driver = require('../models/Driver');
 const SocketService = require('./socketService');
 const LocationService = require('./locationService');
+const SequentialDispatchService = require('./sequentialDispatchService');
+const DeliveryOfferService = require('./deliveryOfferService');
+const DispatchEligibilityService = require('./dispatchEligibilityService');
 const { catchAsync } = require('../middleware/errorHandler');
 
 class BroadcastService {
@@ -17,20 +20,28 @@ class BroadcastService {
                 throw new Error('Broadcast already started or completed');
             }
 
-            // Start the broadcast
+            // Start the broadcast (the dispatch mode is fixed for the rest of this delivery)
+            delivery.dispatchMode = await SequentialDispatchService.resolveMode(delivery);
             await delivery.startBroadcast();
 
             // Find eligible drivers within radius
             const eligibleDrivers = await this.findEligibleDrivers(delivery);
 
-            // Send broadcast notification to eligible drivers
-            await this.sendBroadcastNotification(delivery, eligibleDrivers);
+            if (SequentialDispatchService.isSequential(delivery)) {
+                // Offer to one ranked driver at a time
+                await SequentialDispatchService.startOffers(delivery, eligibleDrivers);
+            } else {
+                // Send broadcast notification to eligible drivers
+                await this.sendBroadcastNotification(delivery, eligibleDrivers);
+            }
 
-            console.log(`Broadcast started for delivery ${deliveryId}. Eligible drivers: ${eligibleDrivers.length}`);
+            console.log(`Broadcast started for delivery ${deliveryId} (${delivery.dispatchMode}). Eligible drivers: ${eligibleDrivers.length}`);
 
             return {
                 delivery,
+                dispatchMode: delivery.dispatchMode,
                 eligibleDrivers: eligibleDrivers.length,
+                offeredTo: delivery.offeredTo,
                 broadcastEndTime: delivery.broadcastEndTime
             };
         } catch (error) {
@@ -39,8 +50,35 @@ class BroadcastService {
         }
     }
 
-    // Find eligible drivers for a delivery
+    // Find eligible drivers for a delivery: nearby available drivers whose transportation type
+    // may take it and who have capacity for it. Records why when nobody is eligible.
     static async findEligibleDrivers(delivery) {
+        const candidates = await this.findNearbyCandidates(delivery);
+        const { eligible, rejected } = await DispatchEligibilityService.evaluate(delivery, candidates);
+
+        if (rejected.length > 0) {
+            console.log(`🚫 Skipped ${rejected.length} ineligible drivers`);
+        }
+
+        if (eligible.length === 0) {
+            const report = DispatchEligibilityService.recordNoEligible(delivery, { candidates, rejected });
+            await delivery.save();
+
+            SocketService.emitAdminNotification({
+                type: 'no-eligible-drivers',
+                deliveryId: delivery._id,
+                deliveryCode: delivery.deliveryCode,
+                attempt: report.attempt,
+                candidates: report.candidates,
+                reasons: report.reasons
+            });
+        }
+
+        return eligible;
+    }
+
+    // Find online, active drivers near the pickup location
+    static async findNearbyCandidates(delivery) {
         try {
             console.log(`🔍 Finding eligible drivers for delivery ${delivery._id}`);
 
@@ -69,7 +107,7 @@ class BroadcastService {
                 20 // Limit to 20 drivers
             );
 
-            console.log(`✅ Found ${nearbyDrivers.length} eligible drivers within ${delivery.broadcastRadius || 10}km radius`);
+            console.log(`✅ Found ${nearbyDrivers.length} nearby drivers within ${delivery.broadcastRadius || 10}km radius`);
 
             return nearbyDrivers;
         } catch (error) {
@@ -115,6 +153,13 @@ class BroadcastService {
             // Emit real-time delivery broadcast for toast notification
             SocketService.emitDeliveryBroadcast(delivery, drivers);
 
+            // Keep a record of who was offered the delivery
+            try {
+                await DeliveryOfferService.recordOffers(delivery, drivers);
+            } catch (error) {
+                console.error('Error recording broadcast offers:', error);
+            }
+
             // Also emit to admin dashboard for monitoring
             SocketService.emitAdminNotification({
                 type: 'broadcast-started',
@@ -158,8 +203,18 @@ class BroadcastService {
                 throw new Error('Delivery already assigned');
             }
 
+            const sequential = SequentialDispatchService.isSequential(delivery);
+            if (sequential && !SequentialDispatchService.isOfferedTo(delivery, driverId)) {
+                throw new Error('This delivery is currently offered to another driver');
+            }
+
             // Check if broadcast has expired
             if (delivery.broadcastEndTime && new Date() > delivery.broadcastEndTime) {
+                // The offer timeout handler moves a sequential delivery on to the next driver
+                if (sequential) {
+                    throw new Error('Your offer for this delivery has expired');
+                }
+
                 // Update status to expired
                 delivery.broadcastStatus = 'expired';
                 await delivery.save();
@@ -167,7 +222,14 @@ class BroadcastService {
             }
 
             // Accept the delivery
+            if (sequential) {
+                SequentialDispatchService.closeCurrentOffer(delivery, 'accepted');
+            }
             await delivery.acceptDelivery(driverId);
+            SocketService.emitDeliveryStatusUpdate(delivery);
+
+            await DeliveryOfferService.recordResponse(delivery._id, driverId, 'accepted');
+            await DeliveryOfferService.closeOpenOffers(delivery._id, 'withdrawn');
 
             // Get driver name for notification
             const driver = await Driver.findById(driverId);
@@ -217,10 +279,61 @@ class BroadcastService {
         }
     }
 
-    // Handle expired broadcasts
+    // Decline an offer with a reason code. A sequential delivery moves on to the next ranked driver.
+    static async declineOffer(deliveryId, driverId, { reason, note } = {}) {
+        try {
+            const delivery = await Delivery.findById(deliveryId);
+            if (!delivery) {
+                throw new Error('Delivery not found');
+            }
+
+            if (delivery.broadcastStatus !== 'broadcasting' || delivery.assignedTo) {
+                throw new Error('This delivery is no longer open for offers');
+            }
+
+            const sequential = SequentialDispatchService.isSequential(delivery);
+            if (sequential && !SequentialDispatchService.isOfferedTo(delivery, driverId)) {
+                throw new Error('This delivery is not currently offered to you');
+            }
+
+            const offer = await DeliveryOfferService.recordResponse(delivery._id, driverId, 'declined', { reason, note });
+            if (!offer && !sequential) {
+                throw new Error('You have no open offer for this delivery');
+            }
+
+            let nextOffer = null;
+            if (sequential) {
+                SequentialDispatchService.closeCurrentOffer(delivery, 'declined');
+                nextOffer = await SequentialDispatchService.offerNext(delivery);
+            }
+
+            SocketService.emitAdminNotification({
+                type: 'delivery-offer-declined',
+                deliveryId: delivery._id,
+                driverId: driverId,
+                reason,
+                nextDriverId: nextOffer ? nextOffer.driver : null
+            });
+
+            if (sequential && !nextOffer) {
+                // Nobody left in the queue: expire and retry with a wider radius
+                await this.handleExpiredBroadcast(delivery);
+            }
+
+            console.log(`Delivery ${deliveryId} declined by driver ${driverId} (${reason})`);
+
+            return { delivery, nextOffer };
+        } catch (error) {
+            console.error('Error declining delivery offer:', error);
+            throw error;
+        }
+    }
+
+    // Handle expired broadcasts (sequential offers are handled by handleExpiredOffers)
     static async handleExpiredBroadcasts() {
         try {
-            const expiredDeliveries = await Delivery.findExpiredBroadcasts();
+            const expiredDeliveries = (await Delivery.findExpiredBroadcasts())
+                .filter(delivery => !SequentialDispatchService.isSequential(delivery));
 
             for (const delivery of expiredDeliveries) {
                 await this.handleExpiredBroadcast(delivery);
@@ -233,9 +346,36 @@ class BroadcastService {
         }
     }
 
+    // Move timed-out sequential offers on to the next ranked driver
+    static async handleExpiredOffers() {
+        try {
+            const expiredOffers = await Delivery.findExpiredBroadcasts().where({ dispatchMode: 'sequential' });
+
+            for (const delivery of expiredOffers) {
+                await this.handleExpiredBroadcast(delivery);
+            }
+
+            return expiredOffers.length;
+        } catch (error) {
+            console.error('Error handling expired offers:', error);
+            throw error;
+        }
+    }
+
     // Handle a single expired broadcast
     static async handleExpiredBroadcast(delivery) {
         try {
+            // Offers nobody answered count as ignored
+            await DeliveryOfferService.closeOpenOffers(delivery._id, 'ignored');
+
+            // Sequential dispatch cascades to the next driver before the broadcast expires
+            if (SequentialDispatchService.isSequential(delivery)) {
+                SequentialDispatchService.closeCurrentOffer(delivery, 'timed_out');
+                if (await SequentialDispatchService.offerNext(delivery)) {
+                    return;
+                }
+            }
+
             // Mark as expired
             await delivery.expireBroadcast();
 
@@ -281,12 +421,10 @@ class BroadcastService {
 
             // For now, return all active broadcasts regardless of driver status
             // This will help us test the system
-            const activeDeliveries = await Delivery.find({
-                broadcastStatus: 'broadcasting',
-                broadcastEndTime: { $gt: new Date() },
-                assignedTo: null,
-                status: 'pending'
-            }).sort({ priority: -1, createdAt: 1 });
+            const declinedIds = await DeliveryOfferService.getDeclinedDeliveryIds(driverId);
+            const activeDeliveries = await Delivery.findOpenForDriver(driverId)
+                .where('_id').nin(declinedIds)
+                .sort({ priority: -1, createdAt: 1 });
 
             console.log(`📦 Found ${activeDeliveries.length} active broadcasts`);
 
@@ -297,7 +435,7 @@ class BroadcastService {
                         driverId,
                         location,
                         10 // 10km radius for driver view
-                    );
+                    ).where('_id').nin(declinedIds);
                     console.log(`📍 Location-based filtering returned ${deliveriesInRange.length} deliveries`);
                     return deliveriesInRange;
                 } catch (error) {
@@ -347,15 +485,17 @@ class BroadcastService {
         }
     }
 
-    // Manual assignment fallback
-    static async manualAssign(deliveryId, driverId) {
+    // Manual assignment fallback (actor is the admin from DeliveryStatusService.actorFromUser)
+    static async manualAssign(deliveryId, driverId, actor) {
         try {
             const delivery = await Delivery.findById(deliveryId);
             if (!delivery) {
                 throw new Error('Delivery not found');
             }
 
-            await delivery.manualAssign(driverId);
+            await delivery.manualAssign(driverId, actor);
+            SocketService.emitDeliveryStatusUpdate(delivery);
+            await DeliveryOfferService.closeOpenOffers(delivery._id, 'withdrawn');
 
             // Notify admin
             SocketService.emitAdminNotification({
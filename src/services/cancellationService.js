@@ -0,0 +1,148 @@
+const CancellationPolicy = require('../models/CancellationPolicy');
+const DeliveryStatusService = require('./deliveryStatusService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Stages at which the driver has met the customer and can have taken a cancellation fee in cash
+const COLLECTABLE_STAGES = ['picked_up', 'in_transit', 'failed'];
+
+class CancellationService {
+    // Rules used until a cancellation policy is created
+    static defaultRules = [
+        {
+            description: 'Driver cancelled: counts against their reliability',
+            cancelledBy: ['driver'],
+            countsAgainstDriver: true
+        },
+        {
+            description: 'Customer cancelled after pickup: 50% fee, driver compensated for the wasted trip',
+            cancelledBy: ['customer'],
+            stages: ['picked_up', 'in_transit', 'failed'],
+            fee: { type: 'percentage', amount: 50 },
+            driverCompensation: { type: 'percentage', amount: 50 }
+        },
+        {
+            description: 'Cancelled after pickup: driver compensated for the wasted trip',
+            stages: ['picked_up', 'in_transit', 'failed'],
+            driverCompensation: { type: 'percentage', amount: 50 }
+        },
+        {
+            description: 'No charge'
+        }
+    ];
+
+    /**
+     * Stage a delivery is at, for policy matching
+     */
+    static getStage(delivery) {
+        if (delivery.status === 'pending' && delivery.broadcastStatus === 'broadcasting') {
+            return 'broadcasting';
+        }
+        return delivery.status;
+    }
+
+    /**
+     * First rule matching who cancelled, the stage and the reason
+     */
+    static findRule(rules, { cancelledBy, stage, reasonCode }) {
+        const matches = (list, value) => !list || list.length === 0 || list.includes(value);
+        return rules.find(rule =>
+            matches(rule.cancelledBy, cancelledBy) &&
+            matches(rule.stages, stage) &&
+            matches(rule.reasonCodes, reasonCode)
+        ) || null;
+    }
+
+    static calculateCharge(charge, deliveryFee) {
+        if (!charge || !charge.amount) return 0;
+        return charge.type === 'percentage'
+            ? Math.round((deliveryFee || 0) * charge.amount / 100)
+            : charge.amount;
+    }
+
+    /**
+     * What the active policy (or the defaults) decides for a cancellation
+     */
+    static async evaluate(delivery, { cancelledBy, reasonCode }) {
+        const policy = await CancellationPolicy.getActiveConfig();
+        const rules = policy ? policy.rules : this.defaultRules;
+        const stage = this.getStage(delivery);
+        const rule = this.findRule(rules, { cancelledBy, stage, reasonCode });
+        const hasDriver = !!delivery.assignedTo;
+
+        return {
+            stage,
+            fee: rule ? this.calculateCharge(rule.fee, delivery.fee) : 0,
+            // Compensation and reliability only apply when a driver was assigned
+            driverCompensation: rule && hasDriver ? this.calculateCharge(rule.driverCompensation, delivery.fee) : 0,
+            countsAgainstDriver: !!(rule && hasDriver && rule.countsAgainstDriver),
+            policy: policy ? policy._id : null,
+            rule: rule ? rule.description : null
+        };
+    }
+
+    /**
+     * Cancel a delivery: validate the status change for the actor, apply the cancellation
+     * policy and record the outcome on `delivery.cancellation`. The caller saves the delivery.
+     * @param {Object} options - actor (DeliveryStatusService actor), cancelledBy (party, defaults
+     *   to the actor's role), reasonCode, notes, location, feeCollected (the driver took the fee
+     *   in cash; only possible on cash deliveries after pickup)
+     */
+    static async cancel(delivery, { actor, cancelledBy, reasonCode = 'other', notes, location, feeCollected = false } = {}) {
+        const role = actor?.type || 'system';
+        const party = cancelledBy || role;
+
+        if (!CancellationPolicy.PARTIES.includes(party)) {
+            throw new AppError(`Invalid cancelling party: ${party}`, 400);
+        }
+        if (role === 'driver' && party !== 'driver') {
+            throw new AppError('Drivers can only record their own cancellations', 400);
+        }
+        if (!CancellationPolicy.REASONS.includes(reasonCode)) {
+            throw new AppError(`Invalid cancellation reason: ${reasonCode}`, 400);
+        }
+
+        // Evaluate before the transition so the stage is the status it was cancelled at
+        const outcome = await this.evaluate(delivery, { cancelledBy: party, reasonCode });
+
+        if (feeCollected && (outcome.fee === 0 || delivery.paymentMethod !== 'cash' ||
+            !delivery.assignedTo || !COLLECTABLE_STAGES.includes(outcome.stage))) {
+            throw new AppError('The driver can only collect a cancellation fee in cash after pickup', 400);
+        }
+
+        DeliveryStatusService.transition(delivery, 'cancelled', {
+            actor,
+            location,
+            reason: notes ? `${reasonCode}: ${notes}` : reasonCode
+        });
+
+        delivery.cancellation = {
+            cancelledBy: party,
+            ...(actor?.id && { actor: actor.id }),
+            reasonCode,
+            notes,
+            stage: outcome.stage,
+            driver: delivery.assignedTo ? (delivery.assignedTo._id || delivery.assignedTo) : null,
+            fee: outcome.fee,
+            driverCompensation: outcome.driverCompensation,
+            feeCollected: !!feeCollected,
+            countsAgainstDriver: outcome.countsAgainstDriver,
+            policy: outcome.policy,
+            rule: outcome.rule
+        };
+
+        return delivery.cancellation;
+    }
+
+    /**
+     * Whether a cancelled delivery lowers its driver's reliability.
+     * Cancellations from before structured cancellation always did.
+     */
+    static countsAgainstDriver(delivery) {
+        return delivery.status === 'cancelled' &&
+            (delivery.cancellation ? delivery.cancellation.countsAgainstDriver : true);
+    }
+}
+
+CancellationService.COLLECTABLE_STAGES = COLLECTABLE_STAGES;
+
+module.exports = CancellationService;
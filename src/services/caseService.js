@@ -0,0 +1,512 @@
+const mongoose = require('mongoose');
+const Case = require('../models/Case');
+const Admin = require('../models/Admin');
+const Delivery = require('../models/Delivery');
+const Driver = require('../models/Driver');
+const Remittance = require('../models/Remittance');
+const { AppError } = require('../middleware/errorHandler');
+
+// Hours to the first admin response and to a resolution, by priority
+const SLA_HOURS = {
+    urgent: { response: 1, resolution: 8 },
+    high: { response: 4, resolution: 24 },
+    normal: { response: 8, resolution: 72 },
+    low: { response: 24, resolution: 168 }
+};
+
+// Case category -> type of the violation written to the driver
+const VIOLATION_TYPES = {
+    late_delivery: 'late_delivery',
+    missing_item: 'customer_complaint',
+    damaged_item: 'customer_complaint',
+    driver_conduct: 'customer_complaint',
+    earnings_dispute: 'policy_violation',
+    remittance_dispute: 'policy_violation',
+    payment_issue: 'policy_violation',
+    customer_conduct: 'other',
+    other: 'other'
+};
+
+// Violation severity unless the resolution sets one
+const OUTCOME_SEVERITY = {
+    penalty: 'medium',
+    warning: 'low',
+    refund: 'medium'
+};
+
+// Outcomes that record a driver violation unless the resolution says otherwise
+const VIOLATION_OUTCOMES = ['penalty', 'warning'];
+
+const CASE_FIELDS = ['category', 'subject', 'description', 'priority'];
+const LINK_FIELDS = ['delivery', 'driver', 'remittance'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class CaseService {
+    /**
+     * Response and resolution deadlines for a priority, counted from `from`
+     */
+    static computeSla(priority, from = new Date()) {
+        const hours = SLA_HOURS[priority] || SLA_HOURS.normal;
+        return {
+            responseDueAt: new Date(from.getTime() + hours.response * HOUR_MS),
+            resolutionDueAt: new Date(from.getTime() + hours.resolution * HOUR_MS)
+        };
+    }
+
+    /**
+     * Cases, most urgent first (admin)
+     */
+    static async listCases({ page = 1, limit = 20, status, category, priority, assignedTo, driver, delivery, remittance, breached, search } = {}) {
+        const filter = {};
+        if (status) filter.status = status;
+        if (category) filter.category = category;
+        if (priority) filter.priority = priority;
+        if (assignedTo) filter.assignedTo = assignedTo === 'none' ? null : assignedTo;
+        if (driver) filter.driver = driver;
+        if (delivery) filter.delivery = delivery;
+        if (remittance) filter.remittance = remittance;
+        if (breached === true || breached === 'true') {
+            filter.$or = [
+                { 'sla.responseBreachedAt': { $ne: null } },
+                { 'sla.resolutionBreachedAt': { $ne: null } }
+            ];
+        }
+        if (search) {
+            const pattern = new RegExp(escapeRegex(search), 'i');
+            filter.$and = [{ $or: [{ caseNumber: pattern }, { subject: pattern }, { 'reporter.name': pattern }] }];
+        }
+
+        const [cases, total] = await Promise.all([
+            Case.find(filter)
+                .select('-notes')
+                .populate('assignedTo', 'name email')
+                .populate('driver', 'fullName name email')
+                .populate('delivery', 'deliveryCode status')
+                .sort({ 'sla.resolutionDueAt': 1, createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit * 1),
+            Case.countDocuments(filter)
+        ]);
+
+        return {
+            cases,
+            pagination: {
+                currentPage: page * 1,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit * 1
+            }
+        };
+    }
+
+    static async getCase(caseId) {
+        const caseDoc = await Case.findById(caseId);
+        if (!caseDoc) {
+            throw new AppError('Case not found', 404);
+        }
+        return caseDoc;
+    }
+
+    // Case with its links and note authors, for the case page
+    static async getCaseDetails(caseId) {
+        const caseDoc = await Case.findById(caseId)
+            .populate('assignedTo', 'name email')
+            .populate('driver', 'fullName name email phone violations')
+            .populate('delivery', 'deliveryCode status pickupLocation deliveryLocation customerName customerPhone fee deliveredAt')
+            .populate('remittance', 'referenceNumber amount status dueDate')
+            .populate('notes.author', 'name email')
+            .populate('resolution.resolvedBy', 'name email');
+        if (!caseDoc) {
+            throw new AppError('Case not found', 404);
+        }
+        return caseDoc;
+    }
+
+    /**
+     * Check the linked delivery, driver and remittance exist. The driver defaults to the
+     * delivery's driver, or the remittance's.
+     */
+    static async resolveLinks({ delivery, driver, remittance }) {
+        const links = {};
+
+        if (delivery) {
+            const found = await Delivery.findById(delivery).select('assignedTo');
+            if (!found) throw new AppError('Delivery not found', 404);
+            links.delivery = found._id;
+            if (!driver && found.assignedTo) links.driver = found.assignedTo;
+        }
+        if (remittance) {
+            const found = await Remittance.findById(remittance).select('driverId');
+            if (!found) throw new AppError('Remittance not found', 404);
+            links.remittance = found._id;
+            if (!driver && !links.driver) links.driver = found.driverId;
+        }
+        if (driver) {
+            const found = await Driver.findById(driver).select('_id');
+            if (!found) throw new AppError('Driver not found', 404);
+            links.driver = found._id;
+        }
+
+        return links;
+    }
+
+    /**
+     * Open a case on behalf of a customer, merchant or driver (admin)
+     */
+    static async createCase(data, adminId) {
+        const links = await this.resolveLinks(data);
+        const now = new Date();
+
+        const caseDoc = new Case({
+            ...Object.fromEntries(CASE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])),
+            ...links,
+            reporter: data.reporter || { type: 'admin', id: adminId },
+            sla: this.computeSla(data.priority || 'normal', now),
+            createdBy: adminId
+        });
+        await caseDoc.save();
+
+        if (data.assignedTo) {
+            await this.assignCase(caseDoc, data.assignedTo, adminId);
+        }
+        return caseDoc;
+    }
+
+    // First admin action on a case stops the response timer
+    static markResponded(caseDoc) {
+        if (!caseDoc.sla.respondedAt) {
+            caseDoc.sla.respondedAt = new Date();
+        }
+    }
+
+    static ensureOpen(caseDoc) {
+        if (!caseDoc.isOpen) {
+            throw new AppError(`Case is ${caseDoc.status}`, 400);
+        }
+    }
+
+    /**
+     * Update details, links or status (admin). A new priority moves the deadlines, counted
+     * from when the case was opened. Resolving goes through resolveCase; resolved cases can
+     * only be closed.
+     */
+    static async updateCase(caseId, data) {
+        const caseDoc = await this.getCase(caseId);
+
+        if (data.status === 'closed') {
+            if (caseDoc.status !== 'resolved') {
+                throw new AppError('Only resolved cases can be closed', 400);
+            }
+            caseDoc.status = 'closed';
+            caseDoc.closedAt = new Date();
+            return caseDoc.save();
+        }
+
+        this.ensureOpen(caseDoc);
+
+        CASE_FIELDS.filter(field => data[field] !== undefined).forEach(field => caseDoc.set(field, data[field]));
+        if (data.priority !== undefined) {
+            const { responseDueAt, resolutionDueAt } = this.computeSla(data.priority, caseDoc.createdAt);
+            caseDoc.sla.responseDueAt = responseDueAt;
+            caseDoc.sla.resolutionDueAt = resolutionDueAt;
+            if (responseDueAt > new Date()) caseDoc.sla.responseBreachedAt = null;
+            if (resolutionDueAt > new Date()) caseDoc.sla.resolutionBreachedAt = null;
+        }
+        if (LINK_FIELDS.some(field => data[field] !== undefined)) {
+            const links = await this.resolveLinks(Object.fromEntries(LINK_FIELDS.map(field =>
+                [field, data[field] !== undefined ? data[field] : caseDoc[field]])));
+            LINK_FIELDS.forEach(field => caseDoc.set(field, links[field] || null));
+        }
+        if (data.status) {
+            caseDoc.status = data.status;
+        }
+
+        this.markResponded(caseDoc);
+        return caseDoc.save();
+    }
+
+    /**
+     * Assign a case to an admin, or unassign it with null. The assignee is notified.
+     */
+    static async assignCase(caseIdOrDoc, assigneeId, adminId) {
+        const caseDoc = caseIdOrDoc instanceof Case ? caseIdOrDoc : await this.getCase(caseIdOrDoc);
+        this.ensureOpen(caseDoc);
+
+        let assignee = null;
+        if (assigneeId) {
+            assignee = await Admin.findOne({ _id: assigneeId, isActive: true });
+            if (!assignee) {
+                throw new AppError('Admin not found', 404);
+            }
+        }
+
+        caseDoc.assignedTo = assignee ? assignee._id : null;
+        caseDoc.assignedAt = assignee ? new Date() : null;
+        if (assignee && caseDoc.status === 'open') {
+            caseDoc.status = 'in_progress';
+        }
+        this.markResponded(caseDoc);
+        await caseDoc.save();
+
+        if (assignee && String(assignee._id) !== String(adminId)) {
+            await this.notifyAdmin(assignee._id, caseDoc, 'Case Assigned', `Case ${caseDoc.caseNumber} (${caseDoc.subject}) was assigned to you`);
+        }
+        return caseDoc;
+    }
+
+    static async addNote(caseId, body, adminId) {
+        const caseDoc = await this.getCase(caseId);
+
+        caseDoc.notes.push({ body, author: adminId });
+        this.markResponded(caseDoc);
+        await caseDoc.save();
+
+        return caseDoc.notes[caseDoc.notes.length - 1];
+    }
+
+    /**
+     * Attach an uploaded file (see CloudinaryService.uploadImage)
+     */
+    static async addAttachment(caseDoc, upload, user) {
+        caseDoc.attachments.push({
+            url: upload.url,
+            publicId: upload.public_id,
+            name: upload.name,
+            uploadedBy: { id: user.id, userType: user.userType }
+        });
+        if (user.userType === 'admin') {
+            this.markResponded(caseDoc);
+        }
+        await caseDoc.save();
+
+        return caseDoc.attachments[caseDoc.attachments.length - 1];
+    }
+
+    /**
+     * Record the outcome. Penalties and warnings write a violation onto the linked driver
+     * unless recordViolation is false; a refund can write one with recordViolation: true.
+     * The case is claimed atomically before the violation is written, so two concurrent
+     * resolves cannot both record one.
+     */
+    static async resolveCase(caseId, { outcome, summary, amount, recordViolation, violationType, violationSeverity }, adminId) {
+        const caseDoc = await this.getCase(caseId);
+        this.ensureOpen(caseDoc);
+
+        const writeViolation = recordViolation !== undefined
+            ? recordViolation && outcome !== 'no_action'
+            : VIOLATION_OUTCOMES.includes(outcome) && !!caseDoc.driver;
+        if (writeViolation && !caseDoc.driver) {
+            throw new AppError('Link a driver to the case to record a violation', 400);
+        }
+        if (writeViolation && !(await Driver.exists({ _id: caseDoc.driver }))) {
+            throw new AppError('Driver not found', 404);
+        }
+
+        const now = new Date();
+        const violationSubdocId = writeViolation ? new mongoose.Types.ObjectId() : undefined;
+        const claimed = await Case.findOneAndUpdate(
+            { _id: caseDoc._id, status: { $nin: ['resolved', 'closed'] } },
+            {
+                $set: {
+                    status: 'resolved',
+                    resolution: {
+                        outcome,
+                        amount,
+                        summary,
+                        resolvedBy: adminId,
+                        resolvedAt: now,
+                        violationId: violationSubdocId
+                    }
+                }
+            },
+            { new: true, runValidators: true }
+        );
+        if (!claimed) {
+            throw new AppError('Case has already been resolved', 400);
+        }
+
+        if (writeViolation) {
+            const updated = await Driver.updateOne({ _id: caseDoc.driver }, {
+                $push: {
+                    violations: {
+                        _id: violationSubdocId,
+                        type: violationType || VIOLATION_TYPES[caseDoc.category] || 'other',
+                        description: `${caseDoc.caseNumber}: ${summary || caseDoc.subject}`,
+                        date: now,
+                        severity: violationSeverity || OUTCOME_SEVERITY[outcome] || 'medium'
+                    }
+                }
+            });
+            if (updated.matchedCount === 0) {
+                // The driver went away after the check; hand the case back
+                await Case.updateOne({ _id: caseDoc._id }, { $set: { status: caseDoc.status }, $unset: { resolution: 1 } });
+                throw new AppError('Driver not found', 404);
+            }
+        }
+
+        if (!claimed.sla.respondedAt) {
+            await Case.updateOne({ _id: claimed._id, 'sla.respondedAt': null }, { $set: { 'sla.respondedAt': now } });
+            claimed.sla.respondedAt = now;
+        }
+        return claimed;
+    }
+
+    /**
+     * Flag open cases past their response or resolution deadline and tell the assignee, or
+     * every admin when nobody is assigned. Returns the number of breaches recorded.
+     */
+    static async checkSlaBreaches(now = new Date()) {
+        const open = { status: { $in: ['open', 'in_progress', 'waiting'] } };
+        const [responseBreaches, resolutionBreaches] = await Promise.all([
+            Case.find({
+                ...open,
+                'sla.respondedAt': null,
+                'sla.responseBreachedAt': null,
+                'sla.responseDueAt': { $lte: now }
+            }),
+            Case.find({
+                ...open,
+                'sla.resolutionBreachedAt': null,
+                'sla.resolutionDueAt': { $lte: now }
+            })
+        ]);
+
+        for (const caseDoc of responseBreaches) {
+            caseDoc.sla.responseBreachedAt = now;
+            await caseDoc.save();
+            await this.notifySlaBreach(caseDoc, 'response');
+        }
+        for (const caseDoc of resolutionBreaches) {
+            caseDoc.sla.resolutionBreachedAt = now;
+            await caseDoc.save();
+            await this.notifySlaBreach(caseDoc, 'resolution');
+        }
+
+        return responseBreaches.length + resolutionBreaches.length;
+    }
+
+    static async notifySlaBreach(caseDoc, deadline) {
+        const title = 'Case SLA Breached';
+        const message = `Case ${caseDoc.caseNumber} (${caseDoc.priority}) missed its ${deadline} deadline`;
+
+        try {
+            if (caseDoc.assignedTo) {
+                await this.notifyAdmin(caseDoc.assignedTo, caseDoc, title, message, 'high');
+            } else {
+                const SocketService = require('./socketService');
+                SocketService.emitAdminNotification({
+                    type: 'case-sla-breached',
+                    title,
+                    message,
+                    data: { caseId: caseDoc._id, caseNumber: caseDoc.caseNumber, deadline }
+                });
+            }
+        } catch (error) {
+            console.error(`❌ Error sending SLA breach notification for ${caseDoc.caseNumber}:`, error);
+        }
+    }
+
+    static async notifyAdmin(adminId, caseDoc, title, message, priority = 'medium') {
+        const NotificationService = require('./notificationService');
+        return NotificationService.createAndEmitNotification({
+            recipient: adminId,
+            recipientModel: 'Admin',
+            type: 'system_alert',
+            title,
+            message,
+            data: { caseId: caseDoc._id, caseNumber: caseDoc.caseNumber },
+            priority
+        });
+    }
+
+    /**
+     * A driver's own cases (driver app)
+     */
+    static async listDriverCases(driverId) {
+        const cases = await Case.find({ 'reporter.type': 'driver', 'reporter.id': driverId }).sort({ createdAt: -1 });
+        return cases.map(caseDoc => this.toDriverView(caseDoc));
+    }
+
+    static async getDriverCase(driverId, caseId) {
+        const caseDoc = await Case.findOne({ _id: caseId, 'reporter.type': 'driver', 'reporter.id': driverId });
+        if (!caseDoc) {
+            throw new AppError('Case not found', 404);
+        }
+        return caseDoc;
+    }
+
+    /**
+     * Open a dispute from the driver app, about one of the driver's own deliveries or remittances
+     */
+    static async createDriverCase(driver, data) {
+        if (data.delivery && !(await Delivery.exists({ _id: data.delivery, assignedTo: driver._id }))) {
+            throw new AppError('Delivery not found', 404);
+        }
+        if (data.remittance && !(await Remittance.exists({ _id: data.remittance, driverId: driver._id }))) {
+            throw new AppError('Remittance not found', 404);
+        }
+
+        const caseDoc = new Case({
+            category: data.category,
+            subject: data.subject,
+            description: data.description,
+            delivery: data.delivery || null,
+            remittance: data.remittance || null,
+            driver: driver._id,
+            reporter: {
+                type: 'driver',
+                id: driver._id,
+                name: driver.fullName || driver.name,
+                contact: driver.phone || driver.email
+            },
+            sla: this.computeSla('normal')
+        });
+        await caseDoc.save();
+
+        const SocketService = require('./socketService');
+        SocketService.emitAdminNotification({
+            type: 'case-opened',
+            title: 'New Driver Case',
+            message: `${caseDoc.reporter.name} opened case ${caseDoc.caseNumber}: ${caseDoc.subject}`,
+            data: { caseId: caseDoc._id, caseNumber: caseDoc.caseNumber, category: caseDoc.category }
+        });
+
+        return caseDoc;
+    }
+
+    /**
+     * What the reporting driver sees: no internal notes, assignee or SLA
+     */
+    static toDriverView(caseDoc) {
+        return {
+            id: caseDoc._id,
+            caseNumber: caseDoc.caseNumber,
+            category: caseDoc.category,
+            subject: caseDoc.subject,
+            description: caseDoc.description,
+            status: caseDoc.status,
+            delivery: caseDoc.delivery,
+            remittance: caseDoc.remittance,
+            attachments: caseDoc.attachments.map(attachment => ({
+                url: attachment.url,
+                name: attachment.name,
+                createdAt: attachment.createdAt
+            })),
+            resolution: caseDoc.resolution?.outcome ? {
+                outcome: caseDoc.resolution.outcome,
+                summary: caseDoc.resolution.summary,
+                resolvedAt: caseDoc.resolution.resolvedAt
+            } : null,
+            createdAt: caseDoc.createdAt,
+            updatedAt: caseDoc.updatedAt
+        };
+    }
+}
+
+CaseService.SLA_HOURS = SLA_HOURS;
+CaseService.VIOLATION_TYPES = VIOLATION_TYPES;
+
+module.exports = CaseService;
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const CustomerRating = require('../models/CustomerRating');
+const Delivery = require('../models/Delivery');
+const { AppError } = require('../middleware/errorHandler');
+
+// How long after delivery the customer can use the rating link
+const LINK_VALIDITY_MS = 7 * 24 * 60 * 60 * 1000;
+
+const linkSecret = () => process.env.RATING_LINK_SECRET || process.env.JWT_SECRET;
+
+class CustomerRatingService {
+    static signLink(deliveryId, expires) {
+        return crypto.createHmac('sha256', linkSecret()).update(`rating.${deliveryId}.${expires}`).digest('base64url');
+    }
+
+    /**
+     * Rating link token for a delivered delivery: `<delivery id>.<expiry, unix seconds>.<signature>`.
+     * The expiry is derived from deliveredAt, so the same link is produced every time.
+     * Returns null until the delivery has been delivered.
+     */
+    static createToken(delivery) {
+        if (delivery.status !== 'delivered' || !delivery.deliveredAt) return null;
+
+        const expires = Math.floor((new Date(delivery.deliveredAt).getTime() + LINK_VALIDITY_MS) / 1000);
+        return `${delivery._id}.${expires}.${this.signLink(delivery._id, expires)}`;
+    }
+
+    static buildRatingUrl(delivery) {
+        const token = this.createToken(delivery);
+        return token ? `${process.env.FRONTEND_URL || 'http://localhost:3000'}/rate/${token}` : null;
+    }
+
+    /**
+     * Delivery a rating token was issued for. Throws a 404 for tampered tokens and a 410
+     * once the link has expired.
+     */
+    static async verifyToken(token) {
+        const [deliveryId, expires, signature] = String(token).split('.');
+        const expected = deliveryId && expires ? this.signLink(deliveryId, expires) : '';
+
+        if (!signature || signature.length !== expected.length ||
+            !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+            throw new AppError('Rating link is invalid', 404);
+        }
+        if (Number(expires) * 1000 < Date.now()) {
+            throw new AppError('This rating link has expired', 410);
+        }
+
+        const delivery = await Delivery.findById(deliveryId).populate('assignedTo', 'fullName name');
+        if (!delivery || delivery.status !== 'delivered' || !delivery.assignedTo) {
+            throw new AppError('Rating link is invalid', 404);
+        }
+        return delivery;
+    }
+
+    /**
+     * What the rating page shows: no contact details or fees
+     */
+    static async getRatingView(token) {
+        const delivery = await this.verifyToken(token);
+        const driverName = delivery.assignedTo.fullName || delivery.assignedTo.name || '';
+
+        return {
+            deliveryCode: delivery.deliveryCode,
+            deliveryLocation: delivery.deliveryLocation,
+            deliveredAt: delivery.deliveredAt,
+            driver: { firstName: driverName.split(' ')[0] || null },
+            rated: !!(await CustomerRating.exists({ delivery: delivery._id })),
+            tags: CustomerRating.TAGS
+        };
+    }
+
+    /**
+     * Store the customer's rating and refresh the driver's score. Each link can be used once.
+     */
+    static async submitRating(token, { rating, tags = [], comment = '' }) {
+        const delivery = await this.verifyToken(token);
+
+        if (await CustomerRating.exists({ delivery: delivery._id })) {
+            throw new AppError('This delivery has already been rated', 409);
+        }
+
+        let customerRating;
+        try {
+            customerRating = await CustomerRating.create({
+                delivery: delivery._id,
+                driver: delivery.assignedTo._id,
+                rating,
+                tags: [...new Set(tags)],
+                comment
+            });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new AppError('This delivery has already been rated', 409);
+            }
+            throw error;
+        }
+
+        await this.refreshDriverRating(customerRating.driver);
+        return customerRating;
+    }
+
+    // Recalculate the driver's rating; best effort
+    static async refreshDriverRating(driverId) {
+        try {
+            const DriverRatingService = require('./driverRatingService');
+            await DriverRatingService.calculateDriverRating(driverId);
+        } catch (error) {
+            console.error('Failed to update driver rating after customer rating:', error);
+        }
+    }
+
+    /**
+     * Published ratings a driver's satisfaction score is based on
+     */
+    static async getDriverRatings(driverId) {
+        return CustomerRating.find({ driver: driverId, status: 'published' }).select('rating');
+    }
+
+    /**
+     * Ratings, newest first, with the count and average of the published ones (admin)
+     */
+    static async listRatings({ page = 1, limit = 20, driver, status, rating, tag, startDate, endDate } = {}) {
+        const filter = {};
+        if (driver) filter.driver = new mongoose.Types.ObjectId(driver);
+        if (status) filter.status = status;
+        if (rating) filter.rating = Number(rating);
+        if (tag) filter.tags = tag;
+        if (startDate || endDate) {
+            filter.createdAt = {
+                ...(startDate && { $gte: new Date(startDate) }),
+                ...(endDate && { $lte: new Date(endDate) })
+            };
+        }
+
+        const [ratings, total, summary] = await Promise.all([
+            CustomerRating.find(filter)
+                .populate('delivery', 'deliveryCode deliveryLocation deliveredAt customerName merchant')
+                .populate('driver', 'fullName name email')
+                .populate('moderation.moderatedBy', 'name email')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit * 1),
+            CustomerRating.countDocuments(filter),
+            CustomerRating.aggregate([
+                { $match: { ...filter, status: 'published' } },
+                { $group: { _id: null, count: { $sum: 1 }, average: { $avg: '$rating' } } }
+            ])
+        ]);
+
+        return {
+            ratings,
+            summary: {
+                published: summary[0]?.count || 0,
+                averageRating: summary[0] ? Math.round(summary[0].average * 10) / 10 : null
+            },
+            pagination: {
+                currentPage: page * 1,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit * 1
+            }
+        };
+    }
+
+    /**
+     * Hide a rating (e.g. abusive comment or not the driver's fault) or publish it again.
+     * The driver's score is recalculated either way.
+     */
+    static async moderateRating(ratingId, { status, note }, adminId) {
+        const customerRating = await CustomerRating.findById(ratingId);
+        if (!customerRating) {
+            throw new AppError('Rating not found', 404);
+        }
+
+        customerRating.status = status;
+        customerRating.moderation = {
+            note,
+            moderatedBy: adminId,
+            moderatedAt: new Date()
+        };
+        await customerRating.save();
+
+        await this.refreshDriverRating(customerRating.driver);
+        return customerRating;
+    }
+}
+
+CustomerRatingService.LINK_VALIDITY_MS = LINK_VALIDITY_MS;
+
+module.exports = CustomerRatingService;
@@ -0,0 +1,229 @@
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { schemas } = require('../middleware/validation');
+const LocationService = require('./locationService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Most rows accepted in one file
+const MAX_IMPORT_ROWS = 500;
+
+// Template columns, in order. Headers are the createDelivery body fields, so rows are
+// validated with the same rules as a single delivery. Multi-stop deliveries are not imported.
+const IMPORT_COLUMNS = [
+    { key: 'pickupLocation', example: 'Main Campus Gate', width: 25 },
+    { key: 'pickupLocationLink', example: 'https://maps.google.com/?q=35.1856,33.3823', width: 40 },
+    { key: 'pickupLocationDescription', example: 'Security booth', width: 25 },
+    { key: 'deliveryLocation', example: 'Dormitory Block A', width: 25 },
+    { key: 'deliveryLocationLink', example: 'https://maps.google.com/?q=35.1901,33.3795', width: 40 },
+    { key: 'deliveryLocationDescription', example: 'Room 204', width: 25 },
+    { key: 'customerName', example: 'Ayşe Yılmaz', width: 20 },
+    { key: 'customerPhone', example: '+905331234567', width: 18 },
+    { key: 'fee', example: '', width: 10 },
+    { key: 'paymentMethod', example: 'cash', width: 15 },
+    { key: 'priority', example: 'normal', width: 10 },
+    { key: 'estimatedTime', example: null, width: 28 }, // tomorrow, filled in when the template is built
+    { key: 'scheduledFor', example: '', width: 28 },
+    { key: 'notes', example: 'Fragile', width: 30 }
+];
+
+const REQUIRED_COLUMNS = ['pickupLocation', 'deliveryLocation', 'estimatedTime'];
+
+// Imported deliveries are broadcast with the default radius and duration
+const IMPORT_DEFAULTS = { useAutoBroadcast: true, broadcastRadius: 5, broadcastDuration: 60 };
+
+const FORMATS = {
+    csv: { contentType: 'text/csv', extension: 'csv' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+class DeliveryImportService {
+    static getFormat(format) {
+        return FORMATS[format] || FORMATS.xlsx;
+    }
+
+    /**
+     * Format of an uploaded file, from its extension
+     */
+    static detectFormat(file) {
+        const extension = path.extname(file.originalname || '').toLowerCase();
+        if (extension === '.csv') return 'csv';
+        if (extension === '.xlsx') return 'xlsx';
+        throw new AppError('Upload a .csv or .xlsx file', 400);
+    }
+
+    /**
+     * Plain string for a cell: hyperlinks give their target, formulas their result.
+     * Empty cells are undefined.
+     */
+    static cellValue(value) {
+        if (value === null || value === undefined) return undefined;
+        if (value instanceof Date) return value.toISOString();
+        if (typeof value === 'object') {
+            if (value.hyperlink) return value.hyperlink;
+            if (value.richText) return this.cellValue(value.richText.map(part => part.text).join(''));
+            if ('result' in value) return this.cellValue(value.result);
+            if (value.text !== undefined) return this.cellValue(value.text);
+            return undefined;
+        }
+
+        const text = String(value).trim();
+        return text === '' ? undefined : text;
+    }
+
+    /**
+     * Read the first worksheet of an uploaded CSV or XLSX file into
+     * [{ row, values }], where row is the spreadsheet row number and values are keyed by column
+     */
+    static async parseFile(file) {
+        const format = this.detectFormat(file);
+        const workbook = new ExcelJS.Workbook();
+        let worksheet;
+
+        try {
+            if (format === 'csv') {
+                // Keep every value as text; Joi converts numbers and dates like a JSON body
+                worksheet = await workbook.csv.read(Readable.from(file.buffer), {
+                    map: datum => (datum === '' ? null : datum)
+                });
+            } else {
+                await workbook.xlsx.load(file.buffer);
+                worksheet = workbook.worksheets[0];
+            }
+        } catch (error) {
+            throw new AppError(`Could not read the ${format.toUpperCase()} file: ${error.message}`, 400);
+        }
+
+        if (!worksheet || worksheet.rowCount < 2) {
+            throw new AppError('The file has no delivery rows', 400);
+        }
+
+        const knownColumns = new Map(IMPORT_COLUMNS.map(column => [column.key.toLowerCase(), column.key]));
+        const columnsByIndex = new Map();
+        worksheet.getRow(1).eachCell((cell, index) => {
+            const key = knownColumns.get(String(this.cellValue(cell.value) || '').toLowerCase());
+            if (key) columnsByIndex.set(index, key);
+        });
+
+        const headers = [...columnsByIndex.values()];
+        const missing = REQUIRED_COLUMNS.filter(key => !headers.includes(key));
+        if (missing.length > 0) {
+            throw new AppError(`Missing columns: ${missing.join(', ')}. Download the template for the expected headers`, 400);
+        }
+
+        const rows = [];
+        worksheet.eachRow((sheetRow, rowNumber) => {
+            if (rowNumber === 1) return;
+
+            const values = {};
+            columnsByIndex.forEach((key, index) => {
+                const value = this.cellValue(sheetRow.getCell(index).value);
+                if (value !== undefined) values[key] = value;
+            });
+
+            if (Object.keys(values).length > 0) {
+                rows.push({ row: rowNumber, values });
+            }
+        });
+
+        if (rows.length === 0) {
+            throw new AppError('The file has no delivery rows', 400);
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            throw new AppError(`A file can have at most ${MAX_IMPORT_ROWS} deliveries, this one has ${rows.length}`, 400);
+        }
+
+        return rows;
+    }
+
+    /**
+     * Validate a row against the createDelivery rules and resolve its Google Maps links.
+     * Returns the create body for a valid row and [{ field, message }] for an invalid one.
+     */
+    static validateRow(values) {
+        const { error, value } = schemas.createDelivery.validate({ ...values, ...IMPORT_DEFAULTS }, { abortEarly: false });
+        const errors = error
+            ? error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }))
+            : [];
+
+        const body = { ...value };
+        for (const [field, target] of [
+            ['pickupLocationLink', 'pickupCoordinates'],
+            ['deliveryLocationLink', 'deliveryCoordinates']
+        ]) {
+            if (!values[field] || errors.some(item => item.field === field)) continue;
+
+            const validation = LocationService.validateGoogleMapsLink(values[field]);
+            if (validation.isValid) {
+                body[target] = validation.coordinates;
+            } else {
+                errors.push({ field, message: validation.error });
+            }
+        }
+
+        return { body, errors };
+    }
+
+    /**
+     * Write a workbook with the import columns (plus any extra columns) as CSV or XLSX
+     */
+    static async writeWorkbook(format, rows, extraColumns = []) {
+        const workbook = new ExcelJS.Workbook();
+        const worksheet = workbook.addWorksheet('Deliveries');
+        worksheet.columns = [
+            ...IMPORT_COLUMNS.map(({ key, width }) => ({ header: key, key, width })),
+            ...extraColumns
+        ];
+        worksheet.getRow(1).font = { bold: true };
+        rows.forEach(row => worksheet.addRow(row));
+
+        return format === 'csv' ? workbook.csv.writeBuffer() : workbook.xlsx.writeBuffer();
+    }
+
+    /**
+     * Empty import template with one example row
+     */
+    static buildTemplate(format = 'xlsx') {
+        const example = Object.fromEntries(IMPORT_COLUMNS.map(column => [column.key, column.example]));
+        const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+        tomorrow.setUTCHours(12, 0, 0, 0);
+        example.estimatedTime = tomorrow.toISOString();
+        return this.writeWorkbook(format, [example]);
+    }
+
+    /**
+     * Row report entries for an error building, validating or saving a row's delivery
+     */
+    static toRowErrors(error) {
+        if (error.errors) {
+            return Object.values(error.errors).map(item => ({ field: item.path, message: item.message }));
+        }
+        if (error.code === 11000) {
+            return Object.keys(error.keyValue || { row: null }).map(field => ({ field, message: `${field} already exists` }));
+        }
+        return [{ field: 'row', message: error.message }];
+    }
+
+    /**
+     * The rejected rows as they were uploaded, with an `errors` column, ready to fix and re-upload
+     */
+    static buildErrorReport(results, format = 'xlsx') {
+        const rows = results
+            .filter(result => !result.valid)
+            .map(result => ({
+                ...result.values,
+                row: result.row,
+                errors: result.errors.map(item => `${item.field}: ${item.message}`).join('; ')
+            }));
+
+        return this.writeWorkbook(format, rows, [
+            { header: 'row', key: 'row', width: 6 },
+            { header: 'errors', key: 'errors', width: 60 }
+        ]);
+    }
+}
+
+DeliveryImportService.IMPORT_COLUMNS = IMPORT_COLUMNS;
+DeliveryImportService.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
+
+module.exports = DeliveryImportService;
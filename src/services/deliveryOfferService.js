@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const DeliveryOffer = require('../models/DeliveryOffer');
+
+class DeliveryOfferService {
+    /**
+     * Record an offer for each driver a delivery was pushed to.
+     * Accepts the candidate format from BroadcastService.findEligibleDrivers
+     * or sequential dispatchQueue entries.
+     */
+    static async recordOffers(delivery, candidates) {
+        const offers = candidates.map(candidate => {
+            const driver = candidate.driver || candidate;
+            return {
+                delivery: delivery._id,
+                driver: driver._id || driver,
+                dispatchMode: delivery.dispatchMode || 'broadcast',
+                attempt: delivery.broadcastAttempts || 1,
+                rank: candidate.rank,
+                distance: typeof candidate.distance === 'number' ? Math.round(candidate.distance * 100) / 100 : null,
+                offeredAt: new Date(),
+                expiresAt: delivery.broadcastEndTime
+            };
+        });
+
+        if (offers.length === 0) return [];
+        return DeliveryOffer.insertMany(offers);
+    }
+
+    /**
+     * Latest offer of a delivery to a driver that is still open
+     */
+    static async findOpenOffer(deliveryId, driverId) {
+        return DeliveryOffer.findOne({ delivery: deliveryId, driver: driverId, status: 'offered' })
+            .sort({ offeredAt: -1 });
+    }
+
+    /**
+     * Stamp the first time a driver opened an offer. Returns false when there is no open offer.
+     */
+    static async markViewed(deliveryId, driverId) {
+        const offer = await this.findOpenOffer(deliveryId, driverId);
+        if (!offer) return false;
+
+        if (!offer.viewedAt) {
+            offer.viewedAt = new Date();
+            await offer.save();
+        }
+        return true;
+    }
+
+    /**
+     * Close a driver's open offer with their response (accepted | declined)
+     */
+    static async recordResponse(deliveryId, driverId, status, { reason, note } = {}) {
+        const offer = await this.findOpenOffer(deliveryId, driverId);
+        if (!offer) return null;
+
+        const now = new Date();
+        offer.status = status;
+        offer.respondedAt = now;
+        offer.viewedAt = offer.viewedAt || now; // Responding means they saw it
+        if (status === 'declined') {
+            offer.declineReason = reason;
+            offer.declineNote = note || undefined;
+        }
+
+        return offer.save();
+    }
+
+    /**
+     * Close every open offer of a delivery: ignored when the broadcast or offer expired,
+     * withdrawn when the delivery was taken by someone else
+     */
+    static async closeOpenOffers(deliveryId, status) {
+        const result = await DeliveryOffer.updateMany(
+            { delivery: deliveryId, status: 'offered' },
+            { status }
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * Deliveries a driver has declined, so they can be left out of the driver's open list
+     */
+    static async getDeclinedDeliveryIds(driverId) {
+        return DeliveryOffer.distinct('delivery', { driver: driverId, status: 'declined' });
+    }
+
+    /**
+     * Every offer of a delivery with the driver behind it ("who saw it")
+     */
+    static async getDeliveryOffers(deliveryId) {
+        const offers = await DeliveryOffer.find({ delivery: deliveryId })
+            .populate('driver', 'name phone area transportationType rating')
+            .sort({ attempt: 1, offeredAt: 1 });
+
+        const count = status => offers.filter(offer => offer.status === status).length;
+
+        return {
+            offers,
+            summary: {
+                offered: offers.length,
+                viewed: offers.filter(offer => offer.viewedAt).length,
+                accepted: count('accepted'),
+                declined: count('declined'),
+                ignored: count('ignored'),
+                withdrawn: count('withdrawn'),
+                open: count('offered')
+            }
+        };
+    }
+
+    /**
+     * Offer response metrics for a driver. Acceptance rate counts offers the driver could
+     * act on: accepted / (accepted + declined + ignored). Null when there are none yet.
+     */
+    static async getDriverOfferStats(driverId, { since } = {}) {
+        const match = { driver: new mongoose.Types.ObjectId(String(driverId)) };
+        if (since) {
+            match.offeredAt = { $gte: new Date(since) };
+        }
+
+        const [byStatus, viewed, responseTimes, declineReasons] = await Promise.all([
+            DeliveryOffer.aggregate([
+                { $match: match },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ]),
+            DeliveryOffer.countDocuments({ ...match, viewedAt: { $ne: null } }),
+            DeliveryOffer.aggregate([
+                { $match: { ...match, status: { $in: ['accepted', 'declined'] }, respondedAt: { $ne: null } } },
+                { $group: { _id: null, average: { $avg: { $subtract: ['$respondedAt', '$offeredAt'] } } } }
+            ]),
+            DeliveryOffer.aggregate([
+                { $match: { ...match, status: 'declined', declineReason: { $ne: null } } },
+                { $group: { _id: '$declineReason', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const counts = Object.fromEntries(byStatus.map(item => [item._id, item.count]));
+        const accepted = counts.accepted || 0;
+        const declined = counts.declined || 0;
+        const ignored = counts.ignored || 0;
+        const actionable = accepted + declined + ignored;
+
+        return {
+            offered: byStatus.reduce((sum, item) => sum + item.count, 0),
+            viewed,
+            accepted,
+            declined,
+            ignored,
+            withdrawn: counts.withdrawn || 0,
+            open: counts.offered || 0,
+            acceptanceRate: actionable > 0 ? Math.round((accepted / actionable) * 1000) / 10 : null,
+            averageResponseTime: responseTimes[0] ? Math.round(responseTimes[0].average / 1000) : null, // seconds
+            declineReasons: Object.fromEntries(declineReasons.map(item => [item._id, item.count]))
+        };
+    }
+}
+
+module.exports = DeliveryOfferService;
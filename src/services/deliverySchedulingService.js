@@ -0,0 +1,104 @@
+const Delivery = require('../models/Delivery');
+const SystemSettings = require('../models/SystemSettings');
+const DeliveryStatusService = require('./deliveryStatusService');
+
+const DEFAULT_LEAD_TIME_MINUTES = 30;
+
+class DeliverySchedulingService {
+    /**
+     * Minutes before scheduledFor that the broadcast starts (SystemSettings.delivery)
+     */
+    static async getLeadTimeMinutes() {
+        const deliverySettings = await SystemSettings.getCategorySettings('delivery');
+        return deliverySettings.scheduledBroadcastLeadTime ?? DEFAULT_LEAD_TIME_MINUTES;
+    }
+
+    /**
+     * When the broadcast for a delivery scheduled at `scheduledFor` should start
+     */
+    static async computeBroadcastAt(scheduledFor) {
+        const leadTimeMinutes = await this.getLeadTimeMinutes();
+        return new Date(new Date(scheduledFor).getTime() - leadTimeMinutes * 60 * 1000);
+    }
+
+    /**
+     * Whether the delivery is scheduled and its broadcast time is still ahead
+     */
+    static isWaitingForBroadcast(delivery) {
+        return !!delivery.broadcastAt && delivery.broadcastAt > new Date();
+    }
+
+    /**
+     * Scheduled deliveries can only be changed before their broadcast begins
+     */
+    static canChangeSchedule(delivery) {
+        return delivery.status === 'pending' &&
+            delivery.broadcastStatus === 'not_started' &&
+            !delivery.assignedTo;
+    }
+
+    /**
+     * Apply a schedule to a delivery (null clears it, so it broadcasts on the next run).
+     * The caller saves the delivery.
+     */
+    static async applySchedule(delivery, scheduledFor) {
+        if (!scheduledFor) {
+            delivery.scheduledFor = null;
+            delivery.broadcastAt = null;
+            return delivery;
+        }
+
+        delivery.scheduledFor = new Date(scheduledFor);
+        delivery.broadcastAt = await this.computeBroadcastAt(scheduledFor);
+        return delivery;
+    }
+
+    /**
+     * Admin queue of scheduled deliveries that have not started broadcasting
+     */
+    static async getScheduledQueue({ page = 1, limit = 20 } = {}) {
+        const [deliveries, total] = await Promise.all([
+            Delivery.findScheduled()
+                .populate('createdBy', 'name email')
+                .skip((page - 1) * limit)
+                .limit(limit * 1),
+            Delivery.findScheduled().countDocuments()
+        ]);
+
+        return {
+            deliveries,
+            pagination: {
+                currentPage: page * 1,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit * 1
+            }
+        };
+    }
+
+    /**
+     * Move a scheduled delivery to a new time
+     */
+    static async reschedule(delivery, scheduledFor) {
+        await this.applySchedule(delivery, scheduledFor);
+        return delivery.save();
+    }
+
+    /**
+     * Cancel a scheduled delivery before its broadcast begins
+     */
+    static async cancel(delivery, user, reason, { cancelledBy, reasonCode = 'scheduled_cancelled' } = {}) {
+        const CancellationService = require('./cancellationService');
+        await CancellationService.cancel(delivery, {
+            actor: DeliveryStatusService.actorFromUser(user),
+            cancelledBy,
+            reasonCode,
+            notes: reason || 'Scheduled delivery cancelled before broadcast'
+        });
+        delivery.broadcastAt = null;
+
+        return delivery.save();
+    }
+}
+
+module.exports = DeliverySchedulingService;
@@ -0,0 +1,168 @@
+const { AppError } = require('../middleware/errorHandler');
+
+// Allowed status changes per actor role.
+// Broadcasting is tracked on broadcastStatus, so an open broadcast is still `pending` here.
+// Drivers report failed attempts and an admin resolves them: `accepted` (reattempt with the
+// driver who has the package) or `returning` to the pickup point.
+const TRANSITIONS = {
+    admin: {
+        pending: ['accepted', 'cancelled'],
+        broadcasting: ['accepted', 'cancelled'],
+        accepted: ['pending', 'accepted', 'picked_up', 'cancelled'], // accepted -> accepted is a reassignment
+        picked_up: ['in_transit', 'delivered', 'cancelled'],
+        in_transit: ['delivered', 'cancelled'],
+        delivered: [],
+        cancelled: [],
+        failed: ['accepted', 'returning', 'cancelled'],
+        returning: ['returned'],
+        returned: []
+    },
+    // A driver can pick up a delivery straight from pending (e.g. assigned to them without an
+    // acceptance), as before the state machine
+    driver: {
+        pending: ['accepted', 'picked_up', 'cancelled'],
+        broadcasting: ['accepted', 'picked_up', 'cancelled'],
+        accepted: ['picked_up', 'cancelled'],
+        picked_up: ['in_transit', 'delivered', 'failed', 'cancelled'],
+        in_transit: ['delivered', 'failed', 'cancelled'],
+        delivered: [],
+        cancelled: [],
+        failed: [],
+        returning: ['returned'],
+        returned: []
+    },
+    // Merchants can call off their own orders until the driver picks them up
+    merchant: {
+        pending: ['cancelled'],
+        broadcasting: ['cancelled'],
+        accepted: ['cancelled'],
+        picked_up: [],
+        in_transit: [],
+        delivered: [],
+        cancelled: [],
+        failed: [],
+        returning: [],
+        returned: []
+    },
+    system: {
+        pending: ['cancelled'],
+        broadcasting: ['cancelled'],
+        accepted: [],
+        picked_up: [],
+        in_transit: [],
+        delivered: [],
+        cancelled: [],
+        failed: [],
+        returning: [],
+        returned: []
+    }
+};
+
+// Timestamp fields stamped when a delivery enters a status
+const STATUS_TIMESTAMPS = {
+    picked_up: 'pickedUpAt',
+    delivered: 'deliveredAt',
+    cancelled: 'cancelledAt',
+    failed: 'failedAt',
+    returned: 'returnedAt'
+};
+
+class DeliveryStatusService {
+    /**
+     * Map a req.user (or a bare user type string) to a transition role
+     */
+    static getRole(userOrType) {
+        const userType = typeof userOrType === 'string' ? userOrType : userOrType?.userType;
+        if (userType === 'driver') return 'driver';
+        if (userType === 'merchant') return 'merchant';
+        if (userType === 'system') return 'system';
+        return 'admin';
+    }
+
+    /**
+     * Build the actor stored on a history entry from req.user
+     */
+    static actorFromUser(user) {
+        if (!user) return { type: 'system' };
+
+        return {
+            id: user.id || user._id,
+            type: this.getRole(user),
+            name: user.name || user.fullName
+        };
+    }
+
+    static getAllowedTransitions(from, role) {
+        return TRANSITIONS[role]?.[from] || [];
+    }
+
+    static canTransition(from, to, role) {
+        return this.getAllowedTransitions(from, role).includes(to);
+    }
+
+    /**
+     * Throw a 400 unless the role can move a delivery from one status to the other
+     */
+    static assertTransition(from, to, role) {
+        if (!this.canTransition(from, to, role)) {
+            const allowed = this.getAllowedTransitions(from, role);
+            throw new AppError(
+                `Cannot change status from ${from} to ${to}. Valid transitions: ${allowed.join(', ') || 'none'}`,
+                400
+            );
+        }
+    }
+
+    /**
+     * Append a statusHistory entry without validating the change
+     */
+    static recordHistory(delivery, from, to, { actor, location, reason } = {}) {
+        const entry = {
+            from: from || null,
+            to,
+            changedAt: new Date(),
+            actorType: actor?.type || 'system',
+            ...(actor?.id && { actor: actor.id }),
+            ...(actor?.name && { actorName: actor.name }),
+            ...(reason && { reason })
+        };
+
+        if (location && location.lat != null && location.lng != null) {
+            entry.location = { lat: Number(location.lat), lng: Number(location.lng) };
+        }
+
+        delivery.statusHistory.push(entry);
+        return entry;
+    }
+
+    /**
+     * Record the initial status of a newly created delivery
+     */
+    static recordCreation(delivery, { actor, reason } = {}) {
+        return this.recordHistory(delivery, null, delivery.status || 'pending', { actor, reason });
+    }
+
+    /**
+     * Move a delivery to a new status.
+     * Validates the change for the actor's role, stamps the matching timestamp and
+     * appends a statusHistory entry. The caller saves the delivery.
+     */
+    static transition(delivery, to, { actor, location, reason } = {}) {
+        const from = delivery.status;
+        this.assertTransition(from, to, actor?.type || 'system');
+
+        delivery.status = to;
+
+        const timestampField = STATUS_TIMESTAMPS[to];
+        if (timestampField) {
+            delivery[timestampField] = new Date();
+        }
+
+        this.recordHistory(delivery, from, to, { actor, location, reason });
+        return delivery;
+    }
+}
+
+DeliveryStatusService.TRANSITIONS = TRANSITIONS;
+
+module.exports = DeliveryStatusService;
@@ -0,0 +1,217 @@
+const Delivery = require('../models/Delivery');
+const Driver = require('../models/Driver');
+const SystemSettings = require('../models/SystemSettings');
+const DriverCapacityService = require('./driverCapacityService');
+
+const ALL_PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+
+// Which deliveries each transportation type is dispatched, until changed in the delivery
+// settings (eligibilityRules). Distances are in km, weights in kg; null means no limit.
+const DEFAULT_ELIGIBILITY_RULES = {
+    walking: { maxPickupDistance: 2, maxTripDistance: 3, maxWeight: 5, packageSizes: ['small'], priorities: ['low', 'normal'] },
+    bicycle: { maxPickupDistance: 5, maxTripDistance: 8, maxWeight: 10, packageSizes: ['small', 'medium'], priorities: ALL_PRIORITIES },
+    scooter: { maxPickupDistance: 8, maxTripDistance: 15, maxWeight: 15, packageSizes: ['small', 'medium'], priorities: ALL_PRIORITIES },
+    motorcycle: { maxPickupDistance: 10, maxTripDistance: 25, maxWeight: 20, packageSizes: ['small', 'medium'], priorities: ALL_PRIORITIES },
+    car: { maxPickupDistance: null, maxTripDistance: null, maxWeight: null, packageSizes: Delivery.PACKAGE_SIZES, priorities: ALL_PRIORITIES },
+    other: { maxPickupDistance: null, maxTripDistance: null, maxWeight: 10, packageSizes: ['small', 'medium'], priorities: ALL_PRIORITIES }
+};
+
+const RULE_FIELDS = ['maxPickupDistance', 'maxTripDistance', 'maxWeight', 'packageSizes', 'priorities'];
+
+class DispatchEligibilityService {
+    /**
+     * Eligibility rules per transportation type: the delivery settings over the defaults
+     */
+    static async getRules() {
+        const deliverySettings = await SystemSettings.getCategorySettings('delivery');
+        const configured = deliverySettings.eligibilityRules || {};
+
+        return Object.fromEntries(Object.entries(DEFAULT_ELIGIBILITY_RULES).map(([type, defaults]) => {
+            const rule = configured[type] || {};
+            return [type, Object.fromEntries(RULE_FIELDS.map(field => {
+                const value = rule[field] === undefined ? defaults[field] : rule[field];
+                return [field, Array.isArray(value) ? [...value] : value];
+            }))];
+        }));
+    }
+
+    /**
+     * Reasons a driver under the given rule cannot take the delivery (empty when they can).
+     * pickupDistance is the driver's distance to pickup in km, unknown distances pass.
+     */
+    static checkRule(delivery, rule, pickupDistance) {
+        const reasons = [];
+
+        if (rule.maxPickupDistance != null && typeof pickupDistance === 'number' && pickupDistance > rule.maxPickupDistance) {
+            reasons.push('pickup_too_far');
+        }
+        if (rule.maxTripDistance != null && delivery.distance != null && delivery.distance > rule.maxTripDistance) {
+            reasons.push('trip_too_long');
+        }
+        if (delivery.package?.size && !rule.packageSizes.includes(delivery.package.size)) {
+            reasons.push('package_size');
+        }
+        if (rule.maxWeight != null && delivery.package?.weight != null && delivery.package.weight > rule.maxWeight) {
+            reasons.push('too_heavy');
+        }
+        if (delivery.priority && !rule.priorities.includes(delivery.priority)) {
+            reasons.push('priority');
+        }
+
+        return reasons;
+    }
+
+    /**
+     * Split candidates (from BroadcastService.findNearbyCandidates) into the drivers whose
+     * transportation type may take the delivery and who have capacity for it, and the rest
+     * with their reasons: { eligible, rejected: [{ driver, transportationType, reasons }] }
+     */
+    static async evaluate(delivery, candidates) {
+        const driverIds = candidates.map(candidate => (candidate.driver || candidate)._id);
+        if (driverIds.length === 0) return { eligible: [], rejected: [] };
+
+        const [profiles, rules, capacityByType, loads] = await Promise.all([
+            Driver.find({ _id: { $in: driverIds } }).select('transportationType maxConcurrentDeliveries'),
+            this.getRules(),
+            DriverCapacityService.getCapacityByType(),
+            DriverCapacityService.countActive(driverIds)
+        ]);
+        const profileById = new Map(profiles.map(profile => [profile._id.toString(), profile]));
+
+        const eligible = [];
+        const rejected = [];
+        candidates.forEach(candidate => {
+            const id = (candidate.driver || candidate)._id.toString();
+            const profile = profileById.get(id);
+            if (!profile) return;
+
+            const type = rules[profile.transportationType] ? profile.transportationType : 'other';
+            const reasons = this.checkRule(delivery, rules[type], candidate.distance);
+            if ((loads.get(id) || 0) >= DriverCapacityService.getCapacity(profile, capacityByType)) {
+                reasons.push('at_capacity');
+            }
+
+            if (reasons.length === 0) {
+                eligible.push(candidate);
+            } else {
+                rejected.push({ driver: profile._id, transportationType: type, reasons });
+            }
+        });
+
+        return { eligible, rejected };
+    }
+
+    /**
+     * How many rejected drivers each reason ruled out, most common first
+     */
+    static summarizeReasons(rejected) {
+        const counts = new Map();
+        rejected.forEach(({ reasons }) => reasons.forEach(reason => counts.set(reason, (counts.get(reason) || 0) + 1)));
+
+        return [...counts.entries()]
+            .map(([reason, count]) => ({ reason, count }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    /**
+     * Record on the delivery that its current broadcast attempt found no eligible driver.
+     * The caller saves the delivery.
+     */
+    static recordNoEligible(delivery, { candidates, rejected }) {
+        const entry = {
+            attempt: delivery.broadcastAttempts,
+            checkedAt: new Date(),
+            radius: delivery.broadcastRadius,
+            candidates: candidates.length,
+            reasons: this.summarizeReasons(rejected)
+        };
+        delivery.noEligibleDrivers.push(entry);
+        return entry;
+    }
+
+    /**
+     * Deliveries on which a broadcast attempt found no eligible driver, newest first, with the
+     * reasons summed up over the matching attempts
+     */
+    static async getNoEligibleReport({ page = 1, limit = 20, startDate, endDate } = {}) {
+        const checkedAt = {
+            ...(startDate && { $gte: new Date(startDate) }),
+            ...(endDate && { $lte: new Date(endDate) })
+        };
+        const attemptMatch = Object.keys(checkedAt).length > 0
+            ? { 'noEligibleDrivers.checkedAt': checkedAt }
+            : {};
+        const match = Object.keys(checkedAt).length > 0
+            ? { noEligibleDrivers: { $elemMatch: { checkedAt } } }
+            : { 'noEligibleDrivers.0': { $exists: true } };
+
+        const [deliveries, total, [totals], reasons] = await Promise.all([
+            Delivery.find(match)
+                .select('deliveryCode status pickupLocation deliveryLocation distance priority package broadcastAttempts noEligibleDrivers createdAt')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit * 1),
+            Delivery.countDocuments(match),
+            Delivery.aggregate([
+                { $match: match },
+                { $unwind: '$noEligibleDrivers' },
+                { $match: attemptMatch },
+                {
+                    $group: {
+                        _id: null,
+                        attempts: { $sum: 1 },
+                        noDriversNearby: { $sum: { $cond: [{ $eq: ['$noEligibleDrivers.candidates', 0] }, 1, 0] } }
+                    }
+                }
+            ]),
+            Delivery.aggregate([
+                { $match: match },
+                { $unwind: '$noEligibleDrivers' },
+                { $match: attemptMatch },
+                { $unwind: '$noEligibleDrivers.reasons' },
+                {
+                    $group: {
+                        _id: '$noEligibleDrivers.reasons.reason',
+                        drivers: { $sum: '$noEligibleDrivers.reasons.count' },
+                        attempts: { $sum: 1 }
+                    }
+                },
+                { $sort: { drivers: -1 } }
+            ])
+        ]);
+
+        return {
+            deliveries: deliveries.map(delivery => ({
+                id: delivery._id,
+                deliveryCode: delivery.deliveryCode,
+                status: delivery.status,
+                pickupLocation: delivery.pickupLocation,
+                deliveryLocation: delivery.deliveryLocation,
+                distance: delivery.distance,
+                priority: delivery.priority,
+                packageSize: delivery.package?.size || null,
+                packageWeight: delivery.package?.weight ?? null,
+                broadcastAttempts: delivery.broadcastAttempts,
+                createdAt: delivery.createdAt,
+                noEligibleDrivers: delivery.noEligibleDrivers
+            })),
+            summary: {
+                deliveries: total,
+                attempts: totals ? totals.attempts : 0,
+                noDriversNearby: totals ? totals.noDriversNearby : 0,
+                reasons: reasons.map(item => ({ reason: item._id, drivers: item.drivers, attempts: item.attempts }))
+            },
+            rules: await this.getRules(),
+            pagination: {
+                currentPage: page * 1,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit * 1
+            }
+        };
+    }
+}
+
+DispatchEligibilityService.DEFAULT_ELIGIBILITY_RULES = DEFAULT_ELIGIBILITY_RULES;
+
+module.exports = DispatchEligibilityService;
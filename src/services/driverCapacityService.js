@@ -0,0 +1,152 @@
+const Delivery = require('../models/Delivery');
+const Driver = require('../models/Driver');
+const SystemSettings = require('../models/SystemSettings');
+const { AppError } = require('../middleware/errorHandler');
+
+// Concurrent deliveries a driver can hold by transportation type, until changed in
+// the delivery settings (driverCapacity) or overridden per driver (maxConcurrentDeliveries)
+const DEFAULT_CAPACITY = {
+    walking: 1,
+    bicycle: 2,
+    scooter: 3,
+    motorcycle: 3,
+    car: 4,
+    other: 1
+};
+
+// Deliveries that take up a driver's capacity
+const ACTIVE_STATUSES = ['accepted', 'picked_up', 'in_transit', 'returning'];
+
+class DriverCapacityService {
+    /**
+     * Capacity per transportation type: the delivery settings over the defaults
+     */
+    static async getCapacityByType() {
+        const deliverySettings = await SystemSettings.getCategorySettings('delivery');
+        const configured = deliverySettings.driverCapacity || {};
+
+        return Object.fromEntries(Object.keys(DEFAULT_CAPACITY).map(type => [
+            type,
+            configured[type] || DEFAULT_CAPACITY[type]
+        ]));
+    }
+
+    /**
+     * Most deliveries the driver can hold at once: their own override, else their transportation type's
+     */
+    static getCapacity(driver, capacityByType) {
+        if (driver.maxConcurrentDeliveries) return driver.maxConcurrentDeliveries;
+        return capacityByType[driver.transportationType] || capacityByType.other;
+    }
+
+    /**
+     * Active delivery count per driver id, leaving out excludeDeliveryId
+     */
+    static async countActive(driverIds, excludeDeliveryId = null) {
+        const loads = await Delivery.aggregate([
+            {
+                $match: {
+                    assignedTo: { $in: driverIds },
+                    status: { $in: ACTIVE_STATUSES },
+                    ...(excludeDeliveryId && { _id: { $ne: excludeDeliveryId } })
+                }
+            },
+            { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+        ]);
+
+        return new Map(loads.map(load => [load._id.toString(), load.count]));
+    }
+
+    /**
+     * Capacity, active deliveries and free slots of one driver
+     * @param {Object} options - excludeDeliveryId: a delivery not to count (the one being assigned)
+     */
+    static async getDriverLoad(driverId, { excludeDeliveryId = null } = {}) {
+        const driver = await Driver.findById(driverId).select('name transportationType maxConcurrentDeliveries');
+        if (!driver) {
+            throw new AppError('Driver not found', 404);
+        }
+
+        const [capacityByType, loads] = await Promise.all([
+            this.getCapacityByType(),
+            this.countActive([driver._id], excludeDeliveryId)
+        ]);
+        const capacity = this.getCapacity(driver, capacityByType);
+        const active = loads.get(driver._id.toString()) || 0;
+
+        return { driver, capacity, active, available: Math.max(0, capacity - active) };
+    }
+
+    /**
+     * Throw a 409 if the driver cannot take another delivery.
+     * Pass the delivery being assigned so a reassignment to its current driver is not counted twice.
+     */
+    static async assertHasCapacity(driverId, delivery = null) {
+        const load = await this.getDriverLoad(driverId, { excludeDeliveryId: delivery ? delivery._id : null });
+        if (load.available === 0) {
+            throw new AppError(
+                `Driver is at capacity (${load.active} of ${load.capacity} active deliveries)`,
+                409
+            );
+        }
+        return load;
+    }
+
+    /**
+     * Hand a delivery to a driver in the database without going over their capacity.
+     * The claim only lands while the delivery still matches `filter` (so two drivers cannot
+     * both take it), then the driver's deliveries are counted again and the claim is undone
+     * when a parallel assignment took their last slot. The caller saves the rest of the change.
+     * @param {Object} filter - what the delivery must still look like, e.g. { assignedTo: null }
+     */
+    static async claimWithinCapacity(delivery, driverId, filter = {}) {
+        const load = await this.assertHasCapacity(driverId, delivery);
+
+        const previous = await Delivery.findOneAndUpdate(
+            { _id: delivery._id, ...filter },
+            { $set: { status: 'accepted', assignedTo: load.driver._id } }
+        ).select('status assignedTo');
+        if (!previous) {
+            throw new AppError('Delivery was assigned or changed by someone else. Refresh and try again', 409);
+        }
+
+        const loads = await this.countActive([load.driver._id]);
+        const active = loads.get(load.driver._id.toString()) || 0;
+        if (active > load.capacity) {
+            await Delivery.updateOne(
+                { _id: delivery._id, assignedTo: load.driver._id, status: 'accepted' },
+                { $set: { status: previous.status, assignedTo: previous.assignedTo || null } }
+            );
+            throw new AppError(`Driver is at capacity (${active - 1} of ${load.capacity} active deliveries)`, 409);
+        }
+
+        return load;
+    }
+
+    /**
+     * Drop candidates (from BroadcastService.findEligibleDrivers) who are at capacity
+     */
+    static async filterWithCapacity(candidates) {
+        const driverIds = candidates.map(candidate => (candidate.driver || candidate)._id);
+        if (driverIds.length === 0) return candidates;
+
+        const [profiles, capacityByType, loads] = await Promise.all([
+            Driver.find({ _id: { $in: driverIds } }).select('transportationType maxConcurrentDeliveries'),
+            this.getCapacityByType(),
+            this.countActive(driverIds)
+        ]);
+        const profileById = new Map(profiles.map(profile => [profile._id.toString(), profile]));
+
+        return candidates.filter(candidate => {
+            const id = (candidate.driver || candidate)._id.toString();
+            const profile = profileById.get(id);
+            if (!profile) return false;
+            return (loads.get(id) || 0) < this.getCapacity(profile, capacityByType);
+        });
+    }
+}
+
+DriverCapacityService.DEFAULT_CAPACITY = DEFAULT_CAPACITY;
+DriverCapacityService.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = DriverCapacityService;
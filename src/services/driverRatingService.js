@@ -1,6 +1,9 @@
 const Driver = require('../models/Driver');
 const Delivery = require('../models/Delivery');
 const AdminNotificationService = require('./adminNotificationService');
+const DeliveryOfferService = require('./deliveryOfferService');
+const CancellationService = require('./cancellationService');
+const CustomerRatingService = require('./customerRatingService');
 
 class DriverRatingService {
     /**
@@ -16,10 +19,12 @@ class DriverRatingService {
                 throw new Error('Driver not found');
             }
 
-            // Get driver's delivery history
+            // Get driver's delivery history, how they responded to offers and what customers said
             const deliveries = await Delivery.find({ assignedTo: driverId });
+            const offerStats = await DeliveryOfferService.getDriverOfferStats(driverId);
+            const customerRatings = await CustomerRatingService.getDriverRatings(driverId);
 
-            if (deliveries.length === 0) {
+            if (deliveries.length === 0 && offerStats.acceptanceRate === null) {
                 // New driver with no deliveries - start with neutral rating
                 return {
                     rating: 3.0,
@@ -37,13 +42,14 @@ class DriverRatingService {
                         totalAccepted: 0,
                         totalCompleted: 0,
                         averageResponseTime: 0,
-                        customerRating: 0
+                        customerRating: 0,
+                        offers: offerStats
                     }
                 };
             }
 
             // Calculate Greep SDS specific metrics
-            const metrics = this.calculateGreepSdsMetrics(deliveries, driver);
+            const metrics = this.calculateGreepSdsMetrics(deliveries, driver, offerStats, customerRatings);
             const rating = this.calculateGreepSdsRating(metrics, deliveries);
 
             // Store old rating for comparison
@@ -66,16 +72,23 @@ class DriverRatingService {
     /**
      * Calculate Greep SDS specific performance metrics
      * Focused on admin-assigned delivery system
+     * @param {Object} offerStats - DeliveryOfferService.getDriverOfferStats result
+     * @param {Array} customerRatings - the driver's published CustomerRating documents
      */
-    static calculateGreepSdsMetrics(deliveries, driver) {
+    static calculateGreepSdsMetrics(deliveries, driver, offerStats = null, customerRatings = []) {
         const totalAssigned = deliveries.length;
         const acceptedDeliveries = deliveries.filter(d => d.status !== 'pending' && d.status !== 'broadcasting');
         const completedDeliveries = deliveries.filter(d => d.status === 'delivered').length;
-        const cancelledDeliveries = deliveries.filter(d => d.status === 'cancelled').length;
+        // Only cancellations the cancellation policy holds against the driver
+        const cancelledDeliveries = deliveries.filter(d => CancellationService.countsAgainstDriver(d)).length;
         const failedDeliveries = deliveries.filter(d => d.status === 'failed').length;
 
-        // 1. ACCEPTANCE RATE (35% weight) - How often driver accepts admin-assigned deliveries
-        const acceptanceRate = totalAssigned > 0 ? (acceptedDeliveries.length / totalAssigned) * 100 : 100;
+        // 1. ACCEPTANCE RATE (35% weight) - How often driver accepts the deliveries offered to them.
+        // Falls back to assigned deliveries for drivers without offer history.
+        let acceptanceRate = totalAssigned > 0 ? (acceptedDeliveries.length / totalAssigned) * 100 : 100;
+        if (offerStats && offerStats.acceptanceRate !== null) {
+            acceptanceRate = offerStats.acceptanceRate;
+        }
 
         // 2. COMPLETION RATE (30% weight) - How often driver completes accepted deliveries
         const completionRate = acceptedDeliveries.length > 0 ? (completedDeliveries / acceptedDeliveries.length) * 100 : 100;
@@ -86,8 +99,8 @@ class DriverRatingService {
         // 4. RELIABILITY (10% weight) - Based on cancellations, failures, and suspensions
         const reliabilityScore = this.calculateGreepSdsReliabilityScore(driver, cancelledDeliveries, failedDeliveries, totalAssigned);
 
-        // 5. CUSTOMER SATISFACTION (5% weight) - Based on customer ratings and feedback
-        const customerSatisfactionScore = this.calculateCustomerSatisfactionScore(deliveries);
+        // 5. CUSTOMER SATISFACTION (5% weight) - Based on the ratings customers submitted
+        const customerSatisfactionScore = this.calculateCustomerSatisfactionScore(customerRatings);
 
         return {
             acceptanceRate,
@@ -99,7 +112,9 @@ class DriverRatingService {
             totalAccepted: acceptedDeliveries.length,
             totalCompleted: completedDeliveries,
             cancelledDeliveries,
-            failedDeliveries
+            failedDeliveries,
+            offerStats,
+            customerRatings
         };
     }
 
@@ -175,14 +190,12 @@ class DriverRatingService {
     }
 
     /**
-     * Calculate customer satisfaction score
+     * Calculate customer satisfaction score from customer ratings
      */
-    static calculateCustomerSatisfactionScore(deliveries) {
-        const ratedDeliveries = deliveries.filter(d => d.rating && d.rating > 0);
-
-        if (ratedDeliveries.length === 0) return 100; // No ratings yet
+    static calculateCustomerSatisfactionScore(customerRatings) {
+        if (!customerRatings || customerRatings.length === 0) return 100; // No ratings yet
 
-        const avgRating = ratedDeliveries.reduce((sum, d) => sum + d.rating, 0) / ratedDeliveries.length;
+        const avgRating = customerRatings.reduce((sum, r) => sum + r.rating, 0) / customerRatings.length;
 
         // Convert 5-star rating to percentage
         return (avgRating / 5) * 100;
@@ -220,6 +233,9 @@ class DriverRatingService {
         if (metrics.acceptanceRate >= 95) factors.push('Excellent assignment acceptance rate');
         if (metrics.acceptanceRate >= 85 && metrics.acceptanceRate < 95) factors.push('Good assignment acceptance rate');
         if (metrics.acceptanceRate < 70) factors.push('Low assignment acceptance rate - concern for admin workflow');
+        if (metrics.offerStats && metrics.offerStats.ignored >= 3 && metrics.offerStats.ignored > metrics.offerStats.declined) {
+            factors.push('Lets offers expire instead of declining them');
+        }
 
         // Completion rate factors
         if (metrics.completionRate >= 95) factors.push('Outstanding delivery completion rate');
@@ -260,9 +276,10 @@ class DriverRatingService {
                 totalAccepted: metrics.totalAccepted,
                 totalCompleted: metrics.totalCompleted,
                 averageResponseTime: this.calculateAverageResponseTime(deliveries),
-                customerRating: this.calculateAverageCustomerRating(deliveries),
+                customerRating: this.calculateAverageCustomerRating(metrics.customerRatings),
                 cancellationRate: metrics.totalAssigned > 0 ? Math.round((metrics.cancelledDeliveries / metrics.totalAssigned) * 100) : 0,
-                failureRate: metrics.totalAssigned > 0 ? Math.round((metrics.failedDeliveries / metrics.totalAssigned) * 100) : 0
+                failureRate: metrics.totalAssigned > 0 ? Math.round((metrics.failedDeliveries / metrics.totalAssigned) * 100) : 0,
+                offers: metrics.offerStats
             }
         };
     }
@@ -294,14 +311,10 @@ class DriverRatingService {
     /**
      * Calculate average customer rating
      */
-    static calculateAverageCustomerRating(deliveries) {
-        if (!deliveries || deliveries.length === 0) return 0;
+    static calculateAverageCustomerRating(customerRatings) {
+        if (!customerRatings || customerRatings.length === 0) return 0;
 
-        const ratedDeliveries = deliveries.filter(d => d.rating && d.rating > 0);
-
-        if (ratedDeliveries.length === 0) return 0;
-
-        const avgRating = ratedDeliveries.reduce((sum, d) => sum + d.rating, 0) / ratedDeliveries.length;
+        const avgRating = customerRatings.reduce((sum, r) => sum + r.rating, 0) / customerRatings.length;
         return Math.round(avgRating * 10) / 10; // Round to 1 decimal
     }
 
@@ -387,6 +400,11 @@ class DriverRatingService {
             recommendations.push('Improve assignment acceptance rate to maintain good standing with admin team');
         }
 
+        const offers = rating.greepSdsMetrics.offers;
+        if (offers && offers.ignored >= 3 && offers.ignored > offers.declined) {
+            recommendations.push('Decline offers you cannot take instead of letting them expire, so they reach another driver sooner');
+        }
+
         if (rating.breakdown.completionRate < 85) {
             recommendations.push('Focus on completing accepted deliveries to improve reliability score');
         }
@@ -34,28 +34,109 @@ class EarningsService {
                 companyFixed: null,
                 description: 'Above 150: 60% driver, 40% company'
             }
-        ]
+        ],
+        extraStops: {
+            customerFee: 25,
+            driverEarning: 20
+        },
+        failedDeliveries: {
+            reattemptCustomerFee: 25,
+            reattemptDriverEarning: 20,
+            returnFeePercent: 50
+        }
     };
 
-    // Calculate earnings for a delivery based on fee
-    static async calculateEarnings(fee, customRules = null) {
+    // Per-stop pricing for drop-offs after the first
+    static getExtraStopPricing(config = null) {
+        const pricing = config?.extraStops || this.defaultEarningsRules.extraStops;
+        return {
+            customerFee: pricing.customerFee ?? this.defaultEarningsRules.extraStops.customerFee,
+            driverEarning: pricing.driverEarning ?? this.defaultEarningsRules.extraStops.driverEarning
+        };
+    }
+
+    // Per-stop pricing from the active earnings configuration
+    static async getActiveExtraStopPricing() {
+        const config = await EarningsConfig.getActiveConfig();
+        return this.getExtraStopPricing(config);
+    }
+
+    // Number of drop-offs beyond the first on a multi-stop delivery
+    static getExtraStopCount(delivery) {
+        return Math.max(0, (delivery?.stops?.length || 0) - 1);
+    }
+
+    // Reattempt and return pricing for failed deliveries
+    static getFailedDeliveryPricing(config = null) {
+        const defaults = this.defaultEarningsRules.failedDeliveries;
+        const pricing = config?.failedDeliveries || defaults;
+        return {
+            reattemptCustomerFee: pricing.reattemptCustomerFee ?? defaults.reattemptCustomerFee,
+            reattemptDriverEarning: pricing.reattemptDriverEarning ?? defaults.reattemptDriverEarning,
+            returnFeePercent: pricing.returnFeePercent ?? defaults.returnFeePercent
+        };
+    }
+
+    // Failed delivery pricing from the active earnings configuration
+    static async getActiveFailedDeliveryPricing() {
+        const config = await EarningsConfig.getActiveConfig();
+        return this.getFailedDeliveryPricing(config);
+    }
+
+    // Number of times a failed delivery was sent out again
+    static getReattemptCount(delivery) {
+        return (delivery?.failedAttempts || []).filter(attempt => attempt.resolution === 'reattempt').length;
+    }
+
+    // Fee options for calculateEarnings: the extra-stop, reattempt and surge charges recorded on the delivery
+    static getFeeOptions(delivery) {
+        return {
+            extraStops: this.getExtraStopCount(delivery),
+            extraStopsFee: delivery?.extraStopsFee,
+            reattempts: this.getReattemptCount(delivery),
+            reattemptsFee: delivery?.reattemptsFee,
+            surgeFee: delivery?.surge?.customerSurcharge || 0,
+            surgeBonus: delivery?.surge?.driverBonus || 0
+        };
+    }
+
+    // Calculate earnings for a delivery based on fee.
+    // For multi-stop deliveries `fee` includes the extra-stop charge: the rules apply to the
+    // base fee and the driver gets a flat amount per extra stop on top.
+    // Reattempts after a failed attempt work the same way, and a surge charge is taken off before
+    // the rules with the driver's surge bonus added after.
+    static async calculateEarnings(fee, customRules = null, {
+        extraStops = 0, extraStopsFee, reattempts = 0, reattemptsFee, surgeFee = 0, surgeBonus = 0
+    } = {}) {
         let rules;
+        let config = null;
+
+        if (!customRules || extraStops > 0 || reattempts > 0) {
+            // Get active configuration from database
+            config = await EarningsConfig.getActiveConfig();
+        }
 
         if (customRules) {
             rules = customRules;
         } else {
-            // Get active configuration from database
-            const config = await EarningsConfig.getActiveConfig();
             rules = config ? config.getRulesArray() : this.defaultEarningsRules.rules;
         }
 
+        const stopPricing = this.getExtraStopPricing(config);
+        const stopsCustomerFee = extraStops > 0 ? (extraStopsFee ?? extraStops * stopPricing.customerFee) : 0;
+        const stopsDriverEarning = extraStops * stopPricing.driverEarning;
+        const failedPricing = this.getFailedDeliveryPricing(config);
+        const reattemptsCustomerFee = reattempts > 0 ? (reattemptsFee ?? reattempts * failedPricing.reattemptCustomerFee) : 0;
+        const reattemptsDriverEarning = reattempts * failedPricing.reattemptDriverEarning;
+        const baseFee = Math.max(0, fee - stopsCustomerFee - reattemptsCustomerFee - surgeFee);
+
         // Find the applicable rule
         const applicableRule = rules.find(rule =>
-            fee >= rule.minFee && fee <= rule.maxFee
+            baseFee >= rule.minFee && baseFee <= rule.maxFee
         );
 
         if (!applicableRule) {
-            throw new Error(`No earnings rule found for fee: ${fee}`);
+            throw new Error(`No earnings rule found for fee: ${baseFee}`);
         }
 
         let driverEarning, companyEarning;
@@ -63,18 +144,39 @@ class EarningsService {
         if (applicableRule.driverFixed !== null) {
             // Use fixed amount for driver
             driverEarning = applicableRule.driverFixed;
-            companyEarning = fee - driverEarning;
         } else if (applicableRule.driverPercentage !== null) {
             // Use percentage for driver
-            driverEarning = Math.round(fee * (applicableRule.driverPercentage / 100));
-            companyEarning = fee - driverEarning;
+            driverEarning = Math.round(baseFee * (applicableRule.driverPercentage / 100));
         } else {
             throw new Error('Invalid earnings rule configuration');
         }
 
+        driverEarning += stopsDriverEarning + reattemptsDriverEarning + surgeBonus;
+        companyEarning = fee - driverEarning;
+
         return {
             driverEarning,
             companyEarning,
+            ...(extraStops > 0 && {
+                extraStops: {
+                    count: extraStops,
+                    customerFee: stopsCustomerFee,
+                    driverEarning: stopsDriverEarning
+                }
+            }),
+            ...(reattempts > 0 && {
+                reattempts: {
+                    count: reattempts,
+                    customerFee: reattemptsCustomerFee,
+                    driverEarning: reattemptsDriverEarning
+                }
+            }),
+            ...(surgeFee > 0 && {
+                surge: {
+                    customerFee: surgeFee,
+                    driverBonus: surgeBonus
+                }
+            }),
             ruleApplied: {
                 minFee: applicableRule.minFee,
                 maxFee: applicableRule.maxFee,
@@ -84,6 +186,15 @@ class EarningsService {
         };
     }
 
+    // Earnings for a delivery as it is settled. A delivery returned to pickup is charged its
+    // return fee instead of the delivery fee, split by the same rules.
+    static async calculateDeliveryEarnings(delivery, customRules = null) {
+        if (delivery.status === 'returned') {
+            return this.calculateEarnings(delivery.returnFee || 0, customRules);
+        }
+        return this.calculateEarnings(delivery.fee, customRules, this.getFeeOptions(delivery));
+    }
+
     // Check for earnings milestones
     static async checkEarningsMilestones(driverId) {
         try {
@@ -120,7 +231,7 @@ class EarningsService {
                 throw new Error('Delivery not found');
             }
 
-            const earnings = await this.calculateEarnings(delivery.fee, customRules);
+            const earnings = await this.calculateDeliveryEarnings(delivery, customRules);
 
             const updatedDelivery = await Delivery.findByIdAndUpdate(
                 deliveryId,
@@ -368,7 +479,7 @@ class EarningsService {
 
             for (const delivery of deliveries) {
                 try {
-                    const earnings = await this.calculateEarnings(delivery.deliveryFee, config.rules);
+                    const earnings = await this.calculateEarnings(delivery.deliveryFee, config.rules, this.getFeeOptions(delivery));
 
                     // Update delivery with new earnings
                     delivery.driverEarning = earnings.driverEarning;
@@ -438,7 +549,7 @@ class EarningsService {
             }
 
             // Calculate base earnings using earnings rules
-            const earningsCalculation = await this.calculateEarnings(delivery.fee);
+            const earningsCalculation = await this.calculateEarnings(delivery.fee, null, this.getFeeOptions(delivery));
             const baseEarnings = earningsCalculation.driverEarning;
 
             // Calculate bonuses
@@ -192,7 +192,7 @@ class EarningsValidationService {
 
             // Calculate earnings using the earnings service directly to avoid circular dependency
             const EarningsService = require('./earningsService');
-            const earningsCalculation = await EarningsService.calculateEarnings(delivery.fee);
+            const earningsCalculation = await EarningsService.calculateEarnings(delivery.fee, null, EarningsService.getFeeOptions(delivery));
             const baseEarnings = earningsCalculation.driverEarning;
 
             // Calculate bonuses
@@ -1,5 +1,6 @@
 const Driver = require('../models/Driver');
 const Delivery = require('../models/Delivery');
+const ZoneService = require('./zoneService');
 const Remittance = require('../models/Remittance');
 const DriverInvitation = require('../models/DriverInvitation');
 const moment = require('moment');
@@ -412,7 +413,7 @@ class EnhancedAnalyticsService {
             },
             {
                 $group: {
-                    _id: '$pickupLocation',
+                    _id: '$pickupZone',
                     deliveries: { $sum: 1 },
                     revenue: { $sum: '$fee' },
                     avgDeliveryTime: {
@@ -430,6 +431,16 @@ class EnhancedAnalyticsService {
             },
             {
                 $limit: 10
+            },
+            ...ZoneService.zoneLookupStages(),
+            {
+                $project: {
+                    area: { $ifNull: ['$zone.name', 'Unzoned'] },
+                    displayName: '$zone.displayName',
+                    deliveries: 1,
+                    revenue: 1,
+                    avgDeliveryTime: 1
+                }
             }
         ]);
 
@@ -0,0 +1,230 @@
+const Delivery = require('../models/Delivery');
+const Driver = require('../models/Driver');
+const DeliveryStatusService = require('./deliveryStatusService');
+const EarningsService = require('./earningsService');
+const LocationService = require('./locationService');
+const { AppError } = require('../middleware/errorHandler');
+
+// Statuses in which a driver can report that the drop-off failed
+const REPORTABLE_STATUSES = ['picked_up', 'in_transit'];
+
+// How a returned delivery can be sent out again: offered to nearby drivers or given to one
+const REDISPATCH_MODES = ['rebroadcast', 'reassign'];
+
+// Lead time given to a delivery sent out again when the original's is shorter
+const MIN_REDISPATCH_LEAD_MS = 30 * 60 * 1000;
+
+class FailedDeliveryService {
+    /**
+     * Latest failed attempt still waiting for an admin decision
+     */
+    static getOpenAttempt(delivery) {
+        const attempts = delivery.failedAttempts || [];
+        const latest = attempts[attempts.length - 1];
+        return latest && !latest.resolution ? latest : null;
+    }
+
+    static requireOpenAttempt(delivery) {
+        const attempt = this.getOpenAttempt(delivery);
+        if (delivery.status !== 'failed' || !attempt) {
+            throw new AppError('This delivery has no failed attempt waiting for a decision', 400);
+        }
+        return attempt;
+    }
+
+    static resolveAttempt(attempt, user, resolution, { dispatch = null, notes } = {}) {
+        attempt.resolution = resolution;
+        attempt.dispatch = dispatch;
+        attempt.resolvedBy = user.id || user._id;
+        attempt.resolvedAt = new Date();
+        if (notes) attempt.resolutionNotes = notes;
+    }
+
+    /**
+     * Record a failed drop-off reported by the assigned driver and move the delivery to `failed`.
+     * The photo, if any, must already be uploaded. The caller saves the delivery.
+     */
+    static reportAttempt(delivery, user, { reason, notes, photo, lat, lng, accuracy }) {
+        const location = {
+            lat: parseFloat(lat),
+            lng: parseFloat(lng),
+            ...(accuracy !== undefined && accuracy !== '' && { accuracy: parseFloat(accuracy) })
+        };
+
+        const dropoff = delivery.deliveryCoordinates;
+        let distanceFromDropoff = null;
+        if (dropoff?.lat != null && dropoff?.lng != null) {
+            distanceFromDropoff = Math.round(LocationService.calculateDistance(
+                location.lat,
+                location.lng,
+                dropoff.lat,
+                dropoff.lng
+            ) * 1000) / 1000;
+        }
+
+        DeliveryStatusService.transition(delivery, 'failed', {
+            actor: DeliveryStatusService.actorFromUser(user),
+            location,
+            reason: notes ? `${reason}: ${notes}` : reason
+        });
+
+        delivery.failedAttempts.push({
+            attemptNumber: delivery.failedAttempts.length + 1,
+            driver: delivery.assignedTo,
+            reason,
+            notes,
+            ...(photo && { photoUrl: photo.url, photoPublicId: photo.public_id }),
+            location,
+            distanceFromDropoff
+        });
+
+        return delivery.failedAttempts[delivery.failedAttempts.length - 1];
+    }
+
+    /**
+     * Send a failed delivery out again with the driver who made the failed attempt: they still
+     * have the package, so anyone else has to wait until it is returned to pickup (see
+     * buildRedispatch). The reattempt fee is added to the delivery fee, and the reattempt
+     * earning goes to the same driver. Saves the delivery.
+     */
+    static async reattempt(delivery, user, { notes } = {}) {
+        const attempt = this.requireOpenAttempt(delivery);
+        const actor = DeliveryStatusService.actorFromUser(user);
+
+        const driver = await Driver.findById(attempt.driver);
+        if (!driver) {
+            throw new AppError('Driver not found', 404);
+        }
+        if (!driver.isActive) {
+            throw new AppError('The driver who has the package is not active; return it to pickup instead', 400);
+        }
+
+        const pricing = await EarningsService.getActiveFailedDeliveryPricing();
+        delivery.reattemptsFee = (delivery.reattemptsFee || 0) + pricing.reattemptCustomerFee;
+        delivery.fee += pricing.reattemptCustomerFee;
+        this.resolveAttempt(attempt, user, 'reattempt', { dispatch: 'same_driver', notes });
+
+        await delivery.manualAssign(driver._id, actor);
+        return delivery;
+    }
+
+    /**
+     * Creation body (for DeliveryController.buildDelivery) that sends a delivery returned to
+     * pickup out again as a new delivery, rebroadcast or assigned to a driver. The returned
+     * delivery stays settled with the driver who brought it back; the new one is charged the
+     * original base fee, with surge priced again.
+     */
+    static async buildRedispatch(delivery, { dispatch, driverId }) {
+        if (delivery.status !== 'returned') {
+            throw new AppError('Only a delivery returned to pickup can be sent out with another driver', 400);
+        }
+        if (delivery.redispatch?.delivery) {
+            throw new AppError('This delivery has already been sent out again', 400);
+        }
+        if (delivery.stops?.length > 0) {
+            throw new AppError('Multi-stop deliveries cannot be sent out again; create a new delivery', 400);
+        }
+
+        if (dispatch === 'reassign') {
+            const driver = await Driver.findById(driverId);
+            if (!driver) {
+                throw new AppError('Driver not found', 404);
+            }
+            if (!driver.isActive) {
+                throw new AppError('Driver is not active', 400);
+            }
+        }
+
+        const leadTime = new Date(delivery.estimatedTime) - new Date(delivery.createdAt);
+        const baseFee = delivery.fee - (delivery.extraStopsFee || 0) - (delivery.reattemptsFee || 0) -
+            (delivery.surge?.customerSurcharge || 0);
+
+        return {
+            pickupLocation: delivery.pickupLocation,
+            deliveryLocation: delivery.deliveryLocation,
+            pickupLocationDescription: delivery.pickupLocationDescription,
+            deliveryLocationDescription: delivery.deliveryLocationDescription,
+            customerName: delivery.customerName,
+            customerPhone: delivery.customerPhone,
+            fee: Math.max(0, baseFee),
+            paymentMethod: delivery.paymentMethod,
+            estimatedTime: new Date(Date.now() + Math.max(MIN_REDISPATCH_LEAD_MS, leadTime || 0)),
+            notes: delivery.notes,
+            priority: delivery.priority,
+            distance: delivery.distance,
+            pickupCoordinates: delivery.pickupCoordinates?.lat != null ? delivery.pickupCoordinates : undefined,
+            deliveryCoordinates: delivery.deliveryCoordinates?.lat != null ? delivery.deliveryCoordinates : undefined,
+            package: delivery.package?.toObject ? delivery.package.toObject() : delivery.package,
+            useAutoBroadcast: dispatch === 'rebroadcast',
+            ...(dispatch === 'reassign' && { assignedTo: driverId })
+        };
+    }
+
+    /**
+     * Link the returned delivery to the (unsaved) delivery that sends it out again. Claimed in
+     * the database so it is only sent out once; undo with releaseRedispatch if the new
+     * delivery cannot be saved.
+     */
+    static async claimRedispatch(delivery, redispatched, user, { dispatch, notes } = {}) {
+        const redispatch = {
+            delivery: redispatched._id,
+            dispatch,
+            redispatchedBy: user.id || user._id,
+            redispatchedAt: new Date(),
+            ...(notes && { notes })
+        };
+        const claimed = await Delivery.findOneAndUpdate(
+            { _id: delivery._id, status: 'returned', 'redispatch.delivery': null },
+            { $set: { redispatch } },
+            { new: true }
+        );
+        if (!claimed) {
+            throw new AppError('This delivery has already been sent out again', 400);
+        }
+
+        redispatched.redispatchOf = delivery._id;
+        redispatched.merchant = delivery.merchant;
+        redispatched.merchantReference = delivery.merchantReference;
+        redispatched.source = delivery.source;
+        return claimed;
+    }
+
+    static async releaseRedispatch(delivery) {
+        await Delivery.updateOne({ _id: delivery._id }, { $unset: { redispatch: 1 } });
+    }
+
+    /**
+     * Send the package back to the pickup point with the driver who has it. The return fee
+     * (a share of the delivery fee) replaces the fee once it is returned. Saves the delivery.
+     */
+    static async returnToPickup(delivery, user, { notes } = {}) {
+        const attempt = this.requireOpenAttempt(delivery);
+        const pricing = await EarningsService.getActiveFailedDeliveryPricing();
+
+        DeliveryStatusService.transition(delivery, 'returning', {
+            actor: DeliveryStatusService.actorFromUser(user),
+            reason: notes || `Returning to pickup after failed attempt ${attempt.attemptNumber}`
+        });
+        delivery.returnFee = Math.round(delivery.fee * pricing.returnFeePercent / 100);
+        this.resolveAttempt(attempt, user, 'return', { notes });
+
+        await delivery.save();
+        return delivery;
+    }
+
+    /**
+     * Record the earnings split of a delivery that has just been returned to pickup.
+     * The caller saves the delivery.
+     */
+    static async settleReturn(delivery) {
+        const earnings = await EarningsService.calculateDeliveryEarnings(delivery);
+        delivery.driverEarning = earnings.driverEarning;
+        delivery.companyEarning = earnings.companyEarning;
+        return earnings;
+    }
+}
+
+FailedDeliveryService.REPORTABLE_STATUSES = REPORTABLE_STATUSES;
+FailedDeliveryService.REDISPATCH_MODES = REDISPATCH_MODES;
+
+module.exports = FailedDeliveryService;
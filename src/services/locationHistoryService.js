@@ -0,0 +1,146 @@
+const Delivery = require('../models/Delivery');
+const LocationPing = require('../models/LocationPing');
+const LocationService = require('./locationService');
+
+// Deliveries a ping is linked to: the ones the driver is working on
+const ACTIVE_STATUSES = ['accepted', 'picked_up', 'in_transit', 'returning'];
+
+// Fixes less accurate than this are drawn on the path but left out of the travelled distance
+const MAX_ACCURACY_METERS = 100;
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+const toNumber = value => {
+    const number = parseFloat(value);
+    return isNaN(number) ? undefined : number;
+};
+
+class LocationHistoryService {
+    /**
+     * Store a driver's position, linked to their active deliveries
+     * @param {Object} position - parsed {lat, lng} from LocationService.parseLocation
+     */
+    static async recordPing(driverId, position, { accuracy, speed, heading } = {}) {
+        const activeDeliveries = await Delivery.find({
+            assignedTo: driverId,
+            status: { $in: ACTIVE_STATUSES }
+        }).select('_id');
+
+        return LocationPing.create({
+            driver: driverId,
+            deliveries: activeDeliveries.map(delivery => delivery._id),
+            location: LocationService.toGeoPoint(position.lat, position.lng),
+            accuracy: toNumber(accuracy),
+            speed: toNumber(speed),
+            heading: toNumber(heading)
+        });
+    }
+
+    static async getDeliveryPings(deliveryId) {
+        return LocationPing.find({ deliveries: deliveryId }).sort({ recordedAt: 1 });
+    }
+
+    /**
+     * Distance travelled along the pings in km, skipping inaccurate fixes
+     */
+    static calculatePathDistance(pings) {
+        const usable = pings.filter(ping => ping.accuracy == null || ping.accuracy <= MAX_ACCURACY_METERS);
+
+        let distance = 0;
+        for (let i = 1; i < usable.length; i++) {
+            const [fromLng, fromLat] = usable[i - 1].location.coordinates;
+            const [toLng, toLat] = usable[i].location.coordinates;
+            distance += LocationService.calculateDistance(fromLat, fromLng, toLat, toLng);
+        }
+        return distance;
+    }
+
+    /**
+     * Closest the driver got to a point, in km (null without pings)
+     */
+    static calculateClosestApproach(pings, point) {
+        if (pings.length === 0 || !point) return null;
+
+        return pings.reduce((closest, ping) => {
+            const [lng, lat] = ping.location.coordinates;
+            return Math.min(closest, LocationService.calculateDistance(lat, lng, point.lat, point.lng));
+        }, Infinity);
+    }
+
+    /**
+     * Replay of a delivery's path as a GeoJSON FeatureCollection: the driver's path with a
+     * timestamp per position (coordTimes), plus pickup and drop-off points with how close
+     * the driver came to each
+     */
+    static async buildRouteReplay(delivery) {
+        const pings = await this.getDeliveryPings(delivery._id);
+        const features = [];
+
+        if (pings.length > 0) {
+            const coordinates = pings.map(ping => ping.location.coordinates);
+            features.push({
+                type: 'Feature',
+                geometry: coordinates.length > 1
+                    ? { type: 'LineString', coordinates }
+                    : { type: 'Point', coordinates: coordinates[0] },
+                properties: {
+                    role: 'driver_path',
+                    driver: pings[0].driver,
+                    coordTimes: pings.map(ping => ping.recordedAt),
+                    accuracies: pings.map(ping => ping.accuracy ?? null)
+                }
+            });
+        }
+
+        const addPoint = (role, coords, extra = {}) => {
+            if (!coords || coords.lat == null || coords.lng == null) return;
+
+            const closest = this.calculateClosestApproach(pings, coords);
+            features.push({
+                type: 'Feature',
+                geometry: LocationService.toGeoPoint(coords.lat, coords.lng),
+                properties: {
+                    role,
+                    ...extra,
+                    closestApproachKm: closest === null ? null : round(closest)
+                }
+            });
+        };
+
+        addPoint('pickup', delivery.pickupCoordinates, { location: delivery.pickupLocation });
+        if (delivery.stops && delivery.stops.length > 0) {
+            delivery.stops.forEach(stop => addPoint('dropoff', stop.coordinates, {
+                location: stop.location,
+                sequence: stop.sequence,
+                status: stop.status
+            }));
+        } else {
+            addPoint('dropoff', delivery.deliveryCoordinates, { location: delivery.deliveryLocation });
+        }
+
+        const travelledDistance = this.calculatePathDistance(pings);
+        const plannedDistance = delivery.distance ?? null;
+
+        return {
+            summary: {
+                deliveryId: delivery._id,
+                deliveryCode: delivery.deliveryCode,
+                status: delivery.status,
+                pingCount: pings.length,
+                startedAt: pings.length > 0 ? pings[0].recordedAt : null,
+                endedAt: pings.length > 0 ? pings[pings.length - 1].recordedAt : null,
+                travelledDistanceKm: round(travelledDistance),
+                plannedDistanceKm: plannedDistance,
+                distanceDifferenceKm: plannedDistance === null ? null : round(travelledDistance - plannedDistance)
+            },
+            route: {
+                type: 'FeatureCollection',
+                features
+            }
+        };
+    }
+}
+
+LocationHistoryService.MAX_ACCURACY_METERS = MAX_ACCURACY_METERS;
+
+module.exports = LocationHistoryService;
@@ -1,4 +1,11 @@
 const Driver = require('../models/Driver');
+const ZoneService = require('./zoneService');
+
+// GPS fixes older than this are treated as unknown when searching for drivers
+const LOCATION_MAX_AGE_MINUTES = 30;
+
+// Lefkoşa city centre, for drivers whose area has no zone centre
+const DEFAULT_AREA_CENTER = { lat: 35.1856, lng: 33.3823 };
 
 class LocationService {
     /**
@@ -73,47 +80,119 @@ class LocationService {
     }
 
     /**
-     * Find drivers within a specified radius of pickup location
-     * Simple and reliable distance-based search
+     * {lat, lng} -> GeoJSON Point (coordinates are [lng, lat])
+     */
+    static toGeoPoint(lat, lng) {
+        return { type: 'Point', coordinates: [lng, lat] };
+    }
+
+    /**
+     * GeoJSON Point -> {lat, lng}, or null when there is no point
+     */
+    static fromGeoPoint(point) {
+        if (!point || !Array.isArray(point.coordinates) || point.coordinates.length !== 2) return null;
+        return { lat: point.coordinates[1], lng: point.coordinates[0] };
+    }
+
+    /**
+     * Normalise a client-reported position ({lat, lng} or {latitude, longitude}).
+     * Returns null when it is missing or out of range.
+     */
+    static parseLocation(location) {
+        if (!location) return null;
+
+        const lat = parseFloat(location.lat ?? location.latitude);
+        const lng = parseFloat(location.lng ?? location.longitude);
+        if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+            return null;
+        }
+        return { lat, lng };
+    }
+
+    /**
+     * Store a driver's reported GPS position and the zone it falls in.
+     * Returns the parsed position, or null if invalid.
+     */
+    static async updateDriverLocation(driverId, location) {
+        const position = this.parseLocation(location);
+        if (!position) return null;
+
+        const zone = await ZoneService.findZoneForPoint(position.lat, position.lng);
+
+        await Driver.updateOne(
+            { _id: driverId },
+            {
+                currentLocation: this.toGeoPoint(position.lat, position.lng),
+                locationUpdatedAt: new Date(),
+                currentZone: zone ? zone._id : null
+            }
+        );
+        return position;
+    }
+
+    /**
+     * Find drivers within a specified radius of pickup location.
+     * Drivers with a recent GPS fix are found with $geoNear on Driver.currentLocation;
+     * the rest fall back to the centre of their area's zone.
      */
     static async findNearbyDrivers(pickupLat, pickupLng, radiusKm = 10, limit = 20) {
         try {
             console.log(`🔍 Finding drivers within ${radiusKm}km of pickup location (${pickupLat}, ${pickupLng})`);
 
-            // Get all active and online drivers
-            const allDrivers = await Driver.find({
-                isActive: true,
-                isOnline: true,
-                isSuspended: false
-            }).select('_id name email area phone isOnline lastKnownLocation');
-
-            console.log(`📊 Found ${allDrivers.length} active online drivers`);
-
-            // Calculate distances and filter by radius
-            const nearbyDrivers = [];
-
-            for (const driver of allDrivers) {
-                // Use driver's area as fallback if no specific coordinates
-                let driverLat, driverLng;
-
-                if (driver.lastKnownLocation && driver.lastKnownLocation.lat && driver.lastKnownLocation.lng) {
-                    driverLat = driver.lastKnownLocation.lat;
-                    driverLng = driver.lastKnownLocation.lng;
-                } else {
-                    // Use area-based coordinates as fallback
-                    const areaCoords = this.getAreaCoordinates(driver.area);
-                    driverLat = areaCoords.lat;
-                    driverLng = areaCoords.lng;
-                }
-
-                const distance = this.calculateDistance(pickupLat, pickupLng, driverLat, driverLng);
-
-                if (distance <= radiusKm) {
-                    nearbyDrivers.push({
-                        driver: driver,
-                        distance: distance,
-                        distanceFormatted: `${distance.toFixed(1)}km`
-                    });
+            const availableQuery = { isActive: true, isOnline: true, isSuspended: false };
+            const freshSince = new Date(Date.now() - LOCATION_MAX_AGE_MINUTES * 60 * 1000);
+
+            const locatedDrivers = await Driver.aggregate([
+                {
+                    $geoNear: {
+                        near: this.toGeoPoint(pickupLat, pickupLng),
+                        key: 'currentLocation',
+                        distanceField: 'distanceMeters',
+                        maxDistance: radiusKm * 1000,
+                        spherical: true,
+                        query: { ...availableQuery, locationUpdatedAt: { $gte: freshSince } }
+                    }
+                },
+                { $limit: limit },
+                { $project: { name: 1, email: 1, area: 1, phone: 1, isOnline: 1, currentLocation: 1, locationUpdatedAt: 1, distanceMeters: 1 } }
+            ]);
+
+            const nearbyDrivers = locatedDrivers.map(driver => {
+                const distance = driver.distanceMeters / 1000;
+                return {
+                    driver: driver,
+                    distance: distance,
+                    distanceFormatted: `${distance.toFixed(1)}km`,
+                    locationSource: 'gps'
+                };
+            });
+
+            console.log(`📡 Found ${nearbyDrivers.length} drivers with a recent GPS fix`);
+
+            if (nearbyDrivers.length < limit) {
+                // No recent GPS fix: use the centre of the driver's zone as fallback
+                const unlocatedDrivers = await Driver.find({
+                    ...availableQuery,
+                    $or: [
+                        { locationUpdatedAt: null },
+                        { locationUpdatedAt: { $lt: freshSince } }
+                    ]
+                }).select('_id name email area phone isOnline');
+
+                const zoneCenters = unlocatedDrivers.length > 0 ? await ZoneService.getZoneCenters() : new Map();
+
+                for (const driver of unlocatedDrivers) {
+                    const areaCoords = zoneCenters.get(driver.area) || DEFAULT_AREA_CENTER;
+                    const distance = this.calculateDistance(pickupLat, pickupLng, areaCoords.lat, areaCoords.lng);
+
+                    if (distance <= radiusKm) {
+                        nearbyDrivers.push({
+                            driver: driver,
+                            distance: distance,
+                            distanceFormatted: `${distance.toFixed(1)}km`,
+                            locationSource: 'area'
+                        });
+                    }
                 }
             }
 
@@ -132,62 +211,6 @@ class LocationService {
         }
     }
 
-    /**
-     * Get approximate coordinates for driver areas
-     * This provides a fallback when drivers don't have specific coordinates
-     */
-    static getAreaCoordinates(area) {
-        const areaCoordinates = {
-            'Lefkosa': { lat: 35.1856, lng: 33.3823 } // Main Lefkosa coordinates
-        };
-
-        // Detailed coordinates for Lefkosa service areas
-        const lefkosaAreaCoordinates = {
-            'Kaymakli': { lat: 35.2000, lng: 33.3500 },
-            'Hamitköy': { lat: 35.1900, lng: 33.3700 },
-            'Yenişehir': { lat: 35.1800, lng: 33.3800 },
-            'Kumsal': { lat: 35.1750, lng: 33.3850 },
-            'Gönyeli': { lat: 35.2167, lng: 33.3333 },
-            'Dereboyu': { lat: 35.1700, lng: 33.3900 },
-            'Ortaköy': { lat: 35.1600, lng: 33.4000 },
-            'Yenikent': { lat: 35.1500, lng: 33.4100 },
-            'Taskinkoy': { lat: 35.1400, lng: 33.4200 },
-            'Metehan': { lat: 35.1300, lng: 33.4300 },
-            'Gocmenkoy': { lat: 35.1200, lng: 33.4400 },
-            'Haspolat': { lat: 35.1100, lng: 33.4500 },
-            'Alaykoy': { lat: 35.1000, lng: 33.4600 },
-            'Marmara': { lat: 35.0900, lng: 33.4700 },
-            'Terminal/City Center': { lat: 35.1856, lng: 33.3823 }
-        };
-
-        return areaCoordinates[area] || lefkosaAreaCoordinates['Terminal/City Center'];
-    }
-
-    /**
-     * Get coordinates for specific Lefkosa service areas
-     */
-    static getLefkosaAreaCoordinates(address) {
-        const lefkosaAreaCoordinates = {
-            'Kaymakli': { lat: 35.2000, lng: 33.3500 },
-            'Hamitköy': { lat: 35.1900, lng: 33.3700 },
-            'Yenişehir': { lat: 35.1800, lng: 33.3800 },
-            'Kumsal': { lat: 35.1750, lng: 33.3850 },
-            'Gönyeli': { lat: 35.2167, lng: 33.3333 },
-            'Dereboyu': { lat: 35.1700, lng: 33.3900 },
-            'Ortaköy': { lat: 35.1600, lng: 33.4000 },
-            'Yenikent': { lat: 35.1500, lng: 33.4100 },
-            'Taskinkoy': { lat: 35.1400, lng: 33.4200 },
-            'Metehan': { lat: 35.1300, lng: 33.4300 },
-            'Gocmenkoy': { lat: 35.1200, lng: 33.4400 },
-            'Haspolat': { lat: 35.1100, lng: 33.4500 },
-            'Alaykoy': { lat: 35.1000, lng: 33.4600 },
-            'Marmara': { lat: 35.0900, lng: 33.4700 },
-            'Terminal/City Center': { lat: 35.1856, lng: 33.3823 }
-        };
-
-        return lefkosaAreaCoordinates[address] || lefkosaAreaCoordinates['Terminal/City Center'];
-    }
-
     /**
      * Validate Google Maps link format
      */
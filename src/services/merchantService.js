@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+const Merchant = require('../models/Merchant');
+const Delivery = require('../models/Delivery');
+const { AppError } = require('../middleware/errorHandler');
+
+// Prefix of every merchant API key, so leaked keys are easy to recognise
+const KEY_PREFIX = 'mk_';
+
+// Characters of the key kept in plain text to tell keys apart
+const DISPLAY_PREFIX_LENGTH = 11;
+
+// Don't write lastUsedAt more often than this per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Merchant orders are broadcast with the default radius and duration
+const MERCHANT_DISPATCH_DEFAULTS = { useAutoBroadcast: true, broadcastRadius: 5, broadcastDuration: 60 };
+
+const MERCHANT_FIELDS = ['name', 'contactName', 'email', 'phone', 'pickupLocation', 'pickupLocationDescription', 'pickupCoordinates', 'isActive', 'notes'];
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class MerchantService {
+    /**
+     * Merchants, newest first (admin)
+     */
+    static async listMerchants({ page = 1, limit = 20, isActive, search } = {}) {
+        const filter = {};
+        if (isActive !== undefined) filter.isActive = isActive === true || isActive === 'true';
+        if (search) {
+            const pattern = new RegExp(escapeRegex(search), 'i');
+            filter.$or = [{ name: pattern }, { email: pattern }];
+        }
+
+        const [merchants, total] = await Promise.all([
+            Merchant.find(filter)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit * 1),
+            Merchant.countDocuments(filter)
+        ]);
+
+        return {
+            merchants: merchants.map(merchant => this.toMerchantView(merchant)),
+            pagination: {
+                currentPage: page * 1,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit * 1
+            }
+        };
+    }
+
+    static async getMerchant(merchantId) {
+        const merchant = await Merchant.findById(merchantId);
+        if (!merchant) {
+            throw new AppError('Merchant not found', 404);
+        }
+        return merchant;
+    }
+
+    static async createMerchant(data, adminId) {
+        const merchant = new Merchant({
+            ...Object.fromEntries(MERCHANT_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])),
+            createdBy: adminId
+        });
+        return this.saveMerchant(merchant);
+    }
+
+    static async updateMerchant(merchantId, data) {
+        const merchant = await this.getMerchant(merchantId);
+        MERCHANT_FIELDS.filter(field => data[field] !== undefined).forEach(field => merchant.set(field, data[field]));
+        return this.saveMerchant(merchant);
+    }
+
+    static async saveMerchant(merchant) {
+        try {
+            return await merchant.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new AppError('A merchant with this email already exists', 400);
+            }
+            if (error.name === 'ValidationError') {
+                throw new AppError(Object.values(error.errors).map(err => err.message).join('. '), 400);
+            }
+            throw error;
+        }
+    }
+
+    static hashApiKey(key) {
+        return crypto.createHash('sha256').update(key).digest('hex');
+    }
+
+    static generateApiKey() {
+        return `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    /**
+     * Add an API key to a merchant and save it. Returns { apiKey, key }: the key itself is
+     * only available here.
+     */
+    static async createApiKey(merchant, { name, scopes, rateLimit } = {}, adminId) {
+        const key = this.generateApiKey();
+        merchant.apiKeys.push({
+            name,
+            prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+            keyHash: this.hashApiKey(key),
+            ...(scopes && { scopes }),
+            ...(rateLimit && { rateLimit }),
+            createdBy: adminId
+        });
+        await merchant.save();
+
+        return { apiKey: this.toApiKeyView(merchant.apiKeys[merchant.apiKeys.length - 1]), key };
+    }
+
+    static async revokeApiKey(merchant, keyId) {
+        const apiKey = merchant.getApiKey(keyId);
+        if (!apiKey) {
+            throw new AppError('API key not found', 404);
+        }
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date();
+            await merchant.save();
+        }
+        return apiKey;
+    }
+
+    /**
+     * Merchant and key for a presented API key. Throws a 401 for unknown or revoked keys
+     * and inactive merchants.
+     */
+    static async authenticate(key) {
+        if (!key || !key.startsWith(KEY_PREFIX)) {
+            throw new AppError('Invalid API key', 401);
+        }
+
+        const keyHash = this.hashApiKey(key);
+        const merchant = await Merchant.findOne({ 'apiKeys.keyHash': keyHash }).select('+apiKeys.keyHash');
+        const apiKey = merchant && merchant.apiKeys.find(item => item.keyHash === keyHash);
+        if (!apiKey || apiKey.revokedAt) {
+            throw new AppError('Invalid API key', 401);
+        }
+        if (!merchant.isActive) {
+            throw new AppError('Merchant account is inactive', 401);
+        }
+
+        if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+            apiKey.lastUsedAt = new Date();
+            await Merchant.updateOne(
+                { _id: merchant._id, 'apiKeys._id': apiKey._id },
+                { $set: { 'apiKeys.$.lastUsedAt': apiKey.lastUsedAt } }
+            );
+        }
+
+        return { merchant, apiKey };
+    }
+
+    static toApiKeyView(apiKey) {
+        return {
+            id: apiKey._id,
+            name: apiKey.name,
+            prefix: apiKey.prefix,
+            scopes: apiKey.scopes,
+            rateLimit: apiKey.rateLimit,
+            lastUsedAt: apiKey.lastUsedAt,
+            revokedAt: apiKey.revokedAt,
+            createdAt: apiKey.createdAt
+        };
+    }
+
+    static toMerchantView(merchant) {
+        return {
+            id: merchant._id,
+            name: merchant.name,
+            contactName: merchant.contactName,
+            email: merchant.email,
+            phone: merchant.phone,
+            pickupLocation: merchant.pickupLocation,
+            pickupLocationDescription: merchant.pickupLocationDescription,
+            pickupCoordinates: merchant.pickupCoordinates,
+            isActive: merchant.isActive,
+            notes: merchant.notes,
+            apiKeys: merchant.apiKeys.map(apiKey => this.toApiKeyView(apiKey)),
+            createdAt: merchant.createdAt,
+            updatedAt: merchant.updatedAt
+        };
+    }
+
+    /**
+     * Create-delivery body for a merchant order: the merchant's pickup point unless the
+     * order has its own, broadcast with the default settings
+     */
+    static buildDeliveryRequest(merchant, body) {
+        const hasOwnPickup = body.pickupLocation || body.pickupLocationLink || body.pickupCoordinates;
+
+        return {
+            ...body,
+            ...(!hasOwnPickup && {
+                pickupLocation: merchant.pickupLocation,
+                pickupLocationDescription: merchant.pickupLocationDescription,
+                pickupCoordinates: merchant.pickupCoordinates?.lat != null
+                    ? { lat: merchant.pickupCoordinates.lat, lng: merchant.pickupCoordinates.lng }
+                    : undefined
+            }),
+            ...MERCHANT_DISPATCH_DEFAULTS
+        };
+    }
+
+    /**
+     * One of the merchant's own deliveries; 404 for deliveries of anyone else
+     */
+    static async findMerchantDelivery(merchant, deliveryId) {
+        const delivery = await Delivery.findOne({ _id: deliveryId, merchant: merchant._id });
+        if (!delivery) {
+            throw new AppError('Delivery not found', 404);
+        }
+        return delivery;
+    }
+
+    /**
+     * What a merchant sees of a delivery
+     */
+    static toDeliveryView(delivery) {
+        return {
+            id: delivery._id,
+            deliveryCode: delivery.deliveryCode,
+            merchantReference: delivery.merchantReference,
+            status: delivery.status,
+            pickupLocation: delivery.pickupLocation,
+            deliveryLocation: delivery.deliveryLocation,
+            customerName: delivery.customerName,
+            customerPhone: delivery.customerPhone,
+            fee: delivery.fee,
+            paymentMethod: delivery.paymentMethod,
+            priority: delivery.priority,
+            package: delivery.package,
+            estimatedTime: delivery.estimatedTime,
+            scheduledFor: delivery.scheduledFor,
+            distance: delivery.distance,
+            notes: delivery.notes,
+            assignedAt: delivery.assignedAt,
+            pickedUpAt: delivery.pickedUpAt,
+            deliveredAt: delivery.deliveredAt,
+            cancelledAt: delivery.cancelledAt,
+            cancellation: delivery.cancellation ? {
+                cancelledBy: delivery.cancellation.cancelledBy,
+                reasonCode: delivery.cancellation.reasonCode,
+                fee: delivery.cancellation.fee
+            } : null,
+            createdAt: delivery.createdAt
+        };
+    }
+
+    /**
+     * Delivery counts and charges per status for a merchant, for billing. Delivered orders are
+     * charged their fee, returned ones the return fee and cancelled ones the cancellation fee.
+     */
+    static async getDeliveryStats(merchantId, { startDate, endDate } = {}) {
+        const createdAt = {
+            ...(startDate && { $gte: new Date(startDate) }),
+            ...(endDate && { $lte: new Date(endDate) })
+        };
+        const stats = await Delivery.aggregate([
+            {
+                $match: {
+                    merchant: merchantId,
+                    ...(Object.keys(createdAt).length > 0 && { createdAt })
+                }
+            },
+            {
+                $group: {
+                    _id: '$status',
+                    count: { $sum: 1 },
+                    charges: {
+                        $sum: {
+                            $switch: {
+                                branches: [
+                                    { case: { $eq: ['$status', 'delivered'] }, then: '$fee' },
+                                    { case: { $eq: ['$status', 'returned'] }, then: { $ifNull: ['$returnFee', 0] } },
+                                    { case: { $eq: ['$status', 'cancelled'] }, then: { $ifNull: ['$cancellation.fee', 0] } }
+                                ],
+                                default: 0
+                            }
+                        }
+                    }
+                }
+            },
+            { $sort: { count: -1 } }
+        ]);
+
+        const byStatus = stats.map(stat => ({ status: stat._id, count: stat.count, charges: stat.charges }));
+
+        return {
+            total: byStatus.reduce((sum, stat) => sum + stat.count, 0),
+            byStatus,
+            totalCharges: byStatus.reduce((sum, stat) => sum + stat.charges, 0)
+        };
+    }
+}
+
+MerchantService.KEY_PREFIX = KEY_PREFIX;
+MerchantService.MERCHANT_DISPATCH_DEFAULTS = MERCHANT_DISPATCH_DEFAULTS;
+
+module.exports = MerchantService;
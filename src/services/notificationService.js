@@ -80,20 +80,26 @@ class NotificationService {
                 notifications.push(notification);
             }
 
-            // Also notify admin about the broadcast
-            await this.createAndEmitNotification({
-                recipient: delivery.createdBy,
-                recipientModel: 'Admin',
-                type: 'system_alert',
-                title: 'Delivery Broadcast Started',
-                message: `Broadcast started for delivery ${delivery.deliveryCode} to ${eligibleDrivers.length} drivers`,
-                data: {
-                    deliveryId: delivery._id,
-                    deliveryCode: delivery.deliveryCode,
-                    eligibleDriversCount: eligibleDrivers.length,
-                    broadcastEndTime: delivery.broadcastEndTime
-                }
-            });
+            // Also notify admin about the broadcast (merchant orders have no creating admin)
+            if (delivery.createdByModel !== 'Merchant') {
+                await this.createAndEmitNotification({
+                    recipient: delivery.createdBy,
+                    recipientModel: 'Admin',
+                    type: 'system_alert',
+                    title: 'Delivery Broadcast Started',
+                    message: `Broadcast started for delivery ${delivery.deliveryCode} to ${eligibleDrivers.length} drivers`,
+                    data: {
+                        deliveryId: delivery._id,
+                        deliveryCode: delivery.deliveryCode,
+                        eligibleDriversCount: eligibleDrivers.length,
+                        broadcastEndTime: delivery.broadcastEndTime
+                    }
+                });
+            }
+
+            // Drivers without a socket connection get urgent broadcasts by SMS
+            const SmsService = require('./smsService');
+            await SmsService.notifyOfflineDrivers(delivery, eligibleDrivers);
 
             console.log(`📢 Delivery notifications sent to ${notifications.length} drivers`);
             return notifications;
@@ -112,27 +118,31 @@ class NotificationService {
                 'in_transit': 'Delivery in transit',
                 'delivered': 'Delivery completed successfully',
                 'cancelled': 'Delivery cancelled',
-                'failed': 'Delivery failed'
+                'failed': 'Delivery failed',
+                'returning': 'Delivery returning to pickup',
+                'returned': 'Delivery returned to pickup'
             };
 
             const message = statusMessages[status] || `Delivery status updated to ${status}`;
 
-            // Notify admin
-            await this.createAndEmitNotification({
-                recipient: delivery.createdBy,
-                recipientModel: 'Admin',
-                type: 'delivery-status-update',
-                title: 'Delivery Status Update',
-                message: `${message} - ${delivery.deliveryCode}`,
-                data: {
-                    deliveryId: delivery._id,
-                    deliveryCode: delivery.deliveryCode,
-                    status: status,
-                    driverId: driver?._id,
-                    driverName: driver?.name,
-                    updatedAt: new Date()
-                }
-            });
+            // Notify the admin who created it (merchant orders have none)
+            if (delivery.createdByModel !== 'Merchant') {
+                await this.createAndEmitNotification({
+                    recipient: delivery.createdBy,
+                    recipientModel: 'Admin',
+                    type: 'delivery-status-update',
+                    title: 'Delivery Status Update',
+                    message: `${message} - ${delivery.deliveryCode}`,
+                    data: {
+                        deliveryId: delivery._id,
+                        deliveryCode: delivery.deliveryCode,
+                        status: status,
+                        driverId: driver?._id,
+                        driverName: driver?.name,
+                        updatedAt: new Date()
+                    }
+                });
+            }
 
             // Notify driver if assigned
             if (driver && delivery.assignedTo) {
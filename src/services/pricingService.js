@@ -0,0 +1,206 @@
+const PricingConfig = require('../models/PricingConfig');
+const Zone = require('../models/Zone');
+const LocationService = require('./locationService');
+const EarningsService = require('./earningsService');
+const SurgeService = require('./surgeService');
+const { AppError } = require('../middleware/errorHandler');
+
+const roundMoney = value => Math.round(value * 100) / 100;
+
+class PricingService {
+    /**
+     * Active pricing configuration, or the model defaults when none has been created yet
+     */
+    static async getActiveConfig() {
+        const config = await PricingConfig.getActiveConfig();
+        return config || new PricingConfig({ name: 'Default Pricing Rules', version: 0 });
+    }
+
+    /**
+     * {lat, lng} from coordinates or a Google Maps link; null when neither is given
+     */
+    static resolvePoint(label, coordinates, link) {
+        if (link) {
+            try {
+                return LocationService.extractCoordinatesFromGoogleMapsLink(link);
+            } catch (error) {
+                throw new AppError(`Invalid ${label} location link: ${error.message}`, 400);
+            }
+        }
+        if (coordinates && coordinates.lat != null && coordinates.lng != null) {
+            return { lat: coordinates.lat, lng: coordinates.lng };
+        }
+        return null;
+    }
+
+    /**
+     * Pickup and ordered drop-offs of a delivery request (single drop-off or stops)
+     */
+    static resolveRoute({ pickupCoordinates, pickupLocationLink, deliveryCoordinates, deliveryLocationLink, stops }) {
+        const pickup = this.resolvePoint('pickup', pickupCoordinates, pickupLocationLink);
+        const dropoffs = stops && stops.length > 0
+            ? stops.map((stop, index) => this.resolvePoint(`stop ${index + 1}`, stop.coordinates, stop.locationLink))
+            : [this.resolvePoint('delivery', deliveryCoordinates, deliveryLocationLink)];
+
+        if (!pickup || dropoffs.some(point => !point)) {
+            return null;
+        }
+        return { pickup, dropoffs };
+    }
+
+    /**
+     * Distance along pickup -> drop-offs in order, in km
+     */
+    static calculateRouteDistance({ pickup, dropoffs }) {
+        let distance = 0;
+        let from = pickup;
+        for (const to of dropoffs) {
+            distance += LocationService.calculateDistance(from.lat, from.lng, to.lat, to.lng);
+            from = to;
+        }
+        return Math.round(distance * 100) / 100;
+    }
+
+    /**
+     * Zone surcharges that apply to a route. Each rule is charged once per delivery.
+     */
+    static async calculateZoneSurcharges(config, pickupZone, dropoffZones) {
+        if (!config.zoneSurcharges || config.zoneSurcharges.length === 0) return [];
+
+        const matches = (zone, id) => !!zone && zone._id.equals(id);
+        const applied = config.zoneSurcharges.filter(rule => {
+            const atPickup = rule.appliesTo !== 'dropoff' && matches(pickupZone, rule.zone);
+            const atDropoff = rule.appliesTo !== 'pickup' && dropoffZones.some(zone => matches(zone, rule.zone));
+            return atPickup || atDropoff;
+        });
+
+        const zones = await Zone.find({ _id: { $in: applied.map(rule => rule.zone) } }).select('name displayName');
+        const zoneById = new Map(zones.map(zone => [zone._id.toString(), zone]));
+
+        return applied.map(rule => ({
+            zone: rule.zone,
+            name: zoneById.get(rule.zone.toString())?.name || null,
+            appliesTo: rule.appliesTo,
+            amount: rule.amount
+        }));
+    }
+
+    /**
+     * Package charges: size class surcharge, weight beyond the included weight, and the
+     * fragile and perishable handling fees
+     */
+    static calculatePackageCharges(config, pkg = {}) {
+        const handling = config.packageHandling || {};
+        const sizeSurcharge = pkg.size ? (config.packageSizeSurcharges?.[pkg.size] ?? 0) : 0;
+        const billableKg = Math.max(0, (pkg.weight || 0) - (handling.includedWeightKg || 0));
+        const weightCharge = roundMoney(billableKg * (handling.perKgRate || 0));
+        const fragileFee = pkg.fragile ? (handling.fragileFee || 0) : 0;
+        const perishableFee = pkg.perishable ? (handling.perishableFee || 0) : 0;
+
+        return {
+            size: pkg.size || null,
+            sizeSurcharge,
+            weightKg: pkg.weight ?? null,
+            billableKg: roundMoney(billableKg),
+            weightCharge,
+            fragileFee,
+            perishableFee,
+            total: roundMoney(sizeSurcharge + weightCharge + fragileFee + perishableFee)
+        };
+    }
+
+    /**
+     * Quote a delivery fee: base fare + per-km rate beyond the included distance + zone surcharges
+     * + package charges, then the priority uplift and payment method adjustment, the minimum fee and rounding.
+     * Surge in the pickup zone is charged on top of the fee, like extra stops.
+     * Takes the same fields as delivery creation.
+     */
+    static async quote(request) {
+        const route = this.resolveRoute(request);
+        if (!route) {
+            throw new AppError('Pickup and drop-off coordinates or Google Maps links are required for a quote', 400);
+        }
+
+        const priority = request.priority || 'normal';
+        const paymentMethod = request.paymentMethod || 'cash';
+        const config = await this.getActiveConfig();
+
+        const [pickupZone, ...dropoffZones] = await Promise.all(
+            [route.pickup, ...route.dropoffs].map(point => Zone.findByPoint(point.lat, point.lng).select('name displayName'))
+        );
+
+        const distanceKm = this.calculateRouteDistance(route);
+        const billableKm = Math.max(0, distanceKm - config.includedKm);
+        const distanceCharge = roundMoney(billableKm * config.perKmRate);
+        const zoneSurcharges = await this.calculateZoneSurcharges(config, pickupZone, dropoffZones);
+        const zoneSurchargeTotal = zoneSurcharges.reduce((sum, surcharge) => sum + surcharge.amount, 0);
+
+        const packageCharges = this.calculatePackageCharges(config, request.package);
+
+        const subtotal = roundMoney(config.baseFare + distanceCharge + zoneSurchargeTotal + packageCharges.total);
+        const priorityUpliftPercent = config.priorityUplift?.[priority] ?? 0;
+        const priorityUplift = roundMoney(subtotal * priorityUpliftPercent / 100);
+        const paymentAdjustmentPercent = config.paymentMethodAdjustments?.[paymentMethod] ?? 0;
+        const paymentAdjustment = roundMoney((subtotal + priorityUplift) * paymentAdjustmentPercent / 100);
+
+        const calculatedFee = subtotal + priorityUplift + paymentAdjustment;
+        const minimumFeeApplied = calculatedFee < config.minimumFee;
+        const fee = Math.ceil(Math.max(calculatedFee, config.minimumFee) / config.roundTo) * config.roundTo;
+
+        // Stops after the first are charged on top of the fee, as on delivery creation
+        const extraStops = Math.max(0, route.dropoffs.length - 1);
+        const stopPricing = extraStops > 0 ? await EarningsService.getActiveExtraStopPricing() : null;
+        const extraStopsFee = extraStops > 0 ? extraStops * stopPricing.customerFee : 0;
+        const surge = await SurgeService.priceSurge(fee, pickupZone, config);
+
+        return {
+            fee,
+            extraStopsFee,
+            surge,
+            totalFee: fee + extraStopsFee + surge.customerSurcharge,
+            distanceKm,
+            pickupZone: pickupZone ? pickupZone.name : null,
+            deliveryZones: dropoffZones.map(zone => (zone ? zone.name : null)),
+            breakdown: {
+                baseFare: config.baseFare,
+                includedKm: config.includedKm,
+                perKmRate: config.perKmRate,
+                distanceCharge,
+                zoneSurcharges,
+                packageCharges,
+                subtotal,
+                priority,
+                priorityUpliftPercent,
+                priorityUplift,
+                paymentMethod,
+                paymentAdjustmentPercent,
+                paymentAdjustment,
+                minimumFee: config.minimumFee,
+                minimumFeeApplied,
+                roundTo: config.roundTo
+            },
+            priceRule: {
+                config: config.isNew ? null : config._id,
+                name: config.name,
+                version: config.version
+            }
+        };
+    }
+
+    /**
+     * What a delivery records about how its fee was set
+     */
+    static toDeliveryPricing(quote) {
+        return {
+            source: 'quote',
+            config: quote.priceRule.config,
+            version: quote.priceRule.version,
+            quotedFee: quote.fee,
+            distanceKm: quote.distanceKm,
+            breakdown: quote.breakdown,
+            quotedAt: new Date()
+        };
+    }
+}
+
+module.exports = PricingService;
@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const Delivery = require('../models/Delivery');
+const SystemSettings = require('../models/SystemSettings');
+const LocationService = require('./locationService');
+
+// Wrong PINs allowed before PIN entry is locked for the delivery
+const MAX_PIN_ATTEMPTS = 5;
+
+// Statuses in which a driver can hand the package over
+const PROOF_STATUSES = ['picked_up', 'in_transit'];
+
+// GPS fixes further than this from the drop-off are flagged in the admin audit
+const DROPOFF_RADIUS_KM = 0.5;
+
+class ProofOfDeliveryService {
+    /**
+     * Configured proof requirement: pin_or_photo | pin | photo | pin_and_photo
+     */
+    static async getProofMode() {
+        const deliverySettings = await SystemSettings.getCategorySettings('delivery');
+        return deliverySettings.proofOfDeliveryMode || 'pin_or_photo';
+    }
+
+    /**
+     * Load a delivery together with its recipient PINs (delivery and stops)
+     */
+    static async findWithPin(deliveryId) {
+        return Delivery.findById(deliveryId).select('+recipientPin +stops.recipientPin');
+    }
+
+    /**
+     * Constant-time PIN comparison
+     */
+    static isPinMatch(expected, given) {
+        if (!expected || !given) return false;
+
+        const a = Buffer.from(String(expected));
+        const b = Buffer.from(String(given));
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+
+    /**
+     * Proof record, expected PIN and drop-off coordinates for the delivery or one of its stops
+     */
+    static getTarget(delivery, stop = null) {
+        if (stop) {
+            return { proof: stop.proof, pin: stop.recipientPin, dropoff: stop.coordinates };
+        }
+        return { proof: delivery.proofOfDelivery, pin: delivery.recipientPin, dropoff: delivery.deliveryCoordinates };
+    }
+
+    static isPinLocked(delivery, stop = null) {
+        const { proof } = this.getTarget(delivery, stop);
+        return (proof?.failedPinAttempts || 0) >= MAX_PIN_ATTEMPTS;
+    }
+
+    // Database filter matching the delivery while the target's PIN entry is still open
+    static pinOpenFilter(delivery, stop = null) {
+        if (stop) {
+            return {
+                _id: delivery._id,
+                stops: { $elemMatch: { _id: stop._id, 'proof.failedPinAttempts': { $not: { $gte: MAX_PIN_ATTEMPTS } } } }
+            };
+        }
+        return { _id: delivery._id, 'proofOfDelivery.failedPinAttempts': { $not: { $gte: MAX_PIN_ATTEMPTS } } };
+    }
+
+    /**
+     * Count a wrong PIN in the database, only while entry is still open, so parallel
+     * submissions cannot get past MAX_PIN_ATTEMPTS. Returns the new count, or null when
+     * entry was already locked.
+     */
+    static async recordWrongPin(delivery, stop = null) {
+        const path = stop ? 'stops.$.proof.failedPinAttempts' : 'proofOfDelivery.failedPinAttempts';
+        const updated = await Delivery.findOneAndUpdate(
+            this.pinOpenFilter(delivery, stop),
+            { $inc: { [path]: 1 } },
+            { new: true }
+        ).select('proofOfDelivery.failedPinAttempts stops._id stops.proof.failedPinAttempts');
+        if (!updated) return null;
+
+        const target = stop ? updated.stops.id(stop._id).proof : updated.proofOfDelivery;
+        return target.failedPinAttempts;
+    }
+
+    /**
+     * Which pieces of proof are still missing for the given mode
+     */
+    static getMissingProof(mode, { pinVerified, hasPhoto }) {
+        switch (mode) {
+            case 'pin':
+                return pinVerified ? [] : ['pin'];
+            case 'photo':
+                return hasPhoto ? [] : ['photo'];
+            case 'pin_and_photo':
+                return [!pinVerified && 'pin', !hasPhoto && 'photo'].filter(Boolean);
+            case 'pin_or_photo':
+            default:
+                return pinVerified || hasPhoto ? [] : ['pin_or_photo'];
+        }
+    }
+
+    /**
+     * Record a proof submission from the assigned driver, for the delivery or one of its stops.
+     * The photo, if any, must already be uploaded. PIN and photo can arrive in
+     * separate submissions; proof is complete once the configured mode is satisfied.
+     * An accepted stop proof marks the stop delivered.
+     */
+    static async submitProof(delivery, driverId, { pin, photo, lat, lng, accuracy }, stop = null) {
+        const mode = await this.getProofMode();
+        const { proof, pin: expectedPin, dropoff } = this.getTarget(delivery, stop);
+        const location = {
+            lat: parseFloat(lat),
+            lng: parseFloat(lng),
+            ...(accuracy !== undefined && accuracy !== '' && { accuracy: parseFloat(accuracy) })
+        };
+
+        let distanceFromDropoff = null;
+        if (dropoff?.lat != null && dropoff?.lng != null) {
+            distanceFromDropoff = Math.round(LocationService.calculateDistance(
+                location.lat,
+                location.lng,
+                dropoff.lat,
+                dropoff.lng
+            ) * 1000) / 1000;
+        }
+
+        const pinProvided = !!pin;
+        let pinLocked = pinProvided && this.isPinLocked(delivery, stop);
+        let failedPinAttempts = proof.failedPinAttempts || 0;
+        let pinCorrect;
+
+        // The counter is only written by recordWrongPin, never by the save below
+        if (pinProvided && !pinLocked) {
+            if (this.isPinMatch(expectedPin, pin)) {
+                // A parallel submission may have used up the last attempt meanwhile
+                pinLocked = !(await Delivery.exists(this.pinOpenFilter(delivery, stop)));
+                if (!pinLocked) {
+                    pinCorrect = true;
+                    proof.pinVerified = true;
+                    proof.pinVerifiedAt = new Date();
+                }
+            } else {
+                const attempts = await this.recordWrongPin(delivery, stop);
+                if (attempts === null) {
+                    pinLocked = true;
+                    failedPinAttempts = MAX_PIN_ATTEMPTS;
+                } else {
+                    pinCorrect = false;
+                    failedPinAttempts = attempts;
+                }
+            }
+        }
+
+        if (photo) {
+            proof.photoUrl = photo.url;
+            proof.photoPublicId = photo.public_id;
+        }
+
+        const missing = this.getMissingProof(mode, {
+            pinVerified: proof.pinVerified,
+            hasPhoto: !!proof.photoUrl
+        });
+        const accepted = missing.length === 0;
+
+        proof.location = location;
+        proof.distanceFromDropoff = distanceFromDropoff;
+        proof.attempts.push({
+            submittedBy: driverId,
+            submittedAt: new Date(),
+            pinProvided,
+            pinCorrect,
+            photoUrl: photo?.url,
+            location,
+            distanceFromDropoff,
+            accepted
+        });
+
+        if (accepted && !proof.completedAt) {
+            proof.submittedBy = driverId;
+            proof.completedAt = new Date();
+
+            if (stop) {
+                stop.status = 'delivered';
+                stop.completedAt = proof.completedAt;
+            }
+        }
+
+        await delivery.save();
+
+        return {
+            accepted,
+            mode,
+            missing,
+            ...(stop && { stopId: stop._id, sequence: stop.sequence, stopStatus: stop.status }),
+            pinProvided,
+            pinCorrect,
+            pinLocked: pinLocked || failedPinAttempts >= MAX_PIN_ATTEMPTS,
+            pinAttemptsRemaining: Math.max(0, MAX_PIN_ATTEMPTS - failedPinAttempts),
+            photoUrl: proof.photoUrl || null,
+            distanceFromDropoff,
+            completedAt: proof.completedAt || null
+        };
+    }
+
+    /**
+     * Whether the driver may mark the delivery delivered: accepted proof for a single
+     * drop-off, or every stop closed with at least one delivered for multi-stop deliveries
+     */
+    static hasCompletedProof(delivery) {
+        if (delivery.stops && delivery.stops.length > 0) {
+            const closed = delivery.stops.every(stop => ['delivered', 'failed'].includes(stop.status));
+            return closed && delivery.stops.some(stop => stop.status === 'delivered');
+        }
+        return !!delivery.proofOfDelivery?.completedAt;
+    }
+
+    /**
+     * Stamp an admin override when an admin marks a delivery delivered without driver proof
+     */
+    static recordAdminOverride(delivery, adminId) {
+        if (this.hasCompletedProof(delivery)) return;
+
+        delivery.proofOfDelivery.overriddenBy = adminId;
+        delivery.proofOfDelivery.overriddenAt = new Date();
+    }
+
+    /**
+     * Full proof record for the admin delivery detail (pass a stop for its own proof)
+     */
+    static buildAuditView(delivery, stop = null) {
+        const { proof: targetProof, pin } = this.getTarget(delivery, stop);
+        const proof = targetProof || {};
+        const distance = proof.distanceFromDropoff;
+
+        return {
+            recipientPin: pin,
+            pinVerified: !!proof.pinVerified,
+            pinVerifiedAt: proof.pinVerifiedAt || null,
+            failedPinAttempts: proof.failedPinAttempts || 0,
+            pinLocked: this.isPinLocked(delivery, stop),
+            photoUrl: proof.photoUrl || null,
+            location: proof.location?.lat != null ? proof.location : null,
+            distanceFromDropoff: distance ?? null,
+            withinDropoffRadius: distance == null ? null : distance <= DROPOFF_RADIUS_KM,
+            submittedBy: proof.submittedBy || null,
+            completedAt: proof.completedAt || null,
+            overriddenBy: proof.overriddenBy || null,
+            overriddenAt: proof.overriddenAt || null,
+            attempts: proof.attempts || []
+        };
+    }
+}
+
+ProofOfDeliveryService.MAX_PIN_ATTEMPTS = MAX_PIN_ATTEMPTS;
+ProofOfDeliveryService.PROOF_STATUSES = PROOF_STATUSES;
+ProofOfDeliveryService.DROPOFF_RADIUS_KM = DROPOFF_RADIUS_KM;
+
+module.exports = ProofOfDeliveryService;
@@ -3,9 +3,71 @@ const Delivery = require('../models/Delivery');
 const Driver = require('../models/Driver');
 const EarningsService = require('./earningsService');
 const EmailService = require('./emailService');
+const WebhookService = require('./webhookService');
 const moment = require('moment');
 
 class RemittanceService {
+    /**
+     * Unsettled deliveries of a driver in a period: delivered ones, ones returned to pickup,
+     * and cancelled ones that carry a cancellation fee or driver compensation
+     * @param {Object} filter - Extra conditions (e.g. paymentMethod)
+     */
+    static findUnsettledDeliveries(driverId, startDate, endDate, filter = {}) {
+        return Delivery.find({
+            assignedTo: driverId,
+            remittanceStatus: 'pending', // Only include unsettled deliveries
+            ...filter,
+            $or: [
+                { status: 'delivered', deliveredAt: { $gte: startDate, $lte: endDate } },
+                { status: 'returned', returnedAt: { $gte: startDate, $lte: endDate } },
+                {
+                    status: 'cancelled',
+                    cancelledAt: { $gte: startDate, $lte: endDate },
+                    $or: [
+                        { 'cancellation.fee': { $gt: 0 } },
+                        { 'cancellation.driverCompensation': { $gt: 0 } }
+                    ]
+                }
+            ]
+        }).sort({ deliveredAt: 1, returnedAt: 1, cancelledAt: 1 });
+    }
+
+    /**
+     * Fee and earnings split of a delivery for settlement, and `cashCollected`: the cash the
+     * driver took from the customer. A cancelled delivery's fee is the cancellation fee, only
+     * collected by the driver when recorded as such (otherwise the company bills it), and the
+     * driver earns the compensation.
+     * A returned delivery's fee is its return fee, split by the earnings rules; the customer
+     * never paid the driver, so nothing was collected.
+     */
+    static async calculateSettlement(delivery) {
+        if (delivery.status === 'cancelled') {
+            const { fee = 0, driverCompensation = 0 } = delivery.cancellation || {};
+            return {
+                fee,
+                cashCollected: delivery.cancellation?.feeCollected ? fee : 0,
+                driverEarning: driverCompensation,
+                companyEarning: fee - driverCompensation,
+                ruleApplied: null,
+                cancellation: true
+            };
+        }
+
+        const earnings = await EarningsService.calculateDeliveryEarnings(delivery);
+        if (delivery.status === 'returned') {
+            return { fee: delivery.returnFee || 0, cashCollected: 0, ...earnings, returned: true };
+        }
+        return { fee: delivery.fee, cashCollected: delivery.paymentMethod === 'cash' ? delivery.fee : 0, ...earnings };
+    }
+
+    /**
+     * What the driver owes the company for a settled delivery: the cash they collected less
+     * their earning. Negative when the company owes the driver.
+     */
+    static getDriverBalance(settlement) {
+        return settlement.cashCollected - settlement.driverEarning;
+    }
+
     /**
      * Calculate remittance amount for a driver based on cash deliveries
      * @param {string} driverId - Driver ID
@@ -15,14 +77,8 @@ class RemittanceService {
      */
     static async calculateRemittanceAmount(driverId, startDate, endDate) {
         try {
-            // Get cash deliveries for the driver in the specified period
-            const cashDeliveries = await Delivery.find({
-                assignedTo: driverId,
-                status: 'delivered',
-                paymentMethod: 'cash',
-                deliveredAt: { $gte: startDate, $lte: endDate },
-                remittanceStatus: 'pending' // Only include unsettled deliveries
-            }).sort({ deliveredAt: 1 });
+            // Get cash deliveries (and cash cancellations with a fee) for the driver in the specified period
+            const cashDeliveries = await this.findUnsettledDeliveries(driverId, startDate, endDate, { paymentMethod: 'cash' });
 
             if (cashDeliveries.length === 0) {
                 return {
@@ -42,23 +98,30 @@ class RemittanceService {
             let totalDeliveryFees = 0;
             let totalDriverEarnings = 0;
             let totalCompanyEarnings = 0;
+            let totalCashCollected = 0;
+            let remittanceAmount = 0;
             const deliveryDetails = [];
 
             // Calculate earnings for each delivery
             for (const delivery of cashDeliveries) {
-                const earnings = await EarningsService.calculateEarnings(delivery.fee);
+                const earnings = await this.calculateSettlement(delivery);
 
-                totalDeliveryFees += delivery.fee;
+                totalDeliveryFees += earnings.fee;
                 totalDriverEarnings += earnings.driverEarning;
                 totalCompanyEarnings += earnings.companyEarning;
+                totalCashCollected += earnings.cashCollected;
+                remittanceAmount += this.getDriverBalance(earnings);
 
                 deliveryDetails.push({
                     deliveryId: delivery._id,
                     deliveryCode: delivery.deliveryCode,
-                    fee: delivery.fee,
+                    fee: earnings.fee,
+                    cashCollected: earnings.cashCollected,
                     driverEarning: earnings.driverEarning,
                     companyEarning: earnings.companyEarning,
                     deliveredAt: delivery.deliveredAt,
+                    ...(earnings.cancellation && { cancelledAt: delivery.cancelledAt, cancellation: true }),
+                    ...(earnings.returned && { returnedAt: delivery.returnedAt, returned: true }),
                     ruleApplied: earnings.ruleApplied
                 });
             }
@@ -71,9 +134,15 @@ class RemittanceService {
                 totalDeliveryFees,
                 totalDriverEarnings,
                 totalCompanyEarnings,
-                remittanceAmount: totalCompanyEarnings, // Drivers need to remit company's share
+                totalCashCollected,
+                // Negative when compensation and earnings exceed the cash collected: the company
+                // owes the driver, and the deliveries carry forward until settled
+                remittanceAmount,
+                remittanceType: remittanceAmount > 0 ? 'driver_owes_company' : remittanceAmount < 0 ? 'company_owes_driver' : 'balanced',
                 deliveries: deliveryDetails,
-                message: `Found ${cashDeliveries.length} cash deliveries totaling ₺${totalCompanyEarnings} to remit`
+                message: remittanceAmount >= 0
+                    ? `Found ${cashDeliveries.length} cash deliveries totaling ₺${remittanceAmount} to remit`
+                    : `Found ${cashDeliveries.length} cash deliveries; company owes driver ₺${-remittanceAmount}`
             };
         } catch (error) {
             console.error('Error calculating remittance amount:', error);
@@ -91,13 +160,8 @@ class RemittanceService {
      */
     static async calculateBalancedRemittanceAmount(driverId, startDate, endDate) {
         try {
-            // Get all delivered deliveries for the driver in the specified period
-            const allDeliveries = await Delivery.find({
-                assignedTo: driverId,
-                status: 'delivered',
-                deliveredAt: { $gte: startDate, $lte: endDate },
-                remittanceStatus: 'pending' // Only include unsettled deliveries
-            }).sort({ deliveredAt: 1 });
+            // Get all delivered (and charged cancelled) deliveries for the driver in the specified period
+            const allDeliveries = await this.findUnsettledDeliveries(driverId, startDate, endDate);
 
             if (allDeliveries.length === 0) {
                 // Get more detailed information about what deliveries exist
@@ -129,7 +193,9 @@ class RemittanceService {
                     netRemittanceAmount: 0,
                     breakdown: {
                         cash: { count: 0, totalFees: 0, driverEarnings: 0, companyEarnings: 0 },
-                        nonCash: { count: 0, totalFees: 0, driverEarnings: 0, companyEarnings: 0 }
+                        nonCash: { count: 0, totalFees: 0, driverEarnings: 0, companyEarnings: 0 },
+                        cancellations: { count: 0, fees: 0, driverCompensation: 0 },
+                        returns: { count: 0, fees: 0, driverEarnings: 0 }
                     },
                     deliveries: [],
                     message: `No pending deliveries found for this period. Total driver deliveries: ${totalDriverDeliveries}, Delivered: ${deliveredDeliveries}, In date range: ${dateRangeDeliveries}, Already settled: ${settledDeliveries}`,
@@ -147,17 +213,20 @@ class RemittanceService {
             const deliveryDetails = [];
             const breakdown = {
                 cash: { count: 0, totalFees: 0, driverEarnings: 0, companyEarnings: 0 },
-                nonCash: { count: 0, totalFees: 0, driverEarnings: 0, companyEarnings: 0 }
+                nonCash: { count: 0, totalFees: 0, driverEarnings: 0, companyEarnings: 0 },
+                cancellations: { count: 0, fees: 0, driverCompensation: 0 },
+                returns: { count: 0, fees: 0, driverEarnings: 0 }
             };
 
             // Process each delivery
             for (const delivery of allDeliveries) {
-                const earnings = await EarningsService.calculateEarnings(delivery.fee);
+                const earnings = await this.calculateSettlement(delivery);
 
                 const deliveryDetail = {
                     deliveryId: delivery._id,
                     deliveryCode: delivery.deliveryCode,
-                    fee: delivery.fee,
+                    fee: earnings.fee,
+                    cashCollected: earnings.cashCollected,
                     paymentMethod: delivery.paymentMethod,
                     driverEarning: earnings.driverEarning,
                     companyEarning: earnings.companyEarning,
@@ -165,26 +234,47 @@ class RemittanceService {
                     ruleApplied: earnings.ruleApplied
                 };
 
-                if (delivery.paymentMethod === 'cash') {
+                if (earnings.cancellation) {
+                    breakdown.cancellations.count += 1;
+                    breakdown.cancellations.fees += earnings.fee;
+                    breakdown.cancellations.driverCompensation += earnings.driverEarning;
+                    deliveryDetail.cancelledAt = delivery.cancelledAt;
+                    deliveryDetail.cancellation = true;
+                }
+
+                if (earnings.returned) {
+                    breakdown.returns.count += 1;
+                    breakdown.returns.fees += earnings.fee;
+                    breakdown.returns.driverEarnings += earnings.driverEarning;
+                    deliveryDetail.returnedAt = delivery.returnedAt;
+                    deliveryDetail.returned = true;
+                }
+
+                const driverBalance = this.getDriverBalance(earnings);
+                if (earnings.cashCollected > 0 && driverBalance >= 0) {
                     // Cash delivery: Driver collected cash, owes company their share
-                    cashRemittanceOwed += earnings.companyEarning;
+                    cashRemittanceOwed += driverBalance;
                     breakdown.cash.count += 1;
-                    breakdown.cash.totalFees += delivery.fee;
+                    breakdown.cash.totalFees += earnings.fee;
                     breakdown.cash.driverEarnings += earnings.driverEarning;
                     breakdown.cash.companyEarnings += earnings.companyEarning;
 
                     deliveryDetail.remittanceType = 'driver_owes_company';
-                    deliveryDetail.amount = earnings.companyEarning;
+                    deliveryDetail.amount = driverBalance;
                 } else {
-                    // Non-cash delivery: Company collected payment, owes driver their earnings
-                    nonCashEarningsOwed += earnings.driverEarning;
+                    // Non-cash delivery: Company collected payment, owes driver their earnings.
+                    // Returned deliveries, where the driver collected nothing, and cash
+                    // cancellations whose compensation exceeds the fee collected also leave
+                    // the company owing the driver.
+                    const owedToDriver = -driverBalance;
+                    nonCashEarningsOwed += owedToDriver;
                     breakdown.nonCash.count += 1;
-                    breakdown.nonCash.totalFees += delivery.fee;
+                    breakdown.nonCash.totalFees += earnings.fee;
                     breakdown.nonCash.driverEarnings += earnings.driverEarning;
                     breakdown.nonCash.companyEarnings += earnings.companyEarning;
 
                     deliveryDetail.remittanceType = 'company_owes_driver';
-                    deliveryDetail.amount = earnings.driverEarning;
+                    deliveryDetail.amount = owedToDriver;
                 }
 
                 deliveryDetails.push(deliveryDetail);
@@ -385,6 +475,10 @@ class RemittanceService {
             if (calculation.remittanceAmount === 0) {
                 throw new Error('No remittance amount to generate');
             }
+            if (calculation.remittanceAmount < 0) {
+                // Left unsettled so the balance carries forward to the next (or a balanced) remittance
+                throw new Error(`Company owes the driver ₺${-calculation.remittanceAmount} for this period; generate a balanced remittance instead`);
+            }
 
             // Get admin information
             const Admin = require('../models/Admin');
@@ -603,6 +697,7 @@ class RemittanceService {
             remittance.handledByEmail = admin.email;
             remittance.updatedBy = admin._id;
             await remittance.save();
+            WebhookService.publishRemittanceCompleted(remittance);
 
             // Send completion notification
             await EmailService.sendRemittanceCompletionEmail(
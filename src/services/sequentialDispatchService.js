@@ -0,0 +1,232 @@
+const Delivery = require('../models/Delivery');
+const Driver = require('../models/Driver');
+const SystemSettings = require('../models/SystemSettings');
+const SocketService = require('./socketService');
+const DeliveryOfferService = require('./deliveryOfferService');
+const DriverCapacityService = require('./driverCapacityService');
+
+const DEFAULT_OFFER_TIMEOUT_SECONDS = 30;
+
+// How much each factor counts towards a driver's rank (sums to 1)
+const RANKING_WEIGHTS = {
+    distance: 0.4,
+    rating: 0.25,
+    load: 0.2,
+    transport: 0.15
+};
+
+// Suitability of each transportation type for a typical city delivery
+const TRANSPORT_SCORES = {
+    motorcycle: 1,
+    scooter: 0.9,
+    car: 0.8,
+    bicycle: 0.6,
+    walking: 0.3,
+    other: 0.5
+};
+
+// Deliveries that count towards a driver's current load
+const ACTIVE_STATUSES = ['accepted', 'picked_up', 'in_transit', 'returning'];
+
+class SequentialDispatchService {
+    static async getDispatchSettings() {
+        const deliverySettings = await SystemSettings.getCategorySettings('delivery');
+        return {
+            mode: deliverySettings.dispatchMode || 'broadcast',
+            offerTimeout: deliverySettings.sequentialOfferTimeout || DEFAULT_OFFER_TIMEOUT_SECONDS
+        };
+    }
+
+    /**
+     * Dispatch mode for a delivery: its own dispatchMode, else the global setting
+     */
+    static async resolveMode(delivery) {
+        if (delivery.dispatchMode) return delivery.dispatchMode;
+
+        const { mode } = await this.getDispatchSettings();
+        return mode;
+    }
+
+    static isSequential(delivery) {
+        return delivery.dispatchMode === 'sequential';
+    }
+
+    static isOfferedTo(delivery, driverId) {
+        return !!delivery.offeredTo && delivery.offeredTo.toString() === driverId.toString();
+    }
+
+    static getCurrentOffer(delivery) {
+        return delivery.dispatchQueue.find(entry => entry.status === 'offered') || null;
+    }
+
+    /**
+     * Score candidates from BroadcastService.findEligibleDrivers on distance, rating,
+     * current load and transportation type. Returns them best first.
+     */
+    static async rankDrivers(delivery, candidates) {
+        const driverIds = candidates.map(candidate => (candidate.driver || candidate)._id);
+        if (driverIds.length === 0) return [];
+
+        const [profiles, loads] = await Promise.all([
+            Driver.find({ _id: { $in: driverIds } }).select('rating transportationType'),
+            Delivery.aggregate([
+                { $match: { assignedTo: { $in: driverIds }, status: { $in: ACTIVE_STATUSES } } },
+                { $group: { _id: '$assignedTo', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const profileById = new Map(profiles.map(profile => [profile._id.toString(), profile]));
+        const loadById = new Map(loads.map(load => [load._id.toString(), load.count]));
+        const radius = delivery.broadcastRadius || 10;
+
+        const ranked = candidates.map(candidate => {
+            const driver = candidate.driver || candidate;
+            const id = driver._id.toString();
+            const profile = profileById.get(id) || driver;
+            const distance = typeof candidate.distance === 'number' ? candidate.distance : null;
+            const activeDeliveries = loadById.get(id) || 0;
+
+            const scores = {
+                distance: distance === null ? 0.5 : Math.max(0, 1 - distance / radius),
+                rating: ((profile.rating || 3) - 1) / 4,
+                load: 1 / (1 + activeDeliveries),
+                transport: TRANSPORT_SCORES[profile.transportationType] ?? TRANSPORT_SCORES.other
+            };
+            const score = Object.keys(RANKING_WEIGHTS)
+                .reduce((sum, factor) => sum + RANKING_WEIGHTS[factor] * scores[factor], 0);
+
+            return {
+                driver: driver._id,
+                score: Math.round(score * 1000) / 1000,
+                distance: distance === null ? null : Math.round(distance * 100) / 100,
+                activeDeliveries
+            };
+        });
+
+        return ranked.sort((a, b) => b.score - a.score || (a.distance ?? Infinity) - (b.distance ?? Infinity));
+    }
+
+    /**
+     * Build the ranked queue for a new broadcast attempt and offer the delivery to the first driver.
+     * Drivers who declined on an earlier attempt are kept in the queue but not offered again.
+     */
+    static async startOffers(delivery, eligibleDrivers) {
+        const declined = delivery.dispatchQueue.filter(entry => entry.status === 'declined');
+        const declinedIds = new Set(declined.map(entry => entry.driver.toString()));
+
+        const ranked = await this.rankDrivers(
+            delivery,
+            eligibleDrivers.filter(candidate => !declinedIds.has((candidate.driver || candidate)._id.toString()))
+        );
+
+        delivery.dispatchQueue = [
+            ...declined.map(entry => entry.toObject()),
+            ...ranked.map((candidate, index) => ({ ...candidate, rank: index + 1, status: 'queued' }))
+        ];
+        delivery.offeredTo = null;
+
+        return this.offerNext(delivery);
+    }
+
+    /**
+     * Close the open offer with the given outcome (accepted | declined | timed_out).
+     * The caller saves the delivery.
+     */
+    static closeCurrentOffer(delivery, status) {
+        const offer = this.getCurrentOffer(delivery);
+        if (offer) {
+            offer.status = status;
+            offer.respondedAt = new Date();
+        }
+        delivery.offeredTo = null;
+        return offer;
+    }
+
+    /**
+     * Next queued driver who still has capacity. Drivers who filled up while waiting
+     * in the queue are marked skipped.
+     */
+    static async findNextWithCapacity(delivery) {
+        for (const entry of delivery.dispatchQueue) {
+            if (entry.status !== 'queued') continue;
+
+            const [available] = await DriverCapacityService.filterWithCapacity([{ _id: entry.driver }]);
+            if (available) return entry;
+
+            entry.status = 'skipped';
+            entry.respondedAt = new Date();
+        }
+        return null;
+    }
+
+    /**
+     * Offer the delivery to the next queued driver. Returns the queue entry, or null when
+     * nobody is left; the broadcast then expires and the usual retry applies.
+     */
+    static async offerNext(delivery) {
+        const next = await this.findNextWithCapacity(delivery);
+
+        if (!next) {
+            delivery.offeredTo = null;
+            await delivery.save();
+            return null;
+        }
+
+        const { offerTimeout } = await this.getDispatchSettings();
+        next.status = 'offered';
+        next.offeredAt = new Date();
+        delivery.offeredTo = next.driver;
+        delivery.broadcastEndTime = new Date(Date.now() + offerTimeout * 1000);
+        await delivery.save();
+
+        try {
+            await DeliveryOfferService.recordOffers(delivery, [next]);
+        } catch (error) {
+            console.error('Error recording sequential offer:', error);
+        }
+        await this.notifyOffer(delivery, next);
+
+        return next;
+    }
+
+    static async notifyOffer(delivery, offer) {
+        SocketService.emitDeliveryOffer(delivery, offer.driver, offer);
+
+        try {
+            const NotificationService = require('./notificationService');
+            await NotificationService.createAndEmitNotification({
+                recipient: offer.driver,
+                recipientModel: 'Driver',
+                type: 'delivery_assigned',
+                title: 'Delivery Offered to You',
+                message: `Delivery ${delivery.deliveryCode} from ${delivery.pickupLocation} is yours if you accept before the offer expires`,
+                data: {
+                    deliveryId: delivery._id,
+                    deliveryCode: delivery.deliveryCode,
+                    pickupLocation: delivery.pickupLocation,
+                    deliveryLocation: delivery.deliveryLocation,
+                    fee: delivery.fee,
+                    driverEarning: delivery.driverEarning,
+                    broadcastEndTime: delivery.broadcastEndTime
+                },
+                priority: 'high'
+            });
+        } catch (error) {
+            console.error(`Error notifying driver ${offer.driver} of delivery offer:`, error);
+        }
+
+        SocketService.emitAdminNotification({
+            type: 'delivery-offered',
+            deliveryId: delivery._id,
+            driverId: offer.driver,
+            rank: offer.rank,
+            score: offer.score,
+            offerExpiresAt: delivery.broadcastEndTime
+        });
+    }
+}
+
+SequentialDispatchService.RANKING_WEIGHTS = RANKING_WEIGHTS;
+SequentialDispatchService.TRANSPORT_SCORES = TRANSPORT_SCORES;
+
+module.exports = SequentialDispatchService;
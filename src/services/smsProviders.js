@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * SMS provider interface. A provider sends one text message and resolves with the
+ * provider's message id, or throws when the message was not accepted.
+ *
+ * To add a gateway, extend SmsProvider and register it in PROVIDERS under the name used
+ * for SMS_PROVIDER.
+ */
+class SmsProvider {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * @param {Object} message - { to, body }
+     * @returns {Promise<{messageId: string}>}
+     */
+    async send() {
+        throw new Error(`SMS provider ${this.name} does not implement send()`);
+    }
+}
+
+/**
+ * Local stand-in: nothing leaves the server. Messages are appended as JSON lines to
+ * SMS_LOG_FILE when it is set, and printed to the console otherwise.
+ */
+class ConsoleSmsProvider extends SmsProvider {
+    constructor({ logFile = process.env.SMS_LOG_FILE } = {}) {
+        super('console');
+        this.logFile = logFile ? path.resolve(logFile) : null;
+    }
+
+    async send({ to, body }) {
+        const messageId = `console_${crypto.randomBytes(8).toString('hex')}`;
+
+        if (this.logFile) {
+            const line = JSON.stringify({ messageId, to, body, sentAt: new Date().toISOString() });
+            await fs.promises.appendFile(this.logFile, `${line}\n`);
+        } else {
+            console.log(`📱 SMS to ${to}: ${body}`);
+        }
+
+        return { messageId };
+    }
+}
+
+const PROVIDERS = {
+    console: ConsoleSmsProvider
+};
+
+// Provider selected by SMS_PROVIDER (defaults to the console stand-in)
+const createSmsProvider = (name = process.env.SMS_PROVIDER || 'console') => {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        console.warn(`⚠️ Unknown SMS_PROVIDER "${name}", falling back to console`);
+        return new ConsoleSmsProvider();
+    }
+    return new Provider();
+};
+
+module.exports = {
+    SmsProvider,
+    ConsoleSmsProvider,
+    createSmsProvider
+};
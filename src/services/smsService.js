@@ -0,0 +1,253 @@
+const Delivery = require('../models/Delivery');
+const SmsMessage = require('../models/SmsMessage');
+const SystemSettings = require('../models/SystemSettings');
+const LocationService = require('./locationService');
+const CustomerRatingService = require('./customerRatingService');
+const { createSmsProvider } = require('./smsProviders');
+
+// Delivery status -> customer message sent when a delivery reaches it
+const STATUS_TEMPLATES = {
+    accepted: 'delivery_assigned',
+    picked_up: 'delivery_picked_up',
+    delivered: 'delivery_delivered'
+};
+
+// Message texts; {placeholders} are filled from the delivery
+const TEMPLATES = {
+    delivery_assigned: 'Your delivery {deliveryCode} has been assigned to a driver. Track it: {trackingUrl}',
+    delivery_picked_up: 'Your delivery {deliveryCode} has been picked up and is on its way. Track it: {trackingUrl}',
+    delivery_arriving: 'Your driver is almost at {deliveryLocation} with delivery {deliveryCode}. Please be ready to receive it.',
+    delivery_delivered: 'Your delivery {deliveryCode} has been delivered. How did it go? Rate it: {ratingUrl}',
+    driver_urgent_broadcast: 'Urgent delivery {deliveryCode} available: {pickupLocation} to {deliveryLocation}, fee {fee}. Open the app to accept it.'
+};
+
+// The customer gets the "arriving" message once the driver of a picked-up delivery is this close
+// to the drop-off
+const ARRIVING_RADIUS_KM = 0.5;
+const ARRIVING_STATUSES = ['picked_up', 'in_transit'];
+
+// Drop-offs still waiting for the "arriving" message, per driver, so location pings do not
+// query the database. Refreshed after ARRIVING_CACHE_MS or when one of the driver's
+// deliveries changes status.
+const ARRIVING_CACHE_MS = 60 * 1000;
+const arrivingDropoffs = new Map();
+
+// Per-recipient limit: at most MAX_PER_WINDOW messages to one number per THROTTLE_WINDOW_MS;
+// further messages are logged as throttled and not sent
+const THROTTLE_WINDOW_MS = 60 * 60 * 1000;
+const MAX_PER_WINDOW = 5;
+
+const trackingUrl = deliveryCode => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/track/${deliveryCode}`;
+
+class SmsService {
+    static get provider() {
+        if (!this._provider) {
+            this._provider = createSmsProvider();
+        }
+        return this._provider;
+    }
+
+    // Use another provider (e.g. a test double)
+    static setProvider(provider) {
+        this._provider = provider;
+    }
+
+    // SMS is off unless enabled in the notification settings
+    static async isEnabled() {
+        const notifications = await SystemSettings.getCategorySettings('notifications');
+        return notifications.sms === true;
+    }
+
+    static normalizePhone(phone) {
+        return String(phone).replace(/[\s()-]/g, '');
+    }
+
+    static render(template, delivery) {
+        const values = {
+            deliveryCode: delivery.deliveryCode,
+            pickupLocation: delivery.pickupLocation,
+            deliveryLocation: delivery.deliveryLocation,
+            fee: delivery.fee,
+            trackingUrl: trackingUrl(delivery.deliveryCode),
+            ratingUrl: CustomerRatingService.buildRatingUrl(delivery)
+        };
+        return TEMPLATES[template].replace(/\{(\w+)\}/g, (match, key) => (values[key] != null ? values[key] : ''));
+    }
+
+    static async isThrottled(to) {
+        const recent = await SmsMessage.countDocuments({
+            to,
+            status: 'sent',
+            createdAt: { $gte: new Date(Date.now() - THROTTLE_WINDOW_MS) }
+        });
+        return recent >= MAX_PER_WINDOW;
+    }
+
+    /**
+     * Send a templated message and log it. Provider errors are not thrown: the message is
+     * logged as failed with the error.
+     * @returns {Promise<Object>} the SmsMessage log entry
+     */
+    static async send({ to, recipientType, template, delivery, driver = null }) {
+        const entry = {
+            to: this.normalizePhone(to),
+            recipientType,
+            driver: driver ? driver._id : null,
+            delivery: delivery._id,
+            template,
+            body: this.render(template, delivery),
+            provider: this.provider.name
+        };
+
+        if (await this.isThrottled(entry.to)) {
+            return SmsMessage.create({ ...entry, status: 'throttled' });
+        }
+
+        try {
+            const { messageId } = await this.provider.send({ to: entry.to, body: entry.body });
+            return await SmsMessage.create({ ...entry, status: 'sent', providerMessageId: messageId });
+        } catch (error) {
+            console.error(`❌ Error sending ${template} SMS for ${delivery.deliveryCode}:`, error.message);
+            return SmsMessage.create({ ...entry, status: 'failed', error: error.message });
+        }
+    }
+
+    /**
+     * Text the customer about a delivery, once per delivery and template. Does nothing when
+     * SMS is disabled or the delivery has no customer phone.
+     */
+    static async notifyCustomer(delivery, template) {
+        if (!template || !delivery.customerPhone) return null;
+
+        try {
+            if (!(await this.isEnabled())) return null;
+            if (await SmsMessage.exists({ delivery: delivery._id, template })) return null;
+
+            return await this.send({ to: delivery.customerPhone, recipientType: 'customer', template, delivery });
+        } catch (error) {
+            console.error(`❌ Error sending ${template} SMS for ${delivery.deliveryCode}:`, error);
+            return null;
+        }
+    }
+
+    // Customer message for the delivery's current status, if that status has one
+    static async notifyCustomerStatus(delivery) {
+        const driverId = delivery.assignedTo?._id || delivery.assignedTo;
+        if (driverId) arrivingDropoffs.delete(String(driverId));
+
+        return this.notifyCustomer(delivery, STATUS_TEMPLATES[delivery.status]);
+    }
+
+    // The driver's picked-up drop-offs, from the cache while it is fresh
+    static async getArrivingDropoffs(driverId) {
+        const cached = arrivingDropoffs.get(String(driverId));
+        if (cached && cached.expiresAt > Date.now()) return cached.dropoffs;
+
+        const deliveries = await Delivery.find({
+            assignedTo: driverId,
+            status: { $in: ARRIVING_STATUSES },
+            'deliveryCoordinates.lat': { $ne: null }
+        }).select('deliveryCoordinates').lean();
+
+        const dropoffs = deliveries.map(delivery => ({ id: delivery._id, ...delivery.deliveryCoordinates }));
+        arrivingDropoffs.set(String(driverId), { dropoffs, expiresAt: Date.now() + ARRIVING_CACHE_MS });
+        return dropoffs;
+    }
+
+    /**
+     * On a driver location update: tell the customers of the driver's picked-up deliveries
+     * that the driver is arriving, once within ARRIVING_RADIUS_KM of the drop-off. Pings
+     * far from every drop-off, or from drivers with nothing picked up, touch no database.
+     */
+    static async notifyArriving(driverId, position) {
+        try {
+            const dropoffs = await this.getArrivingDropoffs(driverId);
+
+            const arriving = dropoffs.filter(dropoff => LocationService.calculateDistance(
+                position.lat, position.lng,
+                dropoff.lat, dropoff.lng
+            ) <= ARRIVING_RADIUS_KM);
+
+            for (const dropoff of arriving) {
+                // Each customer is told once, so stop checking this drop-off
+                dropoffs.splice(dropoffs.indexOf(dropoff), 1);
+
+                const delivery = await Delivery.findOne({ _id: dropoff.id, status: { $in: ARRIVING_STATUSES } });
+                if (delivery) await this.notifyCustomer(delivery, 'delivery_arriving');
+            }
+        } catch (error) {
+            console.error('❌ Error checking arriving deliveries:', error);
+        }
+    }
+
+    /**
+     * SMS fallback for urgent broadcasts: text the offered drivers that have no socket
+     * connection, so they still hear about the delivery
+     */
+    static async notifyOfflineDrivers(delivery, drivers) {
+        if (delivery.priority !== 'urgent') return [];
+
+        try {
+            if (!(await this.isEnabled())) return [];
+
+            const SocketService = require('./socketService');
+            const offline = drivers.filter(driver => driver.phone && !SocketService.isUserConnected(driver._id));
+
+            const messages = [];
+            for (const driver of offline) {
+                messages.push(await this.send({
+                    to: driver.phone,
+                    recipientType: 'driver',
+                    template: 'driver_urgent_broadcast',
+                    delivery,
+                    driver
+                }));
+            }
+            return messages;
+        } catch (error) {
+            console.error(`❌ Error sending urgent broadcast SMS for ${delivery.deliveryCode}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * SMS delivery log, newest first (admin)
+     */
+    static async listMessages({ page = 1, limit = 20, status, recipientType, template, to, delivery } = {}) {
+        const filter = {};
+        if (status) filter.status = status;
+        if (recipientType) filter.recipientType = recipientType;
+        if (template) filter.template = template;
+        if (to) filter.to = this.normalizePhone(to);
+        if (delivery) filter.delivery = delivery;
+
+        const [messages, total] = await Promise.all([
+            SmsMessage.find(filter)
+                .populate('delivery', 'deliveryCode status')
+                .populate('driver', 'fullName name phone')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit * 1),
+            SmsMessage.countDocuments(filter)
+        ]);
+
+        return {
+            messages,
+            pagination: {
+                currentPage: page * 1,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit * 1
+            }
+        };
+    }
+}
+
+SmsService.TEMPLATES = TEMPLATES;
+SmsService.STATUS_TEMPLATES = STATUS_TEMPLATES;
+SmsService.ARRIVING_RADIUS_KM = ARRIVING_RADIUS_KM;
+SmsService.ARRIVING_CACHE_MS = ARRIVING_CACHE_MS;
+SmsService.THROTTLE_WINDOW_MS = THROTTLE_WINDOW_MS;
+SmsService.MAX_PER_WINDOW = MAX_PER_WINDOW;
+
+module.exports = SmsService;
@@ -11,57 +11,50 @@ class SocketService {
         try {
             this.io = io;
 
-            this.io.on('connection', (socket) => {
-                console.log('🔌 User connected:', socket.id);
-                console.log('📊 Total connected users:', this.connectedUsers.size);
+            // Every connection must present a valid JWT before it is accepted
+            const { authenticateSocket } = require('../middleware/socketAuth');
+            this.io.use(authenticateSocket);
 
-                // Handle user authentication and room joining
-                socket.on('authenticate', (data) => {
-                    const { userId, userType } = data;
-                    console.log('🔐 Socket authentication received:', { userId, userType, socketId: socket.id });
+            this.io.on('connection', (socket) => {
+                const { id: userId, userType } = socket.data.user;
+                console.log('🔌 User connected:', socket.id, `(${userType} ${userId})`);
 
-                    // Store user connection
-                    this.connectedUsers.set(socket.id, { userId, userType });
+                // Rooms come from the verified token, not from client input
+                this.connectedUsers.set(socket.id, { userId, userType });
+                const rooms = this.joinUserRooms(socket);
+                console.log('📊 Total connected users:', this.connectedUsers.size);
 
-                    // Join appropriate rooms
-                    if (userType === 'admin') {
-                        socket.join('admin-room');
-                        console.log(`Admin ${userId} joined admin room`);
-                        console.log('🔍 Admin room members:', this.io.sockets.adapter.rooms.get('admin-room')?.size || 0);
-                    } else if (userType === 'driver') {
-                        socket.join(`driver-${userId}`);
-                        socket.join('drivers-room');
-                        console.log(`Driver ${userId} joined driver rooms`);
-                        console.log(`🔍 Driver room: driver-${userId}`);
-                        console.log(`🔍 Drivers room members: ${this.io.sockets.adapter.rooms.get('drivers-room')?.size || 0}`);
+                // Legacy handshake event - clients still send it after connecting.
+                // The payload is ignored; we just confirm the verified identity.
+                socket.on('authenticate', (data = {}) => {
+                    if (data.userId && data.userId !== userId) {
+                        console.log(`⚠️ Socket ${socket.id} claimed userId ${data.userId} but token is for ${userId}`);
                     }
 
-                    // Send authentication confirmation
                     socket.emit('authentication-confirmed', {
                         userId,
                         userType,
-                        rooms: userType === 'admin' ? ['admin-room'] : [`driver-${userId}`, 'drivers-room'],
+                        rooms,
                         timestamp: new Date().toISOString()
                     });
-
-                    console.log(`✅ Authentication confirmed for ${userType} ${userId}`);
                 });
 
                 // Handle messaging events
                 socket.on('driver-message', (data) => {
+                    if (!this.authorizeEvent(socket, 'driver-message', userType === 'driver')) return;
                     console.log('💬 Driver message received:', data);
                     // This will be handled by the MessageController
                     // Just log for now
                 });
 
                 socket.on('admin-message', (data) => {
+                    if (!this.authorizeEvent(socket, 'admin-message', userType === 'admin')) return;
                     console.log('💬 Admin message received:', data);
                     // This will be handled by the MessageController
                     // Just log for now
                 });
 
-                socket.on('typing-start', (data) => {
-                    const { userId, userType } = this.connectedUsers.get(socket.id) || {};
+                socket.on('typing-start', () => {
                     if (userType === 'admin') {
                         socket.to('drivers-room').emit('admin-typing', { isTyping: true, adminId: userId });
                     } else if (userType === 'driver') {
@@ -69,8 +62,7 @@ class SocketService {
                     }
                 });
 
-                socket.on('typing-stop', (data) => {
-                    const { userId, userType } = this.connectedUsers.get(socket.id) || {};
+                socket.on('typing-stop', () => {
                     if (userType === 'admin') {
                         socket.to('drivers-room').emit('admin-typing', { isTyping: false, adminId: userId });
                     } else if (userType === 'driver') {
@@ -78,49 +70,99 @@ class SocketService {
                     }
                 });
 
-                // Handle driver status updates
-                socket.on('driver-status-update', (data) => {
-                    const { driverId, isOnline, lastLogin } = data;
+                // Handle driver status updates (drivers may only report their own status)
+                socket.on('driver-status-update', (data = {}) => {
+                    if (!this.authorizeEvent(socket, 'driver-status-update',
+                        userType === 'driver' && (!data.driverId || data.driverId === userId))) return;
+
+                    const { isOnline, lastLogin } = data;
 
                     // Broadcast to admin room
                     this.io.to('admin-room').emit('driver-status-changed', {
-                        driverId,
+                        driverId: userId,
                         isOnline,
                         lastLogin,
                         timestamp: new Date().toISOString()
                     });
 
-                    console.log(`Driver ${driverId} status updated: ${isOnline ? 'online' : 'offline'}`);
+                    console.log(`Driver ${userId} status updated: ${isOnline ? 'online' : 'offline'}`);
                 });
 
-                // Handle driver location updates (for future use)
-                socket.on('driver-location-update', (data) => {
-                    const { driverId, location } = data;
+                // Handle driver location updates (drivers may only report their own position)
+                socket.on('driver-location-update', async (data = {}) => {
+                    if (!this.authorizeEvent(socket, 'driver-location-update',
+                        userType === 'driver' && (!data.driverId || data.driverId === userId))) return;
+
+                    // Persist the position so dispatch can search by distance
+                    let location;
+                    try {
+                        const LocationService = require('./locationService');
+                        location = await LocationService.updateDriverLocation(userId, data.location);
+                    } catch (error) {
+                        console.error('❌ Error saving driver location:', error.message);
+                        return;
+                    }
+                    if (!location) return;
+
+                    // Keep the ping for route replay; history is best effort
+                    try {
+                        const LocationHistoryService = require('./locationHistoryService');
+                        await LocationHistoryService.recordPing(userId, location, {
+                            accuracy: data.accuracy,
+                            speed: data.speed,
+                            heading: data.heading
+                        });
+                    } catch (error) {
+                        console.error('❌ Error recording location ping:', error.message);
+                    }
+
+                    // Text customers when the driver nears their drop-off
+                    const SmsService = require('./smsService');
+                    SmsService.notifyArriving(userId, location);
 
                     // Broadcast to admin room
                     this.io.to('admin-room').emit('driver-location-changed', {
-                        driverId,
+                        driverId: userId,
                         location,
                         timestamp: new Date().toISOString()
                     });
                 });
 
-                // Handle delivery status updates
-                socket.on('delivery-status-update', (data) => {
-                    const { deliveryId, status, driverId } = data;
+                // Drivers report when they open a broadcast or offer toast
+                socket.on('delivery-offer-viewed', async (data = {}) => {
+                    if (!this.authorizeEvent(socket, 'delivery-offer-viewed',
+                        userType === 'driver' && !!data.deliveryId)) return;
+
+                    try {
+                        const DeliveryOfferService = require('./deliveryOfferService');
+                        await DeliveryOfferService.markViewed(data.deliveryId, userId);
+                    } catch (error) {
+                        console.error('❌ Error recording offer view:', error.message);
+                    }
+                });
+
+                // Handle delivery status updates (admins, or the driver the delivery is assigned to)
+                socket.on('delivery-status-update', async (data = {}) => {
+                    const { deliveryId, status } = data;
+
+                    let allowed = userType === 'admin';
+                    if (userType === 'driver' && deliveryId) {
+                        allowed = await this.isDeliveryAssignedTo(deliveryId, userId);
+                    }
+                    if (!this.authorizeEvent(socket, 'delivery-status-update', allowed)) return;
 
                     // Broadcast to admin room
                     this.io.to('admin-room').emit('delivery-status-changed', {
                         deliveryId,
                         status,
-                        driverId,
+                        driverId: userType === 'driver' ? userId : data.driverId,
                         timestamp: new Date().toISOString()
                     });
                 });
 
-                // Handle general notifications
-                socket.on('notification', (data) => {
-                    const userInfo = this.connectedUsers.get(socket.id);
+                // Handle general notifications (admins only - this can reach every client)
+                socket.on('notification', (data = {}) => {
+                    if (!this.authorizeEvent(socket, 'notification', userType === 'admin')) return;
 
                     // Broadcast notification to appropriate rooms
                     if (data.target === 'drivers') {
@@ -133,31 +175,35 @@ class SocketService {
                     }
                 });
 
-                // Handle emergency alerts
-                socket.on('emergency-alert', async (data) => {
+                // Handle emergency alerts (drivers raise them for themselves)
+                socket.on('emergency-alert', async (data = {}) => {
+                    if (!this.authorizeEvent(socket, 'emergency-alert', userType === 'driver')) return;
+
                     console.log('🚨 Emergency alert received:', data);
 
-                    const { driverId, message, location } = data;
+                    const { message, location } = data;
 
                     // Broadcast emergency alert to admin room
                     this.io.to('admin-room').emit('emergency-alert', {
-                        driverId,
+                        driverId: userId,
                         message,
                         location,
                         timestamp: new Date().toISOString()
                     });
 
-                    console.log(`🚨 Emergency alert broadcasted to admin room for driver ${driverId}`);
+                    console.log(`🚨 Emergency alert broadcasted to admin room for driver ${userId}`);
                 });
 
                 // Handle emergency reply from admin
-                socket.on('emergency-reply', (data) => {
-                    const { driverId, message, adminId } = data;
+                socket.on('emergency-reply', (data = {}) => {
+                    if (!this.authorizeEvent(socket, 'emergency-reply', userType === 'admin' && !!data.driverId)) return;
+
+                    const { driverId, message } = data;
 
                     // Send reply to specific driver
                     this.io.to(`driver-${driverId}`).emit('emergency-reply', {
                         message,
-                        adminId,
+                        adminId: userId,
                         timestamp: new Date().toISOString()
                     });
 
@@ -174,6 +220,9 @@ class SocketService {
                 });
             });
 
+            // Public customer tracking namespace - no JWT, access is by delivery code
+            this.initializeTrackingNamespace();
+
             this.isInitialized = true;
             console.log('✅ Socket.IO service initialized successfully');
         } catch (error) {
@@ -182,6 +231,96 @@ class SocketService {
         }
     }
 
+    // Customer tracking pages connect to /tracking and subscribe with a delivery code
+    initializeTrackingNamespace() {
+        const TrackingService = require('./trackingService');
+
+        this.io.of('/tracking').on('connection', (socket) => {
+            socket.on('track-delivery', async (data = {}) => {
+                try {
+                    const delivery = data.deliveryCode && await TrackingService.findByCode(String(data.deliveryCode));
+
+                    if (!delivery) {
+                        socket.emit('tracking-error', { error: 'Delivery not found' });
+                        return;
+                    }
+
+                    if (TrackingService.isTrackingExpired(delivery)) {
+                        socket.emit('tracking-error', { error: 'This tracking link has expired', status: delivery.status });
+                        return;
+                    }
+
+                    socket.join(TrackingService.getTrackingRoom(delivery.deliveryCode));
+                    socket.emit('tracking-subscribed', TrackingService.buildTrackingView(delivery));
+                } catch (error) {
+                    console.error('❌ Error subscribing to delivery tracking:', error.message);
+                    socket.emit('tracking-error', { error: 'Failed to subscribe to tracking' });
+                }
+            });
+        });
+    }
+
+    // Push the redacted tracking view to customers following a delivery.
+    // Once the delivery is closed the final view is sent and the room is emptied.
+    async emitTrackingUpdate(deliveryCode) {
+        try {
+            if (!this.isAvailable() || !deliveryCode) return;
+
+            const TrackingService = require('./trackingService');
+            const delivery = await TrackingService.findByCode(deliveryCode);
+            if (!delivery) return;
+
+            const room = TrackingService.getTrackingRoom(deliveryCode);
+            const trackingNamespace = this.io.of('/tracking');
+            trackingNamespace.to(room).emit('tracking-status-changed', TrackingService.buildTrackingView(delivery));
+
+            if (TrackingService.isTrackingExpired(delivery)) {
+                trackingNamespace.in(room).socketsLeave(room);
+            }
+        } catch (error) {
+            console.error('❌ Error emitting tracking update:', error);
+        }
+    }
+
+    // Join the rooms a verified user is entitled to and return their names
+    joinUserRooms(socket) {
+        const { id: userId, userType } = socket.data.user;
+        const rooms = userType === 'admin'
+            ? ['admin-room']
+            : [`driver-${userId}`, 'drivers-room'];
+
+        rooms.forEach(room => socket.join(room));
+        console.log(`🔐 ${userType} ${userId} joined rooms: ${rooms.join(', ')}`);
+
+        return rooms;
+    }
+
+    // Reject an event the sender is not allowed to emit. Returns true when allowed.
+    authorizeEvent(socket, event, allowed) {
+        if (allowed) return true;
+
+        const { id: userId, userType } = socket.data.user || {};
+        console.log(`⛔ Rejected ${event} from ${userType} ${userId} (socket ${socket.id})`);
+        socket.emit('event-rejected', {
+            event,
+            error: 'Not authorized for this event',
+            timestamp: new Date().toISOString()
+        });
+        return false;
+    }
+
+    // Check that a delivery is currently assigned to the given driver
+    async isDeliveryAssignedTo(deliveryId, driverId) {
+        try {
+            const Delivery = require('../models/Delivery');
+            const delivery = await Delivery.findById(deliveryId).select('assignedTo');
+            return !!(delivery && delivery.assignedTo && delivery.assignedTo.toString() === driverId);
+        } catch (error) {
+            console.error('❌ Error checking delivery ownership:', error.message);
+            return false;
+        }
+    }
+
     // Check if socket service is available
     isAvailable() {
         return this.isInitialized && this.io !== null;
@@ -222,8 +361,13 @@ class SocketService {
         }
     }
 
-    // Method to emit delivery status update
+    // Method to emit delivery status update (also queues the status webhook and customer SMS)
     emitDeliveryStatusUpdate(deliveryData) {
+        const WebhookService = require('./webhookService');
+        WebhookService.publishDeliveryStatus(deliveryData);
+        const SmsService = require('./smsService');
+        SmsService.notifyCustomerStatus(deliveryData);
+
         try {
             if (!this.isAvailable()) {
                 console.log('⚠️ Socket service not available for delivery status update');
@@ -237,6 +381,9 @@ class SocketService {
                 driverId: deliveryData.assignedTo,
                 timestamp: new Date().toISOString()
             });
+
+            // Keep customer tracking pages in sync
+            this.emitTrackingUpdate(deliveryData.deliveryCode);
         } catch (error) {
             console.error('❌ Error emitting delivery status update:', error);
         }
@@ -351,6 +498,16 @@ class SocketService {
         return count;
     }
 
+    // Whether a user has at least one open socket connection
+    isUserConnected(userId) {
+        for (const userInfo of this.connectedUsers.values()) {
+            if (String(userInfo.userId) === String(userId)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
     // Method to get connected drivers count
     getConnectedDriversCount() {
         let count = 0;
@@ -373,6 +530,69 @@ class SocketService {
         };
     }
 
+    // Delivery details shown to drivers in broadcast and offer toasts
+    buildBroadcastData(delivery) {
+        return {
+            type: 'delivery-broadcast',
+            deliveryId: delivery._id,
+            deliveryCode: delivery.deliveryCode,
+            pickupLocation: delivery.pickupLocation,
+            deliveryLocation: delivery.deliveryLocation,
+            customerName: delivery.customerName,
+            customerPhone: delivery.customerPhone,
+            fee: delivery.fee,
+            driverEarning: delivery.driverEarning,
+            companyEarning: delivery.companyEarning,
+            surgeBonus: delivery.surge?.driverBonus || 0,
+            estimatedTime: delivery.estimatedTime,
+            priority: delivery.priority,
+            broadcastEndTime: delivery.broadcastEndTime,
+            broadcastDuration: delivery.broadcastDuration,
+            distance: delivery.distance,
+            notes: delivery.notes,
+            paymentMethod: delivery.paymentMethod,
+            package: delivery.package ? {
+                size: delivery.package.size,
+                weight: delivery.package.weight,
+                itemCount: delivery.package.itemCount,
+                fragile: delivery.package.fragile,
+                perishable: delivery.package.perishable,
+                collectCash: delivery.package.collectCash,
+                cashAmount: delivery.package.cashAmount
+            } : null,
+            pickupCoordinates: delivery.pickupCoordinates,
+            deliveryCoordinates: delivery.deliveryCoordinates,
+            stops: (delivery.stops || []).map(stop => ({
+                sequence: stop.sequence,
+                location: stop.location,
+                coordinates: stop.coordinates
+            })),
+            createdAt: delivery.createdAt,
+            timeRemaining: Math.max(0, delivery.broadcastEndTime - new Date()),
+            sound: 'delivery-broadcast.mp3', // Specific sound for delivery broadcasts
+            // Toast-specific data
+            toastType: 'delivery-broadcast',
+            toastTitle: '🚚 New Delivery Available',
+            toastMessage: delivery.stops?.length > 0
+                ? `Pickup: ${delivery.pickupLocation} → ${delivery.stops.length} stops`
+                : `Pickup: ${delivery.pickupLocation} → Delivery: ${delivery.deliveryLocation}`,
+            toastDuration: Math.min(60000, Math.max(0, delivery.broadcastEndTime - new Date())), // Toast duration in ms
+            toastPriority: delivery.priority === 'high' ? 'high' : 'normal',
+            toastActions: [
+                {
+                    label: 'Accept',
+                    action: 'accept-delivery',
+                    variant: 'primary'
+                },
+                {
+                    label: 'View Details',
+                    action: 'view-delivery',
+                    variant: 'secondary'
+                }
+            ]
+        };
+    }
+
     // Method to emit delivery broadcast for toast notification
     emitDeliveryBroadcast(delivery, eligibleDrivers) {
         try {
@@ -381,48 +601,7 @@ class SocketService {
                 return;
             }
 
-            const broadcastData = {
-                type: 'delivery-broadcast',
-                deliveryId: delivery._id,
-                deliveryCode: delivery.deliveryCode,
-                pickupLocation: delivery.pickupLocation,
-                deliveryLocation: delivery.deliveryLocation,
-                customerName: delivery.customerName,
-                customerPhone: delivery.customerPhone,
-                fee: delivery.fee,
-                driverEarning: delivery.driverEarning,
-                companyEarning: delivery.companyEarning,
-                estimatedTime: delivery.estimatedTime,
-                priority: delivery.priority,
-                broadcastEndTime: delivery.broadcastEndTime,
-                broadcastDuration: delivery.broadcastDuration,
-                distance: delivery.distance,
-                notes: delivery.notes,
-                paymentMethod: delivery.paymentMethod,
-                pickupCoordinates: delivery.pickupCoordinates,
-                deliveryCoordinates: delivery.deliveryCoordinates,
-                createdAt: delivery.createdAt,
-                timeRemaining: Math.max(0, delivery.broadcastEndTime - new Date()),
-                sound: 'delivery-broadcast.mp3', // Specific sound for delivery broadcasts
-                // Toast-specific data
-                toastType: 'delivery-broadcast',
-                toastTitle: '🚚 New Delivery Available',
-                toastMessage: `Pickup: ${delivery.pickupLocation} → Delivery: ${delivery.deliveryLocation}`,
-                toastDuration: Math.min(60000, Math.max(0, delivery.broadcastEndTime - new Date())), // Toast duration in ms
-                toastPriority: delivery.priority === 'high' ? 'high' : 'normal',
-                toastActions: [
-                    {
-                        label: 'Accept',
-                        action: 'accept-delivery',
-                        variant: 'primary'
-                    },
-                    {
-                        label: 'View Details',
-                        action: 'view-delivery',
-                        variant: 'secondary'
-                    }
-                ]
-            };
+            const broadcastData = this.buildBroadcastData(delivery);
 
             console.log('🚚 Emitting delivery broadcast to drivers:', broadcastData);
 
@@ -442,6 +621,43 @@ class SocketService {
         }
     }
 
+    // Sequential dispatch: offer a delivery to a single driver (no drivers-room fallback)
+    emitDeliveryOffer(delivery, driverId, offer) {
+        try {
+            if (!this.isAvailable()) {
+                console.log('⚠️ Socket service not available for delivery offer');
+                return;
+            }
+
+            const offerData = {
+                ...this.buildBroadcastData(delivery),
+                type: 'delivery-offer',
+                rank: offer.rank,
+                distanceFromPickup: offer.distance,
+                toastType: 'delivery-offer',
+                toastTitle: '🚚 Delivery Offered to You',
+                toastActions: [
+                    {
+                        label: 'Accept',
+                        action: 'accept-delivery',
+                        variant: 'primary'
+                    },
+                    {
+                        label: 'Decline',
+                        action: 'decline-delivery',
+                        variant: 'secondary'
+                    }
+                ]
+            };
+
+            this.io.to(`driver-${driverId}`).emit('delivery-offer', offerData);
+            console.log(`📨 Emitted delivery offer ${delivery.deliveryCode} to driver ${driverId}`);
+
+        } catch (error) {
+            console.error('❌ Error emitting delivery offer:', error);
+        }
+    }
+
     // Method to emit toast notification for delivery accepted
     emitDeliveryAccepted(delivery, driverId, acceptedDriverName) {
         try {
@@ -572,6 +788,20 @@ class SocketService {
         }
     }
 
+    // Per-zone surge readings for the admin surge map
+    emitSurgeMapUpdate(surgeMap) {
+        try {
+            if (!this.isAvailable()) return;
+
+            this.io.to('admin-room').emit('surge-map-updated', {
+                ...surgeMap,
+                timestamp: new Date()
+            });
+        } catch (error) {
+            console.error('❌ Error emitting surge map update:', error);
+        }
+    }
+
     // Messaging methods
     emitToAdmins(event, data) {
         try {
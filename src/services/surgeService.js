@@ -0,0 +1,189 @@
+const Zone = require('../models/Zone');
+const ZoneSurge = require('../models/ZoneSurge');
+const Delivery = require('../models/Delivery');
+const Driver = require('../models/Driver');
+const SocketService = require('./socketService');
+
+// Readings older than this are ignored (the background job has stopped), so fees fall back to 1x
+const STALE_AFTER_MS = 5 * 60 * 1000;
+
+const NO_SURGE = Object.freeze({ zone: null, multiplier: 1, customerSurcharge: 0, driverBonus: 0 });
+
+class SurgeService {
+    /**
+     * Bounded multiplier for a zone's demand: 1 up to the threshold ratio of open deliveries
+     * per online driver, then multiplierPerRatio per unit of ratio above it, in 0.05 steps
+     */
+    static calculateMultiplier(openDeliveries, onlineDrivers, settings) {
+        if (openDeliveries === 0) return 1;
+
+        const ratio = onlineDrivers > 0 ? openDeliveries / onlineDrivers : Infinity;
+        if (ratio <= settings.demandRatioThreshold) return 1;
+
+        const raw = 1 + (ratio - settings.demandRatioThreshold) * settings.multiplierPerRatio;
+        return Math.min(Math.round(raw * 20) / 20, settings.maxMultiplier);
+    }
+
+    /**
+     * Compare open deliveries with online drivers in every active zone, store the readings
+     * and push the surge map to admins. Run periodically by the background job service.
+     */
+    static async recalculate() {
+        const PricingService = require('./pricingService');
+        const config = await PricingService.getActiveConfig();
+        const settings = config.surge;
+
+        const now = new Date();
+        const windowStart = new Date(now.getTime() - settings.windowMinutes * 60 * 1000);
+        const zones = await Zone.findActive().select('_id');
+        const zoneIds = zones.map(zone => zone._id);
+
+        const [demand, supply] = await Promise.all([
+            Delivery.aggregate([
+                {
+                    $match: {
+                        pickupZone: { $in: zoneIds },
+                        status: 'pending',
+                        assignedTo: null,
+                        createdAt: { $gte: windowStart },
+                        // Scheduled deliveries only count once their broadcast is due
+                        $or: [{ broadcastAt: null }, { broadcastAt: { $lte: now } }]
+                    }
+                },
+                { $group: { _id: '$pickupZone', count: { $sum: 1 } } }
+            ]),
+            Driver.aggregate([
+                { $match: { currentZone: { $in: zoneIds }, isOnline: true, isActive: true } },
+                { $group: { _id: '$currentZone', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const countsByZone = rows => new Map(rows.map(row => [row._id.toString(), row.count]));
+        const openByZone = countsByZone(demand);
+        const onlineByZone = countsByZone(supply);
+
+        const operations = zoneIds.map(zoneId => {
+            const openDeliveries = openByZone.get(zoneId.toString()) || 0;
+            const onlineDrivers = onlineByZone.get(zoneId.toString()) || 0;
+            const demandRatio = onlineDrivers > 0
+                ? Math.round(openDeliveries / onlineDrivers * 100) / 100
+                : (openDeliveries > 0 ? null : 0);
+
+            return {
+                updateOne: {
+                    filter: { zone: zoneId },
+                    update: {
+                        $set: {
+                            openDeliveries,
+                            onlineDrivers,
+                            demandRatio,
+                            multiplier: this.calculateMultiplier(openDeliveries, onlineDrivers, settings),
+                            windowStart,
+                            calculatedAt: now
+                        }
+                    },
+                    upsert: true
+                }
+            };
+        });
+
+        if (operations.length > 0) {
+            await ZoneSurge.bulkWrite(operations);
+        }
+
+        const surgeMap = await this.getSurgeMap();
+        SocketService.emitSurgeMapUpdate(surgeMap);
+        return surgeMap;
+    }
+
+    /**
+     * Current reading for every active zone (admin surge map)
+     */
+    static async getSurgeMap() {
+        const PricingService = require('./pricingService');
+        const [config, zones, readings] = await Promise.all([
+            PricingService.getActiveConfig(),
+            Zone.findActive().select('name displayName center').lean(),
+            ZoneSurge.find().lean()
+        ]);
+        const readingByZone = new Map(readings.map(reading => [reading.zone.toString(), reading]));
+
+        return {
+            enabled: config.surge.enabled,
+            maxMultiplier: config.surge.maxMultiplier,
+            windowMinutes: config.surge.windowMinutes,
+            zones: zones.map(zone => {
+                const reading = readingByZone.get(zone._id.toString());
+                const current = reading && !this.isStale(reading);
+                return {
+                    zoneId: zone._id,
+                    name: zone.name,
+                    displayName: zone.displayName,
+                    center: zone.center && zone.center.coordinates
+                        ? { lat: zone.center.coordinates[1], lng: zone.center.coordinates[0] }
+                        : null,
+                    openDeliveries: current ? reading.openDeliveries : 0,
+                    onlineDrivers: current ? reading.onlineDrivers : 0,
+                    demandRatio: current ? reading.demandRatio : 0,
+                    multiplier: current ? reading.multiplier : 1,
+                    calculatedAt: reading ? reading.calculatedAt : null
+                };
+            })
+        };
+    }
+
+    static isStale(reading) {
+        return !reading.calculatedAt || Date.now() - reading.calculatedAt.getTime() > STALE_AFTER_MS;
+    }
+
+    /**
+     * Current multiplier for a zone; 1 without a recent reading
+     */
+    static async getZoneMultiplier(zoneId) {
+        if (!zoneId) return 1;
+        const reading = await ZoneSurge.findOne({ zone: zoneId }).lean();
+        return reading && !this.isStale(reading) ? reading.multiplier : 1;
+    }
+
+    /**
+     * Surge charge on a base fee for a delivery picked up in `pickupZone`, and the driver's
+     * matching bonus. Nothing is charged while surge pricing is disabled.
+     */
+    static async priceSurge(baseFee, pickupZone, config) {
+        if (!config.surge || !config.surge.enabled || !pickupZone) {
+            return { ...NO_SURGE };
+        }
+
+        const multiplier = await this.getZoneMultiplier(pickupZone._id);
+        if (multiplier <= 1) {
+            return { ...NO_SURGE, zone: pickupZone._id };
+        }
+
+        const surcharge = Math.round(baseFee * (multiplier - 1) * 100) / 100;
+        const customerSurcharge = Math.ceil(surcharge / config.roundTo) * config.roundTo;
+        return {
+            zone: pickupZone._id,
+            multiplier,
+            customerSurcharge,
+            driverBonus: Math.round(customerSurcharge * config.surge.driverSharePercent / 100)
+        };
+    }
+
+    /**
+     * Surge for a delivery picked up at `coordinates` ({lat, lng}), using the active pricing rules
+     */
+    static async priceSurgeAt(baseFee, coordinates) {
+        if (!coordinates || coordinates.lat == null || coordinates.lng == null) {
+            return { ...NO_SURGE };
+        }
+
+        const PricingService = require('./pricingService');
+        const [config, pickupZone] = await Promise.all([
+            PricingService.getActiveConfig(),
+            Zone.findByPoint(coordinates.lat, coordinates.lng).select('_id')
+        ]);
+        return this.priceSurge(baseFee, pickupZone, config);
+    }
+}
+
+module.exports = SurgeService;
@@ -0,0 +1,119 @@
+const Delivery = require('../models/Delivery');
+
+// Statuses after which a tracking link stops working
+const CLOSED_STATUSES = ['delivered', 'cancelled', 'returned'];
+
+// Customer-facing steps of the timeline, in order, with the timestamp fields that mark each one
+const TIMELINE_STEPS = [
+    { status: 'pending', label: 'Order received', fields: ['createdAt'] },
+    { status: 'accepted', label: 'Driver assigned', fields: ['assignedAt', 'acceptedAt'] },
+    { status: 'picked_up', label: 'Picked up', fields: ['pickedUpAt'] },
+    { status: 'delivered', label: 'Delivered', fields: ['deliveredAt'] }
+];
+
+// Forward order of statuses, used to tick off timeline steps
+const STATUS_ORDER = ['pending', 'broadcasting', 'accepted', 'picked_up', 'in_transit', 'delivered'];
+
+class TrackingService {
+    /**
+     * Socket.IO namespace and room a customer page subscribes to for a delivery
+     */
+    static getTrackingRoom(deliveryCode) {
+        return `tracking-${deliveryCode}`;
+    }
+
+    /**
+     * A tracking link expires once the delivery is delivered, cancelled or returned
+     */
+    static isTrackingExpired(delivery) {
+        return CLOSED_STATUSES.includes(delivery.status);
+    }
+
+    /**
+     * Load a delivery by its GRP- code with the driver fields the public view needs
+     */
+    static async findByCode(deliveryCode) {
+        return Delivery.findOne({ deliveryCode })
+            .populate('assignedTo', 'fullName name profilePicture transportationType')
+            .populate('deliveryZone', 'name displayName');
+    }
+
+    /**
+     * Build the customer-facing status timeline from the delivery timestamps
+     */
+    static buildTimeline(delivery) {
+        const currentIndex = STATUS_ORDER.indexOf(delivery.status);
+
+        const timeline = TIMELINE_STEPS.map(step => {
+            const at = step.fields.map(field => delivery[field]).find(Boolean) || null;
+            return {
+                status: step.status,
+                label: step.label,
+                at,
+                completed: currentIndex >= STATUS_ORDER.indexOf(step.status) || !!at
+            };
+        });
+
+        if (delivery.status === 'in_transit') {
+            timeline.splice(3, 0, { status: 'in_transit', label: 'On the way', at: null, completed: true });
+        }
+
+        if (delivery.status === 'cancelled') {
+            timeline.push({ status: 'cancelled', label: 'Cancelled', at: delivery.cancelledAt || null, completed: true });
+        }
+
+        if (['failed', 'returning', 'returned'].includes(delivery.status)) {
+            timeline.push({ status: 'failed', label: 'Delivery attempt failed', at: delivery.failedAt || null, completed: true });
+        }
+
+        if (['returning', 'returned'].includes(delivery.status)) {
+            timeline.push({ status: 'returned', label: 'Returned to sender', at: delivery.returnedAt || null, completed: delivery.status === 'returned' });
+        }
+
+        return timeline;
+    }
+
+    /**
+     * Redacted, customer-safe view of a delivery.
+     * No customer phone, drop-off address, driver contact details, fees or earnings; the
+     * drop-off is shown only as its zone.
+     */
+    static buildTrackingView(delivery) {
+        const zone = delivery.deliveryZone && delivery.deliveryZone._id ? delivery.deliveryZone : null;
+        const driver = delivery.assignedTo && delivery.assignedTo._id ? delivery.assignedTo : null;
+        const driverName = driver ? (driver.fullName || driver.name || '') : '';
+        const expired = this.isTrackingExpired(delivery);
+
+        let eta = null;
+        if (!expired && delivery.estimatedTime) {
+            eta = {
+                estimatedTime: delivery.estimatedTime,
+                minutesRemaining: Math.max(0, Math.round((new Date(delivery.estimatedTime) - new Date()) / 60000))
+            };
+        }
+
+        return {
+            deliveryCode: delivery.deliveryCode,
+            status: delivery.status,
+            deliveryArea: zone ? (zone.displayName?.en || zone.name) : null,
+            timeline: this.buildTimeline(delivery),
+            driver: driver ? {
+                firstName: driverName.split(' ')[0] || null,
+                photo: driver.profilePicture || null,
+                vehicleType: driver.transportationType || null
+            } : null,
+            eta,
+            expired,
+            live: {
+                namespace: '/tracking',
+                event: 'track-delivery',
+                room: this.getTrackingRoom(delivery.deliveryCode)
+            },
+            updatedAt: delivery.updatedAt
+        };
+    }
+}
+
+TrackingService.CLOSED_STATUSES = CLOSED_STATUSES;
+
+module.exports = TrackingService;
@@ -0,0 +1,452 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const WebhookEndpoint = require('../models/WebhookEndpoint');
+const WebhookEvent = require('../models/WebhookEvent');
+const { AppError } = require('../middleware/errorHandler');
+
+// Delivery status -> event sent when a delivery reaches it
+const STATUS_EVENTS = {
+    accepted: 'delivery.accepted',
+    picked_up: 'delivery.picked_up',
+    delivered: 'delivery.delivered',
+    cancelled: 'delivery.cancelled'
+};
+
+// Attempts before an event goes to the dead-letter list; retries back off exponentially
+// from RETRY_BASE_DELAY_MS (30s, 1m, 2m, 4m, ...) up to MAX_RETRY_DELAY_MS
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// A claimed event is not picked up again by another run for this long
+const CLAIM_LEASE_MS = 2 * REQUEST_TIMEOUT_MS;
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Addresses webhooks are never sent to: loopback, private, carrier-grade NAT, link-local
+// (including cloud metadata at 169.254.169.254), multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return blockedAddresses.check(mapped[1], 'ipv4');
+    const family = net.isIP(address);
+    return family === 0 || blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Resolves like dns.lookup but refuses blocked addresses, so a hostname that resolves to a
+// public address when checked can't be pointed at an internal one by the time it is sent to
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) {
+            return callback(new AppError(`Webhook URL resolves to a non-public address (${blocked.address})`, 400));
+        }
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+const webhookAgent = new https.Agent({ lookup: publicLookup });
+
+class WebhookService {
+    static generateSecret() {
+        return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    /**
+     * Signature header value for a payload: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">`
+     */
+    static sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+        const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+        return `t=${timestamp},v1=${signature}`;
+    }
+
+    static getRetryDelay(attempts) {
+        return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+    }
+
+    /**
+     * Endpoints of a merchant, or all endpoints when merchantId is undefined (admin)
+     */
+    static async listEndpoints(merchantId) {
+        const filter = merchantId === undefined ? {} : { merchant: merchantId };
+        return WebhookEndpoint.find(filter).populate('merchant', 'name').sort({ createdAt: -1 });
+    }
+
+    static async getEndpoint(endpointId, merchantId) {
+        const endpoint = await WebhookEndpoint.findOne({
+            _id: endpointId,
+            ...(merchantId !== undefined && { merchant: merchantId })
+        });
+        if (!endpoint) {
+            throw new AppError('Webhook endpoint not found', 404);
+        }
+        return endpoint;
+    }
+
+    /**
+     * Check a URL can receive webhooks: https, and a host that only resolves to public
+     * addresses. Throws a 400 otherwise.
+     */
+    static async assertPublicUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new AppError('Webhook URL is invalid', 400);
+        }
+        if (parsed.protocol !== 'https:') {
+            throw new AppError('Webhook URL must use https', 400);
+        }
+
+        const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+        let addresses;
+        try {
+            addresses = net.isIP(hostname)
+                ? [hostname]
+                : (await dns.promises.lookup(hostname, { all: true })).map(({ address }) => address);
+        } catch (error) {
+            throw new AppError(`Webhook URL host could not be resolved: ${hostname}`, 400);
+        }
+
+        const blocked = addresses.find(isBlockedAddress);
+        if (blocked) {
+            throw new AppError(`Webhook URL resolves to a non-public address (${blocked})`, 400);
+        }
+    }
+
+    static assertEventsAllowed(events, merchantId) {
+        const allowed = merchantId ? WebhookEndpoint.MERCHANT_EVENTS : WebhookEndpoint.EVENTS;
+        const invalid = (events || []).filter(event => !allowed.includes(event));
+        if (invalid.length > 0) {
+            throw new AppError(`Events not available for this endpoint: ${invalid.join(', ')}`, 400);
+        }
+    }
+
+    /**
+     * Register an endpoint. Returns { endpoint, secret }: the secret is only returned here and
+     * by rotateSecret.
+     * @param {Object} options - merchantId (the merchant's deliveries only), adminId
+     */
+    static async createEndpoint(data, { merchantId = null, adminId = null } = {}) {
+        this.assertEventsAllowed(data.events, merchantId);
+        await this.assertPublicUrl(data.url);
+
+        const secret = this.generateSecret();
+        const endpoint = await WebhookEndpoint.create({
+            url: data.url,
+            description: data.description,
+            events: data.events,
+            ...(data.isActive !== undefined && { isActive: data.isActive }),
+            secret,
+            merchant: merchantId,
+            createdBy: adminId
+        });
+
+        return { endpoint, secret };
+    }
+
+    static async updateEndpoint(endpointId, data, merchantId) {
+        const endpoint = await this.getEndpoint(endpointId, merchantId);
+        if (data.events) {
+            this.assertEventsAllowed(data.events, endpoint.merchant);
+        }
+        if (data.url) {
+            await this.assertPublicUrl(data.url);
+        }
+
+        ['url', 'description', 'events', 'isActive']
+            .filter(field => data[field] !== undefined)
+            .forEach(field => endpoint.set(field, data[field]));
+        await endpoint.save();
+
+        return endpoint;
+    }
+
+    static async rotateSecret(endpointId, merchantId) {
+        const endpoint = await this.getEndpoint(endpointId, merchantId);
+        const secret = this.generateSecret();
+        endpoint.secret = secret;
+        await endpoint.save();
+
+        return { endpoint, secret };
+    }
+
+    /**
+     * Remove an endpoint. Its pending events are moved to the dead-letter list.
+     */
+    static async deleteEndpoint(endpointId, merchantId) {
+        const endpoint = await this.getEndpoint(endpointId, merchantId);
+        await WebhookEvent.updateMany(
+            { endpoint: endpoint._id, status: 'pending' },
+            { $set: { status: 'dead', deadAt: new Date(), lastError: 'Endpoint deleted' } }
+        );
+        await endpoint.deleteOne();
+    }
+
+    /**
+     * Queue an event in the outbox for every active endpoint subscribed to it. Delivery events
+     * for a merchant's order also go to that merchant's endpoints; remittance events only go
+     * to endpoints without a merchant.
+     * @returns {Promise<number>} number of endpoints the event was queued for
+     */
+    static async publish(event, data, { merchantId = null } = {}) {
+        const endpoints = await WebhookEndpoint.find({
+            isActive: true,
+            events: event,
+            merchant: { $in: merchantId ? [null, merchantId] : [null] }
+        }).select('_id');
+
+        if (endpoints.length === 0) return 0;
+
+        const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+        const createdAt = new Date();
+        await WebhookEvent.insertMany(endpoints.map(endpoint => ({
+            endpoint: endpoint._id,
+            eventId,
+            event,
+            payload: { id: eventId, event, createdAt, data },
+            nextAttemptAt: createdAt
+        })));
+
+        // Send right away; the background job retries whatever fails
+        setImmediate(() => {
+            this.processOutbox().catch(error => console.error('❌ Error sending webhooks:', error));
+        });
+
+        return endpoints.length;
+    }
+
+    /**
+     * Queue the event for a delivery's current status, if it has one. Never throws, so
+     * callers can fire and forget.
+     */
+    static async publishDeliveryStatus(delivery, event = STATUS_EVENTS[delivery.status]) {
+        if (!event) return 0;
+
+        try {
+            return await this.publish(event, this.buildDeliveryPayload(delivery), {
+                merchantId: delivery.merchant ? (delivery.merchant._id || delivery.merchant) : null
+            });
+        } catch (error) {
+            console.error(`❌ Error queueing ${event} webhook for ${delivery.deliveryCode}:`, error);
+            return 0;
+        }
+    }
+
+    static async publishRemittanceCompleted(remittance) {
+        try {
+            return await this.publish('remittance.completed', {
+                id: remittance._id,
+                referenceNumber: remittance.referenceNumber,
+                driverId: remittance.driverId,
+                driverName: remittance.driverName,
+                amount: remittance.amount,
+                actualPaymentAmount: remittance.actualPaymentAmount,
+                paymentDate: remittance.paymentDate,
+                paymentReference: remittance.paymentReference,
+                status: remittance.status
+            });
+        } catch (error) {
+            console.error(`❌ Error queueing remittance.completed webhook for ${remittance.referenceNumber}:`, error);
+            return 0;
+        }
+    }
+
+    static buildDeliveryPayload(delivery) {
+        return {
+            id: delivery._id,
+            deliveryCode: delivery.deliveryCode,
+            status: delivery.status,
+            source: delivery.source,
+            merchantReference: delivery.merchantReference || null,
+            pickupLocation: delivery.pickupLocation,
+            deliveryLocation: delivery.deliveryLocation,
+            fee: delivery.fee,
+            paymentMethod: delivery.paymentMethod,
+            driverId: delivery.assignedTo ? (delivery.assignedTo._id || delivery.assignedTo) : null,
+            estimatedTime: delivery.estimatedTime,
+            assignedAt: delivery.assignedAt || null,
+            pickedUpAt: delivery.pickedUpAt || null,
+            deliveredAt: delivery.deliveredAt || null,
+            cancelledAt: delivery.cancelledAt || null,
+            ...(delivery.status === 'cancelled' && delivery.cancellation && {
+                cancellation: {
+                    cancelledBy: delivery.cancellation.cancelledBy,
+                    reasonCode: delivery.cancellation.reasonCode,
+                    fee: delivery.cancellation.fee
+                }
+            })
+        };
+    }
+
+    /**
+     * Take the next due event, leasing it so concurrent runs skip it
+     */
+    static async claimNext() {
+        const now = new Date();
+        return WebhookEvent.findOneAndUpdate(
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+            { sort: { nextAttemptAt: 1 }, new: true }
+        );
+    }
+
+    /**
+     * POST one event to its endpoint and record the outcome: delivered on 2xx, otherwise a
+     * retry after the backoff, or the dead-letter list once out of attempts
+     */
+    static async attempt(webhookEvent) {
+        const endpoint = await WebhookEndpoint.findById(webhookEvent.endpoint).select('+secret');
+        const now = new Date();
+
+        if (!endpoint || !endpoint.isActive) {
+            webhookEvent.status = 'dead';
+            webhookEvent.deadAt = now;
+            webhookEvent.lastError = endpoint ? 'Endpoint disabled' : 'Endpoint deleted';
+            return webhookEvent.save();
+        }
+
+        const body = JSON.stringify(webhookEvent.payload);
+        webhookEvent.attempts += 1;
+        webhookEvent.lastAttemptAt = now;
+
+        try {
+            // Checked again on every send: the URL may predate the check, or its host may
+            // have been re-pointed since it was registered
+            await this.assertPublicUrl(endpoint.url);
+
+            const response = await axios.post(endpoint.url, body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'StudentDelivery-Webhooks/1.0',
+                    'X-Webhook-Id': webhookEvent.eventId,
+                    'X-Webhook-Event': webhookEvent.event,
+                    [SIGNATURE_HEADER]: this.sign(endpoint.secret, body)
+                },
+                timeout: REQUEST_TIMEOUT_MS,
+                httpsAgent: webhookAgent,
+                proxy: false,
+                maxRedirects: 0,
+                validateStatus: () => true
+            });
+
+            webhookEvent.lastStatusCode = response.status;
+            webhookEvent.lastError = response.status >= 200 && response.status < 300 ? null : `HTTP ${response.status}`;
+        } catch (error) {
+            webhookEvent.lastStatusCode = null;
+            webhookEvent.lastError = error.code || error.message;
+        }
+
+        if (!webhookEvent.lastError) {
+            webhookEvent.status = 'delivered';
+            webhookEvent.deliveredAt = new Date();
+        } else if (webhookEvent.attempts >= MAX_ATTEMPTS) {
+            webhookEvent.status = 'dead';
+            webhookEvent.deadAt = new Date();
+        } else {
+            webhookEvent.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(webhookEvent.attempts));
+        }
+
+        return webhookEvent.save();
+    }
+
+    /**
+     * Send the due outbox events (background job)
+     * @returns {Promise<number>} number of events attempted
+     */
+    static async processOutbox({ limit = 50 } = {}) {
+        let processed = 0;
+        while (processed < limit) {
+            const webhookEvent = await this.claimNext();
+            if (!webhookEvent) break;
+
+            await this.attempt(webhookEvent);
+            processed++;
+        }
+        return processed;
+    }
+
+    /**
+     * Outbox events, newest first. status=dead is the dead-letter list.
+     * @param {Object} options - merchantId limits it to the merchant's endpoints
+     */
+    static async listEvents({ page = 1, limit = 20, status, event, endpoint, merchantId } = {}) {
+        const filter = {};
+        if (status) filter.status = status;
+        if (event) filter.event = event;
+        if (endpoint) filter.endpoint = endpoint;
+        if (merchantId !== undefined) {
+            const endpoints = await WebhookEndpoint.find({ merchant: merchantId }).select('_id');
+            const ids = endpoints.map(item => item._id.toString());
+            filter.endpoint = endpoint
+                ? (ids.includes(endpoint.toString()) ? endpoint : { $in: [] })
+                : { $in: ids };
+        }
+
+        const [events, total] = await Promise.all([
+            WebhookEvent.find(filter)
+                .populate('endpoint', 'url description')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit * 1),
+            WebhookEvent.countDocuments(filter)
+        ]);
+
+        return {
+            events,
+            pagination: {
+                currentPage: page * 1,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit * 1
+            }
+        };
+    }
+
+    /**
+     * Send an event again now with a fresh set of attempts (dead-letter replay, or
+     * re-sending a delivered event)
+     */
+    static async replay(webhookEventId, merchantId) {
+        const webhookEvent = await WebhookEvent.findById(webhookEventId);
+        const visible = webhookEvent && (merchantId === undefined ||
+            await WebhookEndpoint.exists({ _id: webhookEvent.endpoint, merchant: merchantId }));
+        if (!visible) {
+            throw new AppError('Webhook event not found', 404);
+        }
+        if (webhookEvent.status === 'pending' && webhookEvent.attempts > 0) {
+            throw new AppError('Webhook event is still being retried', 409);
+        }
+
+        webhookEvent.status = 'pending';
+        webhookEvent.attempts = 0;
+        webhookEvent.deadAt = null;
+        webhookEvent.replayedAt = new Date();
+        webhookEvent.nextAttemptAt = new Date(Date.now() + CLAIM_LEASE_MS);
+
+        return this.attempt(webhookEvent);
+    }
+}
+
+WebhookService.STATUS_EVENTS = STATUS_EVENTS;
+WebhookService.MAX_ATTEMPTS = MAX_ATTEMPTS;
+WebhookService.SIGNATURE_HEADER = SIGNATURE_HEADER;
+
+module.exports = WebhookService;
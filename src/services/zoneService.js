@@ -0,0 +1,157 @@
+const Zone = require('../models/Zone');
+const Driver = require('../models/Driver');
+const { AppError } = require('../middleware/errorHandler');
+
+// MongoDB rejects boundaries it can't index (self-intersecting rings, duplicate vertices)
+const GEO_KEY_ERROR = 16755;
+
+const toGeoPoint = ({ lat, lng }) => ({ type: 'Point', coordinates: [lng, lat] });
+
+class ZoneService {
+    /**
+     * Active zones for driver apps and forms, in display order
+     */
+    static async getActiveZones() {
+        const zones = await Zone.findActive().select('name displayName center sortOrder').lean();
+
+        return zones.map(zone => ({
+            id: zone._id,
+            name: zone.name,
+            displayName: zone.displayName,
+            center: zone.center && zone.center.coordinates
+                ? { lat: zone.center.coordinates[1], lng: zone.center.coordinates[0] }
+                : null
+        }));
+    }
+
+    /**
+     * Zone name -> {lat, lng} centre, for positioning drivers without a GPS fix
+     */
+    static async getZoneCenters() {
+        const zones = await this.getActiveZones();
+        return new Map(zones.filter(zone => zone.center).map(zone => [zone.name, zone.center]));
+    }
+
+    static async isActiveZoneName(name) {
+        return Zone.isActiveName(name);
+    }
+
+    /**
+     * Active zone containing a point, or null
+     */
+    static async findZoneForPoint(lat, lng) {
+        return Zone.findByPoint(lat, lng);
+    }
+
+    /**
+     * Aggregation stages that join the zone of `localField` as `zone` (missing when unzoned)
+     */
+    static zoneLookupStages(localField = '_id') {
+        return [
+            {
+                $lookup: {
+                    from: Zone.collection.name,
+                    localField,
+                    foreignField: '_id',
+                    as: 'zone'
+                }
+            },
+            {
+                $unwind: { path: '$zone', preserveNullAndEmptyArrays: true }
+            }
+        ];
+    }
+
+    /**
+     * Every zone with the number of drivers based in it (admin)
+     */
+    static async listZones({ includeInactive = true } = {}) {
+        const [zones, driverCounts] = await Promise.all([
+            Zone.find(includeInactive ? {} : { isActive: true }).sort({ sortOrder: 1, name: 1 }),
+            Driver.aggregate([
+                { $group: { _id: '$area', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const counts = Object.fromEntries(driverCounts.map(item => [item._id, item.count]));
+
+        return zones.map(zone => ({
+            ...zone.toObject(),
+            driverCount: counts[zone.name] || 0
+        }));
+    }
+
+    static async createZone(data, adminId) {
+        const zone = new Zone({
+            name: data.name,
+            displayName: data.displayName,
+            boundary: data.boundary,
+            ...(data.center && { center: toGeoPoint(data.center) }),
+            ...(data.isActive !== undefined && { isActive: data.isActive }),
+            ...(data.sortOrder !== undefined && { sortOrder: data.sortOrder }),
+            createdBy: adminId
+        });
+
+        return this.saveZone(zone);
+    }
+
+    static async updateZone(zoneId, data, adminId) {
+        const zone = await Zone.findById(zoneId);
+        if (!zone) {
+            throw new AppError('Zone not found', 404);
+        }
+
+        if (data.displayName) {
+            zone.displayName = { ...zone.displayName.toObject(), ...data.displayName };
+        }
+        if (data.boundary) {
+            zone.boundary = data.boundary;
+            // Recompute the centre from the new boundary unless one is given
+            if (!data.center) zone.center = undefined;
+        }
+        if (data.center) zone.center = toGeoPoint(data.center);
+        if (data.isActive !== undefined) zone.isActive = data.isActive;
+        if (data.sortOrder !== undefined) zone.sortOrder = data.sortOrder;
+        zone.updatedBy = adminId;
+
+        return this.saveZone(zone);
+    }
+
+    /**
+     * Delete a zone no driver is based in. Zones in use should be deactivated instead,
+     * which keeps them on existing drivers and deliveries but out of new assignments.
+     */
+    static async deleteZone(zoneId) {
+        const zone = await Zone.findById(zoneId);
+        if (!zone) {
+            throw new AppError('Zone not found', 404);
+        }
+
+        const driverCount = await Driver.countDocuments({ area: zone.name });
+        if (driverCount > 0) {
+            throw new AppError(`Zone is the area of ${driverCount} driver(s); deactivate it instead`, 400);
+        }
+
+        await zone.deleteOne();
+        return zone;
+    }
+
+    static async saveZone(zone) {
+        try {
+            return await zone.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new AppError('A zone with this name already exists', 400);
+            }
+            if (error.code === GEO_KEY_ERROR) {
+                throw new AppError('Zone boundary is not a valid polygon', 400);
+            }
+            if (error.name === 'ValidationError') {
+                throw new AppError(Object.values(error.errors).map(err => err.message).join('. '), 400);
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = ZoneService;
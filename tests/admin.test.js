@@ -1,8 +1,14 @@
 const request = require('supertest');
+const mongoose = require('mongoose');
 const app = require('../src/app');
 const Admin = require('../src/models/Admin');
 const Driver = require('../src/models/Driver');
 const Delivery = require('../src/models/Delivery');
+const Zone = require('../src/models/Zone');
+const PricingConfig = require('../src/models/PricingConfig');
+const CancellationPolicy = require('../src/models/CancellationPolicy');
+const SurgeService = require('../src/services/surgeService');
+const CaseService = require('../src/services/caseService');
 
 describe('Admin Endpoints Tests', () => {
     let admin, token;
@@ -252,6 +258,141 @@ describe('Admin Endpoints Tests', () => {
             expect(response.status).toBe(400);
             expect(response.body.success).toBe(false);
         });
+
+        it('should replay the first response for a repeated Idempotency-Key', async () => {
+            const deliveryData = {
+                pickupLocation: '123 Test Street',
+                deliveryLocation: '456 Test Avenue',
+                fee: 200,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                useAutoBroadcast: false
+            };
+
+            const first = await request(app)
+                .post('/api/admin/deliveries')
+                .set('Authorization', `Bearer ${token}`)
+                .set('Idempotency-Key', 'create-order-42')
+                .send(deliveryData);
+            const retry = await request(app)
+                .post('/api/admin/deliveries')
+                .set('Authorization', `Bearer ${token}`)
+                .set('Idempotency-Key', 'create-order-42')
+                .send(deliveryData);
+
+            expect(first.status).toBe(200);
+            expect(retry.status).toBe(200);
+            expect(retry.headers['idempotent-replayed']).toBe('true');
+            expect(retry.body.data.id).toBe(first.body.data.id);
+            expect(await Delivery.countDocuments()).toBe(1);
+
+            const changed = await request(app)
+                .post('/api/admin/deliveries')
+                .set('Authorization', `Bearer ${token}`)
+                .set('Idempotency-Key', 'create-order-42')
+                .send({ ...deliveryData, fee: 250 });
+
+            expect(changed.status).toBe(422);
+            expect(await Delivery.countDocuments()).toBe(1);
+        });
+    });
+
+    describe('Delivery pricing', () => {
+        let config;
+        const route = {
+            pickupCoordinates: { lat: 35.1856, lng: 33.3823 },
+            deliveryCoordinates: { lat: 35.2000, lng: 33.3823 }
+        };
+
+        beforeEach(async () => {
+            config = await PricingConfig.create({
+                name: 'Test Pricing',
+                baseFare: 50,
+                perKmRate: 10,
+                includedKm: 0,
+                priorityUplift: { high: 10 },
+                paymentMethodAdjustments: { pos: 5 },
+                minimumFee: 0,
+                roundTo: 5
+            });
+        });
+
+        it('should quote a fee from distance, priority and payment method', async () => {
+            const response = await request(app)
+                .post('/api/admin/deliveries/quote')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ ...route, priority: 'high', paymentMethod: 'pos' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.distanceKm).toBe(1.6);
+            expect(response.body.data.breakdown).toMatchObject({
+                distanceCharge: 16,
+                subtotal: 66,
+                priorityUplift: 6.6,
+                paymentAdjustment: 3.63
+            });
+            expect(response.body.data.fee).toBe(80);
+            expect(response.body.data.priceRule.version).toBe(1);
+        });
+
+        it('should add package size, weight and handling charges', async () => {
+            const response = await request(app)
+                .post('/api/admin/deliveries/quote')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ ...route, package: { size: 'large', weight: 8, fragile: true } });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.breakdown.packageCharges).toMatchObject({
+                sizeSurcharge: 30,
+                billableKg: 3,
+                weightCharge: 15,
+                fragileFee: 10,
+                perishableFee: 0,
+                total: 55
+            });
+            expect(response.body.data.breakdown.subtotal).toBe(121);
+            expect(response.body.data.fee).toBe(125);
+        });
+
+        it('should price deliveries created without a fee and record the rule version', async () => {
+            config.baseFare = 60;
+            const nextVersion = await config.saveAsNewVersion(admin._id);
+
+            const response = await request(app)
+                .post('/api/admin/deliveries')
+                .set('Authorization', `Bearer ${token}`)
+                .send({
+                    ...route,
+                    pickupLocation: 'Main Campus Gate',
+                    deliveryLocation: 'Dormitory Block A',
+                    estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                    useAutoBroadcast: false
+                });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.fee).toBe(80); // 60 + 16, rounded up to 5
+
+            const delivery = await Delivery.findById(response.body.data.id);
+            expect(delivery.pricing.source).toBe('quote');
+            expect(delivery.pricing.config.toString()).toBe(nextVersion._id.toString());
+            expect(delivery.pricing.version).toBe(2);
+            expect(delivery.distance).toBe(1.6);
+
+            const previousVersion = await PricingConfig.findById(config._id);
+            expect(previousVersion.isActive).toBe(false);
+            expect(previousVersion.version).toBe(1);
+            expect(previousVersion.baseFare).toBe(50);
+        });
+
+        it('should keep the current version active when the new one cannot be saved', async () => {
+            config.baseFare = -10; // Below the minimum, so creating the new version fails
+
+            await expect(config.saveAsNewVersion(admin._id)).rejects.toThrow();
+
+            const active = await PricingConfig.find({ isActive: true });
+            expect(active).toHaveLength(1);
+            expect(active[0]._id.toString()).toBe(config._id.toString());
+            expect(await PricingConfig.countDocuments()).toBe(1);
+        });
     });
 
     describe('POST /api/admin/deliveries/:id/assign', () => {
@@ -287,6 +428,729 @@ describe('Admin Endpoints Tests', () => {
             expect(response.status).toBe(404);
             expect(response.body.success).toBe(false);
         });
+
+        it('should reject assignment to a driver at capacity', async () => {
+            await Delivery.create({
+                pickupLocation: 'Main Campus Gate',
+                deliveryLocation: 'Dormitory Block A',
+                fee: 150,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id,
+                assignedTo: driver._id,
+                status: 'accepted'
+            });
+
+            const response = await request(app)
+                .post(`/api/admin/deliveries/${delivery._id}/assign`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ driverId: driver._id });
+
+            expect(response.status).toBe(409);
+            expect(response.body.success).toBe(false);
+
+            await Driver.findByIdAndUpdate(driver._id, { maxConcurrentDeliveries: 2 });
+            const retry = await request(app)
+                .post(`/api/admin/deliveries/${delivery._id}/assign`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ driverId: driver._id });
+
+            expect(retry.status).toBe(200);
+        });
+
+        it('should not go over capacity when assignments arrive at once', async () => {
+            const otherDelivery = await Delivery.create({
+                pickupLocation: 'Main Campus Gate',
+                deliveryLocation: 'Dormitory Block B',
+                fee: 150,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id
+            });
+
+            const responses = await Promise.all([delivery, otherDelivery].map(target => request(app)
+                .post(`/api/admin/deliveries/${target._id}/assign`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ driverId: driver._id })));
+
+            expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+            expect(await Delivery.countDocuments({ assignedTo: driver._id, status: 'accepted' })).toBe(1);
+        });
+    });
+
+    describe('POST /api/admin/deliveries/:id/cancel', () => {
+        const driverId = new mongoose.Types.ObjectId();
+        let delivery;
+
+        beforeEach(async () => {
+            delivery = await Delivery.create({
+                pickupLocation: 'Main Campus Gate',
+                deliveryLocation: 'Dormitory Block A',
+                fee: 200,
+                paymentMethod: 'cash',
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id,
+                assignedTo: driverId,
+                status: 'picked_up'
+            });
+        });
+
+        it('should apply the default policy to a customer cancellation after pickup', async () => {
+            const response = await request(app)
+                .post(`/api/admin/deliveries/${delivery._id}/cancel`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ cancelledBy: 'customer', reasonCode: 'customer_request' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.status).toBe('cancelled');
+            expect(response.body.data.cancellation).toMatchObject({
+                cancelledBy: 'customer',
+                reasonCode: 'customer_request',
+                stage: 'picked_up',
+                fee: 100,
+                driverCompensation: 100,
+                countsAgainstDriver: false
+            });
+
+            const RemittanceService = require('../src/services/remittanceService');
+            const calculation = await RemittanceService.calculateBalancedRemittanceAmount(
+                driverId, new Date(Date.now() - 60 * 60 * 1000), new Date(Date.now() + 60 * 1000)
+            );
+            expect(calculation.totalDeliveries).toBe(1);
+            expect(calculation.breakdown.cancellations).toEqual({ count: 1, fees: 100, driverCompensation: 100 });
+            // The fee was not recorded as collected: the company bills it and owes the compensation
+            expect(calculation.deliveries[0].cashCollected).toBe(0);
+            expect(calculation.nonCashEarningsOwed).toBe(100);
+            expect(calculation.remittanceType).toBe('company_owes_driver');
+
+            const cashOnly = await RemittanceService.calculateRemittanceAmount(
+                driverId, new Date(Date.now() - 60 * 60 * 1000), new Date(Date.now() + 60 * 1000)
+            );
+            expect(cashOnly.remittanceAmount).toBe(-100);
+            expect(cashOnly.remittanceType).toBe('company_owes_driver');
+        });
+
+        it('should count a cancellation fee as cash only when the driver collected it', async () => {
+            const response = await request(app)
+                .post(`/api/admin/deliveries/${delivery._id}/cancel`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ cancelledBy: 'customer', reasonCode: 'customer_request', feeCollected: true });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.cancellation.feeCollected).toBe(true);
+
+            const RemittanceService = require('../src/services/remittanceService');
+            const calculation = await RemittanceService.calculateBalancedRemittanceAmount(
+                driverId, new Date(Date.now() - 60 * 60 * 1000), new Date(Date.now() + 60 * 1000)
+            );
+            expect(calculation.deliveries[0].cashCollected).toBe(100);
+            expect(calculation.remittanceType).toBe('balanced');
+        });
+
+        it('should not record a cancellation fee as collected before pickup', async () => {
+            await Delivery.updateOne({ _id: delivery._id }, { status: 'accepted' });
+
+            const response = await request(app)
+                .post(`/api/admin/deliveries/${delivery._id}/cancel`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ cancelledBy: 'customer', reasonCode: 'customer_request', feeCollected: true });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toMatch(/after pickup/);
+        });
+
+        it('should use the active policy and reject unknown reason codes', async () => {
+            await CancellationPolicy.create({
+                name: 'Strict',
+                rules: [{
+                    description: 'Admin cancelled after pickup',
+                    cancelledBy: ['admin'],
+                    stages: ['picked_up'],
+                    driverCompensation: { type: 'fixed', amount: 30 },
+                    countsAgainstDriver: false
+                }]
+            });
+
+            const invalid = await request(app)
+                .post(`/api/admin/deliveries/${delivery._id}/cancel`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ reasonCode: 'bad_weather' });
+            expect(invalid.status).toBe(400);
+
+            const response = await request(app)
+                .post(`/api/admin/deliveries/${delivery._id}/cancel`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ reasonCode: 'duplicate_order' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.cancellation).toMatchObject({
+                cancelledBy: 'admin',
+                fee: 0,
+                driverCompensation: 30,
+                rule: 'Admin cancelled after pickup'
+            });
+        });
+    });
+
+    describe('Failed deliveries', () => {
+        const driverId = new mongoose.Types.ObjectId();
+        let delivery;
+
+        beforeEach(async () => {
+            delivery = await Delivery.create({
+                pickupLocation: 'Main Campus Gate',
+                deliveryLocation: 'Dormitory Block A',
+                fee: 200,
+                paymentMethod: 'cash',
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id,
+                assignedTo: driverId,
+                status: 'failed',
+                failedAt: new Date(),
+                failedAttempts: [{ attemptNumber: 1, driver: driverId, reason: 'customer_unreachable' }]
+            });
+        });
+
+        it('should return a failed delivery to pickup and settle the return fee', async () => {
+            const response = await request(app)
+                .post(`/api/admin/deliveries/${delivery._id}/return`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ notes: 'Sender asked for it back' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.status).toBe('returning');
+            expect(response.body.data.returnFee).toBe(100);
+            expect(response.body.data.failedAttempts[0].resolution).toBe('return');
+
+            const returned = await request(app)
+                .put(`/api/delivery/${delivery._id}/status`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ status: 'returned' });
+            expect(returned.status).toBe(200);
+
+            const RemittanceService = require('../src/services/remittanceService');
+            const calculation = await RemittanceService.calculateBalancedRemittanceAmount(
+                driverId, new Date(Date.now() - 60 * 60 * 1000), new Date(Date.now() + 60 * 1000)
+            );
+            expect(calculation.totalDeliveries).toBe(1);
+            expect(calculation.breakdown.returns).toEqual({ count: 1, fees: 100, driverEarnings: 60 });
+            // Nothing was collected from the customer: the company owes the driver their earning
+            expect(calculation.deliveries[0].cashCollected).toBe(0);
+            expect(calculation.cashRemittanceOwed).toBe(0);
+            expect(calculation.nonCashEarningsOwed).toBe(60);
+            expect(calculation.remittanceType).toBe('company_owes_driver');
+        });
+
+        it('should keep a reattempt with the driver who has the package', async () => {
+            const driver = await testUtils.createTestDriver(Driver);
+            await Delivery.updateOne({ _id: delivery._id }, { assignedTo: driver._id, 'failedAttempts.0.driver': driver._id });
+
+            const rebroadcast = await request(app)
+                .post(`/api/admin/deliveries/${delivery._id}/reattempt`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ dispatch: 'rebroadcast' });
+            expect(rebroadcast.status).toBe(400);
+            expect(rebroadcast.body.error).toMatch(/Return it to pickup/);
+
+            const response = await request(app)
+                .post(`/api/admin/deliveries/${delivery._id}/reattempt`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ notes: 'Customer is home after 6pm' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.status).toBe('accepted');
+            expect(response.body.data.assignedTo).toBe(driver._id.toString());
+            expect(response.body.data.failedAttempts[0]).toMatchObject({ resolution: 'reattempt', dispatch: 'same_driver' });
+        });
+
+        it('should send a returned delivery out again with another driver, once', async () => {
+            const driver = await testUtils.createTestDriver(Driver);
+            await Delivery.updateOne({ _id: delivery._id }, {
+                status: 'returned',
+                returnedAt: new Date(),
+                returnFee: 100,
+                'failedAttempts.0.resolution': 'return'
+            });
+
+            const sameDriver = await request(app)
+                .post(`/api/admin/deliveries/${delivery._id}/reattempt`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({});
+            expect(sameDriver.status).toBe(400);
+
+            const response = await request(app)
+                .post(`/api/admin/deliveries/${delivery._id}/reattempt`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ dispatch: 'reassign', driverId: driver._id.toString() });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.status).toBe('returned');
+            expect(response.body.data.redispatch.dispatch).toBe('reassign');
+            expect(response.body.data.delivery).toMatchObject({ status: 'accepted', fee: 200 });
+            expect(response.body.data.delivery.assignedTo).toBe(driver._id.toString());
+
+            const redispatched = await Delivery.findById(response.body.data.delivery.id);
+            expect(redispatched.redispatchOf.toString()).toBe(delivery._id.toString());
+            // The returned delivery stays with the driver who brought it back, for settlement
+            const original = await Delivery.findById(delivery._id);
+            expect(original.assignedTo.toString()).toBe(driverId.toString());
+            expect(original.redispatch.delivery.toString()).toBe(redispatched._id.toString());
+
+            const again = await request(app)
+                .post(`/api/admin/deliveries/${delivery._id}/reattempt`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ dispatch: 'rebroadcast' });
+            expect(again.status).toBe(400);
+            expect(await Delivery.countDocuments({ redispatchOf: delivery._id })).toBe(1);
+        });
+
+        it('should return the status of errors raised while settling a return', async () => {
+            const FailedDeliveryService = require('../src/services/failedDeliveryService');
+            const { AppError } = require('../src/middleware/errorHandler');
+            await Delivery.updateOne({ _id: delivery._id }, { status: 'returning', 'failedAttempts.0.resolution': 'return' });
+            const settle = jest.spyOn(FailedDeliveryService, 'settleReturn')
+                .mockRejectedValueOnce(new AppError('No earnings rules cover this fee', 422));
+
+            const response = await request(app)
+                .put(`/api/delivery/${delivery._id}/status`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ status: 'returned' });
+
+            expect(response.status).toBe(422);
+            settle.mockRestore();
+        });
+
+        it('should only resolve an open failed attempt', async () => {
+            await Delivery.updateOne({ _id: delivery._id }, { 'failedAttempts.0.resolution': 'return', status: 'returning' });
+
+            const response = await request(app)
+                .post(`/api/admin/deliveries/${delivery._id}/reattempt`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({});
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toMatch(/no failed attempt/);
+        });
+    });
+
+    describe('GET /api/admin/deliveries/no-eligible-drivers', () => {
+        it('should list deliveries nobody was eligible for with the reasons summed up', async () => {
+            const base = {
+                pickupLocation: 'Main Campus Gate',
+                deliveryLocation: 'Dormitory Block A',
+                fee: 150,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id
+            };
+            const delivery = await Delivery.create({
+                ...base,
+                package: { size: 'large' },
+                noEligibleDrivers: [
+                    { attempt: 1, radius: 5, candidates: 3, reasons: [{ reason: 'package_size', count: 2 }, { reason: 'at_capacity', count: 1 }] },
+                    { attempt: 2, radius: 7.5, candidates: 0, reasons: [] }
+                ]
+            });
+            await Delivery.create(base);
+
+            const response = await request(app)
+                .get('/api/admin/deliveries/no-eligible-drivers')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).toBe(200);
+            const { deliveries, summary } = response.body.data;
+            expect(deliveries).toHaveLength(1);
+            expect(deliveries[0].id).toBe(delivery._id.toString());
+            expect(deliveries[0].packageSize).toBe('large');
+            expect(summary).toMatchObject({ deliveries: 1, attempts: 2, noDriversNearby: 1 });
+            expect(summary.reasons[0]).toEqual({ reason: 'package_size', drivers: 2, attempts: 1 });
+        });
+    });
+
+    describe('POST /api/admin/deliveries/import', () => {
+        const estimatedTime = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+        const csv = [
+            'pickupLocation,deliveryLocation,deliveryLocationLink,fee,estimatedTime',
+            `Main Campus Gate,Dormitory Block A,"https://maps.google.com/?q=35.1901,33.3795",150,${estimatedTime}`,
+            'Main Campus Gate,Dormitory Block B,not-a-link,150,2020-01-01T10:00:00Z'
+        ].join('\n');
+
+        const upload = (fields = {}) => {
+            const req = request(app)
+                .post('/api/admin/deliveries/import')
+                .set('Authorization', `Bearer ${token}`)
+                .attach('file', Buffer.from(csv), 'deliveries.csv');
+            Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+            return req;
+        };
+
+        it('should preview rows with a per-row error report without creating deliveries', async () => {
+            const response = await upload({ dryRun: 'true' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toMatchObject({ dryRun: true, totalRows: 2, validRows: 1, invalidRows: 1, imported: 0 });
+            expect(response.body.data.rows[0].delivery.fee).toBe(150);
+            expect(response.body.data.rows[1].row).toBe(3);
+            expect(response.body.data.rows[1].errors.map(error => error.field))
+                .toEqual(expect.arrayContaining(['estimatedTime', 'deliveryLocationLink']));
+            expect(await Delivery.countDocuments()).toBe(0);
+        });
+
+        it('should import the valid rows', async () => {
+            const response = await upload();
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.imported).toBe(1);
+
+            const delivery = await Delivery.findOne({ deliveryLocation: 'Dormitory Block A' });
+            expect(delivery).not.toBeNull();
+            expect(delivery.deliveryCoordinates).toMatchObject({ lat: 35.1901, lng: 33.3795 });
+            expect(await Delivery.countDocuments()).toBe(1);
+        });
+
+        it('should report rows that fail to save and keep the others', async () => {
+            const rows = [
+                'pickupLocation,deliveryLocation,fee,estimatedTime',
+                `Main Campus Gate,Dormitory Block A,150,${estimatedTime}`,
+                `Main Campus Gate,Dormitory Block B,150,${estimatedTime}`
+            ].join('\n');
+            const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000, keyValue: { deliveryCode: 'GRP-123456' } });
+            const save = jest.spyOn(Delivery.prototype, 'save').mockRejectedValueOnce(duplicate);
+
+            const response = await request(app)
+                .post('/api/admin/deliveries/import')
+                .set('Authorization', `Bearer ${token}`)
+                .attach('file', Buffer.from(rows), 'deliveries.csv');
+            save.mockRestore();
+
+            expect(response.status).toBe(200);
+            expect(response.body.data).toMatchObject({ totalRows: 2, validRows: 1, invalidRows: 1, imported: 1 });
+            expect(response.body.data.rows[0]).toMatchObject({ row: 2, valid: false, errors: [{ field: 'deliveryCode', message: 'deliveryCode already exists' }] });
+            expect(response.body.data.rows[1].delivery.deliveryCode).toBeTruthy();
+            expect(await Delivery.countDocuments()).toBe(1);
+        });
+    });
+
+    describe('Zone management', () => {
+        const kumsal = {
+            name: 'Kumsal',
+            displayName: { en: 'Kumsal', tr: 'Kumsal' },
+            boundary: {
+                type: 'Polygon',
+                coordinates: [[[33.381, 35.171], [33.389, 35.171], [33.389, 35.179], [33.381, 35.179], [33.381, 35.171]]]
+            }
+        };
+
+        it('should create a zone and assign deliveries inside it by point-in-polygon', async () => {
+            const response = await request(app)
+                .post('/api/admin/zones')
+                .set('Authorization', `Bearer ${token}`)
+                .send(kumsal);
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.zone.center.coordinates).toEqual([33.385, 35.175]);
+
+            const inside = await Delivery.create({
+                pickupLocation: 'Kumsal Park',
+                pickupCoordinates: { lat: 35.175, lng: 33.385 },
+                deliveryLocation: 'Dormitory Block A',
+                fee: 150,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id
+            });
+            const outside = await Delivery.create({
+                pickupLocation: 'Kyrenia Harbour',
+                pickupCoordinates: { lat: 35.341, lng: 33.319 },
+                deliveryLocation: 'Dormitory Block A',
+                fee: 150,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id
+            });
+
+            expect(inside.pickupZone.toString()).toBe(response.body.data.zone._id);
+            expect(outside.pickupZone).toBeNull();
+        });
+
+        it('should only accept active zones as driver areas', async () => {
+            await Zone.create({ ...kumsal, isActive: false });
+
+            await expect(Driver.create({
+                fullName: 'Zone Driver',
+                email: 'zone.driver@test.com',
+                area: 'Kumsal'
+            })).rejects.toThrow('Please select a valid service area');
+
+            await Zone.updateOne({ name: 'Kumsal' }, { isActive: true });
+            const driver = await Driver.create({
+                fullName: 'Zone Driver',
+                email: 'zone.driver@test.com',
+                area: 'Kumsal',
+                address: 'Kumsal'
+            });
+            expect(driver.area).toBe('Kumsal');
+        });
+
+        it('should reject open polygon rings', async () => {
+            const response = await request(app)
+                .post('/api/admin/zones')
+                .set('Authorization', `Bearer ${token}`)
+                .send({
+                    ...kumsal,
+                    boundary: { type: 'Polygon', coordinates: [[[33.381, 35.171], [33.389, 35.171], [33.389, 35.179]]] }
+                });
+
+            expect(response.status).toBe(400);
+        });
+    });
+
+    describe('Surge pricing', () => {
+        let zone;
+        const pickup = { lat: 35.175, lng: 33.385 };
+
+        beforeEach(async () => {
+            zone = await Zone.create({
+                name: 'Kumsal',
+                displayName: { en: 'Kumsal', tr: 'Kumsal' },
+                boundary: {
+                    type: 'Polygon',
+                    coordinates: [[[33.381, 35.171], [33.389, 35.171], [33.389, 35.179], [33.381, 35.179], [33.381, 35.171]]]
+                }
+            });
+            await PricingConfig.create({
+                name: 'Surge Pricing',
+                roundTo: 5,
+                surge: { enabled: true, demandRatioThreshold: 1.5, multiplierPerRatio: 0.25, maxMultiplier: 1.5, driverSharePercent: 50 }
+            });
+            await Driver.create({
+                fullName: 'Kumsal Driver',
+                email: 'kumsal.driver@test.com',
+                area: 'Kumsal',
+                address: 'Kumsal',
+                isOnline: true,
+                currentZone: zone._id
+            });
+            for (let i = 0; i < 3; i++) {
+                await Delivery.create({
+                    pickupLocation: 'Kumsal Park',
+                    pickupCoordinates: pickup,
+                    deliveryLocation: 'Dormitory Block A',
+                    fee: 150,
+                    estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                    createdBy: admin._id
+                });
+            }
+        });
+
+        it('should compare open deliveries with online drivers per zone', async () => {
+            await SurgeService.recalculate();
+
+            const response = await request(app)
+                .get('/api/admin/zones/surge')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.zones[0]).toMatchObject({
+                name: 'Kumsal',
+                openDeliveries: 3,
+                onlineDrivers: 1,
+                demandRatio: 3,
+                multiplier: 1.4 // 1 + (3 - 1.5) * 0.25, in 0.05 steps
+            });
+        });
+
+        it('should charge the surge on new deliveries and record the driver bonus', async () => {
+            await SurgeService.recalculate();
+
+            const response = await request(app)
+                .post('/api/admin/deliveries')
+                .set('Authorization', `Bearer ${token}`)
+                .send({
+                    pickupLocation: 'Kumsal Park',
+                    pickupCoordinates: pickup,
+                    deliveryLocation: 'Dormitory Block A',
+                    fee: 100,
+                    estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                    useAutoBroadcast: false
+                });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.fee).toBe(140);
+            expect(response.body.data.surge).toEqual({ multiplier: 1.4, customerSurcharge: 40, driverBonus: 20 });
+
+            const delivery = await Delivery.findById(response.body.data.id);
+            expect(delivery.surge.zone.toString()).toBe(zone._id.toString());
+        });
+
+        it('should keep the surge and reattempt charges when the fee is edited', async () => {
+            const delivery = await Delivery.create({
+                pickupLocation: 'Kumsal Park',
+                pickupCoordinates: pickup,
+                deliveryLocation: 'Dormitory Block A',
+                fee: 200, // 150 base + 40 surge + 10 reattempt
+                reattemptsFee: 10,
+                surge: { zone: zone._id, multiplier: 1.25, customerSurcharge: 40, driverBonus: 20 },
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id
+            });
+
+            const response = await request(app)
+                .put(`/api/admin/deliveries/${delivery._id}`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ fee: 180 });
+
+            expect(response.status).toBe(200);
+            const updated = await Delivery.findById(delivery._id);
+            expect(updated.fee).toBe(230);
+            expect(updated.surge.customerSurcharge).toBe(40);
+            expect(updated.surge.driverBonus).toBe(20);
+        });
+    });
+
+    describe('Cases', () => {
+        let driver, delivery;
+
+        beforeEach(async () => {
+            driver = await testUtils.createTestDriver(Driver);
+            delivery = await Delivery.create({
+                pickupLocation: 'Campus Burger',
+                deliveryLocation: 'Dormitory Block A',
+                fee: 150,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id,
+                assignedTo: driver._id,
+                status: 'delivered',
+                deliveredAt: new Date()
+            });
+        });
+
+        it('should track a complaint to a penalty recorded on the driver', async () => {
+            const created = await request(app)
+                .post('/api/admin/cases')
+                .set('Authorization', `Bearer ${token}`)
+                .send({
+                    category: 'missing_item',
+                    subject: 'Fries missing from order',
+                    priority: 'high',
+                    reporter: { type: 'customer', name: 'Ayse', contact: '+905551234567' },
+                    delivery: delivery._id.toString()
+                });
+
+            expect(created.status).toBe(201);
+            const caseId = created.body.data.case._id;
+            expect(created.body.data.case.caseNumber).toMatch(/^CASE-/);
+            expect(created.body.data.case.driver).toBe(driver._id.toString());
+            expect(created.body.data.case.sla.respondedAt).toBeNull();
+
+            const assigned = await request(app)
+                .post(`/api/admin/cases/${caseId}/assign`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ adminId: admin._id.toString() });
+            expect(assigned.status).toBe(200);
+            expect(assigned.body.data.case.status).toBe('in_progress');
+            expect(assigned.body.data.case.sla.respondedAt).not.toBeNull();
+
+            const note = await request(app)
+                .post(`/api/admin/cases/${caseId}/notes`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ body: 'Restaurant confirms the fries were packed' });
+            expect(note.status).toBe(201);
+
+            const resolved = await request(app)
+                .post(`/api/admin/cases/${caseId}/resolve`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ outcome: 'penalty', summary: 'Driver left part of the order behind', amount: 40 });
+
+            expect(resolved.status).toBe(200);
+            expect(resolved.body.data.case.status).toBe('resolved');
+
+            const updatedDriver = await Driver.findById(driver._id);
+            expect(updatedDriver.violations).toHaveLength(1);
+            expect(updatedDriver.violations[0].type).toBe('customer_complaint');
+            expect(updatedDriver.violations[0]._id.toString()).toBe(resolved.body.data.case.resolution.violationId);
+
+            const closed = await request(app)
+                .put(`/api/admin/cases/${caseId}`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ status: 'closed' });
+            expect(closed.status).toBe(200);
+            expect(closed.body.data.case.status).toBe('closed');
+        });
+
+        it('should record one violation when a case is resolved twice at once', async () => {
+            const caseDoc = await CaseService.createCase({
+                category: 'missing_item',
+                subject: 'Drink missing from order',
+                delivery: delivery._id
+            }, admin._id);
+
+            const resolve = () => request(app)
+                .post(`/api/admin/cases/${caseDoc._id}/resolve`)
+                .set('Authorization', `Bearer ${token}`)
+                .send({ outcome: 'warning', summary: 'Drink left at the restaurant' });
+            const responses = await Promise.all([resolve(), resolve()]);
+
+            expect(responses.map(response => response.status).sort()).toEqual([200, 400]);
+            const updatedDriver = await Driver.findById(driver._id);
+            expect(updatedDriver.violations).toHaveLength(1);
+        });
+
+        it('should flag cases past their response deadline', async () => {
+            const caseDoc = await CaseService.createCase({
+                category: 'late_delivery',
+                subject: 'Order arrived an hour late',
+                priority: 'urgent',
+                delivery: delivery._id
+            }, admin._id);
+
+            const breaches = await CaseService.checkSlaBreaches(new Date(Date.now() + 2 * 60 * 60 * 1000));
+            expect(breaches).toBe(1);
+
+            const response = await request(app)
+                .get('/api/admin/cases?breached=true')
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.cases).toHaveLength(1);
+            expect(response.body.data.cases[0]._id).toBe(caseDoc._id.toString());
+            expect(response.body.data.cases[0].sla.responseBreachedAt).not.toBeNull();
+        });
+
+        it('should let drivers dispute their own deliveries only', async () => {
+            const driverToken = testUtils.generateTestToken(driver._id, 'driver');
+            const otherDelivery = await Delivery.create({
+                pickupLocation: 'Campus Burger',
+                deliveryLocation: 'Dormitory Block B',
+                fee: 150,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id
+            });
+            const dispute = {
+                category: 'earnings_dispute',
+                subject: 'Deduction on a cancelled delivery',
+                description: 'The customer cancelled, not me'
+            };
+
+            const foreign = await request(app)
+                .post('/api/driver/cases')
+                .set('Authorization', `Bearer ${driverToken}`)
+                .send({ ...dispute, delivery: otherDelivery._id.toString() });
+            expect(foreign.status).toBe(404);
+
+            const response = await request(app)
+                .post('/api/driver/cases')
+                .set('Authorization', `Bearer ${driverToken}`)
+                .send({ ...dispute, delivery: delivery._id.toString() });
+
+            expect(response.status).toBe(201);
+            expect(response.body.data.status).toBe('open');
+            expect(response.body.data).not.toHaveProperty('notes');
+
+            await CaseService.addNote(response.body.data.id, 'Checking with finance', admin._id);
+
+            const list = await request(app)
+                .get('/api/driver/cases')
+                .set('Authorization', `Bearer ${driverToken}`);
+            expect(list.status).toBe(200);
+            expect(list.body.data.cases).toHaveLength(1);
+            expect(list.body.data.cases[0]).not.toHaveProperty('notes');
+        });
     });
 
     describe('GET /api/admin/stats', () => {
@@ -3,6 +3,14 @@ const app = require('../src/app');
 const Delivery = require('../src/models/Delivery');
 const Admin = require('../src/models/Admin');
 const Driver = require('../src/models/Driver');
+const Zone = require('../src/models/Zone');
+const DeliveryOffer = require('../src/models/DeliveryOffer');
+const LocationHistoryService = require('../src/services/locationHistoryService');
+const SmsMessage = require('../src/models/SmsMessage');
+const CustomerRating = require('../src/models/CustomerRating');
+const SystemSettings = require('../src/models/SystemSettings');
+const SmsService = require('../src/services/smsService');
+const CustomerRatingService = require('../src/services/customerRatingService');
 
 describe('Delivery Endpoints Tests', () => {
     let admin, delivery;
@@ -35,6 +43,552 @@ describe('Delivery Endpoints Tests', () => {
         });
     });
 
+    describe('GET /api/public/track/:deliveryCode', () => {
+        it('should return a redacted tracking view', async () => {
+            const trackedDelivery = await Delivery.create({
+                pickupLocation: 'Main Campus Gate',
+                deliveryLocation: 'Dormitory Block A',
+                customerName: 'Test Customer',
+                customerPhone: '+1234567890',
+                fee: 150,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id
+            });
+
+            const response = await request(app)
+                .get(`/api/public/track/${trackedDelivery.deliveryCode}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.success).toBe(true);
+            expect(response.body.data.deliveryCode).toBe(trackedDelivery.deliveryCode);
+            expect(response.body.data.timeline).toBeInstanceOf(Array);
+            expect(response.body.data.live.room).toBe(`tracking-${trackedDelivery.deliveryCode}`);
+            expect(response.body.data).not.toHaveProperty('customerPhone');
+            expect(response.body.data).not.toHaveProperty('fee');
+            expect(response.body.data).not.toHaveProperty('deliveryLocation');
+            expect(response.body.data.deliveryArea).toBeNull();
+        });
+
+        it('should show the drop-off zone by name', async () => {
+            await Zone.create({
+                name: 'Kumsal',
+                displayName: { en: 'Kumsal Area', tr: 'Kumsal Bölgesi' },
+                boundary: {
+                    type: 'Polygon',
+                    coordinates: [[[33.381, 35.171], [33.389, 35.171], [33.389, 35.179], [33.381, 35.179], [33.381, 35.171]]]
+                }
+            });
+            const trackedDelivery = await Delivery.create({
+                pickupLocation: 'Main Campus Gate',
+                deliveryLocation: 'Dormitory Block A',
+                deliveryCoordinates: { lat: 35.175, lng: 33.385 },
+                fee: 150,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id
+            });
+
+            const response = await request(app)
+                .get(`/api/public/track/${trackedDelivery.deliveryCode}`);
+
+            expect(response.status).toBe(200);
+            expect(typeof response.body.data.deliveryArea).toBe('string');
+            expect(response.body.data.deliveryArea).toBe('Kumsal Area');
+        });
+
+        it('should expire tracking once the delivery is delivered', async () => {
+            const trackedDelivery = await Delivery.create({
+                pickupLocation: 'Main Campus Gate',
+                deliveryLocation: 'Dormitory Block A',
+                fee: 150,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                status: 'delivered',
+                deliveredAt: new Date(),
+                createdBy: admin._id
+            });
+
+            const response = await request(app)
+                .get(`/api/public/track/${trackedDelivery.deliveryCode}`);
+
+            expect(response.status).toBe(410);
+            expect(response.body.success).toBe(false);
+        });
+
+        it('should return 404 for unknown delivery codes', async () => {
+            const response = await request(app)
+                .get('/api/public/track/GRP-000000000000');
+
+            expect(response.status).toBe(404);
+            expect(response.body.success).toBe(false);
+        });
+    });
+
+    describe('Customer ratings', () => {
+        let driver, deliveredDelivery, token;
+
+        beforeEach(async () => {
+            driver = await testUtils.createTestDriver(Driver);
+            deliveredDelivery = await Delivery.create({
+                pickupLocation: 'Main Campus Gate',
+                deliveryLocation: 'Dormitory Block A',
+                fee: 150,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                status: 'delivered',
+                deliveredAt: new Date(),
+                assignedTo: driver._id,
+                createdBy: admin._id
+            });
+            token = CustomerRatingService.createToken(deliveredDelivery);
+        });
+
+        it('should accept one rating per link', async () => {
+            const form = await request(app).get(`/api/public/ratings/${token}`);
+            expect(form.status).toBe(200);
+            expect(form.body.data.rated).toBe(false);
+            expect(form.body.data.driver.firstName).toBe('Test');
+
+            const response = await request(app)
+                .post(`/api/public/ratings/${token}`)
+                .send({ rating: 4, tags: ['on_time', 'friendly'], comment: 'Quick and polite' });
+
+            expect(response.status).toBe(201);
+
+            const rating = await CustomerRating.findOne({ delivery: deliveredDelivery._id });
+            expect(rating.driver.toString()).toBe(driver._id.toString());
+            expect(rating.tags).toEqual(['on_time', 'friendly']);
+
+            const again = await request(app)
+                .post(`/api/public/ratings/${token}`)
+                .send({ rating: 1 });
+            expect(again.status).toBe(409);
+        });
+
+        it('should reject tampered links', async () => {
+            const tampered = token.replace(/\.(\d+)\./, (match, expires) => `.${Number(expires) + 60}.`);
+
+            const response = await request(app)
+                .post(`/api/public/ratings/${tampered}`)
+                .send({ rating: 5 });
+
+            expect(response.status).toBe(404);
+            expect(await CustomerRating.countDocuments()).toBe(0);
+        });
+
+        it('should let admins hide a rating from the driver score', async () => {
+            await CustomerRatingService.submitRating(token, { rating: 1, comment: 'Rude' });
+            const rating = await CustomerRating.findOne({ delivery: deliveredDelivery._id });
+            const adminToken = testUtils.generateTestToken(admin._id, 'admin');
+
+            const list = await request(app)
+                .get(`/api/admin/ratings?driver=${driver._id}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(list.status).toBe(200);
+            expect(list.body.data.summary.averageRating).toBe(1);
+
+            const response = await request(app)
+                .put(`/api/admin/ratings/${rating._id}/moderate`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ status: 'hidden', note: 'Abusive comment' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.rating.status).toBe('hidden');
+            expect(await CustomerRatingService.getDriverRatings(driver._id)).toHaveLength(0);
+        });
+    });
+
+    describe('POST /api/driver/deliveries/:deliveryId/proof', () => {
+        let driver, driverToken, pickedUpDelivery;
+
+        beforeEach(async () => {
+            driver = await testUtils.createTestDriver(Driver);
+            driverToken = testUtils.generateTestToken(driver._id, 'driver');
+            pickedUpDelivery = await Delivery.create({
+                pickupLocation: 'Main Campus Gate',
+                deliveryLocation: 'Dormitory Block A',
+                fee: 150,
+                status: 'picked_up',
+                assignedTo: driver._id,
+                deliveryCoordinates: { lat: 35.2, lng: 33.3 },
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id
+            });
+        });
+
+        it('should not let a driver mark a delivery delivered without proof', async () => {
+            const response = await request(app)
+                .put(`/api/driver/deliveries/${pickedUpDelivery._id}/status`)
+                .set('Authorization', `Bearer ${driverToken}`)
+                .send({ status: 'delivered' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.success).toBe(false);
+        });
+
+        it('should reject an incorrect PIN and record the attempt', async () => {
+            const { recipientPin } = await Delivery.findById(pickedUpDelivery._id).select('+recipientPin');
+            const wrongPin = recipientPin === '0000' ? '1111' : '0000';
+
+            const response = await request(app)
+                .post(`/api/driver/deliveries/${pickedUpDelivery._id}/proof`)
+                .set('Authorization', `Bearer ${driverToken}`)
+                .field('pin', wrongPin)
+                .field('lat', '35.2')
+                .field('lng', '33.3');
+
+            expect(response.status).toBe(400);
+            expect(response.body.data.pinAttemptsRemaining).toBe(4);
+
+            const updated = await Delivery.findById(pickedUpDelivery._id);
+            expect(updated.proofOfDelivery.attempts).toHaveLength(1);
+            expect(updated.proofOfDelivery.completedAt).toBeUndefined();
+        });
+
+        it('should lock PIN entry after the maximum attempts even when they arrive in parallel', async () => {
+            const { recipientPin } = await Delivery.findById(pickedUpDelivery._id).select('+recipientPin');
+            const wrongPins = Array.from({ length: 10 }, (_, i) => String(1000 + i)).filter(pin => pin !== recipientPin).slice(0, 8);
+
+            const responses = await Promise.all(wrongPins.map(pin => request(app)
+                .post(`/api/driver/deliveries/${pickedUpDelivery._id}/proof`)
+                .set('Authorization', `Bearer ${driverToken}`)
+                .field('pin', pin)
+                .field('lat', '35.2')
+                .field('lng', '33.3')));
+
+            expect(responses.filter(response => response.status === 400)).toHaveLength(5);
+            expect(responses.filter(response => response.status === 403)).toHaveLength(3);
+
+            const updated = await Delivery.findById(pickedUpDelivery._id);
+            expect(updated.proofOfDelivery.failedPinAttempts).toBe(5);
+
+            const correct = await request(app)
+                .post(`/api/driver/deliveries/${pickedUpDelivery._id}/proof`)
+                .set('Authorization', `Bearer ${driverToken}`)
+                .field('pin', recipientPin)
+                .field('lat', '35.2')
+                .field('lng', '33.3');
+            expect(correct.status).toBe(403);
+        });
+
+        it('should accept the correct PIN with GPS and allow delivery', async () => {
+            const { recipientPin } = await Delivery.findById(pickedUpDelivery._id).select('+recipientPin');
+
+            const proofResponse = await request(app)
+                .post(`/api/driver/deliveries/${pickedUpDelivery._id}/proof`)
+                .set('Authorization', `Bearer ${driverToken}`)
+                .field('pin', recipientPin)
+                .field('lat', '35.2')
+                .field('lng', '33.3');
+
+            expect(proofResponse.status).toBe(200);
+            expect(proofResponse.body.data.accepted).toBe(true);
+
+            const statusResponse = await request(app)
+                .put(`/api/driver/deliveries/${pickedUpDelivery._id}/status`)
+                .set('Authorization', `Bearer ${driverToken}`)
+                .send({ status: 'delivered' });
+
+            expect(statusResponse.status).toBe(200);
+
+            const updated = await Delivery.findById(pickedUpDelivery._id);
+            const lastChange = updated.statusHistory[updated.statusHistory.length - 1];
+            expect(lastChange.from).toBe('picked_up');
+            expect(lastChange.to).toBe('delivered');
+            expect(lastChange.actorType).toBe('driver');
+            expect(lastChange.location.lat).toBe(35.2);
+        });
+
+        it('should reject transitions a driver is not allowed to make', async () => {
+            const response = await request(app)
+                .put(`/api/driver/deliveries/${pickedUpDelivery._id}/status`)
+                .set('Authorization', `Bearer ${driverToken}`)
+                .send({ status: 'picked_up' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toMatch(/Cannot change status from picked_up to picked_up/);
+        });
+
+        it('should return cancellation policy errors as client errors', async () => {
+            const response = await request(app)
+                .put(`/api/driver/deliveries/${pickedUpDelivery._id}/status`)
+                .set('Authorization', `Bearer ${driverToken}`)
+                .send({ status: 'cancelled', cancelledBy: 'customer' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Drivers can only record their own cancellations');
+        });
+
+        it('should let a driver pick up an assigned delivery that is still pending', async () => {
+            await Delivery.updateOne({ _id: pickedUpDelivery._id }, { status: 'pending' });
+
+            const response = await request(app)
+                .put(`/api/driver/deliveries/${pickedUpDelivery._id}/status`)
+                .set('Authorization', `Bearer ${driverToken}`)
+                .send({ status: 'picked_up' });
+
+            expect(response.status).toBe(200);
+            const updated = await Delivery.findById(pickedUpDelivery._id);
+            expect(updated.status).toBe('picked_up');
+            expect(updated.statusHistory[updated.statusHistory.length - 1].from).toBe('pending');
+        });
+    });
+
+    describe('Delivery offers', () => {
+        let firstDriver, secondDriver, offeredDelivery;
+
+        beforeEach(async () => {
+            firstDriver = await testUtils.createTestDriver(Driver);
+            secondDriver = await Driver.create({
+                name: 'Second Driver',
+                email: 'second.driver@test.com',
+                phone: '+1234567891',
+                area: 'Gonyeli',
+                isActive: true
+            });
+            offeredDelivery = await Delivery.create({
+                pickupLocation: 'Main Campus Gate',
+                deliveryLocation: 'Dormitory Block A',
+                fee: 150,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id,
+                dispatchMode: 'sequential',
+                broadcastStatus: 'broadcasting',
+                broadcastEndTime: new Date(Date.now() + 30000),
+                offeredTo: firstDriver._id,
+                dispatchQueue: [
+                    { driver: firstDriver._id, rank: 1, status: 'offered', offeredAt: new Date() },
+                    { driver: secondDriver._id, rank: 2, status: 'queued' }
+                ]
+            });
+        });
+
+        it('should only let the offered driver accept', async () => {
+            const response = await request(app)
+                .post(`/api/delivery/broadcast/${offeredDelivery._id}/accept`)
+                .set('Authorization', `Bearer ${testUtils.generateTestToken(secondDriver._id, 'driver')}`);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toMatch(/offered to another driver/);
+        });
+
+        it('should let only one of two drivers accepting at once take a broadcast', async () => {
+            const broadcastDelivery = await Delivery.create({
+                pickupLocation: 'Main Campus Gate',
+                deliveryLocation: 'Dormitory Block B',
+                fee: 150,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id,
+                broadcastStatus: 'broadcasting',
+                broadcastEndTime: new Date(Date.now() + 60000)
+            });
+
+            const responses = await Promise.all([firstDriver, secondDriver].map(driver => request(app)
+                .post(`/api/delivery/broadcast/${broadcastDelivery._id}/accept`)
+                .set('Authorization', `Bearer ${testUtils.generateTestToken(driver._id, 'driver')}`)));
+
+            const accepted = responses.filter(response => response.status === 200);
+            expect(accepted).toHaveLength(1);
+
+            const updated = await Delivery.findById(broadcastDelivery._id);
+            expect(updated.status).toBe('accepted');
+            expect(updated.statusHistory.filter(entry => entry.to === 'accepted')).toHaveLength(1);
+        });
+
+        it('should move the offer to the next ranked driver on decline', async () => {
+            const response = await request(app)
+                .post(`/api/delivery/broadcast/${offeredDelivery._id}/decline`)
+                .set('Authorization', `Bearer ${testUtils.generateTestToken(firstDriver._id, 'driver')}`)
+                .send({ reason: 'busy' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.offeredToNextDriver).toBe(true);
+
+            const updated = await Delivery.findById(offeredDelivery._id);
+            expect(updated.offeredTo.toString()).toBe(secondDriver._id.toString());
+            expect(updated.dispatchQueue.map(entry => entry.status)).toEqual(['declined', 'offered']);
+        });
+
+        it('should record broadcast declines with a reason for the admin offer view', async () => {
+            const broadcastDelivery = await Delivery.create({
+                pickupLocation: 'Main Campus Gate',
+                deliveryLocation: 'Dormitory Block B',
+                fee: 150,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id,
+                broadcastStatus: 'broadcasting',
+                broadcastEndTime: new Date(Date.now() + 60000)
+            });
+            await DeliveryOffer.create([
+                { delivery: broadcastDelivery._id, driver: firstDriver._id, distance: 1.2 },
+                { delivery: broadcastDelivery._id, driver: secondDriver._id, distance: 3.4 }
+            ]);
+
+            const missingReason = await request(app)
+                .post(`/api/delivery/broadcast/${broadcastDelivery._id}/decline`)
+                .set('Authorization', `Bearer ${testUtils.generateTestToken(firstDriver._id, 'driver')}`)
+                .send({});
+            expect(missingReason.status).toBe(400);
+
+            const response = await request(app)
+                .post(`/api/delivery/broadcast/${broadcastDelivery._id}/decline`)
+                .set('Authorization', `Bearer ${testUtils.generateTestToken(firstDriver._id, 'driver')}`)
+                .send({ reason: 'too_far' });
+            expect(response.status).toBe(200);
+
+            const offersResponse = await request(app)
+                .get(`/api/admin/deliveries/${broadcastDelivery._id}/offers`)
+                .set('Authorization', `Bearer ${testUtils.generateTestToken(admin._id, 'admin')}`);
+
+            expect(offersResponse.status).toBe(200);
+            expect(offersResponse.body.data.summary).toMatchObject({ offered: 2, viewed: 1, declined: 1, open: 1 });
+            const declined = offersResponse.body.data.offers.find(offer => offer.status === 'declined');
+            expect(declined.declineReason).toBe('too_far');
+        });
+    });
+
+    describe('SMS notifications', () => {
+        let sent;
+
+        beforeEach(async () => {
+            sent = [];
+            SmsService.setProvider({
+                name: 'test',
+                send: async message => {
+                    sent.push(message);
+                    return { messageId: `test_${sent.length}` };
+                }
+            });
+
+            const settings = await SystemSettings.getSettings();
+            settings.notifications.sms = true;
+            await settings.save();
+        });
+
+        afterEach(() => {
+            SmsService.setProvider(null);
+        });
+
+        it('should text the customer once per delivery stage', async () => {
+            delivery.status = 'picked_up';
+
+            await SmsService.notifyCustomerStatus(delivery);
+            await SmsService.notifyCustomerStatus(delivery);
+
+            expect(sent).toHaveLength(1);
+            expect(sent[0].to).toBe('+1234567890');
+            expect(sent[0].body).toContain(delivery.deliveryCode);
+
+            const log = await SmsMessage.find({ delivery: delivery._id });
+            expect(log).toHaveLength(1);
+            expect(log[0].template).toBe('delivery_picked_up');
+            expect(log[0].status).toBe('sent');
+        });
+
+        it('should not text anyone while SMS is disabled', async () => {
+            const settings = await SystemSettings.getSettings();
+            settings.notifications.sms = false;
+            await settings.save();
+
+            delivery.status = 'delivered';
+            await SmsService.notifyCustomerStatus(delivery);
+
+            expect(sent).toHaveLength(0);
+            expect(await SmsMessage.countDocuments()).toBe(0);
+        });
+
+        it('should throttle a recipient after too many messages', async () => {
+            for (let i = 0; i <= SmsService.MAX_PER_WINDOW; i++) {
+                await SmsService.send({ to: '+1234567890', recipientType: 'customer', template: 'delivery_delivered', delivery });
+            }
+
+            expect(sent).toHaveLength(SmsService.MAX_PER_WINDOW);
+            expect(await SmsMessage.countDocuments({ status: 'throttled' })).toBe(1);
+        });
+
+        it('should text offline drivers about urgent broadcasts only', async () => {
+            const driver = await testUtils.createTestDriver(Driver);
+
+            delivery.priority = 'normal';
+            await SmsService.notifyOfflineDrivers(delivery, [driver]);
+            expect(sent).toHaveLength(0);
+
+            delivery.priority = 'urgent';
+            await SmsService.notifyOfflineDrivers(delivery, [driver]);
+            expect(sent).toHaveLength(1);
+            expect(sent[0].to).toBe(driver.phone);
+
+            const entry = await SmsMessage.findOne({ template: 'driver_urgent_broadcast' });
+            expect(entry.driver.toString()).toBe(driver._id.toString());
+        });
+
+        it('should text the customer once when the driver nears the drop-off, without a query per ping', async () => {
+            const driver = await testUtils.createTestDriver(Driver);
+            const activeDelivery = await Delivery.create({
+                pickupLocation: 'Main Campus Gate',
+                deliveryLocation: 'Dormitory Block A',
+                deliveryCoordinates: { lat: 35.2000, lng: 33.3823 },
+                customerPhone: '+1234567890',
+                fee: 150,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id,
+                assignedTo: driver._id,
+                status: 'picked_up'
+            });
+            const find = jest.spyOn(Delivery, 'find');
+
+            await SmsService.notifyArriving(driver._id, { lat: 35.1856, lng: 33.3823 });
+            await SmsService.notifyArriving(driver._id, { lat: 35.1900, lng: 33.3823 });
+            expect(sent).toHaveLength(0);
+            expect(find).toHaveBeenCalledTimes(1);
+
+            await SmsService.notifyArriving(driver._id, { lat: 35.1990, lng: 33.3823 });
+            await SmsService.notifyArriving(driver._id, { lat: 35.1995, lng: 33.3823 });
+            expect(sent).toHaveLength(1);
+            expect(sent[0].body).toContain(activeDelivery.deliveryCode);
+            expect(find).toHaveBeenCalledTimes(1);
+
+            find.mockRestore();
+        });
+    });
+
+    describe('GET /api/admin/deliveries/:id/route', () => {
+        it('should replay the driver path linked to an active delivery', async () => {
+            const driver = await testUtils.createTestDriver(Driver);
+            const activeDelivery = await Delivery.create({
+                pickupLocation: 'Main Campus Gate',
+                pickupCoordinates: { lat: 35.1856, lng: 33.3823 },
+                deliveryLocation: 'Dormitory Block A',
+                deliveryCoordinates: { lat: 35.2000, lng: 33.3900 },
+                fee: 150,
+                distance: 2,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                createdBy: admin._id,
+                assignedTo: driver._id,
+                status: 'accepted'
+            });
+
+            await LocationHistoryService.recordPing(driver._id, { lat: 35.1856, lng: 33.3823 });
+            await LocationHistoryService.recordPing(driver._id, { lat: 35.1930, lng: 33.3860 }, { accuracy: 12 });
+            await LocationHistoryService.recordPing(driver._id, { lat: 35.2000, lng: 33.3900 });
+
+            const response = await request(app)
+                .get(`/api/admin/deliveries/${activeDelivery._id}/route`)
+                .set('Authorization', `Bearer ${testUtils.generateTestToken(admin._id, 'admin')}`);
+
+            expect(response.status).toBe(200);
+            const { summary, route } = response.body.data;
+            expect(summary.pingCount).toBe(3);
+            expect(summary.plannedDistanceKm).toBe(2);
+            expect(summary.travelledDistanceKm).toBeGreaterThan(1.5);
+
+            const path = route.features.find(feature => feature.properties.role === 'driver_path');
+            expect(path.geometry.type).toBe('LineString');
+            expect(path.geometry.coordinates[0]).toEqual([33.3823, 35.1856]);
+            expect(path.properties.coordTimes).toHaveLength(3);
+
+            const dropoff = route.features.find(feature => feature.properties.role === 'dropoff');
+            expect(dropoff.properties.closestApproachKm).toBe(0);
+        });
+    });
+
     describe('GET /api/delivery/public/stats', () => {
         beforeEach(async () => {
             // Create additional test data
@@ -226,6 +780,70 @@ describe('Delivery Model Tests', () => {
         });
     });
 
+    describe('Multi-stop Deliveries', () => {
+        it('should give every stop its own PIN and report stop progress', async () => {
+            const delivery = await Delivery.create({
+                pickupLocation: 'Main Campus Gate',
+                deliveryLocation: 'Dormitory Block A',
+                fee: 200,
+                extraStopsFee: 25,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                stops: [
+                    { sequence: 1, location: 'Dormitory Block A', contactName: 'Ali' },
+                    { sequence: 2, location: 'Dormitory Block B', contactName: 'Veli' }
+                ],
+                createdBy: admin._id
+            });
+
+            const withPins = await Delivery.findById(delivery._id).select('+stops.recipientPin');
+            expect(withPins.stops[0].recipientPin).toMatch(/^\d{4}$/);
+            expect(withPins.stops[1].recipientPin).toMatch(/^\d{4}$/);
+
+            const withoutPins = await Delivery.findById(delivery._id);
+            expect(withoutPins.stops[0].recipientPin).toBeUndefined();
+
+            withoutPins.stops[0].status = 'delivered';
+            expect(withoutPins.getStopProgress()).toMatchObject({
+                total: 2,
+                delivered: 1,
+                remaining: 1,
+                currentStop: 2,
+                completed: false
+            });
+        });
+
+        it('should not rebuild stops once one has been visited', async () => {
+            const delivery = await Delivery.create({
+                pickupLocation: 'Main Campus Gate',
+                deliveryLocation: 'Dormitory Block A',
+                fee: 200,
+                extraStopsFee: 25,
+                estimatedTime: new Date(Date.now() + 30 * 60 * 1000),
+                stops: [
+                    { sequence: 1, location: 'Dormitory Block A', status: 'arrived' },
+                    { sequence: 2, location: 'Dormitory Block B' }
+                ],
+                createdBy: admin._id
+            });
+            const adminToken = testUtils.generateTestToken(admin._id, 'admin');
+            const stops = [{ location: 'Dormitory Block C' }, { location: 'Dormitory Block D' }];
+
+            const response = await request(app)
+                .put(`/api/delivery/${delivery._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ stops });
+            expect(response.status).toBe(400);
+            expect((await Delivery.findById(delivery._id)).stops[0].status).toBe('arrived');
+
+            await Delivery.updateOne({ _id: delivery._id }, { 'stops.0.status': 'pending' });
+            const badLink = await request(app)
+                .put(`/api/delivery/${delivery._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ stops: [{ ...stops[0], locationLink: 'https://maps.google.com/?q=999,999' }, stops[1]] });
+            expect(badLink.status).toBe(400);
+        });
+    });
+
     describe('Delivery Status Transitions', () => {
         let delivery;
 
@@ -322,5 +940,29 @@ describe('Delivery Model Tests', () => {
             expect(driverDeliveries).toBeInstanceOf(Array);
             expect(driverDeliveries.length).toBe(1);
         });
+
+        it('should hold scheduled deliveries back from broadcast until broadcastAt', async () => {
+            const scheduled = await Delivery.create({
+                pickupLocation: 'Main Campus Gate',
+                deliveryLocation: 'Dormitory Block A',
+                fee: 150,
+                estimatedTime: new Date(Date.now() + 2 * 60 * 60 * 1000),
+                scheduledFor: new Date(Date.now() + 2 * 60 * 60 * 1000),
+                broadcastAt: new Date(Date.now() + 90 * 60 * 1000),
+                createdBy: admin._id
+            });
+
+            const ready = await Delivery.findReadyForBroadcast();
+            expect(ready.map(d => d._id.toString())).not.toContain(scheduled._id.toString());
+
+            const queue = await Delivery.findScheduled();
+            expect(queue.map(d => d._id.toString())).toEqual([scheduled._id.toString()]);
+
+            scheduled.broadcastAt = new Date(Date.now() - 1000);
+            await scheduled.save();
+
+            const readyNow = await Delivery.findReadyForBroadcast();
+            expect(readyNow.map(d => d._id.toString())).toContain(scheduled._id.toString());
+        });
     });
 }); 
\ No newline at end of file
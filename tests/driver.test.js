@@ -350,4 +350,36 @@ describe('Driver Endpoints Tests', () => {
             expect(response.body.data.leaderboard).toBeInstanceOf(Array);
         });
     });
-}); 
\ No newline at end of file
+
+    describe('Driver location search', () => {
+        const LocationService = require('../src/services/locationService');
+
+        beforeEach(async () => {
+            // $geoNear needs the 2dsphere index in place
+            await Driver.init();
+            driver.isOnline = true;
+            await driver.save();
+        });
+
+        it('should store reported positions as GeoJSON and find the driver with $geoNear', async () => {
+            await LocationService.updateDriverLocation(driver._id, { lat: 35.2, lng: 33.35 });
+
+            const updated = await Driver.findById(driver._id);
+            expect(updated.currentLocation.coordinates).toEqual([33.35, 35.2]);
+            expect(updated.locationUpdatedAt).toBeInstanceOf(Date);
+
+            const nearby = await LocationService.findNearbyDrivers(35.201, 33.351, 5);
+            expect(nearby).toHaveLength(1);
+            expect(nearby[0].locationSource).toBe('gps');
+            expect(nearby[0].distance).toBeLessThan(1);
+        });
+
+        it('should ignore invalid positions', async () => {
+            const result = await LocationService.updateDriverLocation(driver._id, { lat: 120, lng: 33 });
+
+            expect(result).toBeNull();
+            const updated = await Driver.findById(driver._id);
+            expect(updated.locationUpdatedAt).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,229 @@
+const request = require('supertest');
+const axios = require('axios');
+const app = require('../src/app');
+const Admin = require('../src/models/Admin');
+const Delivery = require('../src/models/Delivery');
+const WebhookEndpoint = require('../src/models/WebhookEndpoint');
+const WebhookEvent = require('../src/models/WebhookEvent');
+const WebhookService = require('../src/services/webhookService');
+
+describe('Merchant API Tests', () => {
+    let admin, token;
+
+    const createMerchantWithKey = async (email, keyOptions = {}) => {
+        const merchantResponse = await request(app)
+            .post('/api/admin/merchants')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                name: 'Campus Burger',
+                email,
+                pickupLocation: 'Campus Burger, Main Street',
+                pickupCoordinates: { lat: 35.1856, lng: 33.3823 }
+            });
+        const merchantId = merchantResponse.body.data.merchant.id;
+
+        const keyResponse = await request(app)
+            .post(`/api/admin/merchants/${merchantId}/api-keys`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'POS', ...keyOptions });
+
+        return { merchantId, key: keyResponse.body.data.key };
+    };
+
+    const order = {
+        merchantReference: 'ORDER-1001',
+        deliveryLocation: 'Dormitory Block A',
+        deliveryCoordinates: { lat: 35.2000, lng: 33.3823 },
+        estimatedTime: new Date(Date.now() + 30 * 60 * 1000)
+    };
+
+    beforeEach(async () => {
+        admin = await testUtils.createTestAdmin(Admin);
+        token = testUtils.generateTestToken(admin._id, 'admin');
+    });
+
+    it('should create a priced delivery from the merchant pickup point and tag it', async () => {
+        const { merchantId, key } = await createMerchantWithKey('orders@campusburger.test');
+        expect(key).toMatch(/^mk_/);
+
+        const response = await request(app)
+            .post('/api/merchant/deliveries')
+            .set('X-API-Key', key)
+            .send(order);
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.merchantReference).toBe('ORDER-1001');
+        expect(response.body.data.pickupLocation).toBe('Campus Burger, Main Street');
+
+        const delivery = await Delivery.findById(response.body.data.id);
+        expect(delivery.source).toBe('merchant_api');
+        expect(delivery.merchant.toString()).toBe(merchantId);
+        expect(delivery.createdByModel).toBe('Merchant');
+        expect(delivery.pricing.source).toBe('quote');
+
+        const list = await request(app)
+            .get('/api/merchant/deliveries')
+            .set('X-API-Key', key);
+
+        expect(list.status).toBe(200);
+        expect(list.body.data.deliveries).toHaveLength(1);
+    });
+
+    it('should reject unknown and revoked keys', async () => {
+        const { merchantId, key } = await createMerchantWithKey('orders@campusburger.test');
+
+        const unknown = await request(app)
+            .get('/api/merchant/deliveries')
+            .set('X-API-Key', 'mk_not-a-real-key');
+        expect(unknown.status).toBe(401);
+
+        const merchant = await request(app)
+            .get(`/api/admin/merchants/${merchantId}`)
+            .set('Authorization', `Bearer ${token}`);
+        await request(app)
+            .delete(`/api/admin/merchants/${merchantId}/api-keys/${merchant.body.data.merchant.apiKeys[0].id}`)
+            .set('Authorization', `Bearer ${token}`);
+
+        const revoked = await request(app)
+            .get('/api/merchant/deliveries')
+            .set('X-API-Key', key);
+        expect(revoked.status).toBe(401);
+    });
+
+    it('should enforce key scopes and hide other merchants\' deliveries', async () => {
+        const { key } = await createMerchantWithKey('orders@campusburger.test');
+        const other = await createMerchantWithKey('orders@pizzeria.test', { scopes: ['deliveries:read'] });
+
+        const created = await request(app)
+            .post('/api/merchant/deliveries')
+            .set('X-API-Key', key)
+            .send(order);
+
+        const readOnly = await request(app)
+            .post('/api/merchant/deliveries')
+            .set('X-API-Key', other.key)
+            .send(order);
+        expect(readOnly.status).toBe(403);
+
+        const foreign = await request(app)
+            .get(`/api/merchant/deliveries/${created.body.data.id}`)
+            .set('X-API-Key', other.key);
+        expect(foreign.status).toBe(404);
+
+        const cancelled = await request(app)
+            .post(`/api/merchant/deliveries/${created.body.data.id}/cancel`)
+            .set('X-API-Key', key)
+            .send({ reasonCode: 'customer_request' });
+        expect(cancelled.status).toBe(200);
+        expect(cancelled.body.data.cancellation.cancelledBy).toBe('merchant');
+    });
+
+    describe('Webhooks', () => {
+        it('should queue signed delivery events for the merchant\'s endpoints', async () => {
+            const { key } = await createMerchantWithKey('orders@campusburger.test');
+
+            const registered = await request(app)
+                .post('/api/merchant/webhooks')
+                .set('X-API-Key', key)
+                .send({ url: 'https://203.0.113.10/hooks', events: ['delivery.created', 'delivery.cancelled'] });
+
+            expect(registered.status).toBe(201);
+            expect(registered.body.data.secret).toMatch(/^whsec_/);
+
+            const remittances = await request(app)
+                .post('/api/merchant/webhooks')
+                .set('X-API-Key', key)
+                .send({ url: 'https://203.0.113.10/hooks', events: ['remittance.completed'] });
+            expect(remittances.status).toBe(400);
+
+            const created = await request(app)
+                .post('/api/merchant/deliveries')
+                .set('X-API-Key', key)
+                .send(order);
+
+            const event = await WebhookEvent.findOne({ event: 'delivery.created' });
+            expect(event.endpoint.toString()).toBe(registered.body.data.endpoint._id);
+            expect(event.payload.data.deliveryCode).toBe(created.body.data.deliveryCode);
+            expect(event.payload.data.merchantReference).toBe('ORDER-1001');
+
+            const signature = WebhookService.sign(registered.body.data.secret, '{"ok":true}', 1700000000);
+            expect(signature).toMatch(/^t=1700000000,v1=[0-9a-f]{64}$/);
+        });
+
+        it('should replay dead-letter events', async () => {
+            const { key } = await createMerchantWithKey('orders@campusburger.test');
+            await request(app)
+                .post('/api/merchant/webhooks')
+                .set('X-API-Key', key)
+                .send({ url: 'https://203.0.113.10/hooks', events: ['delivery.created'] });
+            await request(app)
+                .post('/api/merchant/deliveries')
+                .set('X-API-Key', key)
+                .send(order);
+
+            const event = await WebhookEvent.findOne({ event: 'delivery.created' });
+            await WebhookEvent.updateOne({ _id: event._id }, { status: 'dead', attempts: WebhookService.MAX_ATTEMPTS });
+            const post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 503 });
+
+            const deadLetters = await request(app)
+                .get('/api/merchant/webhooks/events')
+                .query({ status: 'dead' })
+                .set('X-API-Key', key);
+            expect(deadLetters.body.data.events).toHaveLength(1);
+
+            const replayed = await request(app)
+                .post(`/api/merchant/webhooks/events/${event._id}/replay`)
+                .set('X-API-Key', key);
+
+            expect(replayed.status).toBe(200);
+            expect(replayed.body.data.event.status).toBe('pending');
+            expect(replayed.body.data.event.attempts).toBe(1);
+            expect(replayed.body.data.event.replayedAt).toBeTruthy();
+            expect(post).toHaveBeenCalledWith('https://203.0.113.10/hooks', expect.any(String), expect.objectContaining({ maxRedirects: 0 }));
+            post.mockRestore();
+        });
+
+        it('should reject webhook URLs that are not https or point at internal addresses', async () => {
+            const { key } = await createMerchantWithKey('orders@campusburger.test');
+
+            for (const url of [
+                'http://203.0.113.10/hooks',
+                'https://127.0.0.1/hooks',
+                'https://10.0.0.5/hooks',
+                'https://169.254.169.254/latest/meta-data',
+                'https://[::1]/hooks',
+                'https://localhost/hooks'
+            ]) {
+                const response = await request(app)
+                    .post('/api/merchant/webhooks')
+                    .set('X-API-Key', key)
+                    .send({ url, events: ['delivery.created'] });
+                expect(response.status).toBe(400);
+            }
+        });
+
+        it('should not send to an endpoint whose URL now points at an internal address', async () => {
+            const { key } = await createMerchantWithKey('orders@campusburger.test');
+            const registered = await request(app)
+                .post('/api/merchant/webhooks')
+                .set('X-API-Key', key)
+                .send({ url: 'https://203.0.113.10/hooks', events: ['delivery.created'] });
+            await request(app)
+                .post('/api/merchant/deliveries')
+                .set('X-API-Key', key)
+                .send(order);
+
+            // e.g. registered before https and public addresses were required
+            await WebhookEndpoint.updateOne({ _id: registered.body.data.endpoint._id }, { url: 'http://169.254.169.254/latest' });
+            const post = jest.spyOn(axios, 'post');
+
+            const event = await WebhookEvent.findOne({ event: 'delivery.created' });
+            const attempted = await WebhookService.attempt(event);
+
+            expect(post).not.toHaveBeenCalled();
+            expect(attempted.status).toBe('pending');
+            expect(attempted.lastError).toMatch(/https/);
+            post.mockRestore();
+        });
+    });
+});
@@ -281,6 +281,52 @@ describe('Middleware Tests', () => {
         });
     });
 
+    describe('Socket Authentication', () => {
+        const { authenticateSocket } = require('../src/middleware/socketAuth');
+
+        const runHandshake = (auth) => new Promise((resolve) => {
+            const socket = { handshake: { auth, headers: {}, query: {} }, data: {} };
+            authenticateSocket(socket, (error) => resolve({ socket, error }));
+        });
+
+        it('should attach the verified user to the socket', async () => {
+            const driver = await testUtils.createTestDriver(Driver);
+            const token = testUtils.generateTestToken(driver._id, 'driver');
+
+            const { socket, error } = await runHandshake({ token });
+
+            expect(error).toBeUndefined();
+            expect(socket.data.user.id).toBe(driver._id.toString());
+            expect(socket.data.user.userType).toBe('driver');
+        });
+
+        it('should reject handshake without token', async () => {
+            const { error } = await runHandshake({});
+
+            expect(error).toBeDefined();
+            expect(error.message).toBe('Access token required');
+        });
+
+        it('should reject handshake with invalid token', async () => {
+            const { error } = await runHandshake({ token: 'invalid-token' });
+
+            expect(error).toBeDefined();
+            expect(error.message).toBe('Invalid token');
+        });
+
+        it('should reject suspended drivers', async () => {
+            const driver = await testUtils.createTestDriver(Driver);
+            driver.isSuspended = true;
+            await driver.save();
+            const token = testUtils.generateTestToken(driver._id, 'driver');
+
+            const { error } = await runHandshake({ token });
+
+            expect(error).toBeDefined();
+            expect(error.message).toContain('Account suspended');
+        });
+    });
+
     describe('Error Handling', () => {
         it('should handle 404 errors', async () => {
             const response = await request(app)